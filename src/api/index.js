@@ -0,0 +1,304 @@
+// Corporate Genome Headless API - Entity recognition, resolution and enrichment from Node, with no DOM or extension
+// The recognition modules are required directly; the data layer runs the worker's own scripts in a sandbox
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { CompanyNormalizer } = require('../modules/recognition/company-normalizer.js');
+const { CompanyKnowledgeBase } = require('../modules/recognition/company-knowledge-base.js');
+const { EnhancedNLPProcessor } = require('../modules/recognition/nlp-processor-enhanced.js');
+const { DATA_LAYER_SCRIPTS } = require('../core/data-layer-scripts.js');
+
+const HEADLESS_API_CONFIG = {
+    chunkLength: 900, // the NLP processor truncates anything over 1000 characters
+    resolveThreshold: 0.8,
+    lookupTTL: 1800000, // 30 minutes, as the extension keeps its full lookups
+    sourceRoot: path.join(__dirname, '..')
+};
+
+let settings = { apiKeys: {}, logger: null };
+let recognition = null;
+let dataLayer = null;
+const lookupCache = new Map(); // identifier key -> { data, fetchedAt }, full-tier lookups only
+
+// apiKeys: { companiesHouse, fred, news }; logger replaces console inside the data layer
+function configure(options = {}) {
+    settings = {
+        ...settings,
+        ...options,
+        apiKeys: { ...settings.apiKeys, ...options.apiKeys }
+    };
+
+    // Keys are read as the data modules load - rebuild the sandbox on next use
+    dataLayer = null;
+    lookupCache.clear();
+}
+
+// Long documents are scanned in chunks; mentions of the same company are folded together
+async function extractEntities(text, context = {}) {
+    if (typeof text !== 'string') {
+        throw new TypeError('extractEntities expects a string');
+    }
+
+    const { processor } = getRecognition();
+    const byKey = new Map();
+
+    for (const chunk of splitIntoChunks(text, HEADLESS_API_CONFIG.chunkLength)) {
+        const { entities = [] } = await processor.extractEntities(chunk.text, context);
+
+        entities.forEach(entity => {
+            const described = describeEntity(entity, chunk.offset);
+            const key = described.company ? `kb:${described.company.id}` : described.normalized.toLowerCase();
+            const existing = byKey.get(key);
+
+            if (existing) {
+                existing.mentions++;
+                existing.confidence = Math.max(existing.confidence, described.confidence);
+            } else {
+                byKey.set(key, { ...described, mentions: 1 });
+            }
+        });
+    }
+
+    return Array.from(byKey.values())
+        .sort((a, b) => (b.confidence - a.confidence) || (a.position - b.position));
+}
+
+// Accepts a name, ticker, CIK, CUSIP or LEI - the local knowledge base first, then the SEC/GLEIF crosswalk
+async function resolve(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new TypeError('resolve expects a company name, ticker, CIK, CUSIP or LEI');
+    }
+
+    const query = name.trim();
+    const { normalizer, knowledgeBase } = getRecognition();
+    const [match] = knowledgeBase.search(query, { limit: 1, threshold: HEADLESS_API_CONFIG.resolveThreshold });
+    const known = match?.company || null;
+
+    // Unlike a hover, a script can wait for the crosswalk's GLEIF enrichment and get the LEI on the first call
+    let identifiers = known?.ticker
+        ? await getDataLayer().orchestrator.resolveIdentifiers(known.ticker, { isTicker: true, awaitEnrichment: true })
+        : await getDataLayer().orchestrator.resolveIdentifiers(query, { awaitEnrichment: true });
+
+    // Crosswalk unavailable - a known ticker is still enough for holder data, as in the extension
+    if (identifiers.matchType === 'unresolved' && known?.ticker) {
+        identifiers = { ...identifiers, name: known.name, ticker: known.ticker, tickers: [known.ticker], matchType: 'knowledge-base' };
+    }
+
+    return toPlainData({
+        query,
+        normalized: normalizer.normalize(query),
+        company: known ? describeCompany(known, match.score) : null,
+        identifiers
+    });
+}
+
+// The same merged result the extension's details view shows, minus anything that needs a browser
+async function enrich(id, options = {}) {
+    const resolved = await resolve(id);
+    const { orchestrator } = getDataLayer();
+    const fetchOptions = {
+        includeInternational: options.includeInternational ?? true,
+        includeGovernment: options.includeGovernment ?? true,
+        includeContext: options.includeContext ?? true,
+        peers: Array.isArray(options.peers) ? options.peers : []
+    };
+
+    // Only the default full lookup is shared - anything narrower or with peers is fetched as asked
+    const cacheable = fetchOptions.includeInternational && fetchOptions.includeGovernment && fetchOptions.includeContext && fetchOptions.peers.length === 0;
+    const cacheKey = lookupCacheKey(resolved);
+    const cached = cacheable && lookupCache.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < HEADLESS_API_CONFIG.lookupTTL) {
+        return toPlainData(cached.data);
+    }
+
+    const data = toPlainData(await orchestrator.orchestrateDataFetch(resolved.identifiers.name || resolved.query, {
+        ...fetchOptions,
+        identifiers: resolved.identifiers
+    }));
+
+    if (cacheable) lookupCache.set(cacheKey, { data, fetchedAt: Date.now() });
+    return toPlainData(data);
+}
+
+// The stored neighbourhood when the host provides IndexedDB (fake-indexeddb will do), else the graph of a fresh lookup
+async function graph(id, options = {}) {
+    if (typeof id !== 'string' || !id.trim()) {
+        throw new TypeError('graph expects a company name, ticker, CIK or LEI');
+    }
+
+    const query = id.trim();
+    const { sandbox, orchestrator } = getDataLayer();
+    const graphStore = orchestrator.graphStore;
+
+    if (graphStore?.isAvailable()) {
+        const config = vm.runInContext('GRAPH_STORE_CONFIG', sandbox);
+        const depth = Math.min(Math.max(parseInt(options.depth, 10) || config.neighbourhoodDepth, 1), config.maxPathDepth);
+        const minPercent = Math.max(parseFloat(options.minPercent) || 0, 0);
+
+        // The store keys CIKs with their prefix; names, tickers and LEIs it finds as given
+        const storeQuery = /^\d{1,10}$/.test(query) ? `cik:${query.padStart(10, '0')}` : query;
+        const neighbourhood = await graphStore.neighbourhood(storeQuery, { depth, minPercent });
+
+        if (neighbourhood) {
+            return toPlainData({
+                query,
+                origin: 'stored',
+                subject: neighbourhood.subject.id,
+                depth,
+                minPercent,
+                nodes: neighbourhood.entities,
+                edges: neighbourhood.edges
+            });
+        }
+    }
+
+    const live = (await enrich(query)).ownershipGraph || {};
+    return {
+        query,
+        origin: 'live',
+        subject: live.subject || null,
+        nodes: live.nodes || [],
+        edges: live.edges || [],
+        ultimateOwners: live.ultimateOwners || []
+    };
+}
+
+function lookupCacheKey(resolved) {
+    const { cik, ticker } = resolved.identifiers;
+    if (cik) return `cik:${cik}`;
+    return ticker ? `ticker:${ticker.toUpperCase()}` : `name:${resolved.normalized}`;
+}
+
+function getRecognition() {
+    if (!recognition) {
+        recognition = {
+            normalizer: new CompanyNormalizer(),
+            knowledgeBase: new CompanyKnowledgeBase(),
+            processor: new EnhancedNLPProcessor()
+        };
+    }
+    return recognition;
+}
+
+// The worker's scripts expect one shared global scope - give them a context of their own
+function getDataLayer() {
+    if (dataLayer) return dataLayer;
+
+    const sandbox = vm.createContext({
+        console: settings.logger || console,
+        fetch: (...args) => globalThis.fetch(...args), // looked up per call so callers can swap it
+        Headers, Request, Response, AbortController, URL, URLSearchParams, TextEncoder, TextDecoder,
+        atob, btoa, structuredClone, queueMicrotask,
+        crypto: globalThis.crypto || require('crypto').webcrypto,
+        performance,
+        // Left undefined unless the host has IndexedDB - the graph store then simply reports itself unavailable
+        indexedDB: globalThis.indexedDB,
+        IDBKeyRange: globalThis.IDBKeyRange,
+        setTimeout, clearTimeout, clearInterval,
+        // Periodic housekeeping must not keep a finished script alive
+        setInterval: (...args) => setInterval(...args).unref(),
+        chrome: {
+            storage: {
+                local: createStorageArea(),
+                session: createStorageArea(),
+                sync: createStorageArea({ fredApiKey: settings.apiKeys.fred, newsApiKey: settings.apiKeys.news })
+            }
+        }
+    });
+
+    DATA_LAYER_SCRIPTS.forEach(script => {
+        const file = path.join(HEADLESS_API_CONFIG.sourceRoot, script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    });
+
+    if (settings.apiKeys.companiesHouse) {
+        vm.runInContext('setCompaniesHouseApiKey', sandbox)(settings.apiKeys.companiesHouse);
+    }
+
+    dataLayer = { sandbox, orchestrator: vm.runInContext('new DataOrchestrator()', sandbox) };
+    return dataLayer;
+}
+
+// In-memory stand-in for a chrome.storage area - promise and callback styles, as the modules use both
+function createStorageArea(initial = {}) {
+    const items = Object.fromEntries(Object.entries(initial).filter(([, value]) => value !== undefined));
+
+    return {
+        get(keys, callback) {
+            const wanted = keys === null || keys === undefined ? Object.keys(items) : [].concat(keys);
+            const result = Object.fromEntries(wanted.filter(key => key in items).map(key => [key, items[key]]));
+            if (callback) callback(result);
+            return Promise.resolve(result);
+        },
+        set(values, callback) {
+            Object.assign(items, values);
+            if (callback) callback();
+            return Promise.resolve();
+        },
+        remove(keys, callback) {
+            [].concat(keys).forEach(key => delete items[key]);
+            if (callback) callback();
+            return Promise.resolve();
+        }
+    };
+}
+
+// Break at a sentence end where possible so a company name is not cut in half
+function splitIntoChunks(text, maxLength) {
+    const chunks = [];
+    let offset = 0;
+
+    while (offset < text.length) {
+        let end = Math.min(text.length, offset + maxLength);
+        if (end < text.length) {
+            const candidate = text.slice(offset, end);
+            const sentenceEnd = Math.max(candidate.lastIndexOf('. '), candidate.lastIndexOf('! '), candidate.lastIndexOf('? '), candidate.lastIndexOf('\n'));
+            const wordEnd = candidate.lastIndexOf(' ');
+            if (sentenceEnd > maxLength / 2) end = offset + sentenceEnd + 1;
+            else if (wordEnd > 0) end = offset + wordEnd;
+        }
+
+        chunks.push({ text: text.slice(offset, end), offset });
+        offset = end;
+    }
+
+    return chunks;
+}
+
+function describeEntity(entity, offset) {
+    const known = entity.knowledgeBase;
+    return {
+        text: entity.text,
+        normalized: entity.normalized || entity.text,
+        type: entity.type,
+        confidence: Math.round(entity.confidence * 100) / 100,
+        position: offset + (entity.position || 0), // approximate - the processor collapses whitespace first
+        company: known ? describeCompany(known.company, known.score) : null
+    };
+}
+
+function describeCompany(company, score) {
+    return {
+        id: company.id,
+        name: company.name,
+        ticker: company.ticker || null,
+        exchange: company.exchange || null,
+        industry: company.industry || null,
+        score: Math.round(score * 100) / 100
+    };
+}
+
+// Results cross back out of the sandbox as plain JSON, so instanceof and prototypes behave as callers expect
+function toPlainData(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    configure,
+    extractEntities,
+    resolve,
+    enrich,
+    graph,
+    splitIntoChunks // shared with the extract CLI
+};
@@ -1,8 +1,9 @@
-// Corporate Genome Background Script v0.5.0 - ES Module Compatible
+// Corporate Genome Background Script v0.5.0 - Classic Service Worker
 console.log('Corporate Genome: Enhanced Background Script loading...');
 
-// ES Module imports (instead of importScripts)
-// Note: The security modules will be available via content scripts
+// Data layer: one script list, shared with the headless Node API so both load the same modules in the same order
+importScripts('core/data-layer-scripts.js');
+importScripts(...DATA_LAYER_SCRIPTS);
 
 // Global rate limiter for background script
 class BackgroundRateLimiter {
@@ -32,221 +33,556 @@ class BackgroundRateLimiter {
 }
 
 const rateLimiter = new BackgroundRateLimiter();
+const dataOrchestrator = new DataOrchestrator();
 
-// Your existing API functions (simplified for now)
-async function getYahooFinanceData(companyName) {
-    console.log(`📊 Background: Fetching Yahoo data for ${companyName}`);
+// Creating an alarm again restarts its period - the worker wakes far more often than daily, so only create missing ones
+async function ensureDailyAlarm(name) {
+    if (!(await chrome.alarms.get(name))) {
+        chrome.alarms.create(name, { periodInMinutes: 24 * 60 });
+    }
+}
+
+// Keep the identifier crosswalk current without waiting for a lookup to find it stale
+const CROSSWALK_REFRESH_ALARM = 'identifier-crosswalk-refresh';
+
+ensureDailyAlarm(CROSSWALK_REFRESH_ALARM);
+
+// Sanctions lists are downloaded whole, so refresh them on a schedule rather than on first lookup
+const SANCTIONS_REFRESH_ALARM = 'sanctions-list-refresh';
+
+ensureDailyAlarm(SANCTIONS_REFRESH_ALARM);
+
+// Cached source answers are kept past their TTL to show while refreshing - this drops the ones too old even for that
+const SOURCE_CACHE_PRUNE_ALARM = 'source-cache-prune';
+
+ensureDailyAlarm(SOURCE_CACHE_PRUNE_ALARM);
+
+// Bulk enrichment runs longer than the worker lives - the alarm wakes it to carry on where it stopped
+const bulkEnrichment = new BulkEnrichmentQueue(enrichBulkRow);
+
+resumeBulkEnrichment();
+
+chrome.runtime.onInstalled.addListener(() => {
+    dataOrchestrator.sanctionsScreener?.refresh();
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === CROSSWALK_REFRESH_ALARM) {
+        dataOrchestrator.identifierCrosswalk?.refresh();
+    }
+    
+    if (alarm.name === SANCTIONS_REFRESH_ALARM) {
+        dataOrchestrator.sanctionsScreener?.refresh();
+    }
+    
+    if (alarm.name === SOURCE_CACHE_PRUNE_ALARM) {
+        dataOrchestrator.sourceCache?.prune();
+    }
+    
+    if (alarm.name === BULK_ENRICHMENT_CONFIG.resumeAlarm) {
+        resumeBulkEnrichment();
+    }
+});
+
+// Enhanced message listener
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    console.log('📨 Background received message:', request.action);
+    
+    // Rate limiting check
+    const senderId = sender.tab?.id || 'unknown';
+    
+    if (!rateLimiter.canMakeRequest(senderId)) {
+        console.warn('Rate limit exceeded for sender:', senderId);
+        sendResponse({ 
+            success: false, 
+            error: 'Rate limit exceeded. Please wait before making more requests.' 
+        });
+        return true;
+    }
+    
+    // Handle different request types
+    if (request.action === 'fetchComprehensiveData') {
+        handleComprehensiveDataRequest(request.companyName, sendResponse);
+        return true;
+    }
+    
+    if (request.action === 'fetchEnhancedData') {
+        handleEnhancedDataRequest(request, sendResponse);
+        return true;
+    }
+    
+    if (request.action === 'fetchOwnershipData') {
+        handleOwnershipDataRequest(request, sender, sendResponse);
+        return true;
+    }
+    
+    if (request.action === 'queryOwnershipGraph') {
+        handleGraphQueryRequest(request, sendResponse);
+        return true;
+    }
+    
+    if (request.action === 'exportOwnershipGraph') {
+        handleGraphExportRequest(request, sendResponse);
+        return true;
+    }
+    
+    if (request.action === 'exportPageDossier') {
+        handlePageDossierRequest(request, sendResponse);
+        return true;
+    }
+    
+    if (request.action === 'refreshPageData') {
+        handlePageRefreshRequest(request, sendResponse);
+        return true;
+    }
+    
+    if (request.action === 'startBulkEnrichment') {
+        handleBulkEnrichmentStart(request, sendResponse);
+        return true;
+    }
+    
+    if (request.action === 'cancelBulkEnrichment') {
+        handleBulkEnrichmentCancel(sendResponse);
+        return true;
+    }
+    
+    if (request.action === 'getQuotaStatus') {
+        handleQuotaStatusRequest(sendResponse);
+        return true;
+    }
+    
+    if (request.action === 'setSessionApiKeys') {
+        handleSessionApiKeys(request, sender, sendResponse);
+        return true;
+    }
+    
+    sendResponse({ success: false, error: 'Unknown action' });
+    return true;
+});
+
+// Enhanced data request handler
+async function handleEnhancedDataRequest(request, sendResponse) {
+    try {
+        console.log(`🎯 Fetching enhanced data for: ${request.companyName}`);
+        
+        const mergedData = await dataOrchestrator.orchestrateDataFetch(request.companyName, {
+            includeInternational: request.includeInternational,
+            includeGovernment: request.includeGovernment,
+            includeContext: request.includeContext
+        });
+        
+        console.log(`✅ Enhanced data fetched (quality ${mergedData.qualityScore})`);
+        sendResponse({ success: true, data: mergedData });
+        
+    } catch (error) {
+        console.error('❌ Enhanced data fetch failed:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Entity ownership handler - resolves the entity before fetching holders
+async function handleOwnershipDataRequest(request, sender, sendResponse) {
     try {
-        const url = `https://query1.finance.yahoo.com/v10/finance/quoteSummary/${companyName}?modules=institutionOwnership,fundOwnership,majorHoldersBreakdown`;
+        const entity = request.entity || {};
+        if (!entity.name && !entity.ticker) {
+            sendResponse({ success: false, error: 'No entity supplied' });
+            return;
+        }
         
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`Yahoo Finance error: ${response.status}`);
+        console.log(`🔎 Resolving entity: ${entity.ticker || entity.name}`);
+        const identifiers = await resolveEntityIdentifiers(entity);
         
-        const data = await response.json();
+        if (!identifiers) {
+            sendResponse({ success: false, error: `Could not resolve "${entity.name}" to a ticker or CIK` });
+            return;
+        }
         
-        // Process ownership data
-        const processedData = {
-            owners: [],
-            source: 'Yahoo Finance'
+        const options = {
+            includeInternational: request.includeInternational,
+            includeGovernment: request.includeGovernment,
+            includeContext: request.includeContext,
+            peers: sanitizePeers(request.peers)
         };
+        const mergedData = await orchestrateLookup(identifiers, entity.name, options);
         
-        // Extract institutional ownership
-        const institutionOwnership = data.quoteSummary?.result?.[0]?.institutionOwnership?.ownershipList || [];
+        console.log(`✅ Ownership data fetched for ${identifiers.ticker || identifiers.name} (${mergedData.owners.length} holders)`);
+        sendResponse({ success: true, data: mergedData });
         
-        institutionOwnership.slice(0, 10).forEach(owner => {
-            if (owner.organization && owner.pctHeld) {
-                processedData.owners.push({
-                    name: owner.organization,
-                    percent: (owner.pctHeld.raw * 100).toFixed(2) + '%',
-                    shares: owner.position?.raw || 0
-                });
-            }
-        });
+        if (mergedData.revalidating.length > 0 && sender.tab?.id !== undefined) {
+            pushRefreshedLookup(sender.tab.id, entity, identifiers, options, mergedData);
+        }
         
-        return processedData;
+        if (request.graphFocus) {
+            recordGraphFocus(request.graphFocus, entity, mergedData);
+        }
+        
+        // Full lookups (the details view) are exactly what a page dossier needs
+        if (request.includeInternational && request.includeGovernment && request.includeContext) {
+            pageLookupCache.set(lookupCacheKey(entity), { data: mergedData, fetchedAt: Date.now() });
+        }
         
     } catch (error) {
-        console.error('Yahoo Finance error:', error);
-        return { owners: [], source: 'Yahoo Finance', error: error.message };
+        console.error('❌ Ownership data fetch failed:', error);
+        sendResponse({ success: false, error: error.message });
     }
 }
 
-async function getSECOwnershipData(companyName) {
-    console.log(`🏛️ Background: Fetching SEC data for ${companyName}`);
+// Stale sections were answered from cache - once their sources have answered again, send the tab the lookup redone
+async function pushRefreshedLookup(tabId, entity, identifiers, options, staleData) {
     try {
-        // Simplified SEC data fetch
-        const searchUrl = `https://www.sec.gov/cgi-bin/browse-edgar?action=getcompany&CIK=${companyName}&type=SC&dateb=&owner=include&count=10&output=atom`;
+        const refreshed = await dataOrchestrator.whenRevalidated(staleData);
+        if (refreshed.length === 0) return;
+        
+        const data = await orchestrateLookup(identifiers, entity.name, options);
+        await chrome.tabs.sendMessage(tabId, {
+            action: 'ownershipDataUpdated',
+            entity,
+            options: {
+                includeInternational: Boolean(options.includeInternational),
+                includeGovernment: Boolean(options.includeGovernment),
+                includeContext: Boolean(options.includeContext)
+            },
+            data
+        });
+        console.log(`🗃️ Refreshed ${refreshed.join(', ')} pushed to tab ${tabId}`);
         
-        // Note: SEC API has CORS restrictions, so this is a placeholder
-        // In production, you'd need a proxy or different approach
+        if (options.includeInternational && options.includeGovernment && options.includeContext) {
+            pageLookupCache.set(lookupCacheKey(entity), { data, fetchedAt: Date.now() });
+        }
         
-        return {
-            filings: [],
-            source: 'SEC Edgar',
-            note: 'SEC data requires proxy due to CORS restrictions'
-        };
+    } catch (error) {
+        // The tab may have navigated away or closed
+        console.warn('Refreshed lookup not pushed:', error.message);
+    }
+}
+
+// The side panel draws whichever entity was last looked up on a page; a pinned one holds until another is pinned
+const GRAPH_FOCUS_KEY = 'graph_focus';
+
+async function recordGraphFocus(mode, entity, mergedData) {
+    if (!chrome.storage.session || !mergedData.ownershipGraph) return;
+    
+    try {
+        if (mode !== 'pin') {
+            const stored = await chrome.storage.session.get([GRAPH_FOCUS_KEY]);
+            if (stored[GRAPH_FOCUS_KEY]?.mode === 'pin') return;
+        }
         
+        const { subject, nodes, edges } = mergedData.ownershipGraph;
+        await chrome.storage.session.set({
+            [GRAPH_FOCUS_KEY]: {
+                mode: mode === 'pin' ? 'pin' : 'hover',
+                entity: { name: entity.name, ticker: entity.ticker || null },
+                companyName: mergedData.companyName,
+                graph: { subject, nodes, edges },
+                focusedAt: new Date().toISOString()
+            }
+        });
     } catch (error) {
-        console.error('SEC error:', error);
-        return { filings: [], source: 'SEC Edgar', error: error.message };
+        console.warn('Graph focus not recorded:', error.message);
     }
 }
 
-async function getOpenCorporatesData(companyName) {
-    console.log(`🌍 Background: Fetching OpenCorporates data for ${companyName}`);
+// Peers arrive from page scripts - keep only plain name/ticker pairs
+function sanitizePeers(peers) {
+    if (!Array.isArray(peers)) return [];
+    
+    return peers
+        .filter(peer => peer && (typeof peer.ticker === 'string' || typeof peer.name === 'string'))
+        .map(peer => ({
+            name: typeof peer.name === 'string' ? peer.name.slice(0, 200) : null,
+            ticker: typeof peer.ticker === 'string' ? peer.ticker.slice(0, 12).toUpperCase() : null
+        }));
+}
+
+// Tabs hovering the same company with the same options wait on one orchestration and each get its merged answer
+function orchestrateLookup(identifiers, entityName, options) {
+    return dataOrchestrator.requestBroker.request(
+        { source: 'lookup', identifier: identifiers, params: options },
+        () => dataOrchestrator.orchestrateDataFetch(identifiers.name || entityName, { ...options, identifiers })
+    );
+}
+
+async function resolveEntityIdentifiers(entity) {
+    // Prefer the knowledge-base ticker the content script already matched
+    const identifiers = entity.ticker
+        ? await dataOrchestrator.resolveIdentifiers(entity.ticker, { isTicker: true })
+        : await dataOrchestrator.resolveIdentifiers(entity.name);
+    if (identifiers.matchType !== 'unresolved') return identifiers;
+    
+    // SEC file unavailable - a known ticker is still enough for holder data
+    if (entity.ticker) {
+        return { ...identifiers, name: entity.name, ticker: entity.ticker, tickers: [entity.ticker], matchType: 'knowledge-base' };
+    }
+    
+    // UK companies rarely file with the SEC - Companies House resolves them by name
+    if (dataOrchestrator.getCountryHints(identifiers).has('UK')) {
+        return identifiers;
+    }
+    
+    return null;
+}
+
+// Stored graph queries never touch the network, so they answer offline
+async function handleGraphQueryRequest(request, sendResponse) {
     try {
-        // OpenCorporates free tier (limited)
-        const url = `https://api.opencorporates.com/v0.4/companies/search?q=${encodeURIComponent(companyName)}&format=json&limit=5`;
-        
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`OpenCorporates error: ${response.status}`);
-        
-        const data = await response.json();
-        
-        const processedData = {
-            entities: data.results?.companies?.slice(0, 5).map(item => ({
-                name: item.company.name,
-                jurisdiction: item.company.jurisdiction_code,
-                companyNumber: item.company.company_number,
-                status: item.company.current_status
-            })) || [],
-            source: 'OpenCorporates'
-        };
+        const graphStore = dataOrchestrator.graphStore;
+        const query = request.query || {};
         
-        return processedData;
+        if (!graphStore?.isAvailable()) {
+            sendResponse({ success: false, error: 'Ownership graph store unavailable' });
+            return;
+        }
+        
+        let result;
+        if (query.type === 'ownedBy') {
+            result = await graphStore.ownedBy(query.entity, query.minPercent);
+        } else if (query.type === 'parentsOf') {
+            result = await graphStore.parentsOf(query.entity);
+        } else if (query.type === 'shortestPath') {
+            result = await graphStore.shortestPath(query.from, query.to);
+        } else if (query.type === 'snapshots') {
+            result = await graphStore.listSnapshots(query.entity);
+        } else if (query.type === 'snapshotDiff') {
+            result = await graphStore.diffSnapshots(query.entity, query.from, query.to, query.threshold);
+        } else if (query.type === 'recentChanges') {
+            result = await graphStore.recentChanges(query.limit);
+        } else {
+            sendResponse({ success: false, error: `Unknown graph query: ${query.type}` });
+            return;
+        }
+        
+        if (!result) {
+            sendResponse({ success: false, error: 'No stored ownership data matches this query' });
+            return;
+        }
+        
+        sendResponse({ success: true, data: result });
         
     } catch (error) {
-        console.error('OpenCorporates error:', error);
-        return { entities: [], source: 'OpenCorporates', error: error.message };
+        console.error('❌ Graph query failed:', error);
+        sendResponse({ success: false, error: error.message });
     }
 }
 
-async function getUSASpendingData(companyName) {
-    console.log(`💰 Background: Fetching USAspending data for ${companyName}`);
+// Exports read the stored graph, so they cover everything seen while browsing, not just the last fetch
+async function handleGraphExportRequest(request, sendResponse) {
     try {
-        const url = 'https://api.usaspending.gov/api/v2/search/spending_by_award/';
-        const requestBody = {
-            filters: {
-                recipient_search_text: [companyName],
-                award_type_codes: ['A', 'B', 'C', 'D'],
-                time_period: [{
-                    start_date: '2021-01-01',
-                    end_date: new Date().toISOString().split('T')[0]
-                }]
-            },
-            fields: ['Award ID', 'Recipient Name', 'Award Amount', 'Awarding Agency'],
-            page: 1,
-            limit: 10
-        };
+        const graphStore = dataOrchestrator.graphStore;
+        if (!graphStore?.isAvailable()) {
+            sendResponse({ success: false, error: 'Ownership graph store unavailable' });
+            return;
+        }
         
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(requestBody)
-        });
+        const depth = Math.min(Math.max(parseInt(request.depth, 10) || GRAPH_STORE_CONFIG.neighbourhoodDepth, 1), GRAPH_STORE_CONFIG.maxPathDepth);
+        const minPercent = Math.max(parseFloat(request.minPercent) || 0, 0);
+        const neighbourhood = await graphStore.neighbourhood(request.entity, { depth, minPercent });
         
-        if (!response.ok) throw new Error(`USAspending error: ${response.status}`);
+        if (!neighbourhood) {
+            sendResponse({ success: false, error: 'No stored ownership data matches this query' });
+            return;
+        }
         
-        const data = await response.json();
+        const file = exportOwnershipGraph(neighbourhood, request.format);
+        console.log(`📤 Exported ${neighbourhood.entities.length} entities and ${neighbourhood.edges.length} edges as ${request.format}`);
+        sendResponse({ success: true, data: file });
         
-        const processedData = {
-            contracts: data.results?.slice(0, 10).map(result => ({
-                awardId: result['Award ID'],
-                recipientName: result['Recipient Name'],
-                amount: parseFloat(result['Award Amount']) || 0,
-                agency: result['Awarding Agency']
-            })) || [],
-            source: 'USAspending'
-        };
+    } catch (error) {
+        console.error('❌ Graph export failed:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Full-tier lookups by entity, reused by page dossiers until "Refresh Data" clears them
+const pageLookupCache = new Map();
+
+function lookupCacheKey(entity) {
+    return entity.ticker ? `ticker:${entity.ticker.toUpperCase()}` : `name:${normalizeOwnerName(entity.name)}`;
+}
+
+async function handlePageDossierRequest(request, sendResponse) {
+    try {
+        const tab = await chrome.tabs.get(request.tabId);
+        const detection = await chrome.tabs.sendMessage(request.tabId, { action: 'getDetectedEntities' });
+        
+        // The same company is often detected several times on one page
+        const detected = new Map();
+        (detection?.entities || [])
+            .filter(entity => entity.text)
+            .sort((a, b) => b.confidence - a.confidence)
+            .forEach(entity => {
+                const key = lookupCacheKey({ name: entity.normalized || entity.text, ticker: entity.ticker });
+                if (!detected.has(key)) detected.set(key, entity);
+            });
+        
+        const lookups = [];
+        for (const entity of Array.from(detected.values()).slice(0, PAGE_DOSSIER_CONFIG.maxEntities)) {
+            // One company at a time - the sources' rate limits are shared across the worker
+            lookups.push(await lookupForDossier(entity));
+        }
         
-        return processedData;
+        const file = formatPageDossier(buildPageDossier({ url: tab.url, title: tab.title }, lookups), request.format);
+        console.log(`🗂️ Page dossier built for ${lookups.length} entities as ${request.format}`);
+        sendResponse({ success: true, data: file });
         
     } catch (error) {
-        console.error('USAspending error:', error);
-        return { contracts: [], source: 'USAspending', error: error.message };
+        console.error('❌ Page dossier failed:', error);
+        sendResponse({ success: false, error: error.message });
     }
 }
 
-// Enhanced message listener
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    console.log('📨 Background received message:', request.action);
-    
-    // Rate limiting check
-    const senderId = sender.tab?.id || 'unknown';
+async function lookupForDossier(detected) {
+    const entity = { name: detected.normalized || detected.text, ticker: detected.ticker || null };
     
-    if (!rateLimiter.canMakeRequest(senderId)) {
-        console.warn('Rate limit exceeded for sender:', senderId);
-        sendResponse({ 
-            success: false, 
-            error: 'Rate limit exceeded. Please wait before making more requests.' 
-        });
-        return true;
+    try {
+        const data = await lookupEntity(entity);
+        return data ? { detected, data } : { detected, error: `Could not resolve "${entity.name}" to a ticker or CIK` };
+        
+    } catch (error) {
+        return { detected, error: error.message };
     }
-    
-    // Handle different request types
-    if (request.action === 'fetchComprehensiveData') {
-        handleComprehensiveDataRequest(request.companyName, sendResponse);
-        return true;
+}
+
+// Full-tier lookup through the shared cache; null when the entity does not resolve
+async function lookupEntity(entity) {
+    const cached = pageLookupCache.get(lookupCacheKey(entity));
+    if (cached && Date.now() - cached.fetchedAt < PAGE_DOSSIER_CONFIG.lookupTTL) {
+        return cached.data;
     }
     
-    if (request.action === 'fetchEnhancedData') {
-        handleEnhancedDataRequest(request, sendResponse);
-        return true;
-    }
+    const identifiers = await resolveEntityIdentifiers(entity);
+    if (!identifiers) return null;
     
-    sendResponse({ success: false, error: 'Unknown action' });
-    return true;
-});
+    const data = await orchestrateLookup(identifiers, entity.name, {
+        includeInternational: true,
+        includeGovernment: true,
+        includeContext: true
+    });
+    pageLookupCache.set(lookupCacheKey(entity), { data, fetchedAt: Date.now() });
+    return data;
+}
 
-// Enhanced data request handler
-async function handleEnhancedDataRequest(request, sendResponse) {
+// "Refresh Data" - forget cached lookups and have the page scanned again from scratch
+async function handlePageRefreshRequest(request, sendResponse) {
     try {
-        console.log(`🎯 Fetching enhanced data for: ${request.companyName}`);
-        
-        const promises = [
-            getYahooFinanceData(request.companyName)
-        ];
+        pageLookupCache.clear();
+        await dataOrchestrator.clearCaches();
         
-        // Add optional sources based on request
-        if (request.includeInternational) {
-            promises.push(getOpenCorporatesData(request.companyName));
+        const rescan = await chrome.tabs.sendMessage(request.tabId, { action: 'rescan' });
+        if (!rescan?.success) {
+            sendResponse({ success: false, error: rescan?.error || 'Page did not respond to the rescan' });
+            return;
         }
         
-        if (request.includeGovernment) {
-            promises.push(getUSASpendingData(request.companyName));
+        console.log(`🔄 Page rescanned: ${rescan.count} entities, lookup caches cleared`);
+        sendResponse({ success: true, count: rescan.count });
+        
+    } catch (error) {
+        console.error('❌ Page refresh failed:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Rows arrive already matched against the knowledge base by the options page
+async function handleBulkEnrichmentStart(request, sendResponse) {
+    try {
+        const rows = (Array.isArray(request.rows) ? request.rows : [])
+            .slice(0, BULK_ENRICHMENT_CONFIG.maxRows)
+            .filter(row => row?.query && (typeof row.query.name === 'string' || typeof row.query.ticker === 'string'))
+            .map((row, index) => ({
+                index,
+                values: Array.isArray(row.values) ? row.values.map(value => String(value).slice(0, 500)) : [],
+                input: String(row.input || '').slice(0, 200),
+                normalized: typeof row.normalized === 'string' ? row.normalized.slice(0, 200) : null,
+                query: {
+                    name: typeof row.query.name === 'string' ? row.query.name.slice(0, 200) : null,
+                    ticker: typeof row.query.ticker === 'string' ? row.query.ticker.slice(0, 12).toUpperCase() : null
+                },
+                match: { via: String(row.match?.via || 'input'), score: Math.min(1, Math.max(0, Number(row.match?.score) || 0)) }
+            }));
+        
+        if (rows.length === 0) {
+            sendResponse({ success: false, error: 'No rows with a company name or ticker' });
+            return;
         }
         
-        const results = await Promise.allSettled(promises);
+        const job = await bulkEnrichment.start({
+            filename: String(request.filename || '').slice(0, 200),
+            headers: Array.isArray(request.headers) ? request.headers.map(header => String(header).slice(0, 100)) : [],
+            rows
+        });
         
-        const enhancedData = {
-            yahoo: results[0]?.status === 'fulfilled' ? results[0].value : null,
-            international: request.includeInternational && results[1]?.status === 'fulfilled' ? results[1].value : null,
-            government: request.includeGovernment && results[2]?.status === 'fulfilled' ? results[2].value : null,
-            timestamp: new Date().toISOString()
-        };
+        console.log(`📋 Bulk enrichment started: ${rows.length} rows`);
+        sendResponse({ success: true, data: { id: job.id, total: rows.length } });
         
-        console.log('✅ Enhanced data fetched successfully');
-        sendResponse({ success: true, data: enhancedData });
+        chrome.alarms.create(BULK_ENRICHMENT_CONFIG.resumeAlarm, { periodInMinutes: 1 });
+        resumeBulkEnrichment();
         
     } catch (error) {
-        console.error('❌ Enhanced data fetch failed:', error);
+        console.error('❌ Bulk enrichment failed to start:', error);
         sendResponse({ success: false, error: error.message });
     }
 }
 
-// Legacy comprehensive data handler
-async function handleComprehensiveDataRequest(companyName, sendResponse) {
+async function handleBulkEnrichmentCancel(sendResponse) {
     try {
-        const [yahooData] = await Promise.allSettled([
-            getYahooFinanceData(companyName)
-        ]);
+        const job = await bulkEnrichment.cancel();
+        sendResponse({ success: true, data: { status: job?.status || null } });
         
-        const result = {
-            yahoo: yahooData.status === 'fulfilled' ? yahooData.value : null,
-            timestamp: new Date().toISOString()
-        };
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function enrichBulkRow(row) {
+    const data = await lookupEntity(row.query);
+    return data ? summarizeEnrichment(row, data) : null;
+}
+
+async function resumeBulkEnrichment() {
+    try {
+        await bulkEnrichment.resume();
+    } catch (error) {
+        console.error('❌ Bulk enrichment stopped:', error);
+    }
+    
+    // resume() returns at once while this worker is still working through the job
+    if (!bulkEnrichment.running) {
+        chrome.alarms.clear(BULK_ENRICHMENT_CONFIG.resumeAlarm);
+    }
+}
+
+// Budgets are counted in the worker, where the requests are made
+async function handleQuotaStatusRequest(sendResponse) {
+    try {
+        sendResponse({ success: true, data: await dataOrchestrator.describeQuotas() });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// The popup decrypts vault keys once unlocked; the worker keeps them in memory and chrome.storage.session, never on disk
+async function handleSessionApiKeys(request, sender, sendResponse) {
+    if (sender.id !== chrome.runtime.id || sender.tab) {
+        sendResponse({ success: false, error: 'API keys are only accepted from the extension popup' });
+        return;
+    }
+    
+    try {
+        const keys = request.keys || {};
+        if ('companiesHouse' in keys) await setCompaniesHouseApiKey(keys.companiesHouse);
         
-        sendResponse({ success: true, data: result });
+        sendResponse({ success: true });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Legacy comprehensive data handler - core ownership tiers only
+async function handleComprehensiveDataRequest(companyName, sendResponse) {
+    try {
+        const mergedData = await dataOrchestrator.orchestrateDataFetch(companyName);
+        sendResponse({ success: true, data: mergedData });
     } catch (error) {
         sendResponse({ success: false, error: error.message });
     }
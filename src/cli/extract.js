@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+// Corporate Genome Extract - Batch entity extraction from archived HTML and text files, written as JSON Lines
+// HTML from a supported site runs that site's adapter in a jsdom window; everything else takes the generic NLP path
+const fs = require('fs');
+const path = require('path');
+
+// Stdout carries the JSON Lines - route the modules' load-time logging before anything is required
+if (require.main === module) {
+    routeConsole(process.argv.includes('--verbose'));
+}
+
+const { splitIntoChunks } = require('../api/index.js');
+const { EnhancedNLPProcessor } = require('../modules/recognition/nlp-processor-enhanced.js');
+const { DOMInterpreter } = require('../modules/recognition/dom-interpreter.js');
+const { ConfidenceScorer } = require('../modules/recognition/confidence-scorer.js');
+
+const EXTRACT_CLI_CONFIG = {
+    chunkLength: 900, // the NLP processor truncates anything over 1000 characters
+    htmlExtensions: ['.html', '.htm', '.xhtml'],
+    textExtensions: ['.txt', '.text', '.md'],
+    adapterRoot: path.join(__dirname, '../modules/recognition/site-adapters'),
+    fallbackURL: 'https://localhost/'
+};
+
+// Same hostnames the content script recognises (see detectCurrentSite in intelligence-engine-v2.js)
+const SITE_ADAPTERS = {
+    forbes: { hostname: 'www.forbes.com', file: 'forbes-adapter.js', className: 'ForbesAdapter' },
+    yahoo: { hostname: 'finance.yahoo.com', file: 'yahoo-finance.js', className: 'YahooFinanceAdapter' },
+    bloomberg: { hostname: 'www.bloomberg.com', file: 'bloomberg.js', className: 'BloombergAdapter' },
+    marketwatch: { hostname: 'www.marketwatch.com', file: 'marketwatch.js', className: 'MarketWatchAdapter' }
+};
+
+const USAGE = `Usage: corporate-genome-extract [options] <file|directory>...
+
+Writes one JSON object per detected entity. Offsets are character positions in
+the file's text - for HTML, the text content of <body> with scripts and styles removed.
+
+Options:
+  --site <name>     Use this site's adapter for every HTML file (${Object.keys(SITE_ADAPTERS).join(', ')})
+  --url <address>   Original page address, for archived HTML without a canonical link
+  --output <file>   Write JSON Lines here instead of standard output
+  --verbose         Show module logging on standard error
+  --help            Show this message`;
+
+let recognition = null;
+
+async function main(argv = process.argv.slice(2)) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (error) {
+        process.stderr.write(`corporate-genome-extract: ${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    let files;
+    try {
+        files = collectInputFiles(options.inputs);
+    } catch (error) {
+        process.stderr.write(`corporate-genome-extract: ${error.message}\n`);
+        return 2;
+    }
+
+    const output = options.output ? fs.createWriteStream(options.output) : process.stdout;
+    let failures = 0;
+
+    for (const file of files) {
+        try {
+            const records = await extractFromFile(file, options);
+            records.forEach(record => output.write(`${JSON.stringify(record)}\n`));
+        } catch (error) {
+            failures++;
+            process.stderr.write(`corporate-genome-extract: ${file}: ${error.message}\n`);
+        }
+    }
+
+    if (options.output) {
+        await new Promise(resolve => output.end(resolve));
+    }
+
+    return failures > 0 ? 1 : 0;
+}
+
+function parseArguments(argv) {
+    const options = { inputs: [], site: null, url: null, output: null, verbose: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '--site') options.site = value();
+        else if (arg === '--url') options.url = value();
+        else if (arg === '--output' || arg === '-o') options.output = value();
+        else if (arg === '--verbose') options.verbose = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+        else options.inputs.push(arg);
+    }
+
+    if (options.site && !SITE_ADAPTERS[options.site]) {
+        throw new Error(`Unknown site: ${options.site}`);
+    }
+    if (!options.help && options.inputs.length === 0) {
+        throw new Error('No input files given');
+    }
+
+    return options;
+}
+
+// Directories are walked for HTML and text files; files named explicitly are always read
+function collectInputFiles(inputs) {
+    const known = [...EXTRACT_CLI_CONFIG.htmlExtensions, ...EXTRACT_CLI_CONFIG.textExtensions];
+    const files = [];
+
+    const walk = (directory) => {
+        fs.readdirSync(directory, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(entry => {
+                const full = path.join(directory, entry.name);
+                if (entry.isDirectory()) walk(full);
+                else if (known.includes(path.extname(entry.name).toLowerCase())) files.push(full);
+            });
+    };
+
+    inputs.forEach(input => {
+        if (fs.statSync(input).isDirectory()) walk(input);
+        else files.push(input);
+    });
+
+    return files;
+}
+
+async function extractFromFile(file, options = {}) {
+    const content = fs.readFileSync(file, 'utf8');
+    const records = isHTML(file, content)
+        ? await extractFromHTML(content, options)
+        : await extractFromText(content, options);
+
+    return records.map(record => ({ file, ...record }));
+}
+
+function isHTML(file, content) {
+    const extension = path.extname(file).toLowerCase();
+    if (EXTRACT_CLI_CONFIG.htmlExtensions.includes(extension)) return true;
+    if (EXTRACT_CLI_CONFIG.textExtensions.includes(extension)) return false;
+    return /^\s*<(?:!doctype\s+html|html)\b/i.test(content);
+}
+
+// Generic path: no DOM, so the scorer gets the interpreter's neutral analysis for position
+async function extractFromText(text, options = {}) {
+    const { processor, domInterpreter, confidenceScorer } = getRecognition();
+    const site = options.site || 'generic';
+    const records = [];
+
+    for (const chunk of splitIntoChunks(text, EXTRACT_CLI_CONFIG.chunkLength)) {
+        // The processor strips line breaks as control characters, which would glue words together
+        const nlpResult = await processor.extractEntities(chunk.text.replace(/\s+/g, ' '), { site });
+
+        for (const entity of nlpResult.entities || []) {
+            const confidence = await confidenceScorer.calculateScore({
+                patternMatch: entity,
+                domContext: domInterpreter.getDefaultAnalysis(),
+                nlpConfidence: nlpResult,
+                entity
+            }, { site });
+
+            records.push(await describeDetection(entity, {
+                site: null,
+                url: options.pageURL || null,
+                path: 'nlp',
+                offsets: locateText(text, entity.text, chunk.offset + (entity.position || 0)),
+                confidence
+            }));
+        }
+    }
+
+    return records;
+}
+
+async function extractFromHTML(html, options = {}) {
+    const { JSDOM, VirtualConsole } = loadJSDOM();
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+
+    // Adapters read window.location, so the page gets its original address back
+    const dom = new JSDOM(html, { url: EXTRACT_CLI_CONFIG.fallbackURL, runScripts: 'outside-only', virtualConsole });
+    const { window } = dom;
+
+    try {
+        const url = options.url || findDocumentURL(window.document);
+        if (url) dom.reconfigure({ url });
+
+        const site = options.site || siteForURL(url);
+        const body = window.document.body;
+        body.querySelectorAll('script, style, noscript, template').forEach(node => node.remove());
+
+        if (!site) {
+            return extractFromText(body.textContent, { ...options, pageURL: url });
+        }
+
+        const adapter = await createSiteAdapter(window, site);
+        const entities = await adapter.detectEntities(body);
+        const records = [];
+
+        for (const entity of entities) {
+            const elementStart = textOffsetOf(body, entity.element);
+            const within = elementStart === null ? null : locateText(entity.element.textContent, entity.text, 0);
+
+            records.push(await describeDetection(entity, {
+                site,
+                url: url || null,
+                path: 'adapter',
+                element: describeElement(entity.element),
+                offsets: within && { start: elementStart + within.start, end: elementStart + within.end },
+                confidence: entity.confidence
+            }));
+        }
+
+        return records;
+    } finally {
+        window.close();
+    }
+}
+
+// The adapters are browser scripts - evaluate them inside the page's own window, as the content script would
+async function createSiteAdapter(window, site) {
+    const { file, className } = SITE_ADAPTERS[site];
+    const source = ['base-adapter.js', file]
+        .map(name => fs.readFileSync(path.join(EXTRACT_CLI_CONFIG.adapterRoot, name), 'utf8'))
+        .join('\n');
+
+    window.eval(`${source}\nwindow.${className} = ${className};`);
+
+    const { processor, domInterpreter, confidenceScorer } = getRecognition();
+    const adapter = new window[className]();
+    await adapter.initialize({ nlpProcessor: processor, domInterpreter, confidenceScorer });
+    return adapter;
+}
+
+async function describeDetection(entity, details) {
+    const { processor } = getRecognition();
+    const match = entity.knowledgeBase || (await processor.searchKnowledgeBase(entity) || [])[0];
+    const confidence = details.confidence || {};
+
+    return {
+        site: details.site,
+        url: details.url,
+        path: details.path,
+        text: entity.text,
+        normalized: entity.normalized || entity.text,
+        type: entity.type,
+        start: details.offsets ? details.offsets.start : null,
+        end: details.offsets ? details.offsets.end : null,
+        ...(details.element && { element: details.element }),
+        confidence: {
+            score: round(confidence.score || 0),
+            level: confidence.level || null,
+            // The Forbes profile header shortcut reports the factors it used instead of a scored breakdown
+            breakdown: roundValues(confidence.breakdown || confidence.factors || {}),
+            recommendation: confidence.recommendation || null
+        },
+        knowledgeBase: match ? {
+            id: match.company.id,
+            name: match.company.name,
+            ticker: match.company.ticker || null,
+            exchange: match.company.exchange || null,
+            industry: match.company.industry || null,
+            score: round(match.score),
+            matchType: match.matchType || null,
+            matchedText: match.matchedText || null
+        } : null
+    };
+}
+
+// The processor collapses whitespace before matching, so its positions run short - search forward from there
+function locateText(text, entityText, from) {
+    const pattern = new RegExp(entityText.trim().split(/\s+/).map(escapeRegExp).join('\\s+'), 'g');
+
+    for (const start of [Math.max(0, Math.min(from, text.length)), 0]) {
+        pattern.lastIndex = start;
+        const match = pattern.exec(text);
+        if (match) return { start: match.index, end: match.index + match[0].length };
+    }
+
+    return null;
+}
+
+// Position of the element's first character within root.textContent
+function textOffsetOf(root, element) {
+    if (!element || !root.contains(element)) return null;
+
+    const walker = root.ownerDocument.createTreeWalker(root, root.ownerDocument.defaultView.NodeFilter.SHOW_TEXT);
+    let offset = 0;
+    let node;
+
+    while ((node = walker.nextNode())) {
+        if (element.contains(node)) return offset;
+        offset += node.textContent.length;
+    }
+
+    return null;
+}
+
+function findDocumentURL(document) {
+    const canonical = document.querySelector('link[rel="canonical"]')?.getAttribute('href')
+        || document.querySelector('meta[property="og:url"]')?.getAttribute('content');
+
+    try {
+        return canonical ? new URL(canonical).href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function siteForURL(url) {
+    if (!url) return null;
+    const { hostname } = new URL(url);
+    return Object.keys(SITE_ADAPTERS).find(site => SITE_ADAPTERS[site].hostname === hostname) || null;
+}
+
+function describeElement(element) {
+    if (!element) return null;
+    const classes = Array.from(element.classList || []).map(name => `.${name}`).join('');
+    return `${element.tagName.toLowerCase()}${element.id ? `#${element.id}` : ''}${classes}`;
+}
+
+// jsdom is only needed for HTML, so plain-text runs work without it
+function loadJSDOM() {
+    try {
+        return require('jsdom');
+    } catch (error) {
+        throw new Error('HTML input needs the jsdom package (npm install jsdom) - text files work without it');
+    }
+}
+
+function getRecognition() {
+    if (!recognition) {
+        recognition = {
+            processor: new EnhancedNLPProcessor(),
+            domInterpreter: new DOMInterpreter(),
+            confidenceScorer: new ConfidenceScorer()
+        };
+    }
+    return recognition;
+}
+
+function routeConsole(verbose) {
+    const toStderr = (...args) => process.stderr.write(`${args.map(String).join(' ')}\n`);
+    ['log', 'info', 'debug', 'warn'].forEach(method => {
+        console[method] = verbose ? toStderr : () => {};
+    });
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function roundValues(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, typeof value === 'number' ? round(value) : value]));
+}
+
+module.exports = {
+    extractFromFile,
+    extractFromHTML,
+    extractFromText,
+    collectInputFiles,
+    main
+};
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    });
+}
@@ -203,7 +203,8 @@ const handleMessage = (request, sender, sendResponse) => {
     
     switch (request.action) {
         case 'getDetectedEntities':
-            const entities = Array.from(window.enhancedGenome.detectedEntities.values());
+            // Entities hold DOM elements - send plain summaries
+            const entities = window.enhancedGenome.describeDetectedEntities();
             sendResponse({ entities });
             break;
             
@@ -220,14 +221,21 @@ const handleMessage = (request, sender, sendResponse) => {
             sendResponse({ success: true });
             break;
             
+        case 'ownershipDataUpdated':
+            // Sections shown from stale cache have been refetched - redraw whatever still shows the entity
+            window.enhancedGenome?.applyOwnershipUpdate(request);
+            sendResponse({ success: true });
+            break;
+            
         case 'rescan':
-            // Trigger a rescan of the page
+            // Forget what was detected and scan the whole page again
             if (window.enhancedGenome && window.enhancedGenome.currentAdapter) {
-                window.enhancedGenome.currentAdapter.detectEntities()
-                    .then(entities => sendResponse({ success: true, count: entities.length }))
+                window.enhancedGenome.rescanPage()
+                    .then(count => sendResponse({ success: true, count }))
                     .catch(error => sendResponse({ success: false, error: error.message }));
                 return true; // Async response
             }
+            sendResponse({ success: false, error: 'Corporate Genome is not active on this page' });
             break;
             
         default:
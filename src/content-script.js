@@ -218,11 +218,11 @@ function displayEnhancedOwnershipData(data) {
     
     let html = '<div class="cg-enhanced-data">';
     
-    // Yahoo Finance data (traditional ownership)
-    if (data.yahoo?.owners?.length > 0) {
+    // Merged ownership from all holder sources
+    if (data.owners?.length > 0) {
         html += '<div class="cg-section">';
         html += '<h4>🏢 Major Shareholders</h4>';
-        data.yahoo.owners.slice(0, 5).forEach(owner => {
+        data.owners.slice(0, 5).forEach(owner => {
             html += `<div class="cg-owner">
                 <strong>${owner.name}</strong>: ${owner.percent}
                 ${owner.shares ? `<br><small>${Number(owner.shares).toLocaleString()} shares</small>` : ''}
@@ -232,10 +232,10 @@ function displayEnhancedOwnershipData(data) {
     }
     
     // International entities
-    if (data.international?.entities?.length > 0) {
+    if (data.internationalEntities?.length > 0) {
         html += '<div class="cg-section">';
         html += '<h4>🌍 International Entities</h4>';
-        data.international.entities.slice(0, 3).forEach(entity => {
+        data.internationalEntities.slice(0, 3).forEach(entity => {
             html += `<div class="cg-entity">
                 📍 <strong>${entity.name}</strong><br>
                 <small>${entity.jurisdiction} • ${entity.status}</small>
@@ -245,10 +245,10 @@ function displayEnhancedOwnershipData(data) {
     }
     
     // Government contracts
-    if (data.government?.contracts?.length > 0) {
+    if (data.governmentContracts?.length > 0) {
         html += '<div class="cg-section">';
         html += '<h4>🏛️ Government Contracts</h4>';
-        data.government.contracts.slice(0, 3).forEach(contract => {
+        data.governmentContracts.slice(0, 3).forEach(contract => {
             const amount = contract.amount ? `$${contract.amount.toLocaleString()}` : 'Amount not disclosed';
             html += `<div class="cg-contract">
                 💰 <strong>${contract.agency}</strong><br>
@@ -258,10 +258,10 @@ function displayEnhancedOwnershipData(data) {
         html += '</div>';
     }
     
-    // Add timestamp
-    if (data.timestamp) {
+    // Add data quality and timestamp
+    if (data.lastUpdated) {
         html += `<div class="cg-timestamp">
-            <small>Updated: ${new Date(data.timestamp).toLocaleTimeString()}</small>
+            <small>Quality: ${data.qualityScore}/100 • ${data.sources.length} sources • Updated: ${new Date(data.lastUpdated).toLocaleTimeString()}</small>
         </div>`;
     }
     
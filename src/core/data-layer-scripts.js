@@ -0,0 +1,37 @@
+// Data Layer Scripts - The worker's data modules in load order, shared by background.js and the headless Node API
+// Paths are relative to src/; the plugin architecture loads first so each data module can register itself
+const DATA_LAYER_SCRIPTS = [
+    'core/plugin-architecture.js',
+    'core/request-broker.js',
+    'core/quota-ledger.js',
+    'core/source-cache.js',
+    'core/data-orchestrator.js',
+    'modules/recognition/company-normalizer.js',
+    'modules/recognition/fuzzy-matcher.js',
+    'modules/data/yahoo-finance.js',
+    'modules/government/sec-edgar.js',
+    'modules/government/sec-beneficial-ownership.js',
+    'modules/government/sec-insider-transactions.js',
+    'modules/government/usa-spending.js',
+    'modules/government/sanctions-screening.js',
+    'modules/international/opencorporates.js',
+    'modules/international/gleif.js',
+    'modules/international/companies-house.js',
+    'modules/international/worldbank.js',
+    'modules/data/identifier-crosswalk.js',
+    'modules/data/ownership-graph.js',
+    'modules/data/ownership-history.js',
+    'modules/data/cache-manager.js',
+    'modules/data/graph-exporters.js',
+    'modules/data/csv-format.js',
+    'modules/data/page-dossier.js',
+    'modules/data/bulk-enrichment.js',
+    'modules/analytics/common-ownership.js',
+    'modules/macro/fred-integration.js',
+    'modules/sentiment/news-context.js'
+];
+
+// Node requires the list to load the same scripts into its sandbox (see src/api/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DATA_LAYER_SCRIPTS };
+}
@@ -1,27 +1,7 @@
 // Corporate Genome Data Orchestrator v0.5.0 - Multi-Source Intelligence Engine
 console.log('Corporate Genome: Advanced Data Orchestrator loaded');
 
-// Enhanced configuration with new sources
-const DATA_SOURCES_CONFIG = {
-    // Tier 1: Core ownership data (always fetch)
-    tier1: {
-        yahoo: { priority: 1, timeout: 10000, required: true },
-        sec: { priority: 2, timeout: 15000, required: false }
-    },
-    
-    // Tier 2: International & government data (conditional)
-    tier2: {
-        opencorporates: { priority: 3, timeout: 12000, rateLimit: 500 },
-        usaspending: { priority: 4, timeout: 8000, unlimited: true },
-        fred: { priority: 5, timeout: 10000, rateLimit: 120000 }
-    },
-    
-    // Tier 3: Context enhancement (optional)
-    tier3: {
-        news: { priority: 6, timeout: 8000, rateLimit: 100 },
-        worldbank: { priority: 7, timeout: 12000, unlimited: true }
-    }
-};
+// Data sources are plugins (see plugin-architecture.js) - each declares its tier, identifiers, limits and merge
 
 // Circuit breaker for resilient data fetching
 class CircuitBreaker {
@@ -74,32 +54,48 @@ class DataOrchestrator {
     constructor() {
         this.sources = new Map();
         this.circuitBreakers = new Map();
-        this.rateLimiters = new Map();
         this.securityMonitor = new SecurityMonitor();
         this.dataValidator = new DataValidator();
         
-        this.initializeDataSources();
-    }
-
-    initializeDataSources() {
-        // Initialize circuit breakers for each source
-        Object.keys(DATA_SOURCES_CONFIG.tier1).forEach(source => {
-            this.circuitBreakers.set(source, new CircuitBreaker(source));
-        });
+        // Crosswalk is optional - without it every source gets the raw query
+        this.identifierCrosswalk = typeof IdentifierCrosswalk === 'function' ? new IdentifierCrosswalk() : null;
         
-        Object.keys(DATA_SOURCES_CONFIG.tier2).forEach(source => {
-            this.circuitBreakers.set(source, new CircuitBreaker(source, 3, 30000));
-        });
+        // Legal-form suffixes route national registry sources (plc/Ltd -> Companies House)
+        this.companyNormalizer = typeof CompanyNormalizer === 'function' ? new CompanyNormalizer() : null;
         
-        Object.keys(DATA_SOURCES_CONFIG.tier3).forEach(source => {
-            this.circuitBreakers.set(source, new CircuitBreaker(source, 2, 15000));
-        });
+        // Screening is optional too - results without it simply carry no sanctions section
+        this.sanctionsScreener = typeof SanctionsScreener === 'function' ? new SanctionsScreener() : null;
+        
+        // Every orchestrated graph is folded into the persistent store so it can be queried offline
+        this.graphStore = typeof OwnershipGraphStore === 'function' ? new OwnershipGraphStore() : null;
+        
+        this.peerHoldingsCache = new Map(); // peer ticker or name -> { owners, marketCap, fetchedAt }
+        
+        // Without the broker, concurrent lookups each go to the source
+        this.requestBroker = typeof RequestBroker === 'function' ? new RequestBroker() : null;
+        
+        // Budgeted sources (NewsAPI, OpenCorporates, FRED) count every request; near the limit they answer from the ledger's last responses
+        this.quotaLedger = typeof QuotaLedger === 'function' ? new QuotaLedger() : null;
+        
+        // Answers are reused for as long as each source's cacheTTL; past it they are still served while a refetch runs
+        this.sourceCache = typeof SourceCache === 'function' ? new SourceCache() : null;
+        this.pendingRevalidations = new WeakMap(); // merged result -> promise of the sources refetched behind it
+    }
+
+    // One breaker per source, tripped on the thresholds its plugin declares
+    getCircuitBreaker(plugin) {
+        if (!this.circuitBreakers.has(plugin.name)) {
+            const { threshold, timeout } = plugin.circuitBreaker;
+            this.circuitBreakers.set(plugin.name, new CircuitBreaker(plugin.name, threshold, timeout));
+        }
+        return this.circuitBreakers.get(plugin.name);
     }
 
     async orchestrateDataFetch(companyName, options = {}) {
         console.log(`🎯 Orchestrating comprehensive data fetch for: ${companyName}`);
         
         const dataPromises = [];
+        const revalidations = [];
         const fetchOptions = {
             includeInternational: options.includeInternational || false,
             includeGovernment: options.includeGovernment || false,
@@ -107,74 +103,313 @@ class DataOrchestrator {
             userTier: options.userTier || 'free'
         };
 
-        // Tier 1: Always fetch core data
-        dataPromises.push(
-            this.fetchWithCircuitBreaker('yahoo', companyName, 'getYahooFinanceData'),
-            this.fetchWithCircuitBreaker('sec', companyName, 'getSECOwnershipData')
+        // Resolve once - each source is handed the identifier it keys on
+        const identifiers = options.identifiers || await this.resolveIdentifiers(companyName);
+
+        // Every registered source that applies - tier 1 always, the rest by option or country hint
+        const countryHints = this.getCountryHints(identifiers);
+        listDataSourcePlugins()
+            .filter(plugin => plugin.appliesTo(fetchOptions, countryHints))
+            .forEach(plugin => dataPromises.push(this.fetchWithCircuitBreaker(plugin.name, identifiers, revalidations)));
+
+        // Execute all data fetches with graceful degradation
+        const results = await Promise.allSettled(dataPromises);
+        
+        const mergedData = this.mergeAndValidateResults(companyName, results, fetchOptions);
+        mergedData.identifiers = identifiers;
+        
+        // Stale sections go out now; whenRevalidated() tells the caller once their sources have answered again
+        mergedData.revalidating = mergedData.retrievals.filter(retrieval => retrieval.stale).map(retrieval => retrieval.source);
+        if (revalidations.length > 0) {
+            this.pendingRevalidations.set(mergedData, Promise.all(revalidations).then(sources => sources.filter(Boolean)));
+        }
+        
+        // Corporate PSCs are companies too - follow them up the register
+        if (mergedData.ownershipEdges.length > 0 && typeof buildOwnershipGraph === 'function') {
+            await this.expandOwnershipChains(mergedData, identifiers);
+        }
+        
+        // Country risk depends on which jurisdictions the international sources turned up
+        if (mergedData.internationalEntities.length > 0) {
+            await this.attachCountryRisk(mergedData, identifiers);
+        }
+        
+        // Peer holder lists only load when the caller names a peer set
+        if (options.peers?.length > 0 && typeof computeModifiedHHI === 'function') {
+            mergedData.commonOwnership = await this.analyzeCommonOwnership(mergedData, options.peers);
+        }
+        
+        // Screen last, once every source's owners, parents and officers are in
+        if (this.sanctionsScreener) {
+            mergedData.sanctions = await this.sanctionsScreener.screen(mergedData);
+        }
+        
+        if (this.graphStore && mergedData.ownershipGraph) {
+            const recorded = await this.graphStore.recordGraph(mergedData);
+            
+            // Each fetch is a dated snapshot; the diff against the last one is what changed since the last look
+            if (recorded && typeof buildOwnershipSnapshot === 'function') {
+                mergedData.ownershipChanges = await this.graphStore.recordSnapshot(recorded.subjectId, buildOwnershipSnapshot(mergedData));
+            }
+        }
+        
+        return mergedData;
+    }
+
+    // Resolves to the sources refetched since this result was merged - empty when nothing was stale
+    async whenRevalidated(mergedData) {
+        return this.pendingRevalidations.get(mergedData) || [];
+    }
+
+    // "Refresh Data" - drop everything held between lookups so the next fetch goes back to the sources
+    async clearCaches() {
+        this.peerHoldingsCache.clear();
+        await this.sourceCache?.clear();
+        // The quota ledger's last responses stay - near its limit they are all a budgeted source can offer
+    }
+
+    async analyzeCommonOwnership(mergedData, peers) {
+        const peerHoldings = await Promise.all(
+            peers.slice(0, COMMON_OWNERSHIP_CONFIG.maxPeers).map(peer => this.fetchPeerHoldings(peer))
         );
+        const available = peerHoldings.filter(peer => peer && peer.owners.length > 0);
+        
+        if (available.length < peerHoldings.length) {
+            mergedData.warnings.push(`Holder data unavailable for ${peerHoldings.length - available.length} of ${peerHoldings.length} peers`);
+        }
+        if (available.length === 0 || mergedData.owners.length === 0) return null;
+        
+        return computeModifiedHHI({
+            name: mergedData.identifiers?.name || mergedData.companyName,
+            ticker: mergedData.identifiers?.ticker || mergedData.symbol,
+            marketCap: mergedData.marketData.marketCap,
+            owners: mergedData.owners
+        }, available);
+    }
 
-        // Tier 2: Conditional advanced data
-        if (fetchOptions.includeInternational) {
-            dataPromises.push(
-                this.fetchWithCircuitBreaker('opencorporates', companyName, 'getOpenCorporatesData')
-            );
+    // Peers only need holder lists and a market cap - the core holder tiers, cached between lookups
+    async fetchPeerHoldings(peer) {
+        const cacheKey = peer.ticker || peer.name;
+        const cached = this.peerHoldingsCache.get(cacheKey);
+        if (cached && Date.now() - cached.fetchedAt < COMMON_OWNERSHIP_CONFIG.peerCacheTTL) return cached;
+        
+        try {
+            const identifiers = await this.resolveIdentifiers(cacheKey);
+            if (peer.ticker && !identifiers.ticker) {
+                Object.assign(identifiers, { ticker: peer.ticker, tickers: [peer.ticker] });
+            }
+            
+            const results = await Promise.allSettled([
+                this.fetchWithCircuitBreaker('yahoo', identifiers),
+                this.fetchWithCircuitBreaker('sec', identifiers)
+            ]);
+            const fulfilled = results.filter(result => result.status === 'fulfilled').map(result => result.value.data);
+            
+            const holdings = {
+                name: peer.name || identifiers.name,
+                ticker: peer.ticker || identifiers.ticker,
+                owners: this.consolidateOwners(fulfilled.flatMap(data => data.owners || [])),
+                marketCap: fulfilled.find(data => data.marketData?.marketCap)?.marketData.marketCap || null,
+                fetchedAt: Date.now()
+            };
+            
+            // Don't pin a failed fetch for the whole TTL
+            if (holdings.owners.length > 0) this.peerHoldingsCache.set(cacheKey, holdings);
+            return holdings;
+            
+        } catch (error) {
+            console.warn(`Peer holdings unavailable for ${cacheKey}:`, error.message);
+            return null;
         }
+    }
 
-        if (fetchOptions.includeGovernment) {
-            dataPromises.push(
-                this.fetchWithCircuitBreaker('usaspending', companyName, 'getUSASpendingData'),
-                this.fetchWithCircuitBreaker('fred', companyName, 'getFredEconomicContext')
-            );
+    async expandOwnershipChains(mergedData, identifiers) {
+        const visited = new Set(mergedData.ownershipEdges.map(edge => edge.subjectNumber).filter(Boolean));
+        let frontier = mergedData.ownershipEdges;
+        let added = 0;
+        
+        for (let depth = 1; depth < OWNERSHIP_GRAPH_CONFIG.maxDepth && frontier.length > 0; depth++) {
+            const companyNumbers = [...new Set(frontier
+                .filter(edge => edge.ownerKind === 'corporate' && isUKRegistration(edge.ownerRegistration))
+                .map(edge => normalizeUKCompanyNumber(edge.ownerRegistration.number)))]
+                .filter(companyNumber => !visited.has(companyNumber));
+            
+            companyNumbers.forEach(companyNumber => visited.add(companyNumber));
+            
+            const results = await Promise.allSettled(companyNumbers.map(companyNumber =>
+                this.fetchWithCircuitBreaker('companieshouse', { ...identifiers, name: companyNumber })
+            ));
+            
+            // Intermediate owners stay out of the subject's holder list - they only extend the chain
+            frontier = results
+                .filter(result => result.status === 'fulfilled')
+                .flatMap(result => result.value.data.edges || []);
+            mergedData.ownershipEdges.push(...frontier);
+            added += frontier.length;
+            
+            results
+                .filter(result => result.status === 'rejected')
+                .forEach(result => mergedData.warnings.push(result.reason?.message || 'Unknown error'));
+        }
+        
+        if (added > 0) {
+            mergedData.ownershipGraph = buildOwnershipGraph(mergedData);
         }
+    }
 
-        // Tier 3: Context enhancement
-        if (fetchOptions.includeContext) {
-            dataPromises.push(
-                this.fetchWithCircuitBreaker('news', companyName, 'getNewsContext')
-            );
+    async attachCountryRisk(mergedData, identifiers) {
+        const entities = mergedData.internationalEntities;
+        const jurisdictions = [...new Set(entities.map(entity => entity.jurisdiction).filter(Boolean))];
+        
+        try {
+            const { data } = await this.fetchWithCircuitBreaker('worldbank', { ...identifiers, jurisdictions });
+            mergedData.sources.push('worldbank');
+            this.mergeSourceData(mergedData, 'worldbank', data);
+        } catch (error) {
+            console.warn(`❌ Data source failed:`, error.message);
+            mergedData.warnings.push(error.message);
         }
+        
+        // Re-run across every source's entities now that each carries its governance score
+        if (typeof analyzeOffshoreStructure === 'function') {
+            mergedData.offshoreAnalysis = analyzeOffshoreStructure(entities);
+        }
+    }
 
-        // Execute all data fetches with graceful degradation
-        const results = await Promise.allSettled(dataPromises);
+    async resolveIdentifiers(query, options = {}) {
+        const resolved = this.identifierCrosswalk ? await this.identifierCrosswalk.resolve(query, options) : null;
+        
+        // Unresolved entities fall back to the raw query for every source
+        return resolved || {
+            query,
+            name: query,
+            ticker: null,
+            tickers: [],
+            cik: null,
+            cusip: null,
+            isin: null,
+            lei: null,
+            jurisdiction: null,
+            registeredAs: null,
+            matchType: 'unresolved'
+        };
+    }
+
+    getCountryHints(identifiers) {
+        const hints = new Set();
+        
+        if (this.companyNormalizer) {
+            [identifiers.query, identifiers.name].filter(Boolean).forEach(name => {
+                this.companyNormalizer.getCountryHints(name).forEach(hint => hints.add(hint));
+            });
+        }
         
-        return this.mergeAndValidateResults(companyName, results, fetchOptions);
+        // GLEIF reports the registration jurisdiction as ISO 3166 (GB, GB-SCT)
+        if (/^GB\b/i.test(identifiers.jurisdiction || '')) hints.add('UK');
+        
+        return hints;
     }
 
-    async fetchWithCircuitBreaker(sourceName, query, methodName) {
-        const circuitBreaker = this.circuitBreakers.get(sourceName);
+    // revalidations collects the refetches of stale answers, for callers that want to know when they land
+    async fetchWithCircuitBreaker(sourceName, identifiers, revalidations = null) {
+        const plugin = getDataSourcePlugin(sourceName);
+        if (!plugin) {
+            throw new Error(`No data source registered for: ${sourceName}`);
+        }
         
-        return circuitBreaker.execute(async () => {
+        const query = plugin.selectQuery(identifiers);
+        const fetchFromSource = () => this.fetchFromPlugin(plugin, query);
+        
+        // Tabs asking one source about one entity at once share a request - and a single unit of its quota
+        const fetchLive = () => this.requestBroker
+            ? this.requestBroker.request({ source: sourceName, identifier: query }, fetchFromSource)
+            : fetchFromSource();
+        
+        const cached = await this.sourceCache?.get(sourceName, query);
+        if (!cached) return fetchLive();
+        
+        if (cached.fresh) {
+            return { ...cached.response, status: 'cached' };
+        }
+        
+        // Stale - answer with it anyway and refetch behind the response
+        const revalidation = this.revalidate(sourceName, fetchLive);
+        revalidations?.push(revalidation);
+        return { ...cached.response, status: 'stale', stale: true };
+    }
+    
+    // Refetch behind a stale answer - resolves to the source's name once a fresh one is cached, or null
+    async revalidate(sourceName, fetchLive) {
+        try {
+            console.log(`🗃️ ${sourceName} answer is stale - refreshing in the background`);
+            const response = await fetchLive();
+            return response.status === 'success' ? sourceName : null;
+        } catch (error) {
+            console.warn(`${sourceName} refresh failed, keeping the stale answer:`, error.message);
+            return null;
+        }
+    }
+
+    async fetchFromPlugin(plugin, query) {
+        const sourceName = plugin.name;
+        const budgeted = Boolean(plugin.quota && this.quotaLedger);
+        const fallbackKey = `${sourceName}|${JSON.stringify(query)}`;
+        
+        if (budgeted && (await this.quotaLedger.describe(sourceName, plugin.quota)).cacheOnly) {
+            return this.readQuotaFallback(sourceName, fallbackKey);
+        }
+        
+        // A spent quota isn't the source failing, so it stays outside the breaker
+        plugin.reserveRequest();
+        
+        const response = await this.getCircuitBreaker(plugin).execute(async () => {
             console.log(`📡 Fetching from ${sourceName}...`);
             
-            // Call the appropriate data fetching method
-            const method = this.getDataMethod(methodName);
-            if (!method) {
-                throw new Error(`Unknown data method: ${methodName}`);
+            const result = await plugin.fetch(query);
+            
+            // A request the API rejects still spends its budget (modules answer null); an answer that only
+            // carries a note - no API key configured - never reached the API
+            if (budgeted && !result?.note) await this.quotaLedger.record(sourceName);
+            
+            // Modules swallow their own errors and return null
+            if (!result) {
+                throw new Error(`${sourceName} returned no data`);
+            }
+            
+            if (!this.securityMonitor.validateApiResponse(sourceName, result, plugin.outputSchema)) {
+                throw new Error(`${sourceName} returned data that does not match its schema`);
             }
-
-            const result = await method(query);
             
             // Validate data before returning
-            if (result) {
-                this.dataValidator.validateDataSource(sourceName, result);
+            if (!this.dataValidator.validateDataSource(sourceName, result, plugin.validationRules)) {
+                throw new Error(`${sourceName} returned records that fail its validation rules`);
             }
             
-            return { source: sourceName, data: result, status: 'success' };
+            return { source: sourceName, data: result, status: 'success', retrievedAt: new Date().toISOString() };
         });
+        
+        if (budgeted && !response.data.note) await this.quotaLedger.rememberFallback(fallbackKey, response);
+        if (this.sourceCache) await this.sourceCache.set(sourceName, query, response, plugin.cacheLifetime(response.data));
+        return response;
     }
 
-    getDataMethod(methodName) {
-        // Map method names to actual functions (defined in background.js)
-        const methods = {
-            'getYahooFinanceData': window.getYahooFinanceData,
-            'getSECOwnershipData': window.getSECOwnershipData,
-            'getOpenCorporatesData': window.getOpenCorporatesData,
-            'getUSASpendingData': window.getUSASpendingData,
-            'getFredEconomicContext': window.getFredEconomicContext,
-            'getNewsContext': window.getNewsContext
-        };
+    async readQuotaFallback(sourceName, fallbackKey) {
+        const cached = await this.quotaLedger.readFallback(fallbackKey);
+        if (!cached) {
+            throw new Error(`${sourceName} quota nearly spent - cache only, and nothing cached for this lookup`);
+        }
+        
+        console.log(`📒 ${sourceName} quota nearly spent - answering from cache`);
+        return { ...cached, status: 'cached', cacheOnly: true };
+    }
+
+    // Remaining budget of every source that declares a quota, for the popup
+    async describeQuotas() {
+        if (!this.quotaLedger) return [];
         
-        return methods[methodName];
+        return Promise.all(listDataSourcePlugins()
+            .filter(plugin => plugin.quota)
+            .map(plugin => this.quotaLedger.describe(plugin.name, plugin.quota)));
     }
 
     mergeAndValidateResults(companyName, results, options) {
@@ -182,12 +417,24 @@ class DataOrchestrator {
             companyName,
             symbol: null,
             owners: [],
+            significantHolders: [],
+            insiderActivity: null,
             marketData: {},
             internationalEntities: [],
+            ownershipEdges: [],
+            ownershipGraph: null,
+            ownershipChanges: null,
+            concentration: null,
+            commonOwnership: null,
+            countryRisk: {},
+            offshoreAnalysis: null,
+            sanctions: null,
             governmentContracts: [],
             economicContext: {},
             newsContext: [],
+            newsTriggers: [],
             sources: [],
+            retrievals: [], // When each source answered, for citing the facts it supplied
             warnings: [],
             lastUpdated: new Date().toISOString()
         };
@@ -196,9 +443,14 @@ class DataOrchestrator {
         
         results.forEach(result => {
             if (result.status === 'fulfilled' && result.value?.data) {
-                const { source, data } = result.value;
+                const { source, data, retrievedAt, cacheOnly, stale } = result.value;
                 mergedData.sources.push(source);
+                mergedData.retrievals.push({ source, label: data.source || source, retrievedAt, ...(stale && { stale: true }) });
                 successCount++;
+                
+                if (cacheOnly) {
+                    mergedData.warnings.push(`${source} quota nearly spent - showing data retrieved ${retrievedAt}`);
+                }
 
                 // Merge data based on source type
                 this.mergeSourceData(mergedData, source, data);
@@ -208,6 +460,21 @@ class DataOrchestrator {
             }
         });
 
+        // Yahoo and 13F often report the same managers
+        mergedData.owners = this.consolidateOwners(mergedData.owners);
+        
+        if (typeof computeConcentration === 'function') {
+            mergedData.concentration = computeConcentration(mergedData.owners);
+        }
+        
+        // OpenCorporates, GLEIF and Companies House all describe the registered entity
+        mergedData.internationalEntities = this.consolidateEntities(mergedData.internationalEntities);
+
+        // Every source's holder lists and registry links feed one graph, walked up to the ultimate owners
+        if (typeof buildOwnershipGraph === 'function') {
+            mergedData.ownershipGraph = buildOwnershipGraph(mergedData);
+        }
+
         // Quality scoring
         mergedData.qualityScore = this.calculateQualityScore(mergedData, successCount);
         
@@ -217,36 +484,65 @@ class DataOrchestrator {
     }
 
     mergeSourceData(mergedData, source, data) {
-        switch (source) {
-            case 'yahoo':
-                if (data.owners) mergedData.owners.push(...data.owners);
-                if (data.marketData) Object.assign(mergedData.marketData, data.marketData);
-                if (data.symbol) mergedData.symbol = data.symbol;
-                break;
-                
-            case 'opencorporates':
-                if (data.entities) mergedData.internationalEntities.push(...data.entities);
-                break;
-                
-            case 'usaspending':
-                if (data.contracts) mergedData.governmentContracts.push(...data.contracts);
-                break;
-                
-            case 'fred':
-                if (data.indicators) Object.assign(mergedData.economicContext, data.indicators);
-                break;
-                
-            case 'news':
-                if (data.articles) mergedData.newsContext.push(...data.articles);
-                break;
-                
-            default:
-                // Handle other sources
-                if (data.owners) mergedData.owners.push(...data.owners);
-                break;
+        // Each plugin knows where its data belongs in the merged result
+        const plugin = getDataSourcePlugin(source);
+        if (plugin) {
+            plugin.merge(mergedData, data);
+        } else if (data.owners) {
+            mergedData.owners.push(...data.owners);
         }
     }
 
+    consolidateOwners(owners) {
+        const byName = new Map();
+        
+        owners.forEach(owner => {
+            const key = (owner.name || '')
+                .toLowerCase()
+                .replace(/[^a-z0-9 ]/g, '')
+                .replace(/\b(inc|corp|corporation|co|llc|lp|ltd|the)\b/g, '')
+                .replace(/\s+/g, ' ')
+                .trim();
+            const existing = byName.get(key);
+            
+            if (existing) {
+                // Later tiers carry filing detail (CIK, deltas) - let them win
+                byName.set(key, {
+                    ...existing,
+                    ...owner,
+                    sources: [...existing.sources, owner.source].filter(Boolean)
+                });
+            } else {
+                byName.set(key, { ...owner, sources: [owner.source].filter(Boolean) });
+            }
+        });
+        
+        return Array.from(byName.values())
+            .sort((a, b) => (parseFloat(b.percent) || 0) - (parseFloat(a.percent) || 0));
+    }
+
+    consolidateEntities(entities) {
+        const byRegistration = new Map();
+        
+        entities.forEach(entity => {
+            const key = [
+                (entity.name || '').toLowerCase().replace(/[^a-z0-9]/g, ''),
+                (entity.jurisdiction || '').toLowerCase()
+            ].join('|');
+            const existing = byRegistration.get(key);
+            if (!existing) {
+                byRegistration.set(key, entity);
+                return;
+            }
+            
+            // GLEIF carries the LEI and parent relationship - keep those, fill gaps from the other source
+            const [primary, secondary] = entity.lei ? [entity, existing] : [existing, entity];
+            byRegistration.set(key, { ...secondary, ...primary });
+        });
+        
+        return Array.from(byRegistration.values());
+    }
+
     calculateQualityScore(data, successCount) {
         let score = 0;
         
@@ -279,15 +575,35 @@ class SecurityMonitor {
     }
 
     validateApiResponse(source, data, expectedSchema) {
-        // Implement schema validation
         if (!data || typeof data !== 'object') {
             this.flagAnomaly(source, 'invalid_response_type');
             return false;
         }
+        if (!expectedSchema) return true;
+        
+        // The plugin's output schema: required fields present, declared fields of the declared type
+        const missing = (expectedSchema.required || []).filter(field => !(field in data));
+        const mistyped = Object.entries(expectedSchema.properties || {})
+            .filter(([field, property]) => field in data && property.type && !this.matchesSchemaType(property.type, data[field]));
+        
+        if (missing.length > 0 || mistyped.length > 0) {
+            console.warn(`⚠️ ${source} response does not match its schema:`, [...missing, ...mistyped.map(([field]) => field)].join(', '));
+            this.flagAnomaly(source, 'schema_mismatch');
+            return false;
+        }
         
         return true;
     }
 
+    matchesSchemaType(type, value) {
+        return [].concat(type).some(expected => {
+            if (expected === 'null') return value === null;
+            if (expected === 'array') return Array.isArray(value);
+            if (expected === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+            return typeof value === expected;
+        });
+    }
+
     flagAnomaly(source, type) {
         const key = `${source}_${type}`;
         const count = this.dataAnomalies.get(key) || 0;
@@ -300,27 +616,9 @@ class SecurityMonitor {
     }
 }
 
-// Data validator for enhanced security
+// Data validator for enhanced security - applies the rule set each plugin declares
 class DataValidator {
-    constructor() {
-        this.validationRules = new Map();
-        this.setupValidationRules();
-    }
-
-    setupValidationRules() {
-        this.validationRules.set('opencorporates', {
-            requiredFields: ['name', 'jurisdiction_code'],
-            validJurisdictions: new Set(['us', 'gb', 'ch', 'ky', 'bm', 'ie', 'lu', 'nl'])
-        });
-
-        this.validationRules.set('usaspending', {
-            requiredFields: ['recipient_name', 'award_id'],
-            contractPattern: /^[A-Z0-9]{10,20}$/
-        });
-    }
-
-    validateDataSource(source, data) {
-        const rules = this.validationRules.get(source);
+    validateDataSource(source, data, rules) {
         if (!rules) return true; // No specific rules, pass through
 
         try {
@@ -332,43 +630,28 @@ class DataValidator {
     }
 
     applyValidationRules(source, data, rules) {
-        // Apply source-specific validation logic
-        switch (source) {
-            case 'opencorporates':
-                return this.validateInternationalEntity(data, rules);
-            case 'usaspending':
-                return this.validateGovernmentContract(data, rules);
-            default:
-                return true;
-        }
-    }
-
-    validateInternationalEntity(data, rules) {
-        if (!data.entities) return true;
+        const records = data[rules.collection];
+        if (!Array.isArray(records)) return true;
         
-        return data.entities.every(entity => {
+        return records.every(record => {
             // Validate required fields
-            if (!rules.requiredFields.every(field => entity[field])) {
+            if (!(rules.requiredFields || []).every(field => record[field])) {
                 throw new Error('Missing required fields');
             }
             
-            // Validate jurisdiction
-            if (!rules.validJurisdictions.has(entity.jurisdiction_code?.toLowerCase())) {
-                console.warn(`⚠️ Suspicious jurisdiction: ${entity.jurisdiction_code}`);
-            }
+            // Validate identifier formats
+            Object.entries(rules.patterns || {}).forEach(([field, pattern]) => {
+                if (record[field] && !pattern.test(record[field])) {
+                    throw new Error(`Invalid ${field} format: ${record[field]}`);
+                }
+            });
             
-            return true;
-        });
-    }
-
-    validateGovernmentContract(data, rules) {
-        if (!data.contracts) return true;
-        
-        return data.contracts.every(contract => {
-            // Validate award ID format
-            if (contract.award_id && !rules.contractPattern.test(contract.award_id)) {
-                throw new Error(`Invalid contract ID format: ${contract.award_id}`);
-            }
+            // Unexpected values are worth a look, not a rejection
+            Object.entries(rules.expectedValues || {}).forEach(([field, values]) => {
+                if (!values.includes(String(record[field] || '').toLowerCase())) {
+                    console.warn(`⚠️ Suspicious ${field}: ${record[field]}`);
+                }
+            });
             
             return true;
         });
@@ -1,6 +1,9 @@
 // Corporate Genome: Enhanced Intelligence Engine v2 - Multi-Site Entity Resolution
 console.log('Corporate Genome: Enhanced Intelligence Engine v2 initializing...');
 
+// The details view pulls every tier, not just the core holders
+const DETAILS_LOOKUP_OPTIONS = { includeInternational: true, includeGovernment: true, includeContext: true };
+
 class EnhancedIntelligenceEngine {
     constructor() {
         // Core components - check if available in window first
@@ -33,6 +36,10 @@ class EnhancedIntelligenceEngine {
         this.tooltipManager = window.EnhancedTooltipManager ? new window.EnhancedTooltipManager() : null;
         this.hoverHandler = null;
         this.lastMousePosition = { x: 0, y: 0 };
+        
+        // Entities on screen, so refreshes the worker pushes can find what to redraw
+        this.currentTooltipEntity = null;
+        this.detailsEntity = null;
     }
 
     async initialize() {
@@ -413,7 +420,7 @@ class EnhancedIntelligenceEngine {
                     Confidence: ${Math.round(confidenceValue * 100)}%
                     ${entity.knowledgeBase ? ' ✓ Verified' : ''}
                 </div>
-                <div style="color: #999; font-size: 12px;">
+                <div class="genome-tooltip-content" style="color: #999; font-size: 12px;">
                     Loading ownership data...
                 </div>`;
             
@@ -508,28 +515,8 @@ class EnhancedIntelligenceEngine {
                 document.head.appendChild(highlightStyle);
             }
             
-            // Test with mock data after delay
-            setTimeout(() => {
-                if (this.currentTooltip && this.currentTooltip.id === tooltip.id) {
-                    console.log('Updating tooltip with mock data');
-                    tooltip.innerHTML = `
-                        <div style="font-weight: bold; color: #3b82f6; margin-bottom: 8px;">
-                            🧬 Corporate Genome
-                        </div>
-                        <div style="font-size: 16px; font-weight: bold; margin-bottom: 4px;">
-                            ${entity.text}
-                        </div>
-                        <div style="color: #666; font-size: 12px; margin-bottom: 8px;">
-                            Major Shareholders:
-                        </div>
-                        <div style="font-size: 13px; line-height: 1.5;">
-                            <div>• Vanguard Group - 9.7%</div>
-                            <div>• BlackRock Inc. - 7.2%</div>
-                            <div>• State Street - 4.8%</div>
-                        </div>
-                    `;
-                }
-            }, 1000);
+            // Replace the loading placeholder with live holder data
+            this.fetchOwnershipData(entity);
             
         } catch (error) {
             console.error('❌ Error creating tooltip:', error);
@@ -554,72 +541,23 @@ class EnhancedIntelligenceEngine {
     async fetchOwnershipData(entity) {
         if (!this.currentTooltip) return;
         
+        const tooltip = this.currentTooltip;
+        this.currentTooltipEntity = entity;
+        
         try {
-            // Mock data for now - replace with actual API call
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            const data = await window.requestOwnershipData(entity, { graphFocus: 'hover' });
             
-            const mockOwners = [
-                { name: 'Vanguard Group', percent: '9.7%', shares: '151M' },
-                { name: 'BlackRock Inc.', percent: '7.2%', shares: '112M' },
-                { name: 'State Street Corp', percent: '4.8%', shares: '75M' }
-            ];
+            // Tooltip may have been replaced while the worker was fetching
+            if (this.currentTooltip !== tooltip) return;
             
-            const content = this.currentTooltip.querySelector('.genome-tooltip-content');
-            if (!content) return;
-            
-            content.innerHTML = `
-                <div class="genome-entity-name">${entity.text}</div>
-                <div class="genome-entity-type">${entity.type}</div>
-                <div class="genome-ownership">
-                    <div class="genome-ownership-title">Major Shareholders:</div>
-                    ${mockOwners.map(owner => `
-                        <div class="genome-owner">
-                            <span class="genome-owner-name">${owner.name}</span>
-                            <span class="genome-owner-percent">${owner.percent}</span>
-                        </div>
-                    `).join('')}
-                </div>
-            `;
-            
-            // Add ownership styles
-            const ownershipStyles = `
-                .genome-ownership {
-                    margin-top: 8px;
-                }
-                .genome-ownership-title {
-                    font-size: 12px;
-                    font-weight: 600;
-                    color: #6b7280;
-                    margin-bottom: 6px;
-                }
-                .genome-owner {
-                    display: flex;
-                    justify-content: space-between;
-                    padding: 4px 0;
-                    font-size: 13px;
-                }
-                .genome-owner-name {
-                    color: #374151;
-                }
-                .genome-owner-percent {
-                    color: #3b82f6;
-                    font-weight: 600;
-                }
-            `;
-            
-            const styleElement = document.getElementById('genome-tooltip-styles');
-            if (styleElement && !styleElement.textContent.includes('genome-ownership')) {
-                styleElement.textContent += ownershipStyles;
-            }
+            this.renderTooltipOwnership(tooltip, data);
             
         } catch (error) {
             console.error('Failed to fetch ownership data:', error);
             
-            const content = this.currentTooltip?.querySelector('.genome-tooltip-content');
-            if (content) {
+            const content = tooltip.querySelector('.genome-tooltip-content');
+            if (content && this.currentTooltip === tooltip) {
                 content.innerHTML = `
-                    <div class="genome-entity-name">${entity.text}</div>
-                    <div class="genome-entity-type">${entity.type}</div>
                     <div class="genome-error" style="color: #ef4444; font-size: 13px; margin-top: 8px;">
                         Failed to load ownership data
                     </div>
@@ -627,39 +565,352 @@ class EnhancedIntelligenceEngine {
             }
         }
     }
+    
+    renderTooltipOwnership(tooltip, data) {
+        const content = tooltip.querySelector('.genome-tooltip-content');
+        if (!content) return;
+        
+        const owners = data.owners || [];
+        const age = window.describeSectionAge(data, 'holders');
+        content.style.color = '#333';
+        content.innerHTML = owners.length > 0 ? `
+                <div class="genome-ownership">
+                    <div class="genome-ownership-title">Major Shareholders:${age ? ` <span class="genome-ownership-age">${this.escapeHtml(age)}</span>` : ''}</div>
+                    ${owners.slice(0, 5).map(owner => `
+                        <div class="genome-owner">
+                            <span class="genome-owner-name">${this.escapeHtml(owner.name)}</span>
+                            <span class="genome-owner-percent">${this.escapeHtml(String(owner.percent))}</span>
+                        </div>
+                    `).join('')}
+                    ${window.findActivistStakes(data.significantHolders).map(stake => `
+                        <div style="margin-top: 6px; padding: 4px 8px; background: #fef3c7; border-left: 3px solid #f59e0b; font-size: 12px; font-weight: 600; color: #92400e;">
+                            ⚠️ Activist stake: ${this.escapeHtml(stake.filerName)}
+                        </div>
+                    `).join('')}
+                    <div style="color: #999; font-size: 11px; margin-top: 6px;">
+                        Ctrl+click for full ownership details
+                    </div>
+                </div>
+            ` : `
+                <div style="color: #999; font-size: 12px;">No holder data available</div>
+            `;
+        
+        this.ensureOwnershipStyles();
+    }
+    
+    // Pushed by the worker once stale sections were refetched - redraw the tooltip and details view if they show the entity
+    applyOwnershipUpdate(update) {
+        this.tooltipManager?.applyOwnershipUpdate(update);
+        
+        if (this.currentTooltip && this.currentTooltipEntity && window.isOwnershipUpdateFor(update, this.currentTooltipEntity)) {
+            this.renderTooltipOwnership(this.currentTooltip, update.data);
+        }
+        
+        if (this.detailsEntity && document.getElementById('genome-details-panel') &&
+            window.isOwnershipUpdateFor(update, this.detailsEntity, DETAILS_LOOKUP_OPTIONS)) {
+            this.displayOwnershipData(this.detailsEntity, update.data);
+        }
+    }
+    
+    ensureOwnershipStyles() {
+        if (document.getElementById('genome-ownership-styles')) return;
+        
+        const style = document.createElement('style');
+        style.id = 'genome-ownership-styles';
+        style.textContent = `
+            .genome-ownership {
+                margin-top: 8px;
+            }
+            .genome-ownership-title {
+                font-size: 12px;
+                font-weight: 600;
+                color: #6b7280;
+                margin-bottom: 6px;
+            }
+            .genome-ownership-age {
+                font-weight: normal;
+                color: #999;
+                font-size: 11px;
+            }
+            .genome-owner {
+                display: flex;
+                justify-content: space-between;
+                gap: 12px;
+                padding: 4px 0;
+                font-size: 13px;
+            }
+            .genome-owner-name {
+                color: #374151;
+            }
+            .genome-owner-percent {
+                color: #3b82f6;
+                font-weight: 600;
+            }
+        `;
+        document.head.appendChild(style);
+    }
 
     async showEntityDetails(entity) {
         console.log('Fetching ownership data for:', entity.normalized);
         
-        // This would trigger the data orchestrator to fetch ownership data
-        // For now, we'll just log the entity details
-        console.log('Entity details:', {
-            text: entity.text,
-            normalized: entity.normalized,
-            type: entity.type,
-            confidence: entity.confidence,
-            context: entity.context
-        });
+        this.detailsEntity = entity;
+        this.displayOwnershipData(entity, null);
+        
+        try {
+            const data = await window.requestOwnershipData(entity, {
+                ...DETAILS_LOOKUP_OPTIONS,
+                graphFocus: 'pin' // The side panel keeps showing this entity while other names are hovered
+            });
+            this.displayOwnershipData(entity, data);
+        } catch (error) {
+            console.error('Failed to fetch entity details:', error);
+            this.displayOwnershipData(entity, { error: error.message });
+        }
+    }
+
+    displayOwnershipData(entity, data) {
+        let panel = document.getElementById('genome-details-panel');
+        
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'genome-details-panel';
+            panel.style.cssText = `
+                position: fixed !important;
+                top: 50% !important;
+                left: 50% !important;
+                transform: translate(-50%, -50%) !important;
+                z-index: 2147483647 !important;
+                width: 520px !important;
+                max-width: 90vw !important;
+                max-height: 80vh !important;
+                overflow-y: auto !important;
+                background: white !important;
+                border: 2px solid #3b82f6 !important;
+                border-radius: 8px !important;
+                box-shadow: 0 8px 40px rgba(0, 0, 0, 0.35) !important;
+                padding: 20px !important;
+                font-family: Arial, sans-serif !important;
+                font-size: 14px !important;
+                color: #333 !important;
+            `;
+            document.body.appendChild(panel);
+            
+            // Close on Escape
+            this.boundDetailsKeydown = (event) => {
+                if (event.key === 'Escape') this.closeEntityDetails();
+            };
+            document.addEventListener('keydown', this.boundDetailsKeydown);
+        }
+        
+        panel.innerHTML = this.buildDetailsContent(entity, data);
+        panel.querySelector('.genome-details-close').addEventListener('click', () => this.closeEntityDetails());
+    }
+
+    buildDetailsContent(entity, data) {
+        // Titles of sections drawn from source data carry how old that data is
+        const sectionTitle = (title, section = null) => {
+            const age = section ? window.describeSectionAge(data, section) : '';
+            return `<div style="font-weight: bold; color: #3b82f6; margin: 14px 0 6px;">${title}${age
+                ? ` <span style="font-weight: normal; color: #999; font-size: 11px;">${this.escapeHtml(age)}</span>` : ''}</div>`;
+        };
+        const row = (left, right) => `
+            <div style="display: flex; justify-content: space-between; gap: 12px; padding: 3px 0; border-bottom: 1px solid #f3f4f6;">
+                <span>${left}</span><span style="color: #666; white-space: nowrap;">${right}</span>
+            </div>`;
+        
+        let html = `
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <div style="font-weight: bold; color: #3b82f6;">🧬 Corporate Genome</div>
+                <button class="genome-details-close" style="border: none; background: none; font-size: 18px; cursor: pointer;">✕</button>
+            </div>
+            <div style="font-size: 18px; font-weight: bold; margin: 6px 0 2px;">
+                ${this.escapeHtml(data?.companyName || entity.text)}
+            </div>`;
+        
+        if (!data) {
+            return html + '<div style="color: #999; font-size: 12px;">Loading ownership data...</div>';
+        }
         
-        // Send message to background script to fetch data
-        chrome.runtime.sendMessage({
-            action: 'fetchOwnershipData',
-            entity: {
-                name: entity.normalized,
-                type: entity.type,
-                confidence: entity.confidence.score
+        if (data.error) {
+            return html + `<div style="color: #ef4444; font-size: 13px;">${this.escapeHtml(data.error)}</div>`;
+        }
+        
+        const identifiers = data.identifiers || {};
+        html += `
+            <div style="color: #666; font-size: 12px;">
+                ${[
+                    identifiers.ticker,
+                    identifiers.cik ? `CIK ${identifiers.cik}` : null,
+                    identifiers.cusip ? `CUSIP ${identifiers.cusip}` : null,
+                    identifiers.lei ? `LEI ${identifiers.lei}` : null
+                ].filter(Boolean).map(id => this.escapeHtml(id)).join(' • ')}
+                | Data quality ${data.qualityScore}/100
+            </div>`;
+        
+        if (data.sanctions?.hits?.length > 0) {
+            html += sectionTitle('⛔ Sanctions Screening');
+            html += data.sanctions.hits.map(hit => row(
+                `${this.escapeHtml(hit.name)} <small style="color: #999;">${this.escapeHtml(hit.role)}</small>`,
+                this.escapeHtml(`${hit.list} • ${hit.score}% match to "${hit.matchedName}"${hit.programs.length ? ` • ${hit.programs.join(', ')}` : ''}`)
+            )).join('');
+
+            const rule = data.sanctions.ownershipRule;
+            if (rule?.applies || rule?.possible) {
+                html += `<div style="color: #b91c1c; font-size: 12px; padding: 3px 0;">
+                    50% rule ${rule.applies ? 'applies' : 'may apply'}: listed owners hold ${rule.aggregatePercent.min}-${rule.aggregatePercent.max}% in aggregate
+                </div>`;
             }
-        }, response => {
-            if (response && response.data) {
-                this.displayOwnershipData(entity, response.data);
+        }
+
+        const beneficialOwners = data.ownershipGraph?.ultimateOwners?.filter(owner => owner.isBeneficialOwner) || [];
+        if (beneficialOwners.length > 0) {
+            const describeEffective = (percent) => percent
+                ? `${percent.min === percent.max ? percent.min : `${percent.min}-${percent.max}`}% effective`
+                : 'stake undisclosed';
+            html += sectionTitle('Ultimate Beneficial Owners');
+            html += beneficialOwners.map(owner => row(
+                `${owner.controls ? '👑 ' : ''}${this.escapeHtml(owner.name)}`,
+                this.escapeHtml(describeEffective(owner.effectivePercent))
+            ) + owner.paths.map(path => `<div style="color: #666; font-size: 11px; padding: 0 0 3px 12px;">
+                    ${this.escapeHtml(path.explanation)}
+                </div>`).join('')).join('');
+        }
+
+        const changes = data.ownershipChanges;
+        if (changes?.hasChanges) {
+            const describeStake = (percent) => percent ? `${percent.min === percent.max ? percent.min : `${percent.min}-${percent.max}`}%` : 'undisclosed';
+            html += sectionTitle(`🔄 Changed Since You Last Looked (${changes.from.split('T')[0]})`);
+            html += [
+                ...changes.newHolders.map(holder => row(`🆕 ${this.escapeHtml(holder.name)}`, this.escapeHtml(`new • ${describeStake(holder.percent)}`))),
+                ...changes.exitedHolders.map(holder => row(
+                    `🚪 ${this.escapeHtml(holder.name)}`,
+                    this.escapeHtml(`${holder.belowCutoff ? 'dropped below the listed holders' : 'exited'} • was ${describeStake(holder.percent)}`)
+                )),
+                ...changes.percentChanges.map(holder => row(
+                    `${holder.change > 0 ? '▲' : '▼'} ${this.escapeHtml(holder.name)}`,
+                    this.escapeHtml(`${describeStake(holder.from)} → ${describeStake(holder.to)} (${holder.change > 0 ? '+' : ''}${holder.change}pt)`)
+                ))
+            ].join('');
+        }
+
+        html += sectionTitle('Major Shareholders', 'holders');
+        html += data.owners?.length > 0
+            ? data.owners.map(owner => row(
+                this.escapeHtml(owner.name),
+                `${this.escapeHtml(String(owner.percent))}${owner.shares ? ` • ${Number(owner.shares).toLocaleString()} sh` : ''}`
+            )).join('')
+            : '<div style="color: #999; font-size: 12px;">No holder data available</div>';
+        
+        if (data.concentration) {
+            const { topN, disclosedHhi, disclosedHhiBand, disclosedPercent } = data.concentration;
+            html += sectionTitle('Holder Concentration', 'holders');
+            html += row('Top 1 / 5 / 10', this.escapeHtml(`${topN.top1}% / ${topN.top5}% / ${topN.top10}%`));
+            html += row('HHI of disclosed holders', this.escapeHtml(`${disclosedHhi.toLocaleString()} • ${disclosedHhiBand} (${disclosedPercent}% disclosed)`));
+            
+            const common = data.commonOwnership;
+            if (common) {
+                html += row('Peer MHHI', this.escapeHtml(`${common.mhhi.toLocaleString()} = HHI ${common.hhi.toLocaleString()} + Δ${common.mhhiDelta.toLocaleString()} (${common.marketShareBasis === 'marketCap' ? 'market-cap shares' : 'equal shares'})`));
+                html += common.peers.map(peer => row(
+                    this.escapeHtml(peer.ticker || peer.name),
+                    this.escapeHtml(`${peer.sharedHolderCount} shared holders • ${peer.sharedPercentOfPeer}% of peer • κ ${peer.profitWeight}`)
+                )).join('');
             }
-        });
+        }
+        
+        if (data.significantHolders?.length > 0) {
+            const activistStakes = window.findActivistStakes(data.significantHolders);
+            html += sectionTitle('5% Holders (Schedule 13D/13G)', 'activists');
+            html += data.significantHolders.map(holder => row(
+                `${activistStakes.includes(holder) ? '⚠️ ' : ''}${this.escapeHtml(holder.filerName)}`,
+                this.escapeHtml(`${holder.percentOfClass !== null ? holder.percentOfClass + '% • ' : ''}${holder.schedule}${holder.isAmendment ? '/A' : ''} • ${holder.eventDate}`)
+            )).join('');
+        }
+        
+        if (data.ownershipEdges?.length > 0) {
+            const describeRange = (label, range) => range ? `${label} ${range.min}-${range.max}%` : null;
+            html += sectionTitle('Persons with Significant Control', 'registers');
+            html += data.ownershipEdges.map(edge => row(
+                this.escapeHtml(edge.ownerName),
+                this.escapeHtml([
+                    describeRange('Shares', edge.shares || edge.surplusAssets),
+                    describeRange('Votes', edge.votingRights),
+                    edge.appointsDirectors ? 'Appoints directors' : null,
+                    edge.significantInfluence ? 'Significant influence' : null,
+                    edge.heldVia ? `via ${edge.heldVia}` : null,
+                    edge.subjectNumber !== data.ownershipEdges[0].subjectNumber ? `in ${edge.subjectName}` : null
+                ].filter(Boolean).join(' • '))
+            )).join('');
+        }
+
+        if (data.insiderActivity?.transactions?.length > 0) {
+            const summary = data.insiderActivity.summary;
+            html += sectionTitle(`Insider Transactions (net ${summary.netShares.toLocaleString()} sh over ${summary.windowDays}d)`, 'insiders');
+            html += data.insiderActivity.transactions.slice(0, 8).map(transaction => row(
+                `${this.escapeHtml(transaction.ownerName)}${transaction.officerTitle ? ` <small style="color: #999;">${this.escapeHtml(transaction.officerTitle)}</small>` : ''}`,
+                this.escapeHtml(`${transaction.transactionType} • ${transaction.shares.toLocaleString()} sh • ${transaction.transactionDate}`)
+            )).join('');
+        }
+        
+        if (data.internationalEntities?.length > 0) {
+            html += sectionTitle('International Entities', 'entities');
+            const parentLabels = { direct_parent: 'Direct parent', ultimate_parent: 'Ultimate parent' };
+            html += data.internationalEntities.map(item => row(
+                `${item.isOffshore ? '⚠️ ' : ''}${this.escapeHtml(item.name)}${parentLabels[item.relationship] ? ` <small style="color: #999;">${parentLabels[item.relationship]}${item.accountingStandard ? ` (${this.escapeHtml(item.accountingStandard)})` : ''}</small>` : ''}`,
+                this.escapeHtml(`${item.jurisdiction || ''} ${item.status ? '• ' + item.status : ''}${item.countryRisk ? ` • country risk ${item.countryRisk.score}/100` : ''}`)
+            )).join('');
+
+            if (data.offshoreAnalysis?.suspiciousPatterns?.length > 0) {
+                html += `<div style="color: #b45309; font-size: 12px; padding: 3px 0;">
+                    ⚠️ ${data.offshoreAnalysis.suspiciousPatterns.map(pattern => this.escapeHtml(pattern)).join(' • ')}
+                </div>`;
+            }
+        }
+        
+        if (data.governmentContracts?.length > 0) {
+            html += sectionTitle('Government Contracts', 'contracts');
+            html += data.governmentContracts.slice(0, 5).map(contract => row(
+                this.escapeHtml(contract.agency || 'Unknown agency'),
+                this.escapeHtml(contract.amountFormatted || `$${(contract.amount || 0).toLocaleString()}`)
+            )).join('');
+        }
+        
+        if (data.newsContext?.length > 0) {
+            html += sectionTitle('Recent News', 'news');
+            html += data.newsContext.slice(0, 3).map(article => `
+                <div style="font-size: 12px; padding: 3px 0;">${this.escapeHtml(article.title)}
+                    <span style="color: #999;">(${this.escapeHtml(article.source || '')})</span>
+                </div>`).join('');
+        }
+        
+        if (data.warnings?.length > 0) {
+            html += `<div style="color: #b45309; font-size: 11px; margin-top: 12px;">
+                ${data.warnings.map(warning => this.escapeHtml(warning)).join('<br>')}
+            </div>`;
+        }
+        
+        html += `
+            <div style="color: #999; font-size: 11px; margin-top: 12px;">
+                Sources: ${this.escapeHtml((data.sources || []).join(', '))} • Updated ${new Date(data.lastUpdated).toLocaleString()}
+            </div>`;
+        
+        return html;
     }
 
-    displayOwnershipData(entity, data) {
-        // Create modal or detailed view
-        console.log('Ownership data received:', data);
-        // Implementation would create a proper UI component
+    closeEntityDetails() {
+        const panel = document.getElementById('genome-details-panel');
+        if (panel) panel.remove();
+        this.detailsEntity = null;
+        
+        if (this.boundDetailsKeydown) {
+            document.removeEventListener('keydown', this.boundDetailsKeydown);
+            this.boundDetailsKeydown = null;
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : text;
+        return div.innerHTML;
     }
 
     async performInitialScan() {
@@ -715,6 +966,29 @@ class EnhancedIntelligenceEngine {
         });
     }
 
+    // Popup "Refresh Data" - drop every detection and cached hover result, then scan from scratch
+    async rescanPage() {
+        this.detectedEntities.clear();
+        this.hoverHandler?.clearCache();
+        if (this.currentAdapter) this.currentAdapter.processedElements = new WeakSet();
+        
+        await this.performInitialScan();
+        return this.detectedEntities.size;
+    }
+
+    // Message-safe summaries of the page's entities, for the popup's dossier export
+    describeDetectedEntities() {
+        return Array.from(this.detectedEntities.values()).map(entity => ({
+            text: entity.text,
+            normalized: entity.normalized,
+            type: entity.type,
+            confidence: entity.confidence?.score ?? entity.confidence ?? 0,
+            ticker: entity.knowledgeBase?.company?.ticker || null,
+            site: entity.source || this.currentAdapter?.siteName || null,
+            detectedAt: entity.timestamp ? new Date(entity.timestamp).toISOString() : null
+        }));
+    }
+
     generateEntityId(entity) {
         return `${entity.normalized}_${entity.type}_${Date.now()}`;
     }
@@ -767,6 +1041,9 @@ class EnhancedIntelligenceEngine {
             adapter.cleanup();
         }
         
+        // Close any open details view
+        this.closeEntityDetails();
+        
         // Clear detected entities
         this.detectedEntities.clear();
         
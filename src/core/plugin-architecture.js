@@ -1,25 +1,193 @@
-// /src/core/plugin-architecture.js
+// Corporate Genome Plugin Architecture - The contract every data source implements
+// Each data module registers one plugin on load; the orchestrator discovers them instead of naming sources itself
+console.log('Corporate Genome: Data source plugin architecture loaded');
+
+const PLUGIN_ARCHITECTURE_CONFIG = {
+    // Circuit-breaker defaults by tier - plugins override them with their own circuitBreaker settings
+    tiers: {
+        tier1: { circuitBreaker: { threshold: 5, timeout: 60000 } }, // Core ownership data (always fetch)
+        tier2: { circuitBreaker: { threshold: 3, timeout: 30000 } }, // International & government data (conditional)
+        tier3: { circuitBreaker: { threshold: 2, timeout: 15000 } }  // Context enhancement (optional)
+    },
+    // ID bundle fields a source can key on ('bundle' passes the whole bundle)
+    identifierTypes: ['ticker', 'cik', 'cusip', 'isin', 'lei', 'name', 'jurisdictions', 'bundle'],
+    // Lookup options that switch conditional sources on
+    fetchOptions: ['includeInternational', 'includeGovernment', 'includeContext'],
+    defaultPriority: 10,
+    defaultCacheTTL: 3600000, // 1 hour, for sources that don't say how long their answers stay current
+    placeholderCacheTTL: 300000 // 5 minutes, for answers that only carry a note - "not found", "no CUSIP known", "API key required"
+};
+
+// Registry of data source plugins - each data module registers itself on load
+const DATA_SOURCE_PLUGINS = new Map();
+
+/*
+ * A plugin is declared with:
+ *   name             - source key used in results, warnings and citations
+ *   tier             - 'tier1' | 'tier2' | 'tier3'
+ *   priority         - fetch and merge order within the lookup (lower first)
+ *   identifiers      - ID bundle fields the fetcher accepts, in order of preference; falls back to the name
+ *   fetch            - async (query) => data, or null when the source has nothing
+ *   option           - fetch option that switches the source on (omit to fetch on every lookup)
+ *   countryHint      - fetch whenever the entity carries this country hint, whatever the options
+ *   followUp         - fetched by the orchestrator after the merge, from what the other sources found
+ *   rateLimit        - { requests, window } lookups allowed per window, or null when unlimited
+ *   quota            - { daily, monthly } API budget, tracked by the quota ledger; the source goes cache-only as it runs out
+ *   cacheTTL         - ms an answer stays current in the source cache, or (data) => ms for sources on a release schedule;
+ *                      answers carrying a note instead of data are only kept for placeholderCacheTTL
+ *   circuitBreaker   - { threshold, timeout }, defaulting to the tier's settings
+ *   outputSchema     - JSON Schema subset (type, required, properties) the fetcher's data must match
+ *   merge            - (mergedData, data) folds the source's data into the merged result
+ *   validationRules  - { collection, requiredFields, patterns, expectedValues } checked per record
+ */
 class DataSourcePlugin {
     constructor(config) {
         this.validateConfig(config);
-        this.setupRateLimiting();
-        this.initializeCircuitBreaker();
+
+        this.name = config.name;
+        this.tier = config.tier;
+        this.priority = config.priority ?? PLUGIN_ARCHITECTURE_CONFIG.defaultPriority;
+        this.identifiers = config.identifiers;
+        this.option = config.option || null;
+        this.countryHint = config.countryHint || null;
+        this.followUp = config.followUp === true;
+        this.outputSchema = config.outputSchema || null;
+        this.validationRules = config.validationRules || null;
+        this.quota = config.quota || null;
+        this.cacheTTL = config.cacheTTL ?? PLUGIN_ARCHITECTURE_CONFIG.defaultCacheTTL;
+        this.implementation = { fetch: config.fetch, merge: config.merge || null };
+
+        this.setupRateLimiting(config.rateLimit);
+        this.initializeCircuitBreaker(config.circuitBreaker);
+    }
+
+    validateConfig(config) {
+        if (!config || typeof config.name !== 'string' || !config.name) {
+            throw new Error('Data source plugins must declare a name');
+        }
+        const problem = (detail) => new Error(`Data source plugin ${config.name} ${detail}`);
+
+        if (!PLUGIN_ARCHITECTURE_CONFIG.tiers[config.tier]) {
+            throw problem(`has unknown tier: ${config.tier}`);
+        }
+        if (typeof config.fetch !== 'function') {
+            throw problem('must declare a fetch function');
+        }
+        if (config.merge !== undefined && typeof config.merge !== 'function') {
+            throw problem('merge must be a function');
+        }
+        if (!Array.isArray(config.identifiers) || config.identifiers.length === 0) {
+            throw problem('must declare the identifiers it accepts');
+        }
+        const unknownIdentifier = config.identifiers.find(type => !PLUGIN_ARCHITECTURE_CONFIG.identifierTypes.includes(type));
+        if (unknownIdentifier) {
+            throw problem(`accepts unknown identifier: ${unknownIdentifier}`);
+        }
+        if (config.option && !PLUGIN_ARCHITECTURE_CONFIG.fetchOptions.includes(config.option)) {
+            throw problem(`is switched on by unknown option: ${config.option}`);
+        }
+        if (config.rateLimit && !(config.rateLimit.requests > 0 && config.rateLimit.window > 0)) {
+            throw problem('rateLimit needs positive requests and window');
+        }
+        if (config.quota && !['daily', 'monthly'].some(period => config.quota[period] > 0)) {
+            throw problem('quota needs a positive daily or monthly budget');
+        }
+        if (config.cacheTTL !== undefined && typeof config.cacheTTL !== 'function' && !(config.cacheTTL > 0)) {
+            throw problem('cacheTTL must be a positive number of milliseconds or a function of the data');
+        }
+        if (config.outputSchema && config.outputSchema.type !== 'object') {
+            throw problem('outputSchema must describe an object');
+        }
+        if (config.validationRules && typeof config.validationRules.collection !== 'string') {
+            throw problem('validationRules must name the collection they check');
+        }
+    }
+
+    setupRateLimiting(rateLimit) {
+        // Quotas belong to the API, so every orchestrator shares the plugin's log
+        this.rateLimit = rateLimit || null;
+        this.requestLog = [];
+    }
+
+    initializeCircuitBreaker(settings = {}) {
+        // Breaker state lives with each orchestrator; the plugin only declares when to trip
+        this.circuitBreaker = { ...PLUGIN_ARCHITECTURE_CONFIG.tiers[this.tier].circuitBreaker, ...settings };
+    }
+
+    // Throws once the window's lookups are spent; otherwise counts this one
+    reserveRequest(now = Date.now()) {
+        if (!this.rateLimit) return;
+
+        const { requests, window } = this.rateLimit;
+        this.requestLog = this.requestLog.filter(timestamp => now - timestamp < window);
+        if (this.requestLog.length >= requests) {
+            throw new Error(`${this.name} rate limit of ${requests} lookups reached`);
+        }
+        this.requestLog.push(now);
+    }
+
+    // Whether the main lookup fetches this source - follow-ups are requested by name after the merge
+    appliesTo(fetchOptions, countryHints) {
+        if (this.followUp) return false;
+        if (this.countryHint) return countryHints.has(this.countryHint);
+        if (this.option) return Boolean(fetchOptions[this.option]);
+        return true;
     }
-    
-    // Standardized interface for all data sources
+
+    // The first accepted identifier the bundle carries, falling back to the name
+    selectQuery(identifiers) {
+        if (this.identifiers.includes('bundle')) return identifiers;
+
+        const field = this.identifiers.find(type => identifiers[type]);
+        return field ? identifiers[field] : identifiers.name;
+    }
+
     async fetch(query) {
-        return this.rateLimiter.execute(() => 
-            this.circuitBreaker.fire(() => 
-                this.implementation.fetch(query)
-            )
-        );
+        return this.implementation.fetch(query);
+    }
+
+    // How long this answer stays current - a TTL function that can't tell falls back to the default
+    cacheLifetime(data, now = Date.now()) {
+        // A key added or a CUSIP mapped should show on the next hover, not after the source's TTL
+        if (data?.note) return PLUGIN_ARCHITECTURE_CONFIG.placeholderCacheTTL;
+
+        const ttl = typeof this.cacheTTL === 'function' ? this.cacheTTL(data, now) : this.cacheTTL;
+        return ttl > 0 ? ttl : PLUGIN_ARCHITECTURE_CONFIG.defaultCacheTTL;
+    }
+
+    merge(mergedData, data) {
+        if (this.implementation.merge) {
+            this.implementation.merge(mergedData, data);
+        } else if (data.owners) {
+            // Sources without their own merge contribute holders
+            mergedData.owners.push(...data.owners);
+        }
     }
 }
 
-// Easy to add new sources without breaking existing code
-const openCorporatesPlugin = new DataSourcePlugin({
-    name: 'opencorporates',
-    rateLimit: { requests: 500, window: '24h' },
-    circuitBreaker: { threshold: 5, timeout: 60000 },
-    implementation: new OpenCorporatesAdapter()
-});
\ No newline at end of file
+function registerDataSourcePlugin(config) {
+    const plugin = new DataSourcePlugin(config);
+    DATA_SOURCE_PLUGINS.set(plugin.name, plugin);
+    console.log(`🔌 Data source registered: ${plugin.name} (${plugin.tier})`);
+    return plugin;
+}
+
+function getDataSourcePlugin(name) {
+    return DATA_SOURCE_PLUGINS.get(name) || null;
+}
+
+// Registered plugins in fetch order - by tier, then priority, then registration
+function listDataSourcePlugins() {
+    return Array.from(DATA_SOURCE_PLUGINS.values())
+        .sort((a, b) => a.tier.localeCompare(b.tier) || a.priority - b.priority);
+}
+
+// Export for use in background script
+if (typeof window !== 'undefined') {
+    window.DataSourcePlugin = DataSourcePlugin;
+    window.registerDataSourcePlugin = registerDataSourcePlugin;
+    window.getDataSourcePlugin = getDataSourcePlugin;
+    window.listDataSourcePlugins = listDataSourcePlugins;
+}
+
+console.log('🧩 Plugin architecture ready - Data sources register themselves');
@@ -0,0 +1,144 @@
+// Corporate Genome Quota Ledger - Requests spent against each data source's daily and monthly budget
+// Persisted in chrome.storage.local so a restarted service worker picks up where the last one stopped counting
+console.log('Corporate Genome: Quota ledger loaded');
+
+const QUOTA_LEDGER_CONFIG = {
+    storageKey: 'quota_ledger',
+    fallbackStorageKey: 'quota_fallback_cache',
+    // Go cache-only with this share of a window left - requests already on the wire, and other tools
+    // sharing the key, would otherwise push the source past its budget
+    reserveShare: 0.05,
+    fallbackCacheSize: 200 // Last responses kept per budgeted source and query, served once it goes cache-only
+};
+
+class QuotaLedger {
+    constructor() {
+        this.usage = new Map(); // source -> { day, daily, month, monthly }
+        this.fallbacks = new Map(); // source|query -> last successful response, oldest first
+        this.loading = null;
+    }
+
+    async load() {
+        if (!this.loading) {
+            this.loading = readQuotaStorage()
+                .then(stored => {
+                    // Anything counted before the load finished stays counted
+                    Object.entries(stored[QUOTA_LEDGER_CONFIG.storageKey] || {}).forEach(([source, usage]) => {
+                        if (!this.usage.has(source)) this.usage.set(source, usage);
+                    });
+
+                    // Stored responses are older than any remembered since the worker started
+                    const storedFallbacks = Object.entries(stored[QUOTA_LEDGER_CONFIG.fallbackStorageKey] || {})
+                        .filter(([key]) => !this.fallbacks.has(key));
+                    this.fallbacks = new Map([...storedFallbacks, ...this.fallbacks]);
+                })
+                .catch(error => console.warn('Quota ledger not loaded:', error.message));
+        }
+        return this.loading;
+    }
+
+    // Windows are calendar days and months in UTC; a new one starts from zero
+    currentUsage(source, now = Date.now()) {
+        const day = new Date(now).toISOString().split('T')[0];
+        const month = day.slice(0, 7);
+        const stored = this.usage.get(source) || {};
+
+        return {
+            day,
+            daily: stored.day === day ? stored.daily : 0,
+            month,
+            monthly: stored.month === month ? stored.monthly : 0
+        };
+    }
+
+    async record(source, now = Date.now()) {
+        await this.load();
+
+        const usage = this.currentUsage(source, now);
+        usage.daily++;
+        usage.monthly++;
+        this.usage.set(source, usage);
+
+        await this.persist();
+        return usage;
+    }
+
+    // quota: { daily, monthly } as the source's plugin declares it
+    async describe(source, quota, now = Date.now()) {
+        await this.load();
+
+        const usage = this.currentUsage(source, now);
+        const windows = {};
+        if (quota.daily) windows.daily = describeWindow(quota.daily, usage.daily, startOfNextUTCDay(now));
+        if (quota.monthly) windows.monthly = describeWindow(quota.monthly, usage.monthly, startOfNextUTCMonth(now));
+
+        return {
+            source,
+            ...windows,
+            cacheOnly: Object.values(windows).some(budget => budget.remaining <= budget.reserve)
+        };
+    }
+
+    // The last response per source and query - once the source goes cache-only it is all the source can offer
+    async readFallback(key) {
+        await this.load();
+        return this.fallbacks.get(key) || null;
+    }
+
+    async rememberFallback(key, response) {
+        await this.load();
+
+        // Re-inserting keeps the Map in least-recently-fetched order, so the oldest entry goes first
+        this.fallbacks.delete(key);
+        this.fallbacks.set(key, response);
+
+        if (this.fallbacks.size > QUOTA_LEDGER_CONFIG.fallbackCacheSize) {
+            this.fallbacks.delete(this.fallbacks.keys().next().value);
+        }
+
+        await this.persist(QUOTA_LEDGER_CONFIG.fallbackStorageKey, this.fallbacks);
+    }
+
+    async persist(storageKey = QUOTA_LEDGER_CONFIG.storageKey, entries = this.usage) {
+        if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+
+        try {
+            await chrome.storage.local.set({ [storageKey]: Object.fromEntries(entries) });
+        } catch (error) {
+            console.warn('Quota ledger not persisted:', error.message);
+        }
+    }
+}
+
+async function readQuotaStorage() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return {};
+
+    return chrome.storage.local.get([QUOTA_LEDGER_CONFIG.storageKey, QUOTA_LEDGER_CONFIG.fallbackStorageKey]);
+}
+
+function describeWindow(limit, used, resetsAt) {
+    return {
+        limit,
+        used,
+        remaining: Math.max(0, limit - used),
+        reserve: Math.ceil(limit * QUOTA_LEDGER_CONFIG.reserveShare),
+        resetsAt: new Date(resetsAt).toISOString()
+    };
+}
+
+function startOfNextUTCDay(now) {
+    const date = new Date(now);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function startOfNextUTCMonth(now) {
+    const date = new Date(now);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+// Export for use in background script
+if (typeof window !== 'undefined') {
+    window.QuotaLedger = QuotaLedger;
+}
+
+console.log('📒 Quota ledger ready - Daily and monthly budgets tracked per source');
@@ -0,0 +1,75 @@
+// Corporate Genome Request Broker - One in-flight request per (source, canonical identifier, parameters)
+// Hovering a company in several tabs, or again before the first answer lands, joins the request already on the wire
+console.log('Corporate Genome: Request broker loaded');
+
+const REQUEST_BROKER_CONFIG = {
+    // ID bundle fields in the order that names an entity most precisely
+    bundleFields: ['cik', 'lei', 'ticker', 'cusip', 'isin', 'name']
+};
+
+class RequestBroker {
+    constructor() {
+        this.inFlight = new Map(); // request key -> { promise, waiters }
+        this.stats = { issued: 0, coalesced: 0 };
+    }
+
+    // Every caller with the same key gets the first caller's promise until it settles - results are shared, not copied
+    request({ source, identifier, params = {} }, fetchFn) {
+        const key = buildRequestKey(source, identifier, params);
+        const pending = this.inFlight.get(key);
+
+        if (pending) {
+            pending.waiters++;
+            this.stats.coalesced++;
+            console.log(`🔗 Joined in-flight ${source} request (${pending.waiters} waiting)`);
+            return pending.promise;
+        }
+
+        const entry = { waiters: 1, promise: null };
+        entry.promise = Promise.resolve()
+            .then(fetchFn)
+            .finally(() => this.inFlight.delete(key)); // settled answers are the caches' business, not the broker's
+        this.inFlight.set(key, entry);
+        this.stats.issued++;
+
+        return entry.promise;
+    }
+
+    getStats() {
+        return { ...this.stats, inFlight: this.inFlight.size };
+    }
+}
+
+function buildRequestKey(source, identifier, params) {
+    return [source, canonicalIdentifier(identifier), canonicalParams(params)].join('|');
+}
+
+// "MSFT", "msft " and 789019 / 0000789019 all name the same request
+function canonicalIdentifier(identifier) {
+    if (Array.isArray(identifier)) {
+        return [...new Set(identifier.map(canonicalIdentifier))].sort().join(',');
+    }
+
+    if (identifier && typeof identifier === 'object') {
+        const field = REQUEST_BROKER_CONFIG.bundleFields.find(name => identifier[name]);
+        return field ? `${field}:${canonicalIdentifier(identifier[field])}` : '';
+    }
+
+    const text = String(identifier ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+    return /^\d+$/.test(text) ? text.replace(/^0+(?=\d)/, '') : text;
+}
+
+// Unset, false and empty options are the same request as options never passed
+function canonicalParams(params) {
+    const entries = Object.entries(params || {})
+        .filter(([, value]) => value !== undefined && value !== null && value !== false && !(Array.isArray(value) && value.length === 0))
+        .sort(([a], [b]) => a.localeCompare(b));
+    return JSON.stringify(entries);
+}
+
+// Export for use in background script
+if (typeof window !== 'undefined') {
+    window.RequestBroker = RequestBroker;
+}
+
+console.log('🔗 Request broker ready - Concurrent lookups share one request');
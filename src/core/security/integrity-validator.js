@@ -60,6 +60,18 @@ class DataIntegrityValidator {
                 ])
             }
         });
+
+        // GLEIF validation rules - the per-entity part matches the gleif plugin's validationRules
+        this.validationRules.set('gleif', {
+            requiredFields: ['entities', 'source'],
+            entityValidation: {
+                requiredFields: ['name', 'lei', 'relationship'],
+                leiPattern: /^[A-Z0-9]{18}[0-9]{2}$/,
+                relationshipTypes: new Set(['subject', 'direct_parent', 'ultimate_parent']),
+                relationshipStatuses: new Set(['ACTIVE', 'INACTIVE']),
+                maxEntities: 3 // Subject plus direct and ultimate parent
+            }
+        });
     }
 
     async loadTrustedFingerprints() {
@@ -160,6 +172,8 @@ class DataIntegrityValidator {
                 return this.validateOpenCorporatesStructure(data, rules);
             case 'usaspending':
                 return this.validateUSASpendingStructure(data, rules);
+            case 'gleif':
+                return this.validateGLEIFStructure(data, rules);
             default:
                 return true;
         }
@@ -289,6 +303,48 @@ class DataIntegrityValidator {
         return true;
     }
 
+    validateGLEIFStructure(data, rules) {
+        const entityRules = rules.entityValidation;
+        
+        if (!Array.isArray(data.entities) || data.entities.length > entityRules.maxEntities) {
+            console.error('GLEIF data: entities must be an array of subject and parents');
+            return false;
+        }
+
+        for (const entity of data.entities) {
+            for (const field of entityRules.requiredFields) {
+                if (!entity[field]) {
+                    console.error(`GLEIF entity missing required field: ${field}`);
+                    return false;
+                }
+            }
+
+            // Checksum check comes from gleif.js when it is loaded alongside
+            const checksumValid = typeof isValidLei === 'function' ? isValidLei(entity.lei) : true;
+            if (!entityRules.leiPattern.test(entity.lei) || !checksumValid) {
+                console.error(`Invalid LEI: ${entity.lei}`);
+                return false;
+            }
+
+            if (!entityRules.relationshipTypes.has(entity.relationship)) {
+                console.error(`Unknown GLEIF relationship: ${entity.relationship}`);
+                return false;
+            }
+
+            if (entity.relationshipStatus && !entityRules.relationshipStatuses.has(entity.relationshipStatus)) {
+                console.warn(`Unexpected GLEIF relationship status: ${entity.relationshipStatus}`);
+            }
+        }
+
+        // The subject record must be the LEI the source resolved
+        if (data.entities.length > 0 && !data.entities.some(entity => entity.relationship === 'subject' && entity.lei === data.lei)) {
+            console.error('GLEIF data: subject entity does not match resolved LEI');
+            return false;
+        }
+
+        return true;
+    }
+
     async validateContentIntegrity(source, data) {
         // Perform deeper content analysis
         try {
@@ -0,0 +1,104 @@
+// Corporate Genome Source Cache - Each data source's last answer per query, kept as long as its plugin's cacheTTL says it stays current
+// Persisted in chrome.storage.local, so hovering a company after a worker restart doesn't go back to the network
+console.log('Corporate Genome: Source cache loaded');
+
+const SOURCE_CACHE_CONFIG = {
+    storagePrefix: 'source_cache:',
+    memoryEntries: 300, // Entries also held in the worker, least recently used dropped first
+    // Past its TTL an answer is still shown while the refetch runs - up to this long, after which it is too old to show
+    staleRetention: 2592000000 // 30 days
+};
+
+class SourceCache {
+    constructor() {
+        this.entries = new Map(); // storage key -> { source, response, storedAt, expiresAt }
+    }
+
+    // { response, fresh, expiresAt } - or null when nothing is cached, or only something too old to show
+    async get(source, query, now = Date.now()) {
+        const key = sourceCacheKey(source, query);
+        const entry = this.entries.get(key) || await readCacheEntry(key);
+        if (!entry || now - entry.expiresAt > SOURCE_CACHE_CONFIG.staleRetention) return null;
+
+        this.remember(key, entry);
+
+        // A copy, as chrome.storage would hand back - merges and enrichment write into what they are given
+        return { response: JSON.parse(JSON.stringify(entry.response)), fresh: now < entry.expiresAt, expiresAt: new Date(entry.expiresAt).toISOString() };
+    }
+
+    async set(source, query, response, ttl, now = Date.now()) {
+        const key = sourceCacheKey(source, query);
+        const entry = { source, response: JSON.parse(JSON.stringify(response)), storedAt: now, expiresAt: now + ttl };
+        this.remember(key, entry);
+
+        if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+        try {
+            await chrome.storage.local.set({ [key]: entry });
+        } catch (error) {
+            console.warn('Source cache entry not persisted:', error.message);
+        }
+    }
+
+    remember(key, entry) {
+        // Re-inserting keeps the Map in least-recently-used order
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        if (this.entries.size > SOURCE_CACHE_CONFIG.memoryEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    // Drops stored answers too old to show even while refreshing; returns how many went
+    async prune(now = Date.now()) {
+        const expired = (await readStoredEntries())
+            .filter(([, entry]) => now - entry.expiresAt > SOURCE_CACHE_CONFIG.staleRetention)
+            .map(([key]) => key);
+
+        expired.forEach(key => this.entries.delete(key));
+        if (expired.length > 0) await chrome.storage.local.remove(expired);
+        return expired.length;
+    }
+
+    // "Refresh Data" - the next lookup of every source goes back to the network
+    async clear() {
+        this.entries.clear();
+
+        const keys = (await readStoredEntries()).map(([key]) => key);
+        if (keys.length > 0) await chrome.storage.local.remove(keys);
+    }
+}
+
+// Keyed like the request broker's in-flight requests, so "MSFT" and "msft " share an entry
+function sourceCacheKey(source, query) {
+    const key = typeof buildRequestKey === 'function'
+        ? buildRequestKey(source, query, {})
+        : `${source}|${JSON.stringify(query)}`;
+    return SOURCE_CACHE_CONFIG.storagePrefix + key;
+}
+
+async function readCacheEntry(key) {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return null;
+
+    try {
+        const stored = await chrome.storage.local.get([key]);
+        return stored[key] || null;
+    } catch (error) {
+        console.warn('Source cache not read:', error.message);
+        return null;
+    }
+}
+
+async function readStoredEntries() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return [];
+
+    const stored = await chrome.storage.local.get(null);
+    return Object.entries(stored).filter(([key]) => key.startsWith(SOURCE_CACHE_CONFIG.storagePrefix));
+}
+
+// Export for use in background script
+if (typeof window !== 'undefined') {
+    window.SourceCache = SourceCache;
+}
+
+console.log('🗃️ Source cache ready - Answers reused for as long as each source stays current');
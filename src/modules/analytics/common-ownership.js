@@ -0,0 +1,142 @@
+// Common Ownership Analytics - Holder concentration, HHI and modified HHI across a peer set
+// Shares the owner-name normalizer from ownership-graph.js, which must load first
+console.log('Corporate Genome: Common ownership analytics module loaded');
+
+const COMMON_OWNERSHIP_CONFIG = {
+    topN: [1, 5, 10],
+    maxPeers: 8,
+    peerCacheTTL: 21600000, // 6 hours - holder lists only move with quarterly filings
+    uniqueValue: 'How concentrated the holder base is, and how much the same institutions own the competitors'
+};
+
+// 2023 DOJ/FTC Merger Guidelines, on the 0-10,000 scale: above 1,800 is highly concentrated,
+// and 1,000 stays the floor for moderately concentrated (the 2010 bands were 1,500 and 2,500)
+const HHI_BANDS = [
+    { above: 1800, label: 'Highly concentrated' },
+    { above: 1000, label: 'Moderately concentrated' },
+    { above: -Infinity, label: 'Unconcentrated' }
+];
+
+// Top-N and HHI over one company's disclosed holders, in percent of shares outstanding
+function computeConcentration(owners) {
+    const stakes = holderStakes(owners).sort((a, b) => b.percent - a.percent);
+    if (stakes.length === 0) return null;
+
+    const disclosedPercent = stakes.reduce((total, stake) => total + stake.percent, 0);
+    const hhi = stakes.reduce((total, stake) => total + stake.percent ** 2, 0);
+
+    // Shares of the disclosed total, so a thin holder list still reads on the 0-10,000 scale
+    const disclosedHhi = stakes.reduce((total, stake) => total + (100 * stake.percent / disclosedPercent) ** 2, 0);
+
+    return {
+        holderCount: stakes.length,
+        disclosedPercent: roundMetric(disclosedPercent),
+        topN: Object.fromEntries(COMMON_OWNERSHIP_CONFIG.topN.map(n => [
+            `top${n}`,
+            roundMetric(stakes.slice(0, n).reduce((total, stake) => total + stake.percent, 0))
+        ])),
+        hhi: Math.round(hhi),
+        disclosedHhi: Math.round(disclosedHhi),
+        disclosedHhiBand: describeHhi(disclosedHhi)
+    };
+}
+
+// Modified HHI (O'Brien-Salop) with control proportional to ownership:
+// MHHI = HHI + sum over j != k of s_j * s_k * (sum_i b_ij * b_ik) / (sum_i b_ij^2)
+function computeModifiedHHI(subject, peers) {
+    const firms = [subject, ...peers].map(firm => ({
+        name: firm.name,
+        ticker: firm.ticker || null,
+        marketCap: firm.marketCap || null,
+        stakes: new Map(holderStakes(firm.owners).map(stake => [stake.key, stake]))
+    }));
+
+    // Market shares need revenue we don't have - market cap stands in when every firm reports one
+    const byMarketCap = firms.every(firm => firm.marketCap > 0);
+    const totalWeight = firms.reduce((total, firm) => total + (byMarketCap ? firm.marketCap : 1), 0);
+    firms.forEach(firm => {
+        firm.share = 100 * (byMarketCap ? firm.marketCap : 1) / totalWeight;
+    });
+
+    const hhi = firms.reduce((total, firm) => total + firm.share ** 2, 0);
+
+    let delta = 0;
+    firms.forEach(j => {
+        firms.forEach(k => {
+            if (j !== k) delta += j.share * k.share * profitWeight(j, k);
+        });
+    });
+
+    const subjectFirm = firms[0];
+    return {
+        marketShareBasis: byMarketCap ? 'marketCap' : 'equal',
+        hhi: Math.round(hhi),
+        mhhiDelta: Math.round(delta),
+        mhhi: Math.round(hhi + delta),
+        firms: firms.map(firm => ({ name: firm.name, ticker: firm.ticker, share: roundMetric(firm.share), holderCount: firm.stakes.size })),
+        peers: firms.slice(1).map(peer => describePeerOverlap(subjectFirm, peer))
+    };
+}
+
+// Weight the subject's managers put on the peer's profits: (sum_i b_ij * b_ik) / (sum_i b_ij^2)
+function profitWeight(j, k) {
+    let shared = 0;
+    let own = 0;
+
+    j.stakes.forEach((stake, key) => {
+        own += stake.percent ** 2;
+        if (k.stakes.has(key)) shared += stake.percent * k.stakes.get(key).percent;
+    });
+
+    return own > 0 ? shared / own : 0;
+}
+
+function describePeerOverlap(subject, peer) {
+    const sharedHolders = Array.from(subject.stakes.values())
+        .filter(stake => peer.stakes.has(stake.key))
+        .map(stake => ({ name: stake.name, subjectPercent: stake.percent, peerPercent: peer.stakes.get(stake.key).percent }))
+        .sort((a, b) => (b.subjectPercent + b.peerPercent) - (a.subjectPercent + a.peerPercent));
+
+    return {
+        name: peer.name,
+        ticker: peer.ticker,
+        sharedHolderCount: sharedHolders.length,
+        // How much of the peer the subject's own holders also own
+        sharedPercentOfPeer: roundMetric(sharedHolders.reduce((total, holder) => total + holder.peerPercent, 0)),
+        profitWeight: Math.round(profitWeight(subject, peer) * 1000) / 1000,
+        sharedHolders: sharedHolders.slice(0, 5)
+    };
+}
+
+function holderStakes(owners) {
+    const stakes = new Map();
+
+    (owners || []).forEach(owner => {
+        // Registry bands (PSC) count at their midpoint
+        const percent = owner.percentRange
+            ? (owner.percentRange.min + owner.percentRange.max) / 2
+            : parseFloat(owner.percent);
+        if (!(percent > 0)) return;
+
+        const key = normalizeOwnerName(owner.name);
+        if (!stakes.has(key)) stakes.set(key, { key, name: owner.name, percent });
+    });
+
+    return Array.from(stakes.values());
+}
+
+function describeHhi(hhi) {
+    return HHI_BANDS.find(band => hhi > band.above).label;
+}
+
+function roundMetric(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.computeConcentration = computeConcentration;
+    window.computeModifiedHHI = computeModifiedHHI;
+}
+
+console.log('📐 Common ownership analytics ready - HHI and MHHI enabled');
@@ -0,0 +1,371 @@
+// Bulk Enrichment - A CSV of counterparties matched, looked up one row at a time and written back out enriched
+// Writes CSV cells with csvCell from csv-format.js, which must load first
+console.log('Corporate Genome: Bulk enrichment module loaded');
+
+const BULK_ENRICHMENT_CONFIG = {
+    storageKey: 'bulk_enrichment_job',
+    resumeAlarm: 'bulk-enrichment-resume',
+    maxRows: 1000,
+    rowInterval: 4000, // ms between lookups - each one fans out to every source's own rate limit
+    maxAttempts: 3,
+    retryBackoff: 60000, // ms, multiplied by the attempt count
+    knowledgeBaseThreshold: 0.8,
+    lowConfidence: 0.7,
+    topHolderCount: 5,
+    uniqueValue: 'Hundreds of counterparties enriched in one pass, surviving worker restarts'
+};
+
+const ENRICHMENT_NAME_HEADERS = ['name', 'company', 'company name', 'counterparty', 'entity', 'legal name', 'issuer'];
+const ENRICHMENT_TICKER_HEADERS = ['ticker', 'symbol', 'ticker symbol'];
+const TICKER_LIKE_PATTERN = /^[A-Z]{1,5}([.-][A-Z]{1,2})?$/;
+
+// How far each identifier resolution can be trusted - exact identifiers outrank a name match
+const RESOLUTION_CONFIDENCE = {
+    ticker: 1,
+    cik: 1,
+    cusip: 1,
+    lei: 1,
+    name: 0.85,
+    'knowledge-base': 0.75,
+    unresolved: 0.4
+};
+
+const ENRICHMENT_COLUMNS = [
+    'match_status', 'matched_name', 'match_confidence', 'match_via', 'ticker', 'cik', 'lei',
+    'jurisdiction', 'ultimate_parent', 'top_holders', 'flags', 'error', 'enriched_at'
+];
+
+// Finds the name and ticker columns by header; a file without one is a bare list of names
+function parseEnrichmentCSV(text) {
+    const table = parseCSVText(text);
+    if (table.length === 0) {
+        throw new Error('The file has no rows');
+    }
+
+    const header = table[0].map(cell => cell.trim().toLowerCase());
+    let nameColumn = header.findIndex(cell => ENRICHMENT_NAME_HEADERS.includes(cell));
+    const tickerColumn = header.findIndex(cell => ENRICHMENT_TICKER_HEADERS.includes(cell));
+    const hasHeader = nameColumn !== -1 || tickerColumn !== -1;
+
+    const headers = hasHeader ? table[0].map(cell => cell.trim()) : table[0].map((cell, index) => index === 0 ? 'input' : `column_${index + 1}`);
+    if (!hasHeader) nameColumn = 0;
+
+    const rows = table.slice(hasHeader ? 1 : 0)
+        .map((values, index) => ({
+            index,
+            values,
+            name: nameColumn === -1 ? '' : (values[nameColumn] || '').trim(),
+            ticker: tickerColumn === -1 ? '' : (values[tickerColumn] || '').trim().toUpperCase()
+        }))
+        .filter(row => row.name || row.ticker);
+
+    if (rows.length > BULK_ENRICHMENT_CONFIG.maxRows) {
+        throw new Error(`The file has ${rows.length} rows - the limit is ${BULK_ENRICHMENT_CONFIG.maxRows} per run`);
+    }
+
+    return { headers, rows };
+}
+
+// Runs in the options page, where the knowledge base lives; the worker only sees the resulting query
+function prepareEnrichmentRow(row, normalizer, knowledgeBase) {
+    const input = row.name || row.ticker;
+    const prepared = { index: row.index, values: row.values, input, normalized: normalizer ? normalizer.normalize(row.name) || null : null };
+
+    // Names come in upper case too ("INTEL") - one is only taken for a ticker the knowledge base knows;
+    // the rest go by name, and the worker's crosswalk still tries its ticker index on symbol-shaped text
+    const confirmedTicker = !row.ticker && TICKER_LIKE_PATTERN.test(row.name) ? knowledgeBase?.findByTicker(row.name) : null;
+    if (row.ticker || confirmedTicker) {
+        const ticker = row.ticker || row.name;
+        const known = confirmedTicker || knowledgeBase?.findByTicker(ticker);
+        return { ...prepared, query: { name: (row.ticker && row.name) || known?.name || ticker, ticker }, match: { via: 'input', score: 1 } };
+    }
+
+    const [best] = knowledgeBase ? knowledgeBase.search(row.name, { limit: 1, threshold: BULK_ENRICHMENT_CONFIG.knowledgeBaseThreshold }) : [];
+    if (best) {
+        return {
+            ...prepared,
+            query: { name: best.company.name, ticker: best.company.ticker || null },
+            match: { via: `knowledge-base ${best.matchType}`, score: Math.round(best.score * 100) / 100 }
+        };
+    }
+
+    return { ...prepared, query: { name: row.name, ticker: null }, match: { via: 'input', score: 1 } };
+}
+
+// data is the orchestrator's merged result for the row's query
+function summarizeEnrichment(row, data) {
+    const identifiers = data.identifiers || {};
+    const resolution = RESOLUTION_CONFIDENCE[identifiers.matchType] ?? RESOLUTION_CONFIDENCE.unresolved;
+    const matchConfidence = Math.round(row.match.score * resolution * 100) / 100;
+    const entities = data.internationalEntities || [];
+
+    // GLEIF's consolidation parent first; otherwise whoever controls the top of the ownership chain
+    const registeredParent = entities.find(entity => entity.relationship === 'ultimate_parent') ||
+        entities.find(entity => entity.relationship === 'direct_parent');
+    const controller = data.ownershipGraph?.ultimateControllers?.[0];
+    const ultimateParent = registeredParent
+        ? { name: registeredParent.name, lei: registeredParent.lei || null, source: 'GLEIF' }
+        : controller ? { name: controller.name, lei: controller.lei || null, source: 'Ownership chain' } : null;
+
+    const flags = [];
+    if (data.sanctions?.hits?.length > 0) flags.push('sanctions-match');
+    if (data.sanctions?.ownershipRule?.applies) flags.push('ofac-50-percent-rule');
+    else if (data.sanctions?.ownershipRule?.possible) flags.push('ofac-50-percent-possible');
+    if (['HIGH', 'MEDIUM'].includes(data.offshoreAnalysis?.riskLevel)) flags.push(`offshore-risk-${data.offshoreAnalysis.riskLevel.toLowerCase()}`);
+    if (data.governmentContracts?.length > 0) flags.push('government-contractor');
+    if (data.ownershipChanges?.hasChanges) flags.push('ownership-changed');
+    if ((data.owners || []).length === 0 && (data.ownershipEdges || []).length === 0) flags.push('no-ownership-data');
+    if (matchConfidence < BULK_ENRICHMENT_CONFIG.lowConfidence) flags.push('low-match-confidence');
+
+    return {
+        matchedName: identifiers.name || data.companyName,
+        matchConfidence,
+        matchVia: row.match.via === 'input' ? identifiers.matchType : `${row.match.via} > ${identifiers.matchType}`,
+        ticker: identifiers.ticker || data.symbol || null,
+        cik: identifiers.cik || null,
+        lei: identifiers.lei || entities.find(entity => entity.relationship === 'subject')?.lei || null,
+        jurisdiction: identifiers.jurisdiction || entities.find(entity => entity.relationship === 'subject')?.jurisdiction || null,
+        ultimateParent,
+        topHolders: (data.owners || []).slice(0, BULK_ENRICHMENT_CONFIG.topHolderCount).map(owner => ({ name: owner.name, percent: owner.percent ?? null })),
+        flags,
+        sources: data.sources || [],
+        enrichedAt: data.lastUpdated
+    };
+}
+
+// The job lives in chrome.storage.local and every row is saved as it finishes,
+// so a worker that is shut down mid-run picks up from the first unfinished row
+class BulkEnrichmentQueue {
+    constructor(enrichRow, options = {}) {
+        this.enrichRow = enrichRow; // async (row) => summary, or null when the row could not be resolved
+        this.rowInterval = options.rowInterval ?? BULK_ENRICHMENT_CONFIG.rowInterval;
+        this.retryBackoff = options.retryBackoff ?? BULK_ENRICHMENT_CONFIG.retryBackoff;
+        this.running = false;
+    }
+
+    async start({ filename, headers, rows }) {
+        const current = await this.load();
+        if (current?.status === 'running') {
+            throw new Error('A bulk enrichment is already running - cancel it first');
+        }
+
+        const job = {
+            id: `bulk-${Date.now()}`,
+            filename: filename || 'counterparties.csv',
+            headers,
+            status: 'running',
+            createdAt: new Date().toISOString(),
+            completedAt: null,
+            rows: rows.map(row => ({ ...row, status: 'pending', attempts: 0, notBefore: 0, result: null, error: null }))
+        };
+
+        await this.save(job);
+        return job;
+    }
+
+    async cancel() {
+        const job = await this.load();
+        if (!job || job.status !== 'running') return job;
+
+        job.status = 'cancelled';
+        job.completedAt = new Date().toISOString();
+        await this.save(job);
+        return job;
+    }
+
+    // Safe to call at any time - returns at once when there is nothing to do or this worker is already on it
+    async resume() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            let job = await this.load();
+            while (job?.status === 'running') {
+                const pending = job.rows.filter(row => row.status === 'pending');
+                if (pending.length === 0) {
+                    job.status = 'complete';
+                    job.completedAt = new Date().toISOString();
+                    await this.save(job);
+                    break;
+                }
+
+                // Rows that failed wait out their backoff while later rows carry on
+                const now = Date.now();
+                const row = pending.find(candidate => candidate.notBefore <= now);
+                if (!row) {
+                    await sleep(Math.min(...pending.map(candidate => candidate.notBefore)) - now);
+                    job = await this.load();
+                    continue;
+                }
+
+                const outcome = await this.processRow(row);
+
+                // Re-read before writing - the job may have been cancelled while the lookup ran
+                job = await this.load();
+                if (job?.status !== 'running') break;
+                job.rows[job.rows.findIndex(candidate => candidate.index === row.index)] = outcome;
+                await this.save(job);
+
+                await sleep(this.rowInterval);
+                job = await this.load();
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async processRow(row) {
+        const attempts = row.attempts + 1;
+
+        try {
+            const result = await this.enrichRow(row);
+            return { ...row, attempts, status: result ? 'done' : 'unresolved', result, error: result ? null : `Could not resolve "${row.input}" to a ticker or CIK` };
+
+        } catch (error) {
+            console.warn(`Bulk enrichment row ${row.index + 1} failed (attempt ${attempts}):`, error.message);
+            return attempts >= BULK_ENRICHMENT_CONFIG.maxAttempts
+                ? { ...row, attempts, status: 'error', error: error.message }
+                : { ...row, attempts, notBefore: Date.now() + this.retryBackoff * attempts, error: error.message };
+        }
+    }
+
+    async load() {
+        const stored = await chrome.storage.local.get([BULK_ENRICHMENT_CONFIG.storageKey]);
+        return stored[BULK_ENRICHMENT_CONFIG.storageKey] || null;
+    }
+
+    async save(job) {
+        job.updatedAt = new Date().toISOString();
+        await chrome.storage.local.set({ [BULK_ENRICHMENT_CONFIG.storageKey]: job });
+    }
+}
+
+function describeEnrichmentProgress(job) {
+    const count = (status) => job.rows.filter(row => row.status === status).length;
+    return {
+        total: job.rows.length,
+        done: count('done'),
+        unresolved: count('unresolved'),
+        failed: count('error'),
+        pending: count('pending')
+    };
+}
+
+// The original columns come back untouched, with the enrichment appended to each row
+function formatEnrichmentResults(job, format) {
+    const basename = job.filename.replace(/\.[^.]+$/, '');
+    const described = job.rows.map(row => ({ row, columns: describeEnrichmentColumns(row) }));
+
+    if (format === 'json') {
+        return {
+            filename: `${basename}-enriched.json`,
+            mimeType: 'application/json',
+            content: JSON.stringify({
+                source: job.filename,
+                status: job.status,
+                createdAt: job.createdAt,
+                completedAt: job.completedAt,
+                progress: describeEnrichmentProgress(job),
+                rows: described.map(({ row }) => ({
+                    input: Object.fromEntries(job.headers.map((header, index) => [header, row.values[index] ?? null])),
+                    query: row.query,
+                    status: row.status,
+                    ...(row.result || {}),
+                    error: row.error
+                }))
+            }, null, 2)
+        };
+    }
+
+    if (format !== 'csv') {
+        throw new Error(`Unknown enrichment format: ${format}`);
+    }
+
+    return {
+        filename: `${basename}-enriched.csv`,
+        mimeType: 'text/csv',
+        content: [
+            [...job.headers, ...ENRICHMENT_COLUMNS].map(csvCell).join(','),
+            ...described.map(({ row, columns }) => [
+                ...job.headers.map((header, index) => row.values[index]),
+                ...ENRICHMENT_COLUMNS.map(column => columns[column])
+            ].map(csvCell).join(','))
+        ].join('\n') + '\n'
+    };
+}
+
+function describeEnrichmentColumns(row) {
+    const result = row.result || {};
+    const percent = (value) => typeof value === 'number' ? `${value}%` : value;
+
+    return {
+        match_status: row.status,
+        matched_name: result.matchedName,
+        match_confidence: result.matchConfidence,
+        match_via: result.matchVia,
+        ticker: result.ticker,
+        cik: result.cik,
+        lei: result.lei,
+        jurisdiction: result.jurisdiction,
+        ultimate_parent: result.ultimateParent ? `${result.ultimateParent.name}${result.ultimateParent.lei ? ` (${result.ultimateParent.lei})` : ''}` : null,
+        top_holders: result.topHolders?.map(holder => holder.percent ? `${holder.name} (${percent(holder.percent)})` : holder.name).join('; '),
+        flags: result.flags?.join('; '),
+        error: row.error,
+        enriched_at: result.enrichedAt
+    };
+}
+
+function parseCSVText(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i <= source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else if (char !== undefined) {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r' || char === undefined) {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(value => value.trim() !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    return rows;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.parseEnrichmentCSV = parseEnrichmentCSV;
+    window.prepareEnrichmentRow = prepareEnrichmentRow;
+    window.summarizeEnrichment = summarizeEnrichment;
+    window.BulkEnrichmentQueue = BulkEnrichmentQueue;
+    window.describeEnrichmentProgress = describeEnrichmentProgress;
+    window.formatEnrichmentResults = formatEnrichmentResults;
+}
+
+console.log('📋 Bulk enrichment ready - resumable CSV and JSON enrichment enabled');
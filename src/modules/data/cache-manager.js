@@ -0,0 +1,509 @@
+// Ownership Graph Store - Entities, ownership edges, identifiers and holder snapshots persisted in IndexedDB
+// Shares the owner-name normalizer from ownership-graph.js and the snapshot diff from ownership-history.js, which must load first
+console.log('Corporate Genome: Graph store module loaded');
+
+const GRAPH_STORE_CONFIG = {
+    dbName: 'corporate-genome-graph',
+    version: 2,
+    ownedByThreshold: 10, // Default percent for "entities owned by X" queries
+    maxPathDepth: 8,
+    neighbourhoodDepth: 2, // Hops either side of the entity an export covers by default
+    uniqueValue: 'An ownership graph that grows as analysts browse and answers queries offline'
+};
+
+// Hard identifiers, strongest first - a stored entity matched on one of these is the same entity
+const ENTITY_IDENTIFIER_TYPES = ['lei', 'reg', 'cik', 'isin', 'cusip', 'ticker'];
+
+class OwnershipGraphStore {
+    constructor() {
+        this.opening = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        // One connection per worker, shared by every query
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                const request = indexedDB.open(GRAPH_STORE_CONFIG.dbName, GRAPH_STORE_CONFIG.version);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+
+                    if (event.oldVersion < 1) {
+                        db.createObjectStore('entities', { keyPath: 'id' });
+
+                        const edges = db.createObjectStore('edges', { keyPath: 'id' });
+                        edges.createIndex('from', 'from');
+                        edges.createIndex('to', 'to');
+
+                        const identifiers = db.createObjectStore('identifiers', { keyPath: 'key' });
+                        identifiers.createIndex('entityId', 'entityId');
+                    }
+
+                    if (event.oldVersion < 2) {
+                        const snapshots = db.createObjectStore('snapshots', { keyPath: 'id' });
+                        snapshots.createIndex('entityId', 'entityId');
+                        snapshots.createIndex('takenAt', 'takenAt');
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this.opening = null;
+                throw error;
+            });
+        }
+
+        return this.opening;
+    }
+
+    // Fold one orchestration's ownership graph into the stored graph
+    async recordGraph(mergedData) {
+        const graph = mergedData?.ownershipGraph;
+        if (!graph || !this.isAvailable()) return null;
+
+        try {
+            const db = await this.open();
+            const recordedAt = mergedData.lastUpdated || new Date().toISOString();
+            const seenOn = recordedAt.split('T')[0];
+
+            // Match every node to a stored entity before writing, so one write transaction covers the lot
+            const entityIds = new Map(); // graph node id -> stored entity id
+            const entities = new Map(); // stored entity id -> record to write
+            for (const node of graph.nodes) {
+                const keys = entityKeys(node, node.id === graph.subject ? mergedData.identifiers : null);
+                const matchedId = await this.matchEntityId(db, keys, node);
+                const stored = entities.get(matchedId) || await this.readEntity(db, matchedId);
+                const entity = mergeEntityRecord(stored, node, keys, seenOn);
+
+                entityIds.set(node.id, entity.id);
+                entities.set(entity.id, entity);
+            }
+
+            const edges = graph.edges.flatMap(edge => {
+                const from = entityIds.get(edge.from);
+                const to = entityIds.get(edge.to);
+                if (from === to) return [];
+
+                // One row per reporting source, so a stale source can't mask a fresh one
+                return (edge.sources.length > 0 ? edge.sources : ['unknown']).map(source => ({
+                    id: `${from}->${to}|${source}`,
+                    from,
+                    to,
+                    percent: edge.percent,
+                    votingPercent: edge.votingPercent,
+                    controls: edge.controls,
+                    influence: edge.influence,
+                    basis: edge.basis,
+                    inferred: edge.inferred,
+                    source,
+                    asOf: edge.asOf || seenOn,
+                    recordedAt
+                }));
+            });
+
+            const transaction = db.transaction(['entities', 'edges', 'identifiers'], 'readwrite');
+            entities.forEach(entity => {
+                transaction.objectStore('entities').put(entity);
+                entity.keys.forEach(key => transaction.objectStore('identifiers').put({ key, entityId: entity.id }));
+            });
+            edges.forEach(edge => transaction.objectStore('edges').put(edge));
+            await transactionDone(transaction);
+
+            console.log(`🗄️ Graph store recorded ${entities.size} entities and ${edges.length} edges for ${mergedData.companyName}`);
+            return { subjectId: entityIds.get(graph.subject), entities: entities.size, edges: edges.length };
+
+        } catch (error) {
+            console.error('Graph store error:', error);
+            return null;
+        }
+    }
+
+    async matchEntityId(db, keys, node) {
+        const transaction = db.transaction(['identifiers', 'entities'], 'readonly');
+        const identifiers = transaction.objectStore('identifiers');
+
+        for (const key of keys.filter(key => !key.startsWith('name:'))) {
+            const row = await requestResult(identifiers.get(key));
+            if (row) return row.entityId;
+        }
+
+        // Names only join entities that don't carry a conflicting registration or LEI
+        const nameKey = keys.find(key => key.startsWith('name:'));
+        const row = nameKey ? await requestResult(identifiers.get(nameKey)) : null;
+        if (!row) return null;
+
+        const candidate = await requestResult(transaction.objectStore('entities').get(row.entityId));
+        const conflicts = ['lei', 'registration'].some(field => node[field] && candidate?.[field] && node[field] !== candidate[field]);
+        return conflicts ? null : row.entityId;
+    }
+
+    async readEntity(db, entityId) {
+        if (!entityId) return null;
+        return requestResult(db.transaction('entities', 'readonly').objectStore('entities').get(entityId));
+    }
+
+    // Accepts a stored entity id, an identifier key ("lei:...", "cik:...", "ticker:...") or a company name
+    async findEntity(query) {
+        if (!query || !this.isAvailable()) return null;
+
+        const db = await this.open();
+        const transaction = db.transaction(['entities', 'identifiers'], 'readonly');
+        const entities = transaction.objectStore('entities');
+        const identifiers = transaction.objectStore('identifiers');
+        const trimmed = String(query).trim();
+
+        const byId = await requestResult(entities.get(trimmed));
+        if (byId) return byId;
+
+        const candidateKeys = [trimmed, `lei:${trimmed.toUpperCase()}`, `ticker:${trimmed.toUpperCase()}`, `name:${normalizeOwnerName(trimmed)}`];
+        for (const key of candidateKeys) {
+            const row = await requestResult(identifiers.get(key));
+            if (row) return requestResult(entities.get(row.entityId));
+        }
+
+        return null;
+    }
+
+    // "All entities owned more than minPercent by X"
+    async ownedBy(query, minPercent = GRAPH_STORE_CONFIG.ownedByThreshold) {
+        const owner = await this.findEntity(query);
+        if (!owner) return null;
+
+        const db = await this.open();
+        const holdings = collapseEdges(await this.readEdges('from', owner.id))
+            .filter(edge => (edge.percent?.min ?? -1) > minPercent)
+            .sort((a, b) => b.percent.min - a.percent.min);
+
+        return {
+            owner,
+            minPercent,
+            holdings: await Promise.all(holdings.map(async edge => ({
+                entity: await this.readEntity(db, edge.to),
+                ...describeStoredEdge(edge)
+            })))
+        };
+    }
+
+    // "All parents of Y" - every controlling owner up the chain
+    async parentsOf(query) {
+        const subject = await this.findEntity(query);
+        if (!subject) return null;
+
+        const db = await this.open();
+        const parents = [];
+        const visited = new Set([subject.id]);
+        let frontier = [subject.id];
+
+        for (let depth = 1; depth <= GRAPH_STORE_CONFIG.maxPathDepth && frontier.length > 0; depth++) {
+            const next = [];
+
+            for (const entityId of frontier) {
+                const controlling = collapseEdges(await this.readEdges('to', entityId))
+                    .filter(edge => edgeConfersControl(edge) && !visited.has(edge.from));
+
+                for (const edge of controlling) {
+                    visited.add(edge.from);
+                    next.push(edge.from);
+                    parents.push({
+                        entity: await this.readEntity(db, edge.from),
+                        depth,
+                        child: entityId,
+                        ...describeStoredEdge(edge)
+                    });
+                }
+            }
+
+            frontier = next;
+        }
+
+        return { subject, parents };
+    }
+
+    // "Shortest ownership path between A and B" - searched downward from each end in turn
+    async shortestPath(fromQuery, toQuery) {
+        const [a, b] = await Promise.all([this.findEntity(fromQuery), this.findEntity(toQuery)]);
+        if (!a || !b) return null;
+
+        const path = await this.searchDownward(a.id, b.id) || await this.searchDownward(b.id, a.id);
+        if (!path) return { from: a, to: b, hops: [] };
+
+        const db = await this.open();
+        return {
+            from: a,
+            to: b,
+            direction: path[0].from === a.id ? 'a-owns-b' : 'b-owns-a',
+            hops: await Promise.all(path.map(async edge => ({
+                owner: await this.readEntity(db, edge.from),
+                owned: await this.readEntity(db, edge.to),
+                ...describeStoredEdge(edge)
+            })))
+        };
+    }
+
+    // Breadth-first, so the first arrival is a shortest chain
+    async searchDownward(startId, targetId) {
+        const cameFrom = new Map([[startId, null]]);
+        let frontier = [startId];
+
+        for (let depth = 0; depth < GRAPH_STORE_CONFIG.maxPathDepth && frontier.length > 0; depth++) {
+            const next = [];
+
+            for (const entityId of frontier) {
+                for (const edge of collapseEdges(await this.readEdges('from', entityId))) {
+                    if (cameFrom.has(edge.to)) continue;
+                    cameFrom.set(edge.to, edge);
+
+                    if (edge.to === targetId) {
+                        const path = [];
+                        for (let step = edge; step; step = cameFrom.get(step.from)) path.unshift(step);
+                        return path;
+                    }
+
+                    next.push(edge.to);
+                }
+            }
+
+            frontier = next;
+        }
+
+        return null;
+    }
+
+    // Everything within `depth` hops of an entity, owners and holdings alike - one row per reporting source
+    async neighbourhood(query, { depth = GRAPH_STORE_CONFIG.neighbourhoodDepth, minPercent = 0 } = {}) {
+        const subject = await this.findEntity(query);
+        if (!subject) return null;
+
+        const db = await this.open();
+        const entities = new Map([[subject.id, subject]]);
+        const edges = new Map();
+        let frontier = [subject.id];
+
+        for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+            const next = [];
+
+            for (const entityId of frontier) {
+                const rows = [...await this.readEdges('from', entityId), ...await this.readEdges('to', entityId)]
+                    .filter(edge => minPercent === 0 || (edge.percent?.max || 0) >= minPercent);
+
+                for (const edge of rows) {
+                    edges.set(edge.id, edge);
+
+                    for (const neighbourId of [edge.from, edge.to]) {
+                        if (entities.has(neighbourId)) continue;
+                        entities.set(neighbourId, await this.readEntity(db, neighbourId));
+                        next.push(neighbourId);
+                    }
+                }
+            }
+
+            frontier = next;
+        }
+
+        return {
+            subject,
+            depth,
+            minPercent,
+            entities: Array.from(entities.values()),
+            edges: Array.from(edges.values())
+        };
+    }
+
+    // Store a dated holder snapshot and diff it against the one before - the analyst's last look
+    async recordSnapshot(entityId, snapshot) {
+        if (!entityId || !snapshot || !this.isAvailable()) return null;
+
+        try {
+            const db = await this.open();
+            const history = await this.readSnapshots(db, entityId);
+            const previous = history[history.length - 1] || null;
+            const changes = previous
+                ? diffOwnershipSnapshots(previous, snapshot, { threshold: await readChangeThreshold() })
+                : null;
+
+            // Every hover orchestrates - only a lookup whose holders moved becomes a new dated snapshot
+            if (previous && sameOwnershipHolders(previous, snapshot)) return changes;
+
+            const transaction = db.transaction('snapshots', 'readwrite');
+            const snapshots = transaction.objectStore('snapshots');
+            snapshots.put({ id: `${entityId}|${snapshot.takenAt}`, entityId, ...snapshot, changes });
+
+            // Oldest snapshots go first once an entity's history is full
+            history.slice(0, Math.max(0, history.length + 1 - OWNERSHIP_HISTORY_CONFIG.maxSnapshotsPerEntity))
+                .forEach(old => snapshots.delete(old.id));
+            await transactionDone(transaction);
+
+            return changes;
+
+        } catch (error) {
+            console.error('Graph store snapshot error:', error);
+            return null;
+        }
+    }
+
+    async listSnapshots(query) {
+        const entity = await this.findEntity(query);
+        if (!entity) return null;
+
+        const snapshots = await this.readSnapshots(await this.open(), entity.id);
+        return {
+            entity,
+            snapshots: snapshots.map(snapshot => ({
+                takenAt: snapshot.takenAt,
+                holderCount: snapshot.holders.length,
+                sources: snapshot.sources,
+                hasChanges: Boolean(snapshot.changes?.hasChanges)
+            }))
+        };
+    }
+
+    // Diff any two stored snapshots; defaults to the latest against the one before it
+    async diffSnapshots(query, fromTakenAt = null, toTakenAt = null, threshold = null) {
+        const entity = await this.findEntity(query);
+        if (!entity) return null;
+
+        const snapshots = await this.readSnapshots(await this.open(), entity.id);
+        const newer = toTakenAt ? snapshots.find(snapshot => snapshot.takenAt === toTakenAt) : snapshots[snapshots.length - 1];
+        const older = fromTakenAt ? snapshots.find(snapshot => snapshot.takenAt === fromTakenAt) : snapshots[snapshots.indexOf(newer) - 1];
+        if (!older || !newer) return null;
+
+        return {
+            entity,
+            ...diffOwnershipSnapshots(older, newer, { threshold: threshold ?? await readChangeThreshold() })
+        };
+    }
+
+    // The latest snapshot per entity that moved since the visit before, newest first
+    async recentChanges(limit = 10) {
+        if (!this.isAvailable()) return [];
+
+        const db = await this.open();
+        const snapshots = await requestResult(db.transaction('snapshots', 'readonly').objectStore('snapshots').index('takenAt').getAll());
+        const latest = new Map();
+
+        snapshots.reverse().forEach(snapshot => {
+            if (!latest.has(snapshot.entityId)) latest.set(snapshot.entityId, snapshot);
+        });
+
+        return Array.from(latest.values())
+            .filter(snapshot => snapshot.changes?.hasChanges)
+            .slice(0, limit)
+            .map(snapshot => ({ entityId: snapshot.entityId, companyName: snapshot.companyName, changes: snapshot.changes }));
+    }
+
+    async readSnapshots(db, entityId) {
+        const snapshots = await requestResult(db.transaction('snapshots', 'readonly').objectStore('snapshots').index('entityId').getAll(entityId));
+        return snapshots.sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+    }
+
+    async readEdges(indexName, entityId) {
+        const db = await this.open();
+        return requestResult(db.transaction('edges', 'readonly').objectStore('edges').index(indexName).getAll(entityId));
+    }
+}
+
+// Identifier keys the stored entity is reachable by; the subject also carries its resolved ID bundle
+function entityKeys(node, identifiers) {
+    const keys = [];
+    if (node.lei) keys.push(`lei:${node.lei}`);
+    if (node.registration) keys.push(`reg:${(node.jurisdiction || '').toLowerCase()}:${node.registration}`);
+
+    if (identifiers) {
+        if (identifiers.lei && !node.lei) keys.push(`lei:${identifiers.lei}`);
+        if (identifiers.cik) keys.push(`cik:${identifiers.cik}`);
+        if (identifiers.isin) keys.push(`isin:${identifiers.isin}`);
+        if (identifiers.cusip) keys.push(`cusip:${identifiers.cusip}`);
+        (identifiers.tickers || []).forEach(ticker => keys.push(`ticker:${ticker}`));
+    }
+
+    const normalizedName = normalizeOwnerName(node.name);
+    if (normalizedName) keys.push(`name:${normalizedName}`);
+
+    return keys.sort((a, b) => identifierRank(a) - identifierRank(b));
+}
+
+function identifierRank(key) {
+    const rank = ENTITY_IDENTIFIER_TYPES.indexOf(key.split(':')[0]);
+    return rank === -1 ? ENTITY_IDENTIFIER_TYPES.length : rank;
+}
+
+function mergeEntityRecord(stored, node, keys, seenOn) {
+    const entity = stored || {
+        id: keys[0],
+        name: node.name,
+        kind: 'unknown',
+        jurisdiction: null,
+        registration: null,
+        lei: null,
+        keys: [],
+        firstSeen: seenOn
+    };
+
+    if (entity.kind === 'unknown') entity.kind = node.kind;
+    entity.jurisdiction = entity.jurisdiction || node.jurisdiction || null;
+    entity.registration = entity.registration || node.registration || null;
+    entity.lei = entity.lei || node.lei || null;
+    entity.keys = [...new Set([...entity.keys, ...keys])];
+    entity.lastSeen = seenOn;
+
+    return entity;
+}
+
+// Several sources can report the same owner-owned pair - answer queries with the best-evidenced stake
+function collapseEdges(edges) {
+    const byPair = new Map();
+
+    edges.forEach(edge => {
+        const key = `${edge.from}->${edge.to}`;
+        const existing = byPair.get(key);
+        if (!existing) {
+            byPair.set(key, { ...edge, sources: [edge.source] });
+            return;
+        }
+
+        if ((edge.percent?.min ?? -1) > (existing.percent?.min ?? -1)) existing.percent = edge.percent;
+        existing.controls = existing.controls || edge.controls;
+        existing.influence = existing.influence || edge.influence;
+        existing.asOf = [existing.asOf, edge.asOf].filter(Boolean).sort().pop();
+        existing.sources.push(edge.source);
+    });
+
+    return Array.from(byPair.values());
+}
+
+function describeStoredEdge(edge) {
+    return {
+        percent: edge.percent,
+        controls: edgeConfersControl(edge),
+        influence: edge.influence,
+        sources: edge.sources,
+        asOf: edge.asOf
+    };
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Graph store transaction aborted'));
+    });
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.OwnershipGraphStore = OwnershipGraphStore;
+}
+
+console.log('🗄️ Graph store ready - Persistent ownership graph enabled');
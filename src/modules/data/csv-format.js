@@ -0,0 +1,20 @@
+// CSV Format - One cell writer for every CSV the extension hands the user
+console.log('Corporate Genome: CSV format module loaded');
+
+// Spreadsheets run a cell starting with one of these as a formula - company and holder names come from the web
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    // Numbers are data, never formulas - a negative one keeps its sign
+    const text = typeof value === 'number' ? String(value) : String(value).replace(CSV_FORMULA_PREFIX, "'$&");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.csvCell = csvCell;
+}
+
+console.log('🧾 CSV format ready - formula-safe cells enabled');
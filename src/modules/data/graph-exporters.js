@@ -0,0 +1,223 @@
+// Graph Exporters - Stored ownership neighbourhoods as GraphML, GEXF, Cytoscape.js JSON and Neo4j Cypher
+console.log('Corporate Genome: Graph exporters module loaded');
+
+const GRAPH_EXPORT_CONFIG = {
+    generator: 'Corporate Genome',
+    uniqueValue: 'Ownership graphs that open straight in Gephi, Cytoscape and Neo4j'
+};
+
+// Attribute schemas shared by every format, so a node or edge carries the same fields wherever it lands
+const EXPORT_NODE_ATTRIBUTES = [
+    { name: 'label', type: 'string' },
+    { name: 'kind', type: 'string' },
+    { name: 'ticker', type: 'string' },
+    { name: 'cik', type: 'string' },
+    { name: 'lei', type: 'string' },
+    { name: 'isin', type: 'string' },
+    { name: 'cusip', type: 'string' },
+    { name: 'registration', type: 'string' },
+    { name: 'jurisdiction', type: 'string' },
+    { name: 'firstSeen', type: 'string' },
+    { name: 'lastSeen', type: 'string' }
+];
+
+const EXPORT_EDGE_ATTRIBUTES = [
+    { name: 'percentMin', type: 'double' },
+    { name: 'percentMax', type: 'double' },
+    { name: 'controls', type: 'boolean' },
+    { name: 'influence', type: 'boolean' },
+    { name: 'basis', type: 'string' },
+    { name: 'inferred', type: 'boolean' },
+    { name: 'dataSource', type: 'string' }, // "source" is an edge endpoint in GraphML and Cytoscape
+    { name: 'asOf', type: 'string' }
+];
+
+const GRAPH_EXPORT_FORMATS = {
+    graphml: { extension: 'graphml', mimeType: 'application/graphml+xml', serialize: toGraphML },
+    gexf: { extension: 'gexf', mimeType: 'application/gexf+xml', serialize: toGEXF },
+    cytoscape: { extension: 'cyjs', mimeType: 'application/json', serialize: toCytoscapeJSON },
+    cypher: { extension: 'cypher', mimeType: 'text/plain', serialize: toCypher }
+};
+
+// neighbourhood comes from OwnershipGraphStore.neighbourhood()
+function exportOwnershipGraph(neighbourhood, format) {
+    const exporter = GRAPH_EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unknown graph export format: ${format}`);
+    }
+
+    const graph = {
+        subject: neighbourhood.subject,
+        generatedAt: new Date().toISOString(),
+        nodes: neighbourhood.entities.map(describeExportNode),
+        edges: neighbourhood.edges.map(describeExportEdge)
+    };
+
+    const slug = (neighbourhood.subject.name || 'ownership').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return {
+        filename: `${slug}-ownership.${exporter.extension}`,
+        mimeType: exporter.mimeType,
+        content: exporter.serialize(graph)
+    };
+}
+
+// Stored entities keep their identifiers as keys ("cik:0000320193") - lift them back out
+function describeExportNode(entity) {
+    const identifier = (type) => {
+        const values = entity.keys.filter(key => key.startsWith(`${type}:`)).map(key => key.slice(type.length + 1));
+        return values.length > 0 ? values.join(';') : null;
+    };
+
+    return {
+        id: entity.id,
+        label: entity.name,
+        kind: entity.kind,
+        ticker: identifier('ticker'),
+        cik: identifier('cik'),
+        lei: entity.lei || identifier('lei'),
+        isin: identifier('isin'),
+        cusip: identifier('cusip'),
+        registration: entity.registration,
+        jurisdiction: entity.jurisdiction,
+        firstSeen: entity.firstSeen || null,
+        lastSeen: entity.lastSeen || null
+    };
+}
+
+function describeExportEdge(edge) {
+    return {
+        id: edge.id,
+        source: edge.from,
+        target: edge.to,
+        percentMin: edge.percent?.min ?? null,
+        percentMax: edge.percent?.max ?? null,
+        controls: Boolean(edge.controls),
+        influence: Boolean(edge.influence),
+        basis: edge.basis || null,
+        inferred: Boolean(edge.inferred),
+        dataSource: edge.source,
+        asOf: edge.asOf || null
+    };
+}
+
+function toGraphML(graph) {
+    const keys = [
+        ...EXPORT_NODE_ATTRIBUTES.map(attribute => ({ ...attribute, domain: 'node' })),
+        ...EXPORT_EDGE_ATTRIBUTES.map(attribute => ({ ...attribute, domain: 'edge' }))
+    ];
+    const dataElements = (item, attributes) => attributes
+        .filter(attribute => item[attribute.name] !== null)
+        .map(attribute => `      <data key="${attribute.domain === 'node' ? 'n' : 'e'}_${attribute.name}">${escapeXml(item[attribute.name])}</data>`)
+        .join('\n');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+        ...keys.map(key => `  <key id="${key.domain === 'node' ? 'n' : 'e'}_${key.name}" for="${key.domain}" attr.name="${key.name}" attr.type="${key.type}"/>`),
+        `  <graph id="${escapeXml(graph.subject.id)}" edgedefault="directed">`,
+        ...graph.nodes.map(node => `    <node id="${escapeXml(node.id)}">\n${dataElements(node, keys.filter(key => key.domain === 'node'))}\n    </node>`),
+        ...graph.edges.map(edge => `    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">\n${dataElements(edge, keys.filter(key => key.domain === 'edge'))}\n    </edge>`),
+        '  </graph>',
+        '</graphml>',
+        ''
+    ].join('\n');
+}
+
+function toGEXF(graph) {
+    const attributeDeclarations = (attributes) => attributes
+        .filter(attribute => attribute.name !== 'label')
+        .map((attribute, index) => `      <attribute id="${index}" title="${attribute.name}" type="${attribute.type}"/>`);
+    const attributeValues = (item, attributes) => attributes
+        .filter(attribute => attribute.name !== 'label')
+        .map((attribute, index) => item[attribute.name] === null ? null : `        <attvalue for="${index}" value="${escapeXml(item[attribute.name])}"/>`)
+        .filter(Boolean)
+        .join('\n');
+
+    // Gephi sizes edges by weight - the stake's midpoint, or a hairline when undisclosed
+    const weight = (edge) => edge.percentMin === null ? 1 : (edge.percentMin + edge.percentMax) / 2;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+        `  <meta lastmodifieddate="${graph.generatedAt.split('T')[0]}">`,
+        `    <creator>${GRAPH_EXPORT_CONFIG.generator}</creator>`,
+        `    <description>Ownership neighbourhood of ${escapeXml(graph.subject.name)}</description>`,
+        '  </meta>',
+        '  <graph defaultedgetype="directed" mode="static">',
+        '    <attributes class="node">',
+        ...attributeDeclarations(EXPORT_NODE_ATTRIBUTES),
+        '    </attributes>',
+        '    <attributes class="edge">',
+        ...attributeDeclarations(EXPORT_EDGE_ATTRIBUTES),
+        '    </attributes>',
+        '    <nodes>',
+        ...graph.nodes.map(node => `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}">\n        <attvalues>\n${attributeValues(node, EXPORT_NODE_ATTRIBUTES)}\n        </attvalues>\n      </node>`),
+        '    </nodes>',
+        '    <edges>',
+        ...graph.edges.map(edge => `      <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" weight="${weight(edge)}">\n        <attvalues>\n${attributeValues(edge, EXPORT_EDGE_ATTRIBUTES)}\n        </attvalues>\n      </edge>`),
+        '    </edges>',
+        '  </graph>',
+        '</gexf>',
+        ''
+    ].join('\n');
+}
+
+function toCytoscapeJSON(graph) {
+    return JSON.stringify({
+        format_version: '1.0',
+        generated_by: GRAPH_EXPORT_CONFIG.generator,
+        data: { name: `${graph.subject.name} ownership`, subject: graph.subject.id, generatedAt: graph.generatedAt },
+        elements: {
+            nodes: graph.nodes.map(node => ({ data: { ...node, name: node.label } })),
+            edges: graph.edges.map(edge => ({ data: edge }))
+        }
+    }, null, 2);
+}
+
+// MERGE throughout, so re-importing a refreshed export updates the database instead of duplicating it
+function toCypher(graph) {
+    const nodeLabel = (node) => node.kind === 'individual' ? 'Person' : node.kind === 'corporate' ? 'Company' : null;
+
+    return [
+        `// ${GRAPH_EXPORT_CONFIG.generator} ownership export - ${graph.subject.name.replace(/[\r\n]+/g, ' ')} - ${graph.generatedAt}`,
+        'CREATE CONSTRAINT entity_id IF NOT EXISTS FOR (n:Entity) REQUIRE n.id IS UNIQUE;',
+        ...graph.nodes.map(node => {
+            const { id, label, ...properties } = node;
+            return `MERGE (n:Entity {id: ${cypherValue(id)}}) SET n += ${cypherMap({ name: label, ...properties })}${nodeLabel(node) ? `, n:${nodeLabel(node)}` : ''};`;
+        }),
+        ...graph.edges.map(edge => {
+            const { id, source, target, dataSource, ...properties } = edge;
+            return `MATCH (a:Entity {id: ${cypherValue(source)}}), (b:Entity {id: ${cypherValue(target)}}) ` +
+                `MERGE (a)-[r:OWNS {source: ${cypherValue(dataSource)}}]->(b) SET r += ${cypherMap(properties)};`;
+        }),
+        ''
+    ].join('\n');
+}
+
+function cypherMap(properties) {
+    const entries = Object.entries(properties)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key}: ${cypherValue(value)}`);
+    return `{${entries.join(', ')}}`;
+}
+
+function cypherValue(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\r?\n/g, '\\n')}'`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.exportOwnershipGraph = exportOwnershipGraph;
+}
+
+console.log('📤 Graph exporters ready - GraphML, GEXF, Cytoscape and Cypher enabled');
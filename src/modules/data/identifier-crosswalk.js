@@ -0,0 +1,409 @@
+// Identifier Crosswalk - Ticker ⇄ CIK ⇄ CUSIP ⇄ LEI resolution
+// Shares the SEC ticker loader from sec-edgar.js and the GLEIF client from gleif.js, which must load first
+console.log('Corporate Genome: Identifier crosswalk module loaded');
+
+const CROSSWALK_CONFIG = {
+    storageKey: 'identifier_crosswalk',
+    changesKey: 'identifier_crosswalk_changes', // Rows enriched since the table was last written whole
+    refreshInterval: 86400000, // 24 hours - matches the SEC ticker file cadence
+    gleifTTL: 2592000000, // 30 days - LEI and ISIN assignments rarely change
+    refreshBatchSize: 25,
+    noKeyRequired: true,
+    uniqueValue: 'One canonical ID bundle per entity for every data source'
+};
+
+// Primary share class CUSIPs for the knowledge-base issuers - pins the class on multi-class issuers
+const CUSIP_SEED = {
+    'AAPL': '037833100',
+    'MSFT': '594918104',
+    'GOOGL': '02079K305',
+    'AMZN': '023135106',
+    'META': '30303M102',
+    'BRK-A': '084670108',
+    'BRK-B': '084670702',
+    'JPM': '46625H100',
+    'WMT': '931142103',
+    'TSLA': '88160R101',
+    'NVDA': '67066G104'
+};
+
+const CIK_PATTERN = /^\d{1,10}$/;
+
+class IdentifierCrosswalk {
+    constructor() {
+        this.rows = new Map(); // CIK -> crosswalk row
+        this.tickerIndex = new Map();
+        this.cusipIndex = new Map();
+        this.leiIndex = new Map();
+        this.nameIndex = new Map();
+        this.seededAt = 0;
+        this.loading = null;
+        this.changedRows = new Map(); // CIK -> row enriched since the last full write
+        this.enriching = new Map(); // CIK -> pending GLEIF enrichment
+    }
+
+    // Resolve a ticker, CIK, CUSIP, LEI or company name to the canonical ID bundle
+    // options.isTicker marks a query the caller already knows is a symbol, whatever its case;
+    // options.awaitEnrichment holds the answer until GLEIF has filled the row in, for callers that aren't a hover
+    async resolve(query, options = {}) {
+        if (!query || typeof query !== 'string') return null;
+
+        try {
+            await this.ensureLoaded();
+
+            const trimmed = query.trim();
+            const upperQuery = trimmed.toUpperCase();
+            const match = this.findRow(trimmed, options);
+
+            // LEIs outside the SEC universe still resolve through GLEIF alone
+            if (!match && LEI_PATTERN.test(upperQuery)) {
+                return await this.resolveFromLei(upperQuery, trimmed);
+            }
+
+            if (!match) return null;
+
+            const { row, matchType } = match;
+            row.lastResolvedAt = Date.now();
+
+            if (!row.gleifCheckedAt || Date.now() - row.gleifCheckedAt > CROSSWALK_CONFIG.gleifTTL) {
+                const enrichment = this.scheduleEnrichment(row);
+                if (options.awaitEnrichment) await enrichment;
+            }
+
+            return this.toBundle(row, trimmed, matchType);
+
+        } catch (error) {
+            console.error('Identifier crosswalk error:', error);
+            return null;
+        }
+    }
+
+    findRow(query, options = {}) {
+        const upperQuery = query.toUpperCase();
+
+        // Indexed identifiers first - a nine-digit CUSIP would otherwise read as a CIK
+        // Only symbol-shaped text tries the tickers - "Ford" is a company name, not the FORD ticker
+        const indexed = [
+            [this.tickerIndex, upperQuery.replace('.', '-'), 'ticker', options.isTicker || looksLikeTicker(query)],
+            [this.cusipIndex, upperQuery, 'cusip', true],
+            [this.leiIndex, upperQuery, 'lei', true]
+        ];
+
+        for (const [index, key, matchType, applies] of indexed) {
+            const cik = applies && index.get(key);
+            if (cik) return { row: this.rows.get(cik), matchType };
+        }
+
+        if (CIK_PATTERN.test(query)) {
+            const row = this.rows.get(query.padStart(10, '0'));
+            if (row) return { row, matchType: 'cik' };
+        }
+
+        const normalizedQuery = normalizeRegistrantName(query);
+        if (!normalizedQuery) return null;
+
+        const byName = this.nameIndex.get(normalizedQuery);
+        if (byName) return { row: this.rows.get(byName), matchType: 'name' };
+
+        // Rows keep the SEC file order, so the largest registrant wins a prefix tie
+        for (const [normalizedName, cik] of this.nameIndex) {
+            if (normalizedName.startsWith(normalizedQuery + ' ')) {
+                return { row: this.rows.get(cik), matchType: 'name' };
+            }
+        }
+
+        return null;
+    }
+
+    toBundle(row, query, matchType) {
+        return {
+            query,
+            name: row.name,
+            ticker: row.tickers[0] || null,
+            tickers: [...row.tickers],
+            cik: row.cik,
+            cusip: row.cusip,
+            isin: row.isin || (row.cusip ? cusipToIsin(row.cusip) : null),
+            lei: row.lei,
+            jurisdiction: row.jurisdiction,
+            registeredAs: row.registeredAs,
+            matchType
+        };
+    }
+
+    async ensureLoaded() {
+        if (this.seededAt && Date.now() - this.seededAt < CROSSWALK_CONFIG.refreshInterval) return;
+
+        // Concurrent lookups share one load
+        if (!this.loading) {
+            this.loading = this.load().finally(() => {
+                this.loading = null;
+            });
+        }
+
+        return this.loading;
+    }
+
+    async load() {
+        const stored = await readCrosswalkStorage();
+        if (stored?.rows) {
+            stored.rows.forEach(row => this.indexRow(row));
+            this.seededAt = stored.seededAt || 0;
+        }
+        Object.values(stored?.changes || {}).forEach(row => {
+            this.indexRow(row);
+            this.changedRows.set(row.cik, row);
+        });
+
+        if (!this.seededAt || Date.now() - this.seededAt >= CROSSWALK_CONFIG.refreshInterval) {
+            try {
+                await this.seedFromSEC();
+                await this.persist();
+            } catch (error) {
+                // A stale table beats no table when SEC is unreachable
+                if (this.rows.size === 0) throw error;
+                console.warn('SEC ticker file unavailable, using stored crosswalk:', error.message);
+            }
+        }
+    }
+
+    async seedFromSEC() {
+        const entries = await loadCompanyTickers();
+
+        entries.forEach(entry => {
+            const existing = this.rows.get(entry.cik);
+            const row = existing || {
+                cik: entry.cik,
+                name: entry.name,
+                tickers: [],
+                cusip: null,
+                isin: null,
+                lei: null,
+                jurisdiction: null,
+                registeredAs: null,
+                gleifCheckedAt: 0,
+                lastResolvedAt: 0
+            };
+
+            row.name = entry.name;
+            if (!row.tickers.includes(entry.ticker)) row.tickers.push(entry.ticker);
+            row.cusip = row.cusip || CUSIP_SEED[entry.ticker] || null;
+
+            this.indexRow(row);
+        });
+
+        this.seededAt = Date.now();
+        console.log(`🔗 Identifier crosswalk seeded with ${this.rows.size} SEC registrants`);
+    }
+
+    indexRow(row) {
+        this.rows.set(row.cik, row);
+        row.tickers.forEach(ticker => this.tickerIndex.set(ticker, row.cik));
+        if (row.cusip) this.cusipIndex.set(row.cusip, row.cik);
+        if (row.lei) this.leiIndex.set(row.lei, row.cik);
+
+        const normalizedName = normalizeRegistrantName(row.name);
+        if (normalizedName && !this.nameIndex.has(normalizedName)) {
+            this.nameIndex.set(normalizedName, row.cik);
+        }
+    }
+
+    // Scheduled refresh - reseed from SEC, then re-check the rows people actually look up
+    async refresh() {
+        try {
+            this.seededAt = 0;
+            await this.ensureLoaded();
+
+            const stale = Array.from(this.rows.values())
+                .filter(row => row.lastResolvedAt && Date.now() - row.gleifCheckedAt > CROSSWALK_CONFIG.gleifTTL)
+                .sort((a, b) => b.lastResolvedAt - a.lastResolvedAt)
+                .slice(0, CROSSWALK_CONFIG.refreshBatchSize);
+
+            for (const row of stale) {
+                await this.enrichFromGLEIF(row);
+            }
+
+            // Lookups may still be enriching - let them land so the full write includes them
+            await this.whenEnriched();
+            await this.persist();
+            console.log(`🔗 Identifier crosswalk refreshed (${stale.length} rows re-checked with GLEIF)`);
+
+        } catch (error) {
+            console.error('Identifier crosswalk refresh error:', error);
+        }
+    }
+
+    // GLEIF costs two or three requests a row - the hover answers from the SEC file and the LEI follows on the next one
+    scheduleEnrichment(row) {
+        if (!this.enriching.has(row.cik)) {
+            const pending = this.enrichFromGLEIF(row)
+                .then(() => this.persistRows([row]))
+                .finally(() => this.enriching.delete(row.cik));
+            this.enriching.set(row.cik, pending);
+        }
+
+        return this.enriching.get(row.cik);
+    }
+
+    async whenEnriched() {
+        await Promise.all(this.enriching.values());
+    }
+
+    async enrichFromGLEIF(row) {
+        try {
+            const record = row.lei
+                ? await fetchLeiRecord(row.lei)
+                : await searchLeiRecord(row.name);
+
+            if (record) {
+                this.applyLeiRecord(row, record);
+
+                // GLEIF maps LEIs to ISINs; US ISINs embed the CUSIP
+                if (!row.cusip) {
+                    const isins = await fetchLeiIsins(record.lei);
+                    row.cusip = selectEquityCusip(isins);
+                }
+
+                if (row.cusip) row.isin = cusipToIsin(row.cusip);
+                this.indexRow(row);
+            }
+
+            row.gleifCheckedAt = Date.now();
+
+        } catch (error) {
+            // Leave gleifCheckedAt alone so the next lookup retries
+            console.warn(`GLEIF enrichment skipped for ${row.name}:`, error.message);
+        }
+    }
+
+    applyLeiRecord(row, record) {
+        row.lei = record.lei;
+        row.jurisdiction = record.jurisdiction || record.country;
+        row.registeredAs = record.registeredAs;
+        this.indexRow(row);
+    }
+
+    async resolveFromLei(lei, query) {
+        const record = await fetchLeiRecord(lei);
+        if (!record) return null;
+
+        // Registrants filing under another name still match on the legal name
+        const match = this.findRow(record.legalName);
+        if (match) {
+            // The record already names the LEI - only the ISIN-derived CUSIP waits for the enrichment
+            this.applyLeiRecord(match.row, record);
+            this.scheduleEnrichment(match.row);
+            return this.toBundle(match.row, query, 'lei');
+        }
+
+        return {
+            query,
+            name: record.legalName,
+            ticker: null,
+            tickers: [],
+            cik: null,
+            cusip: null,
+            isin: null,
+            lei: record.lei,
+            jurisdiction: record.jurisdiction || record.country,
+            registeredAs: record.registeredAs,
+            matchType: 'lei'
+        };
+    }
+
+    // The whole table - after seeding and the daily refresh, which fold the changed rows back in
+    async persist() {
+        if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+
+        try {
+            await chrome.storage.local.set({
+                [CROSSWALK_CONFIG.storageKey]: {
+                    rows: Array.from(this.rows.values()),
+                    seededAt: this.seededAt
+                },
+                [CROSSWALK_CONFIG.changesKey]: {}
+            });
+            this.changedRows.clear();
+        } catch (error) {
+            console.warn('Identifier crosswalk not persisted:', error.message);
+        }
+    }
+
+    // Lookups enrich a row at a time - rewriting the SEC table for each would write megabytes per hover
+    async persistRows(rows) {
+        rows.forEach(row => this.changedRows.set(row.cik, row));
+        if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+
+        try {
+            await chrome.storage.local.set({ [CROSSWALK_CONFIG.changesKey]: Object.fromEntries(this.changedRows) });
+        } catch (error) {
+            console.warn('Identifier crosswalk rows not persisted:', error.message);
+        }
+    }
+}
+
+async function readCrosswalkStorage() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return null;
+
+    const stored = await chrome.storage.local.get([CROSSWALK_CONFIG.storageKey, CROSSWALK_CONFIG.changesKey]);
+    if (!stored[CROSSWALK_CONFIG.storageKey]) return null;
+
+    return { ...stored[CROSSWALK_CONFIG.storageKey], changes: stored[CROSSWALK_CONFIG.changesKey] || {} };
+}
+
+async function searchLeiRecord(name) {
+    const normalizedName = normalizeRegistrantName(name);
+    const candidates = await searchLeiRecords(name);
+
+    // Full-text search is loose - only accept an issued LEI whose legal name normalizes identically
+    return candidates.find(record => record.status === 'ISSUED' && normalizeRegistrantName(record.legalName) === normalizedName) || null;
+}
+
+// CUSIP issue numbers 10-88 denote equity; letters and 90-99 are debt
+function selectEquityCusip(isins) {
+    const equityCusips = isins
+        .filter(isin => /^(US|CA)/.test(isin))
+        .map(isin => isin.slice(2, 11))
+        .filter(cusip => {
+            const issueNumber = parseInt(cusip.slice(6, 8), 10);
+            return isValidCusip(cusip) && /^\d{2}$/.test(cusip.slice(6, 8)) && issueNumber >= 10 && issueNumber <= 88;
+        })
+        .sort();
+
+    return equityCusips[0] || null;
+}
+
+function isValidCusip(cusip) {
+    if (!/^[0-9A-Z*@#]{8}[0-9]$/.test(cusip)) return false;
+
+    const sum = cusip.slice(0, 8).split('').reduce((total, char, index) => {
+        let value = /\d/.test(char) ? Number(char) : '*@#'.includes(char) ? 36 + '*@#'.indexOf(char) : char.charCodeAt(0) - 55;
+        if (index % 2 === 1) value *= 2;
+        return total + Math.floor(value / 10) + (value % 10);
+    }, 0);
+
+    return (10 - (sum % 10)) % 10 === Number(cusip[8]);
+}
+
+function cusipToIsin(cusip, country = 'US') {
+    // Letters expand to two digits, then Luhn over the whole string
+    const digits = (country + cusip).split('').map(char => /\d/.test(char) ? char : String(char.charCodeAt(0) - 55)).join('');
+
+    const sum = digits.split('').reverse().reduce((total, digit, index) => {
+        let value = Number(digit);
+        if (index % 2 === 0) {
+            value *= 2;
+            if (value > 9) value -= 9;
+        }
+        return total + value;
+    }, 0);
+
+    return `${country}${cusip}${(10 - (sum % 10)) % 10}`;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.IdentifierCrosswalk = IdentifierCrosswalk;
+}
+
+console.log('🔗 Identifier crosswalk ready - Ticker/CIK/CUSIP/LEI resolution enabled');
@@ -0,0 +1,301 @@
+// Ownership Graph - Ultimate Beneficial Owner resolution across ownership chains
+console.log('Corporate Genome: Ownership graph module loaded');
+
+const OWNERSHIP_GRAPH_CONFIG = {
+    uboThreshold: 25, // Percent of effective ownership that makes a beneficial owner (UK PSC / EU AMLD)
+    controlThreshold: 50, // A majority stake at every hop carries control up the chain
+    maxDepth: 6,
+    uniqueValue: 'Transitive ownership with an explained path for every ultimate owner'
+};
+
+class OwnershipGraph {
+    constructor() {
+        this.nodes = new Map(); // node id -> node
+        this.aliases = new Map(); // name key or registration -> node id
+        this.edges = new Map(); // "from->to" -> edge
+    }
+
+    // Nodes merge on registration number when one is known, otherwise on the normalized name
+    addNode({ name, kind = 'unknown', registration = null, jurisdiction = null, lei = null }) {
+        const nameKey = `name:${normalizeOwnerName(name)}`;
+        const registrationKey = registration ? `reg:${(jurisdiction || '').toLowerCase()}:${registration}` : null;
+        const leiKey = lei ? `lei:${lei}` : null;
+
+        const existingId = [registrationKey, leiKey, nameKey]
+            .filter(Boolean)
+            .map(key => this.aliases.get(key))
+            .find(Boolean);
+
+        const id = existingId || registrationKey || leiKey || nameKey;
+        const node = this.nodes.get(id) || { id, name, kind, registration, jurisdiction, lei };
+
+        // Later sources fill in what earlier ones lacked
+        if (node.kind === 'unknown') node.kind = kind;
+        node.registration = node.registration || registration;
+        node.jurisdiction = node.jurisdiction || jurisdiction;
+        node.lei = node.lei || lei;
+
+        this.nodes.set(id, node);
+        [registrationKey, leiKey, nameKey].filter(Boolean).forEach(key => this.aliases.set(key, id));
+
+        return id;
+    }
+
+    addEdge({ from, to, percent = null, votingPercent = null, controls = false, influence = false, basis, source, asOf = null, inferred = false }) {
+        if (from === to) return;
+
+        const key = `${from}->${to}`;
+        const existing = this.edges.get(key);
+        const edge = { from, to, percent, votingPercent, controls, influence, basis, sources: [source].filter(Boolean), asOf, inferred };
+
+        if (existing) {
+            // Two sources reporting the same stake - keep the better-evidenced percentage
+            existing.percent = (edge.percent?.min || 0) > (existing.percent?.min || 0) ? edge.percent : existing.percent || edge.percent;
+            existing.votingPercent = existing.votingPercent || edge.votingPercent;
+            existing.controls = existing.controls || edge.controls;
+            existing.influence = existing.influence || edge.influence;
+            existing.inferred = existing.inferred && edge.inferred;
+            existing.asOf = [existing.asOf, edge.asOf].filter(Boolean).sort().pop() || null;
+            existing.sources = [...new Set([...existing.sources, ...edge.sources])];
+            return;
+        }
+
+        this.edges.set(key, edge);
+    }
+
+    incomingEdges(nodeId) {
+        return Array.from(this.edges.values()).filter(edge => edge.to === nodeId);
+    }
+
+    // Walk owner edges upwards from the subject; every chain ends at an owner nobody owns
+    resolveUltimateOwners(subjectId) {
+        const paths = [];
+
+        const walk = (nodeId, hops, visited) => {
+            const incoming = this.incomingEdges(nodeId).filter(edge => !visited.has(edge.from));
+
+            if (incoming.length === 0 || hops.length >= OWNERSHIP_GRAPH_CONFIG.maxDepth) {
+                if (hops.length > 0) paths.push(hops);
+                return;
+            }
+
+            incoming.forEach(edge => walk(edge.from, [edge, ...hops], new Set([...visited, edge.from])));
+        };
+
+        walk(subjectId, [], new Set([subjectId]));
+
+        const byOwner = new Map();
+        paths.forEach(hops => {
+            const ownerId = hops[0].from;
+            const path = this.describePath(hops);
+            const owner = byOwner.get(ownerId) || { ...this.nodes.get(ownerId), paths: [] };
+            owner.paths.push(path);
+            byOwner.set(ownerId, owner);
+        });
+
+        return Array.from(byOwner.values())
+            .map(owner => {
+                // Separate chains to the same owner add up; an undisclosed hop leaves the total unknown
+                const knownPaths = owner.paths.filter(path => path.effectivePercent);
+                const effectivePercent = knownPaths.length > 0 ? {
+                    min: roundPercent(Math.min(100, knownPaths.reduce((total, path) => total + path.effectivePercent.min, 0))),
+                    max: roundPercent(Math.min(100, knownPaths.reduce((total, path) => total + path.effectivePercent.max, 0)))
+                } : null;
+
+                const controls = owner.paths.some(path => path.controls);
+                const influence = owner.paths.some(path => path.influence);
+
+                return {
+                    ...owner,
+                    effectivePercent,
+                    controls,
+                    isBeneficialOwner: controls || influence || (effectivePercent?.max || 0) >= OWNERSHIP_GRAPH_CONFIG.uboThreshold
+                };
+            })
+            .sort((a, b) => (b.controls - a.controls) || ((b.effectivePercent?.max || 0) - (a.effectivePercent?.max || 0)));
+    }
+
+    describePath(hops) {
+        let effectivePercent = { min: 100, max: 100 };
+        const steps = hops.map(edge => {
+            if (effectivePercent && edge.percent) {
+                effectivePercent = {
+                    min: effectivePercent.min * edge.percent.min / 100,
+                    max: effectivePercent.max * edge.percent.max / 100
+                };
+            } else {
+                effectivePercent = null;
+            }
+
+            return `${this.nodes.get(edge.from).name} ${describeStake(edge)} ${this.nodes.get(edge.to).name}`;
+        });
+
+        return {
+            chain: [hops[0].from, ...hops.map(edge => edge.to)].map(nodeId => this.nodes.get(nodeId).name),
+            effectivePercent: effectivePercent && { min: roundPercent(effectivePercent.min), max: roundPercent(effectivePercent.max) },
+            controls: hops.every(edgeConfersControl),
+            influence: hops.some(edge => edge.influence),
+            explanation: steps.join('; ')
+        };
+    }
+
+    toJSON() {
+        return {
+            nodes: Array.from(this.nodes.values()),
+            edges: Array.from(this.edges.values())
+        };
+    }
+}
+
+// Build the graph from every edge the orchestrator's sources returned
+function buildOwnershipGraph(mergedData) {
+    const graph = new OwnershipGraph();
+    const entities = mergedData.internationalEntities || [];
+    const subject = entities.find(entity => entity.relationship === 'subject') || {};
+    const ukSubject = subject.jurisdiction === 'gb' && subject.companyNumber;
+
+    const subjectId = graph.addNode({
+        name: mergedData.companyName,
+        kind: 'corporate',
+        registration: ukSubject ? normalizeUKCompanyNumber(subject.companyNumber) : null,
+        jurisdiction: ukSubject ? 'gb' : null,
+        lei: subject.lei || null
+    });
+
+    // Holder lists: Yahoo and 13F institutions, 13D/13G filers
+    (mergedData.owners || [])
+        .filter(owner => owner.source !== 'Companies House PSC') // Covered, with control detail, by the PSC edges
+        .forEach(owner => graph.addEdge({
+            from: graph.addNode({ name: owner.name, kind: owner.type === 'Individual' ? 'individual' : 'unknown' }),
+            to: subjectId,
+            percent: owner.percentRange || toPointPercent(parseFloat(owner.percent)),
+            basis: 'holding',
+            source: owner.source,
+            asOf: owner.periodOfReport || owner.reportDate || null
+        }));
+
+    (mergedData.significantHolders || []).forEach(holder => graph.addEdge({
+        from: graph.addNode({ name: holder.filerName }),
+        to: subjectId,
+        percent: toPointPercent(holder.percentOfClass),
+        basis: `schedule-${holder.schedule}`,
+        source: 'SEC 13D/13G',
+        asOf: holder.eventDate || null
+    }));
+
+    // Registry control records: Companies House PSC, including chains fetched for corporate PSCs
+    (mergedData.ownershipEdges || []).forEach(edge => {
+        // Edges fetched further up the chain hang off the intermediate company, matched on its number
+        const to = edge.subjectNumber
+            ? graph.addNode({ name: edge.subjectName, kind: 'corporate', registration: normalizeUKCompanyNumber(edge.subjectNumber), jurisdiction: 'gb' })
+            : subjectId;
+        const shares = edge.shares || edge.surplusAssets || null;
+
+        graph.addEdge({
+            from: graph.addNode({
+                name: edge.ownerName,
+                kind: edge.ownerKind,
+                registration: isUKRegistration(edge.ownerRegistration) ? normalizeUKCompanyNumber(edge.ownerRegistration.number) : null,
+                jurisdiction: isUKRegistration(edge.ownerRegistration) ? 'gb' : null
+            }),
+            to,
+            percent: shares,
+            votingPercent: edge.votingRights || null,
+            controls: edge.appointsDirectors ||
+                (shares?.min || 0) > OWNERSHIP_GRAPH_CONFIG.controlThreshold ||
+                (edge.votingRights?.min || 0) > OWNERSHIP_GRAPH_CONFIG.controlThreshold,
+            influence: edge.significantInfluence,
+            basis: 'psc',
+            source: edge.source,
+            asOf: edge.notifiedOn
+        });
+    });
+
+    // Registry parent records: GLEIF accounting consolidation, OpenCorporates controlling entities
+    const directParent = entities.find(entity => entity.relationship === 'direct_parent');
+    const ultimateParent = entities.find(entity => entity.relationship === 'ultimate_parent');
+    const addParentEdge = (parent, to, inferred) => graph.addEdge({
+        from: graph.addNode({ name: parent.name, kind: 'corporate', lei: parent.lei }),
+        to,
+        controls: true,
+        basis: 'consolidation',
+        source: parent.source,
+        asOf: parent.relationshipStart,
+        inferred
+    });
+
+    if (directParent) addParentEdge(directParent, subjectId, false);
+    if (ultimateParent) {
+        // GLEIF skips any intermediate holding companies between the direct and ultimate parent
+        const below = directParent ? graph.addNode({ name: directParent.name, lei: directParent.lei }) : subjectId;
+        addParentEdge(ultimateParent, below, Boolean(directParent));
+    }
+
+    entities.filter(entity => entity.controllingEntity?.name).forEach(entity => graph.addEdge({
+        from: graph.addNode({ name: entity.controllingEntity.name, kind: 'corporate' }),
+        to: entity.relationship === 'subject' ? subjectId : graph.addNode({ name: entity.name, kind: 'corporate' }),
+        controls: true,
+        basis: 'controlling-entity',
+        source: entity.source || 'OpenCorporates'
+    }));
+
+    const ultimateOwners = graph.resolveUltimateOwners(subjectId);
+
+    return {
+        subject: subjectId,
+        ...graph.toJSON(),
+        ultimateOwners,
+        ultimateControllers: ultimateOwners.filter(owner => owner.controls)
+    };
+}
+
+function edgeConfersControl(edge) {
+    return edge.controls || (edge.percent?.min || 0) > OWNERSHIP_GRAPH_CONFIG.controlThreshold;
+}
+
+function describeStake(edge) {
+    if (edge.percent) {
+        const { min, max } = edge.percent;
+        return `holds ${min === max ? `${roundPercent(min)}%` : `${min}-${max}%`} of`;
+    }
+
+    if (edge.basis === 'consolidation') return edge.inferred ? 'ultimately consolidates' : 'consolidates';
+    if (edge.controls) return 'controls';
+    return edge.influence ? 'has significant influence over' : 'has an interest in';
+}
+
+function toPointPercent(percent) {
+    return typeof percent === 'number' && !isNaN(percent) ? { min: percent, max: percent } : null;
+}
+
+function roundPercent(percent) {
+    return Math.round(percent * 100) / 100;
+}
+
+function normalizeOwnerName(name) {
+    return (name || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/\b(the|inc|corp|corporation|co|company|llc|ltd|limited|plc)\b/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function isUKRegistration(registration) {
+    return Boolean(registration?.number) &&
+        /england|wales|scotland|northern ireland|united kingdom|companies house/i.test(`${registration.country || ''} ${registration.register || ''}`);
+}
+
+function normalizeUKCompanyNumber(number) {
+    const compact = String(number).replace(/\s+/g, '').toUpperCase();
+    return /^\d+$/.test(compact) ? compact.padStart(8, '0') : compact;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.OwnershipGraph = OwnershipGraph;
+    window.buildOwnershipGraph = buildOwnershipGraph;
+}
+
+console.log('🕸️ Ownership graph ready - Ultimate beneficial owner resolution enabled');
@@ -0,0 +1,117 @@
+// Ownership History - Dated holder snapshots and change diffing between any two of them
+// Shares the owner-name normalizer from ownership-graph.js, which must load first
+console.log('Corporate Genome: Ownership history module loaded');
+
+const OWNERSHIP_HISTORY_CONFIG = {
+    changeThreshold: 1, // Percentage points a holder must move to count as a change
+    thresholdStorageKey: 'ownership_change_threshold',
+    maxSnapshotsPerEntity: 100,
+    uniqueValue: 'Holder movement between visits, not just the current top holders'
+};
+
+// Snapshot the subject's direct holders - every source's, not only the top rows the tooltip shows
+function buildOwnershipSnapshot(mergedData) {
+    const graph = mergedData.ownershipGraph;
+    if (!graph) return null;
+
+    const nodes = new Map(graph.nodes.map(node => [node.id, node]));
+    const holders = graph.edges
+        .filter(edge => edge.to === graph.subject)
+        .map(edge => ({
+            key: normalizeOwnerName(nodes.get(edge.from).name),
+            name: nodes.get(edge.from).name,
+            kind: nodes.get(edge.from).kind,
+            percent: edge.percent,
+            controls: edge.controls,
+            sources: edge.sources,
+            asOf: edge.asOf
+        }));
+
+    return {
+        companyName: mergedData.companyName,
+        takenAt: mergedData.lastUpdated || new Date().toISOString(),
+        sources: [...(mergedData.sources || [])],
+        holders
+    };
+}
+
+function diffOwnershipSnapshots(older, newer, options = {}) {
+    const threshold = options.threshold ?? OWNERSHIP_HISTORY_CONFIG.changeThreshold;
+    const olderHolders = new Map(older.holders.map(holder => [holder.key, holder]));
+    const newerHolders = new Map(newer.holders.map(holder => [holder.key, holder]));
+
+    // Holder lists are truncated at the source (Yahoo's top 10, say) - anyone smaller than the
+    // smallest holder still listed may simply have dropped off the end rather than sold out
+    const listedPercents = newer.holders.filter(holder => holder.percent).map(holder => holder.percent.max);
+    const smallestListed = listedPercents.length > 0 ? Math.min(...listedPercents) : -Infinity;
+
+    const newHolders = newer.holders
+        .filter(holder => !olderHolders.has(holder.key))
+        .map(holder => ({ name: holder.name, percent: holder.percent, sources: holder.sources }));
+
+    const exitedHolders = older.holders
+        .filter(holder => !newerHolders.has(holder.key))
+        .map(holder => ({
+            name: holder.name,
+            percent: holder.percent,
+            sources: holder.sources,
+            belowCutoff: Boolean(holder.percent) && holder.percent.max <= smallestListed
+        }));
+
+    const percentChanges = newer.holders
+        .filter(holder => olderHolders.has(holder.key))
+        .map(holder => {
+            const previous = olderHolders.get(holder.key);
+            if (!holder.percent || !previous.percent) return null;
+
+            // Registry bands compare on their midpoints, so 25-50% -> 50-75% reads as +25
+            const change = percentMidpoint(holder.percent) - percentMidpoint(previous.percent);
+            return { name: holder.name, from: previous.percent, to: holder.percent, change: Math.round(change * 100) / 100 };
+        })
+        .filter(change => change && Math.abs(change.change) >= threshold)
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+    return {
+        from: older.takenAt,
+        to: newer.takenAt,
+        threshold,
+        newHolders,
+        exitedHolders,
+        percentChanges,
+        hasChanges: newHolders.length + exitedHolders.length + percentChanges.length > 0
+    };
+}
+
+// Same holders at the same stakes - a repeat look that adds nothing to the history
+function sameOwnershipHolders(older, newer) {
+    const describe = (snapshot) => JSON.stringify(snapshot.holders
+        .map(holder => [holder.key, holder.percent || null, holder.controls || null])
+        .sort(([a], [b]) => a.localeCompare(b)));
+
+    return describe(older) === describe(newer);
+}
+
+function percentMidpoint(percent) {
+    return (percent.min + percent.max) / 2;
+}
+
+async function readChangeThreshold() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return OWNERSHIP_HISTORY_CONFIG.changeThreshold;
+
+    try {
+        const stored = await chrome.storage.local.get([OWNERSHIP_HISTORY_CONFIG.thresholdStorageKey]);
+        const threshold = stored[OWNERSHIP_HISTORY_CONFIG.thresholdStorageKey];
+        return typeof threshold === 'number' && threshold >= 0 ? threshold : OWNERSHIP_HISTORY_CONFIG.changeThreshold;
+    } catch (error) {
+        console.warn('Change threshold unavailable, using default:', error.message);
+        return OWNERSHIP_HISTORY_CONFIG.changeThreshold;
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.buildOwnershipSnapshot = buildOwnershipSnapshot;
+    window.diffOwnershipSnapshots = diffOwnershipSnapshots;
+}
+
+console.log('📈 Ownership history ready - Snapshot diffing enabled');
@@ -0,0 +1,300 @@
+// Page Dossier - Every company detected on a page, with a source and retrieval time for every fact
+// Writes CSV cells with csvCell from csv-format.js, which must load first
+console.log('Corporate Genome: Page dossier module loaded');
+
+const PAGE_DOSSIER_CONFIG = {
+    maxEntities: 25,
+    lookupTTL: 1800000, // 30 minutes - an export reuses the full lookups made while reading the page
+    uniqueValue: 'A citable research file for the whole page, not one company at a time'
+};
+
+const DOSSIER_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown', serialize: dossierToMarkdown },
+    json: { extension: 'json', mimeType: 'application/json', serialize: dossier => JSON.stringify(dossier, null, 2) },
+    csv: { extension: 'csv', mimeType: 'text/csv', serialize: dossierToCSV }
+};
+
+const DOSSIER_CSV_COLUMNS = ['entity', 'confidence', 'ticker', 'cik', 'lei', 'section', 'item', 'detail', 'as_of', 'source', 'url', 'retrieved_at'];
+
+// lookups: [{ detected, data, error }] - detected is the content script's summary, data the orchestrator's merged result
+function buildPageDossier(page, lookups) {
+    return {
+        page: { url: page.url || null, title: page.title || null },
+        generatedAt: new Date().toISOString(),
+        entities: lookups.map(describeDossierEntity)
+    };
+}
+
+function formatPageDossier(dossier, format) {
+    const formatter = DOSSIER_FORMATS[format];
+    if (!formatter) {
+        throw new Error(`Unknown dossier format: ${format}`);
+    }
+
+    let host = 'page';
+    try {
+        host = new URL(dossier.page.url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        // No URL (or an unparseable one) - keep the generic name
+    }
+
+    return {
+        filename: `dossier-${host}-${dossier.generatedAt.split('T')[0]}.${formatter.extension}`,
+        mimeType: formatter.mimeType,
+        content: formatter.serialize(dossier)
+    };
+}
+
+function describeDossierEntity({ detected, data, error }) {
+    const entity = {
+        name: detected.text,
+        normalized: detected.normalized || null,
+        type: detected.type || null,
+        confidence: Math.round((detected.confidence || 0) * 100) / 100,
+        site: detected.site || null
+    };
+
+    if (!data) {
+        return { ...entity, error: error || 'No data returned' };
+    }
+
+    const cite = (source, asOf = null, url = null) => ({ source: source || 'unknown', url, asOf, retrievedAt: retrievedAtFor(data, source) });
+    const identifiers = data.identifiers || {};
+
+    return {
+        ...entity,
+        companyName: data.companyName,
+        identifiers: {
+            ticker: identifiers.ticker || data.symbol || null,
+            cik: identifiers.cik || null,
+            lei: identifiers.lei || null,
+            cusip: identifiers.cusip || null,
+            isin: identifiers.isin || null,
+            matchType: identifiers.matchType || null
+        },
+        qualityScore: data.qualityScore ?? null,
+        retrievedAt: data.lastUpdated,
+        ownership: {
+            holders: (data.owners || []).map(owner => ({
+                name: owner.name,
+                percent: owner.percent ?? null,
+                shares: owner.shares || null,
+                citations: (owner.sources?.length > 0 ? owner.sources : [owner.source])
+                    .map(source => cite(source, owner.reportDate || owner.periodOfReport || null))
+            })),
+            significantHolders: (data.significantHolders || []).map(holder => ({
+                name: holder.filerName,
+                percent: holder.percentOfClass ?? null,
+                schedule: `${holder.schedule}${holder.isAmendment ? '/A' : ''}`,
+                citations: [cite('SEC EDGAR 13D/13G', holder.eventDate || holder.filingDate || null, holder.url || null)]
+            })),
+            control: (data.ownershipEdges || []).map(edge => ({
+                owner: edge.ownerName,
+                subject: edge.subjectName,
+                shares: edge.shares || edge.surplusAssets || null,
+                votingRights: edge.votingRights || null,
+                appointsDirectors: Boolean(edge.appointsDirectors),
+                significantInfluence: Boolean(edge.significantInfluence),
+                citations: [cite(edge.source, edge.notifiedOn || null)]
+            })),
+            // Derived from the holdings above, so they carry the chain rather than a source of their own
+            ultimateOwners: (data.ownershipGraph?.ultimateOwners || [])
+                .filter(owner => owner.isBeneficialOwner)
+                .map(owner => ({
+                    name: owner.name,
+                    effectivePercent: owner.effectivePercent,
+                    controls: owner.controls,
+                    paths: owner.paths.map(path => path.explanation)
+                }))
+        },
+        governmentContracts: (data.governmentContracts || []).map(contract => ({
+            awardId: contract.awardId,
+            agency: contract.agency,
+            amount: contract.amount,
+            startDate: contract.startDate || null,
+            endDate: contract.endDate || null,
+            description: contract.description,
+            citations: [cite('USAspending.gov', contract.startDate || null)]
+        })),
+        offshoreAnalysis: data.offshoreAnalysis ? {
+            ...data.offshoreAnalysis,
+            offshoreEntities: (data.internationalEntities || [])
+                .filter(international => international.isOffshore)
+                .map(international => ({
+                    name: international.name,
+                    jurisdiction: international.jurisdiction,
+                    companyNumber: international.companyNumber || null,
+                    citations: [cite(international.source)]
+                }))
+        } : null,
+        newsTriggers: (data.newsTriggers || []).map(trigger => ({
+            type: trigger.type,
+            article: trigger.article,
+            date: trigger.date || null,
+            confidence: trigger.confidence,
+            citations: [cite('NewsAPI', trigger.date || null, (data.newsContext || []).find(article => article.title === trigger.article)?.url || null)]
+        })),
+        warnings: data.warnings || []
+    };
+}
+
+// Match a fact's source label to the fetch that produced it ("Companies House PSC" came from "Companies House")
+function retrievedAtFor(data, source) {
+    const retrievals = data.retrievals || [];
+    const retrieval = retrievals.find(candidate => candidate.label === source) ||
+        retrievals.find(candidate => candidate.label && source?.startsWith(candidate.label));
+
+    return retrieval?.retrievedAt || data.lastUpdated || null;
+}
+
+function dossierToMarkdown(dossier) {
+    const lines = [
+        `# Corporate Genome Dossier${dossier.page.title ? `: ${dossier.page.title}` : ''}`,
+        '',
+        dossier.page.url ? `Page: ${dossier.page.url}` : null,
+        `Generated: ${dossier.generatedAt}`,
+        `Entities: ${dossier.entities.length}`
+    ].filter(line => line !== null);
+
+    const table = (headers, rows) => rows.length === 0 ? [] : [
+        '',
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(cell => markdownCell(cell)).join(' | ')} |`)
+    ];
+    const citationText = (citations) => citations.map(citation => citation.url ? `[${citation.source}](${citation.url})` : citation.source).join(', ');
+    const retrievedText = (citations) => [...new Set(citations.map(citation => citation.retrievedAt))].join(', ');
+
+    dossier.entities.forEach(entity => {
+        lines.push('', `## ${entity.companyName || entity.name}`, '');
+        lines.push(`Detected as "${entity.name}" (${entity.type || 'entity'}, ${Math.round(entity.confidence * 100)}% confidence${entity.site ? ` on ${entity.site}` : ''})`);
+
+        if (entity.error) {
+            lines.push('', `_Lookup failed: ${entity.error}_`);
+            return;
+        }
+
+        const ids = Object.entries(entity.identifiers).filter(([key, value]) => value && key !== 'matchType');
+        lines.push('', `Identifiers: ${ids.length > 0 ? ids.map(([key, value]) => `${key.toUpperCase()} ${value}`).join(' • ') : 'none resolved'}`);
+        lines.push(`Retrieved: ${entity.retrievedAt}`);
+
+        if (entity.ownership.holders.length > 0) {
+            lines.push('', '### Ownership');
+            lines.push(...table(['Holder', 'Stake', 'As of', 'Source', 'Retrieved'], entity.ownership.holders.map(holder => [
+                holder.name, holder.percent, holder.citations[0]?.asOf, citationText(holder.citations), retrievedText(holder.citations)
+            ])));
+        }
+
+        if (entity.ownership.significantHolders.length > 0) {
+            lines.push('', '### 5% Holders (Schedule 13D/13G)');
+            lines.push(...table(['Filer', 'Percent of class', 'Schedule', 'Event date', 'Source', 'Retrieved'], entity.ownership.significantHolders.map(holder => [
+                holder.name, holder.percent === null ? null : `${holder.percent}%`, holder.schedule, holder.citations[0].asOf, citationText(holder.citations), retrievedText(holder.citations)
+            ])));
+        }
+
+        if (entity.ownership.control.length > 0) {
+            lines.push('', '### Persons with Significant Control');
+            lines.push(...table(['Owner', 'In', 'Shares', 'Votes', 'Notified', 'Source', 'Retrieved'], entity.ownership.control.map(edge => [
+                edge.owner, edge.subject, formatRange(edge.shares), formatRange(edge.votingRights), edge.citations[0].asOf, citationText(edge.citations), retrievedText(edge.citations)
+            ])));
+        }
+
+        if (entity.ownership.ultimateOwners.length > 0) {
+            lines.push('', '### Ultimate Beneficial Owners', '');
+            entity.ownership.ultimateOwners.forEach(owner => {
+                lines.push(`- **${owner.name}** - ${owner.effectivePercent ? `${formatRange(owner.effectivePercent)} effective` : 'stake undisclosed'}${owner.controls ? ', controlling' : ''}: ${owner.paths.join('; ')}`);
+            });
+        }
+
+        if (entity.governmentContracts.length > 0) {
+            lines.push('', '### Government Contracts');
+            lines.push(...table(['Award', 'Agency', 'Amount', 'Period', 'Source', 'Retrieved'], entity.governmentContracts.map(contract => [
+                contract.awardId, contract.agency, contract.amount, [contract.startDate, contract.endDate].filter(Boolean).join(' to '), citationText(contract.citations), retrievedText(contract.citations)
+            ])));
+        }
+
+        if (entity.offshoreAnalysis) {
+            const offshore = entity.offshoreAnalysis;
+            lines.push('', '### Offshore Analysis', '');
+            lines.push(`Risk level: ${offshore.riskLevel} • ${offshore.offshoreCount} offshore of ${offshore.totalJurisdictions} jurisdictions`);
+            offshore.suspiciousPatterns.forEach(pattern => lines.push(`- ${pattern}`));
+            lines.push(...table(['Entity', 'Jurisdiction', 'Number', 'Source', 'Retrieved'], offshore.offshoreEntities.map(offshoreEntity => [
+                offshoreEntity.name, offshoreEntity.jurisdiction, offshoreEntity.companyNumber, citationText(offshoreEntity.citations), retrievedText(offshoreEntity.citations)
+            ])));
+        }
+
+        if (entity.newsTriggers.length > 0) {
+            lines.push('', '### News Triggers');
+            lines.push(...table(['Trigger', 'Article', 'Date', 'Source', 'Retrieved'], entity.newsTriggers.map(trigger => [
+                trigger.type, trigger.article, trigger.date, citationText(trigger.citations), retrievedText(trigger.citations)
+            ])));
+        }
+
+        if (entity.warnings.length > 0) {
+            lines.push('', `_Warnings: ${entity.warnings.join('; ')}_`);
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// One row per cited fact, so the sheet filters by section or source
+function dossierToCSV(dossier) {
+    const rows = [];
+
+    dossier.entities.forEach(entity => {
+        const base = {
+            entity: entity.companyName || entity.name,
+            confidence: entity.confidence,
+            ticker: entity.identifiers?.ticker,
+            cik: entity.identifiers?.cik,
+            lei: entity.identifiers?.lei
+        };
+        const pushFact = (section, item, detail, citations) => {
+            citations.forEach(citation => rows.push({
+                ...base,
+                section,
+                item,
+                detail,
+                as_of: citation.asOf,
+                source: citation.source,
+                url: citation.url,
+                retrieved_at: citation.retrievedAt
+            }));
+        };
+
+        if (entity.error) {
+            rows.push({ ...base, section: 'error', detail: entity.error });
+            return;
+        }
+
+        entity.ownership.holders.forEach(holder => pushFact('ownership', holder.name, holder.percent, holder.citations));
+        entity.ownership.significantHolders.forEach(holder => pushFact('13d-13g', holder.name, holder.percent === null ? holder.schedule : `${holder.percent}% (${holder.schedule})`, holder.citations));
+        entity.ownership.control.forEach(edge => pushFact('significant-control', edge.owner, [formatRange(edge.shares), edge.appointsDirectors ? 'appoints directors' : null].filter(Boolean).join('; '), edge.citations));
+        entity.governmentContracts.forEach(contract => pushFact('government-contract', contract.awardId, `${contract.agency}: ${contract.amount}`, contract.citations));
+        entity.offshoreAnalysis?.offshoreEntities.forEach(offshoreEntity => pushFact('offshore', offshoreEntity.name, offshoreEntity.jurisdiction, offshoreEntity.citations));
+        entity.newsTriggers.forEach(trigger => pushFact('news-trigger', trigger.type, trigger.article, trigger.citations));
+    });
+
+    return [
+        DOSSIER_CSV_COLUMNS.join(','),
+        ...rows.map(row => DOSSIER_CSV_COLUMNS.map(column => csvCell(row[column])).join(','))
+    ].join('\n') + '\n';
+}
+
+function formatRange(range) {
+    if (!range) return null;
+    return range.min === range.max ? `${range.min}%` : `${range.min}-${range.max}%`;
+}
+
+function markdownCell(value) {
+    return value === null || value === undefined ? '' : String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.buildPageDossier = buildPageDossier;
+    window.formatPageDossier = formatPageDossier;
+}
+
+console.log('🗂️ Page dossier ready - Markdown, JSON and CSV exports enabled');
@@ -0,0 +1,106 @@
+// Yahoo Finance Integration - Institutional Ownership Data
+console.log('Corporate Genome: Yahoo Finance module loaded');
+
+const YAHOO_CONFIG = {
+    baseUrl: 'https://query1.finance.yahoo.com/v10/finance/quoteSummary',
+    noKeyRequired: true,
+    timeout: 10000,
+    maxOwners: 10,
+    cacheTTL: 3600000, // 1 hour - the market cap beside the holder tables moves intraday
+    uniqueValue: 'Institutional and fund ownership breakdown'
+};
+
+async function getYahooFinanceData(symbol) {
+    try {
+        console.log(`📊 Fetching Yahoo Finance data for: ${symbol}`);
+
+        const params = new URLSearchParams({
+            modules: 'institutionOwnership,fundOwnership,majorHoldersBreakdown,price'
+        });
+
+        const response = await fetch(`${YAHOO_CONFIG.baseUrl}/${encodeURIComponent(symbol)}?${params}`);
+
+        if (!response.ok) {
+            throw new Error(`Yahoo Finance API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const result = data.quoteSummary?.result?.[0];
+
+        if (!result) {
+            throw new Error('No quote summary in Yahoo Finance response');
+        }
+
+        // Extract institutional ownership
+        const ownershipList = result.institutionOwnership?.ownershipList || [];
+        const owners = ownershipList
+            .filter(owner => owner.organization && owner.pctHeld)
+            .slice(0, YAHOO_CONFIG.maxOwners)
+            .map(owner => ({
+                name: owner.organization,
+                percent: (owner.pctHeld.raw * 100).toFixed(2) + '%',
+                shares: owner.position?.raw || 0,
+                reportDate: owner.reportDate?.fmt || null,
+                source: 'Yahoo Finance'
+            }));
+
+        // Holder breakdown and price context
+        const breakdown = result.majorHoldersBreakdown || {};
+        const price = result.price || {};
+
+        const marketFields = {
+            insidersPercentHeld: breakdown.insidersPercentHeld?.raw,
+            institutionsPercentHeld: breakdown.institutionsPercentHeld?.raw,
+            institutionsCount: breakdown.institutionsCount?.raw,
+            marketCap: price.marketCap?.raw,
+            currency: price.currency,
+            exchange: price.exchangeName
+        };
+
+        // Only report fields Yahoo actually returned
+        const marketData = Object.fromEntries(
+            Object.entries(marketFields).filter(([, value]) => value !== undefined)
+        );
+
+        return {
+            owners,
+            marketData,
+            symbol: price.symbol || symbol,
+            source: 'Yahoo Finance',
+            lastUpdated: new Date().toISOString()
+        };
+
+    } catch (error) {
+        console.error('Yahoo Finance error:', error);
+        return null;
+    }
+}
+
+// Register with the data orchestrator when loaded alongside it
+if (typeof registerDataSourcePlugin === 'function') {
+    registerDataSourcePlugin({
+        name: 'yahoo',
+        tier: 'tier1',
+        priority: 1,
+        identifiers: ['ticker'],
+        fetch: getYahooFinanceData,
+        cacheTTL: YAHOO_CONFIG.cacheTTL,
+        outputSchema: {
+            type: 'object',
+            required: ['owners'],
+            properties: { owners: { type: 'array' }, marketData: { type: 'object' }, symbol: { type: 'string' } }
+        },
+        merge(mergedData, data) {
+            if (data.owners) mergedData.owners.push(...data.owners);
+            if (data.marketData) Object.assign(mergedData.marketData, data.marketData);
+            if (data.symbol) mergedData.symbol = data.symbol;
+        }
+    });
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.getYahooFinanceData = getYahooFinanceData;
+}
+
+console.log('📊 Yahoo Finance integration ready - Institutional ownership enabled');
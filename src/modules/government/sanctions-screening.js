@@ -0,0 +1,585 @@
+// Sanctions Screening - OFAC SDN & Consolidated, EU Financial Sanctions and UK HMT lists
+// Matches names with FuzzyMatcher and CompanyNormalizer from modules/recognition, which must load first
+console.log('Corporate Genome: Sanctions screening module loaded');
+
+const SANCTIONS_CONFIG = {
+    storageKeyPrefix: 'sanctions_list_',
+    refreshInterval: 86400000, // 24 hours - OFAC publishes designations daily
+    staleAfter: 604800000, // 7 days - flag results screened against an older copy
+    matchThreshold: 0.9,
+    maxCandidates: 100,
+    commonTokenLimit: 2000, // Tokens on more list names than this don't narrow the search
+    ownershipThreshold: 50, // OFAC 50% rule - aggregate ownership by blocked persons
+    noKeyRequired: true,
+    uniqueValue: 'Owner, parent and officer screening against the major sanctions lists'
+};
+
+const OFAC_EXPORTS_URL = 'https://sanctionslistservice.ofac.treas.gov/api/PublicationPreview/exports';
+
+const SANCTIONS_LISTS = {
+    ofac_sdn: {
+        label: 'OFAC SDN',
+        format: 'ofac',
+        urls: { primary: `${OFAC_EXPORTS_URL}/SDN.CSV`, aliases: `${OFAC_EXPORTS_URL}/ALT.CSV` }
+    },
+    ofac_consolidated: {
+        label: 'OFAC Consolidated',
+        format: 'ofac',
+        urls: { primary: `${OFAC_EXPORTS_URL}/CONS_PRIM.CSV`, aliases: `${OFAC_EXPORTS_URL}/CONS_ALT.CSV` }
+    },
+    eu_fsf: {
+        label: 'EU Financial Sanctions',
+        format: 'eu',
+        urls: { primary: 'https://webgate.ec.europa.eu/fsd/fsf/public/files/csvFullSanctionsList_1_1/content?token=dG9rZW4tMjAxNw' }
+    },
+    uk_hmt: {
+        label: 'UK HMT',
+        format: 'hmt',
+        urls: { primary: 'https://ofsistorage.blob.core.windows.net/publishlive/2022format/ConList.csv' }
+    }
+};
+
+// Legal-form tokens appear on thousands of listed names and say nothing about identity
+const SANCTIONS_NOISE_TOKENS = new Set([
+    'jsc', 'pjsc', 'ojsc', 'cjsc', 'ooo', 'ao', 'pao', 'zao', 'llc', 'plc', 'sa', 'ag', 'gmbh', 'bv', 'fze', 'fzco'
+]);
+
+class SanctionsScreener {
+    constructor() {
+        this.lists = new Map(); // listId -> { entries, fetchedAt }
+        this.tokenIndex = new Map(); // token -> list name references
+        this.normalizer = typeof CompanyNormalizer === 'function' ? new CompanyNormalizer() : null;
+        this.fuzzyMatcher = typeof FuzzyMatcher === 'function' ? new FuzzyMatcher() : null;
+        this.loadedAt = 0;
+        this.loading = null;
+        this.refreshing = null;
+    }
+
+    // Screen every owner, parent, subsidiary and officer in a merged orchestrator result
+    async screen(mergedData) {
+        try {
+            await this.ensureLoaded();
+
+            // Until the first download lands there is nothing to screen against - unscreened, not clean
+            if (this.lists.size === 0) return null;
+
+            const targets = collectScreeningTargets(mergedData);
+            const hits = targets.flatMap(target => this.screenName(target.name, target.kind).map(hit => ({
+                name: target.name,
+                role: target.role,
+                percentRange: target.percentRange || null,
+                ...hit
+            })));
+
+            if (hits.length > 0) {
+                console.warn(`⛔ Sanctions screening: ${hits.length} potential matches for ${mergedData.companyName}`);
+            }
+
+            return {
+                hits: hits.sort((a, b) => b.score - a.score),
+                ownershipRule: evaluateOwnershipRule(hits),
+                screenedNames: targets.length,
+                lists: this.describeLists(),
+                screenedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error('Sanctions screening error:', error);
+            return null;
+        }
+    }
+
+    // Best match per list for one name
+    screenName(name, kind = 'unknown') {
+        const normalizedName = this.normalizeName(name);
+        const tokens = this.tokenize(normalizedName);
+        if (tokens.length === 0) return [];
+
+        const bestByList = new Map();
+        this.findCandidates(tokens).forEach(reference => {
+            // People only match listed individuals, companies only listed entities
+            if (kind === 'person' && reference.type !== 'individual') return;
+            if (kind === 'entity' && reference.type === 'individual') return;
+
+            const score = this.scoreMatch(normalizedName, reference.normalizedName);
+            if (score < SANCTIONS_CONFIG.matchThreshold) return;
+
+            const existing = bestByList.get(reference.listId);
+            if (!existing || score > existing.score) {
+                bestByList.set(reference.listId, { reference, score });
+            }
+        });
+
+        return Array.from(bestByList.values()).map(({ reference, score }) => {
+            const entry = this.lists.get(reference.listId).entries[reference.entryIndex];
+
+            return {
+                list: SANCTIONS_LISTS[reference.listId].label,
+                listId: reference.listId,
+                entryId: entry.id,
+                matchedName: reference.name,
+                listedName: entry.name,
+                isAlias: reference.isAlias,
+                entryType: entry.type,
+                programs: entry.programs,
+                score: Math.round(score * 100)
+            };
+        });
+    }
+
+    findCandidates(tokens) {
+        const sharedCounts = new Map();
+        const postings = tokens
+            .map(token => this.tokenIndex.get(token) || [])
+            .filter(posting => posting.length > 0);
+
+        // Very common tokens are only useful when nothing rarer is available
+        const selective = postings.filter(posting => posting.length <= SANCTIONS_CONFIG.commonTokenLimit);
+        const used = selective.length > 0 ? selective : postings;
+        used.forEach(posting => {
+            posting.forEach(reference => sharedCounts.set(reference, (sharedCounts.get(reference) || 0) + 1));
+        });
+
+        const minimumShared = Math.max(1, Math.ceil(used.length / 2));
+
+        return Array.from(sharedCounts.entries())
+            .filter(([, shared]) => shared >= minimumShared)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, SANCTIONS_CONFIG.maxCandidates)
+            .map(([reference]) => reference);
+    }
+
+    scoreMatch(normalizedQuery, normalizedCandidate) {
+        if (normalizedQuery === normalizedCandidate) return 1;
+        return this.fuzzyMatcher ? this.fuzzyMatcher.enhancedCompanyRatio(normalizedQuery, normalizedCandidate) : 0;
+    }
+
+    normalizeName(name) {
+        const normalized = this.normalizer ? this.normalizer.normalize(name) : (name || '');
+
+        // Lists transliterate inconsistently - compare without accents or punctuation
+        return normalized
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    tokenize(normalizedName) {
+        const stopWords = this.fuzzyMatcher ? this.fuzzyMatcher.stopWords : new Set();
+        return [...new Set(normalizedName.split(' '))]
+            .filter(token => token.length > 1 && !stopWords.has(token) && !SANCTIONS_NOISE_TOKENS.has(token));
+    }
+
+    async ensureLoaded() {
+        if (this.loadedAt && Date.now() - this.loadedAt < SANCTIONS_CONFIG.refreshInterval) return;
+
+        // Concurrent screenings share one load
+        if (!this.loading) {
+            this.loading = this.load().finally(() => {
+                this.loading = null;
+            });
+        }
+
+        return this.loading;
+    }
+
+    // Lookups screen against the stored lists - downloads run off the lookup path, in refresh()
+    async load() {
+        await this.loadStoredLists();
+        this.buildIndex();
+        this.loadedAt = Date.now();
+
+        const outdated = Object.keys(SANCTIONS_LISTS).some(listId => {
+            const list = this.lists.get(listId);
+            return !list || Date.now() - list.fetchedAt >= SANCTIONS_CONFIG.refreshInterval;
+        });
+
+        if (outdated) this.refresh();
+    }
+
+    async loadStoredLists() {
+        const stored = await readSanctionsStorage(Object.keys(SANCTIONS_LISTS));
+        Object.entries(stored).forEach(([listId, list]) => this.lists.set(listId, list));
+    }
+
+    // Scheduled refresh - download every list again, keeping the stored copy of any that fail
+    async refresh() {
+        // The alarm and a lookup finding the lists outdated share one download
+        if (!this.refreshing) {
+            this.refreshing = this.refreshLists().finally(() => {
+                this.refreshing = null;
+            });
+        }
+
+        return this.refreshing;
+    }
+
+    async refreshLists() {
+        try {
+            // A freshly started worker has nothing in memory to fall back on yet
+            if (this.lists.size === 0) await this.loadStoredLists();
+
+            for (const listId of Object.keys(SANCTIONS_LISTS)) {
+                await this.refreshList(listId);
+            }
+
+            if (this.lists.size === 0) {
+                throw new Error('No sanctions list could be downloaded');
+            }
+
+            this.buildIndex();
+            this.loadedAt = Date.now();
+            console.log(`⛔ Sanctions lists refreshed (${this.describeLists().map(list => `${list.label}: ${list.entries}`).join(', ')})`);
+
+        } catch (error) {
+            console.error('Sanctions list refresh error:', error);
+        }
+    }
+
+    async refreshList(listId) {
+        const listConfig = SANCTIONS_LISTS[listId];
+
+        try {
+            const files = {};
+            for (const [fileName, url] of Object.entries(listConfig.urls)) {
+                files[fileName] = await fetchSanctionsFile(url);
+            }
+
+            const entries = SANCTIONS_LIST_PARSERS[listConfig.format](files);
+            if (entries.length === 0) {
+                throw new Error('list parsed to zero entries');
+            }
+
+            const list = { entries, fetchedAt: Date.now() };
+            this.lists.set(listId, list);
+            await this.persist(listId, list);
+
+        } catch (error) {
+            // A stale list still screens better than no list
+            console.warn(`${listConfig.label} not refreshed:`, error.message);
+        }
+    }
+
+    buildIndex() {
+        this.tokenIndex.clear();
+
+        this.lists.forEach((list, listId) => {
+            list.entries.forEach((entry, entryIndex) => {
+                // Vessels and aircraft are listed by name too, but never own or run a company
+                if (entry.type === 'vessel' || entry.type === 'aircraft') return;
+
+                [entry.name, ...entry.aliases].forEach((name, position) => {
+                    const normalizedName = this.normalizeName(name);
+                    const reference = { listId, entryIndex, name, normalizedName, type: entry.type, isAlias: position > 0 };
+
+                    this.tokenize(normalizedName).forEach(token => {
+                        if (!this.tokenIndex.has(token)) this.tokenIndex.set(token, []);
+                        this.tokenIndex.get(token).push(reference);
+                    });
+                });
+            });
+        });
+    }
+
+    describeLists() {
+        return Object.entries(SANCTIONS_LISTS).map(([listId, listConfig]) => {
+            const list = this.lists.get(listId);
+
+            return {
+                listId,
+                label: listConfig.label,
+                entries: list ? list.entries.length : 0,
+                fetchedAt: list ? new Date(list.fetchedAt).toISOString() : null,
+                stale: !list || Date.now() - list.fetchedAt >= SANCTIONS_CONFIG.staleAfter
+            };
+        });
+    }
+
+    async persist(listId, list) {
+        if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+
+        try {
+            await chrome.storage.local.set({ [`${SANCTIONS_CONFIG.storageKeyPrefix}${listId}`]: list });
+        } catch (error) {
+            console.warn(`${SANCTIONS_LISTS[listId].label} not persisted:`, error.message);
+        }
+    }
+}
+
+// Every name the orchestrator returned, tagged with its role and any stake it holds
+function collectScreeningTargets(mergedData) {
+    const targets = [{ name: mergedData.companyName, role: 'subject', kind: 'entity' }];
+
+    (mergedData.owners || []).forEach(owner => targets.push({
+        name: owner.name,
+        role: 'owner',
+        kind: 'unknown',
+        percentRange: owner.percentRange || toPercentRange(parseFloat(owner.percent))
+    }));
+
+    (mergedData.significantHolders || []).forEach(holder => targets.push({
+        name: holder.filerName,
+        role: 'owner',
+        kind: 'unknown',
+        percentRange: toPercentRange(holder.percentOfClass)
+    }));
+
+    (mergedData.ownershipEdges || []).forEach(edge => targets.push({
+        name: edge.ownerName,
+        role: 'owner',
+        kind: edge.ownerKind === 'individual' ? 'person' : 'unknown',
+        percentRange: edge.shares || edge.surplusAssets || null
+    }));
+
+    (mergedData.internationalEntities || []).forEach(entity => {
+        // GLEIF parents consolidate the subject in their accounts - that is majority control
+        const isParent = entity.relationship === 'direct_parent' || entity.relationship === 'ultimate_parent';
+        targets.push({
+            name: entity.name,
+            role: isParent ? 'parent' : 'subsidiary',
+            kind: 'entity',
+            percentRange: isParent ? { min: 50, max: 100 } : null
+        });
+
+        (entity.officers || []).forEach(officer => targets.push({ name: officer.name, role: 'officer', kind: 'person' }));
+    });
+
+    (mergedData.insiderActivity?.transactions || []).forEach(transaction => targets.push({
+        name: transaction.ownerName,
+        role: 'officer',
+        kind: 'unknown'
+    }));
+
+    // The same holder often arrives from several sources - screen it once, keeping the largest stake
+    const byName = new Map();
+    targets.filter(target => target.name).forEach(target => {
+        const key = `${target.role}|${target.name.toLowerCase().replace(/[^a-z0-9]/g, '')}`;
+        const existing = byName.get(key);
+        if (!existing || (target.percentRange?.max || 0) > (existing.percentRange?.max || 0)) {
+            byName.set(key, target);
+        }
+    });
+
+    return Array.from(byName.values());
+}
+
+function toPercentRange(percent) {
+    return typeof percent === 'number' && !isNaN(percent) ? { min: percent, max: percent } : null;
+}
+
+// Entities owned 50% or more in aggregate by blocked persons are blocked themselves
+function evaluateOwnershipRule(hits) {
+    const blockedOwners = new Map();
+    hits.filter(hit => (hit.role === 'owner' || hit.role === 'parent') && hit.percentRange).forEach(hit => {
+        // One owner matching several lists still owns its stake once
+        const existing = blockedOwners.get(hit.name);
+        blockedOwners.set(hit.name, {
+            name: hit.name,
+            percentRange: hit.percentRange,
+            lists: [...new Set([...(existing?.lists || []), hit.list])]
+        });
+    });
+
+    const owners = Array.from(blockedOwners.values());
+    if (owners.length === 0) return null;
+
+    const minimum = Math.min(100, owners.reduce((total, owner) => total + owner.percentRange.min, 0));
+    const maximum = Math.min(100, owners.reduce((total, owner) => total + owner.percentRange.max, 0));
+
+    return {
+        applies: minimum >= SANCTIONS_CONFIG.ownershipThreshold,
+        possible: maximum >= SANCTIONS_CONFIG.ownershipThreshold,
+        aggregatePercent: { min: minimum, max: maximum },
+        owners
+    };
+}
+
+// OFAC publishes primary names and aliases as separate headerless CSVs keyed by ent_num
+function parseOfacList(files) {
+    const entries = new Map();
+
+    parseDelimitedText(files.primary).forEach(row => {
+        const [id, name, type, programs] = row.map(cleanOfacField);
+        if (!id || !name) return;
+
+        entries.set(id, {
+            id,
+            name,
+            aliases: [],
+            type: type ? type.toLowerCase() : 'entity',
+            programs: programs ? programs.split(/\]\s*\[/).map(program => program.replace(/[[\]]/g, '').trim()).filter(Boolean) : []
+        });
+    });
+
+    parseDelimitedText(files.aliases || '').forEach(row => {
+        const [id, , , aliasName] = row.map(cleanOfacField);
+        const entry = entries.get(id);
+        if (entry && aliasName) entry.aliases.push(aliasName);
+    });
+
+    return Array.from(entries.values());
+}
+
+function cleanOfacField(value) {
+    const trimmed = (value || '').trim();
+    return trimmed === '-0-' ? null : trimmed;
+}
+
+// The EU file has one row per name variant; rows sharing Entity_LogicalId describe one listing
+function parseEuList(files) {
+    const [header, ...rows] = parseDelimitedText(files.primary, ';');
+    if (!header) return [];
+
+    const column = (name) => header.indexOf(name);
+    const idColumn = column('Entity_LogicalId');
+    const nameColumn = column('NameAlias_WholeName');
+    const typeColumn = column('Entity_SubjectType_ClassificationCode');
+    const programmeColumn = column('Entity_Regulation_Programme');
+
+    const entries = new Map();
+    rows.forEach(row => {
+        const id = row[idColumn];
+        const name = (row[nameColumn] || '').trim();
+        if (!id || !name) return;
+
+        const entry = entries.get(id) || {
+            id,
+            name,
+            aliases: [],
+            type: row[typeColumn] === 'person' ? 'individual' : 'entity',
+            programs: []
+        };
+
+        if (entry.name !== name && !entry.aliases.includes(name)) entry.aliases.push(name);
+        const programme = row[programmeColumn];
+        if (programme && !entry.programs.includes(programme)) entry.programs.push(programme);
+
+        entries.set(id, entry);
+    });
+
+    return Array.from(entries.values());
+}
+
+// HMT rows are also one per name variant, grouped by Group ID, with forenames in Name 1-5
+function parseHmtList(files) {
+    const rows = parseDelimitedText(files.primary);
+    const headerIndex = rows.findIndex(row => row.includes('Group ID'));
+    if (headerIndex < 0) return [];
+
+    const header = rows[headerIndex];
+    const column = (name) => header.indexOf(name);
+    const nameColumns = ['Name 1', 'Name 2', 'Name 3', 'Name 4', 'Name 5', 'Name 6'].map(column);
+    const groupTypes = { Individual: 'individual', Entity: 'entity', Ship: 'vessel' };
+
+    const entries = new Map();
+    rows.slice(headerIndex + 1).forEach(row => {
+        const id = row[column('Group ID')];
+        const name = nameColumns.map(index => (row[index] || '').trim()).filter(Boolean).join(' ');
+        if (!id || !name) return;
+
+        const entry = entries.get(id) || {
+            id,
+            name,
+            aliases: [],
+            type: groupTypes[row[column('Group Type')]] || 'entity',
+            programs: []
+        };
+
+        if (row[column('Alias Type')] === 'Primary name' && entry.name !== name) {
+            entry.aliases.push(entry.name);
+            entry.name = name;
+        } else if (entry.name !== name && !entry.aliases.includes(name)) {
+            entry.aliases.push(name);
+        }
+
+        const regime = row[column('Regime')];
+        if (regime && !entry.programs.includes(regime)) entry.programs.push(regime);
+
+        entries.set(id, entry);
+    });
+
+    return Array.from(entries.values());
+}
+
+const SANCTIONS_LIST_PARSERS = {
+    ofac: parseOfacList,
+    eu: parseEuList,
+    hmt: parseHmtList
+};
+
+// RFC 4180 reader - quoted fields may contain delimiters, doubled quotes and line breaks
+function parseDelimitedText(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field);
+    if (row.some(value => value !== '')) rows.push(row);
+
+    return rows;
+}
+
+async function fetchSanctionsFile(url) {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+        throw new Error(`Sanctions list download error: ${response.status}`);
+    }
+
+    return response.text();
+}
+
+async function readSanctionsStorage(listIds) {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return {};
+
+    const keys = listIds.map(listId => `${SANCTIONS_CONFIG.storageKeyPrefix}${listId}`);
+    const stored = await chrome.storage.local.get(keys);
+
+    const lists = {};
+    listIds.forEach(listId => {
+        const list = stored[`${SANCTIONS_CONFIG.storageKeyPrefix}${listId}`];
+        if (list?.entries) lists[listId] = list;
+    });
+
+    return lists;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.SanctionsScreener = SanctionsScreener;
+}
+
+console.log('⛔ Sanctions screening ready - OFAC, EU and UK HMT lists enabled');
@@ -0,0 +1,220 @@
+// SEC Schedule 13D/13G Integration - Activist & 5% Holder Tracking
+// Shares the EDGAR fetch and lookup helpers from sec-edgar.js, which must load first
+console.log('Corporate Genome: SEC 13D/13G module loaded');
+
+const BENEFICIAL_OWNERSHIP_CONFIG = {
+    archivesUrl: 'https://www.sec.gov/Archives/edgar/data',
+    maxFilings: 20,
+    batchSize: 5, // SEC fair access allows 10 requests per second
+    cacheTTL: 86400000, // 24 hours - a 13D is due within days of crossing 5%, amendments within days of a material change
+    timeout: 15000,
+    uniqueValue: 'Activist and passive 5% holder disclosure'
+};
+
+// Legacy SC forms and the structured XML forms EDGAR switched to in December 2024
+const BENEFICIAL_OWNERSHIP_FORMS = {
+    'SC 13D': { schedule: '13D', isAmendment: false },
+    'SC 13D/A': { schedule: '13D', isAmendment: true },
+    'SC 13G': { schedule: '13G', isAmendment: false },
+    'SC 13G/A': { schedule: '13G', isAmendment: true },
+    'SCHEDULE 13D': { schedule: '13D', isAmendment: false },
+    'SCHEDULE 13D/A': { schedule: '13D', isAmendment: true },
+    'SCHEDULE 13G': { schedule: '13G', isAmendment: false },
+    'SCHEDULE 13G/A': { schedule: '13G', isAmendment: true }
+};
+
+const MONTH_DATE_PATTERN = /(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{4}/gi;
+
+async function getBeneficialOwnershipFilings(query) {
+    try {
+        console.log(`🎯 Fetching 13D/13G filings for: ${query}`);
+
+        const issuer = await lookupCompanyTicker(query);
+        if (!issuer) {
+            return {
+                filings: [],
+                source: 'SEC EDGAR 13D/13G',
+                note: `No SEC registrant found for ${query}`
+            };
+        }
+
+        const submissions = await fetchCompanySubmissions(issuer.cik);
+        const candidates = listBeneficialOwnershipFilings(submissions);
+
+        const filings = [];
+        for (let i = 0; i < candidates.length; i += BENEFICIAL_OWNERSHIP_CONFIG.batchSize) {
+            const batch = candidates.slice(i, i + BENEFICIAL_OWNERSHIP_CONFIG.batchSize);
+            const results = await Promise.allSettled(batch.map(candidate => fetchBeneficialOwnershipFiling(issuer.cik, candidate)));
+
+            results.forEach(result => {
+                if (result.status === 'fulfilled') {
+                    filings.push(result.value);
+                } else {
+                    console.warn('13D/13G filing skipped:', result.reason?.message);
+                }
+            });
+        }
+
+        return {
+            filings,
+            currentHolders: summarizeCurrentHolders(filings),
+            issuer,
+            source: 'SEC EDGAR 13D/13G',
+            lastUpdated: new Date().toISOString()
+        };
+
+    } catch (error) {
+        console.error('SEC 13D/13G error:', error);
+        return null;
+    }
+}
+
+function listBeneficialOwnershipFilings(submissions) {
+    const recent = submissions.filings?.recent;
+    if (!recent || !recent.form) return [];
+
+    const candidates = [];
+    recent.form.forEach((form, index) => {
+        const formInfo = BENEFICIAL_OWNERSHIP_FORMS[form];
+        if (!formInfo) return;
+
+        candidates.push({
+            form,
+            ...formInfo,
+            accessionNumber: recent.accessionNumber[index],
+            filingDate: recent.filingDate[index],
+            primaryDocument: recent.primaryDocument?.[index] || null
+        });
+    });
+
+    // Submissions are newest first already, but don't rely on it
+    return candidates
+        .sort((a, b) => b.filingDate.localeCompare(a.filingDate))
+        .slice(0, BENEFICIAL_OWNERSHIP_CONFIG.maxFilings);
+}
+
+async function fetchBeneficialOwnershipFiling(subjectCik, candidate) {
+    // The complete submission carries both the SGML header and the cover page
+    const accessionPath = candidate.accessionNumber.replace(/-/g, '');
+    const url = `${BENEFICIAL_OWNERSHIP_CONFIG.archivesUrl}/${parseInt(subjectCik, 10)}/${accessionPath}/${candidate.accessionNumber}.txt`;
+
+    const submissionText = await fetchSECText(url);
+    const cover = parseBeneficialOwnershipCover(submissionText);
+
+    return {
+        filerName: cover.filerName,
+        filerCik: cover.filerCik,
+        formType: candidate.form,
+        schedule: candidate.schedule,
+        isActivist: candidate.schedule === '13D',
+        isAmendment: candidate.isAmendment,
+        percentOfClass: cover.percentOfClass,
+        eventDate: cover.eventDate || candidate.filingDate,
+        filingDate: candidate.filingDate,
+        accessionNumber: candidate.accessionNumber,
+        url: `${BENEFICIAL_OWNERSHIP_CONFIG.archivesUrl}/${parseInt(subjectCik, 10)}/${accessionPath}/`
+    };
+}
+
+function parseBeneficialOwnershipCover(submissionText) {
+    // Filer identity comes from the "FILED BY" section of the SEC header
+    const filedBy = submissionText.split(/FILED BY:/i)[1] || '';
+    const filerName = readHeaderField(filedBy, 'COMPANY CONFORMED NAME');
+    const filerCik = readHeaderField(filedBy, 'CENTRAL INDEX KEY');
+
+    // Structured XML filings name their fields; legacy filings need the cover text
+    const xmlPercent = readXmlTag(submissionText, 'percentOfClass') || readXmlTag(submissionText, 'classPercent');
+    const xmlEventDate = readXmlTag(submissionText, 'dateOfEvent') || readXmlTag(submissionText, 'eventDateRequiresFilingThisStatement');
+
+    const coverText = submissionText
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;|&#160;/gi, ' ')
+        .replace(/\s+/g, ' ');
+
+    let percentOfClass = xmlPercent !== null ? parseFloat(xmlPercent) : null;
+    if (percentOfClass === null || isNaN(percentOfClass)) {
+        const percentMatch = coverText.match(/PERCENT OF CLASS REPRESENTED BY AMOUNT IN ROW\s*\(?\d+\)?\s*:?\s*([\d.]+)\s*%/i);
+        percentOfClass = percentMatch ? parseFloat(percentMatch[1]) : null;
+    }
+
+    let eventDate = xmlEventDate ? normalizeFilingDate(xmlEventDate) : null;
+    if (!eventDate) {
+        // The event date is printed just above its caption on the cover page
+        const captionIndex = coverText.search(/\(?Date of Event Which Requires Filing of this Statement\)?/i);
+        if (captionIndex > 0) {
+            const dates = coverText.slice(Math.max(0, captionIndex - 200), captionIndex).match(MONTH_DATE_PATTERN);
+            eventDate = dates ? normalizeFilingDate(dates[dates.length - 1]) : null;
+        }
+    }
+
+    return {
+        filerName: filerName || 'Unknown filer',
+        filerCik: filerCik ? filerCik.padStart(10, '0') : null,
+        percentOfClass,
+        eventDate
+    };
+}
+
+function readHeaderField(headerText, fieldName) {
+    const match = headerText.match(new RegExp(`${fieldName}:\\s*([^\\n\\r]+)`, 'i'));
+    return match ? match[1].trim() : null;
+}
+
+function normalizeFilingDate(dateText) {
+    const parsed = new Date(dateText.trim());
+    return isNaN(parsed) ? null : parsed.toISOString().split('T')[0];
+}
+
+// Most recent statement per filer - amendments supersede earlier percentages
+function summarizeCurrentHolders(filings) {
+    const byFiler = new Map();
+
+    filings.forEach(filing => {
+        const key = filing.filerCik || filing.filerName;
+        const existing = byFiler.get(key);
+        if (!existing || filing.filingDate > existing.filingDate) {
+            byFiler.set(key, filing);
+        }
+    });
+
+    return Array.from(byFiler.values())
+        .map(latest => ({
+            ...latest,
+            history: filings
+                .filter(filing => (filing.filerCik || filing.filerName) === (latest.filerCik || latest.filerName))
+                .map(filing => ({
+                    formType: filing.formType,
+                    percentOfClass: filing.percentOfClass,
+                    eventDate: filing.eventDate,
+                    filingDate: filing.filingDate
+                }))
+        }))
+        .sort((a, b) => (b.percentOfClass || 0) - (a.percentOfClass || 0));
+}
+
+// Register with the data orchestrator when loaded alongside it
+if (typeof registerDataSourcePlugin === 'function') {
+    registerDataSourcePlugin({
+        name: 'sec13dg',
+        tier: 'tier1',
+        priority: 2,
+        identifiers: ['cik'],
+        fetch: getBeneficialOwnershipFilings,
+        cacheTTL: BENEFICIAL_OWNERSHIP_CONFIG.cacheTTL,
+        outputSchema: {
+            type: 'object',
+            required: ['filings'],
+            properties: { filings: { type: 'array' }, currentHolders: { type: 'array' } }
+        },
+        merge(mergedData, data) {
+            if (data.currentHolders) mergedData.significantHolders.push(...data.currentHolders);
+        }
+    });
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.getBeneficialOwnershipFilings = getBeneficialOwnershipFilings;
+}
+
+console.log('🎯 SEC 13D/13G integration ready - Activist stake tracking enabled');
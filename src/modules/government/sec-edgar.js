@@ -0,0 +1,403 @@
+// SEC EDGAR Integration - Regulatory Ownership Filings
+console.log('Corporate Genome: SEC EDGAR module loaded');
+
+const SEC_CONFIG = {
+    archivesUrl: 'https://www.sec.gov/Archives/edgar/data',
+    dataUrl: 'https://data.sec.gov',
+    searchUrl: 'https://efts.sec.gov/LATEST/search-index',
+    tickersUrl: 'https://www.sec.gov/files/company_tickers.json',
+    tickerCacheTTL: 86400000, // 24 hours - SEC refreshes the file daily
+    lookbackDays: 200, // Covers two 13F filing windows (45 days after quarter end)
+    filingWindowDays: 45, // 13F reports are due 45 days after quarter end
+    filingWindowCacheTTL: 86400000, // 24 hours while a quarter's reports are arriving
+    maxFilings: 60,
+    batchSize: 5, // SEC fair access allows 10 requests per second
+    maxOwners: 15,
+    noKeyRequired: true,
+    timeout: 15000,
+    uniqueValue: 'Regulatory ownership filings'
+};
+
+const CUSIP_PATTERN = /^[0-9A-Z]{8}[0-9]$/;
+
+// Symbols as exchanges print them - share classes as "BRK.B" or "BRK-B"
+const TICKER_SYMBOL_PATTERN = /^[A-Z]{1,5}(?:[.-][A-Z]{1,2})?$/;
+
+// Legal suffixes stripped before comparing registrant titles
+const REGISTRANT_SUFFIX_PATTERN = /\b(inc|incorporated|corp|corporation|co|company|ltd|limited|plc|llc|lp|holdings?|group|the)\b/g;
+
+// In-memory copy of company_tickers.json
+let companyTickerCache = null;
+
+// 13F tables key on CUSIP - the orchestrator passes the crosswalk ID bundle, direct callers a CUSIP
+async function getSECOwnershipData(query) {
+    try {
+        const identifiers = typeof query === 'object' && query !== null ? query : null;
+        const label = identifiers ? (identifiers.ticker || identifiers.name) : query;
+        console.log(`🏛️ Fetching SEC 13F holdings for: ${label}`);
+
+        const issuer = identifiers?.cik
+            ? { ticker: identifiers.ticker, cik: identifiers.cik, name: identifiers.name, matchType: identifiers.matchType }
+            : await lookupCompanyTicker(identifiers ? identifiers.name : query);
+        const cusip = resolveCusip(identifiers ? identifiers.cusip : query);
+
+        if (!cusip) {
+            return {
+                filings: [],
+                owners: [],
+                issuer,
+                source: 'SEC EDGAR 13F',
+                note: `No CUSIP known for ${label}`
+            };
+        }
+
+        const [sharesOutstanding, filings] = await Promise.all([
+            issuer ? fetchSharesOutstanding(issuer.cik) : Promise.resolve(null),
+            search13FFilings(cusip)
+        ]);
+
+        // Pull each filer's information table and keep rows for this CUSIP
+        const positions = [];
+        for (let i = 0; i < filings.length; i += SEC_CONFIG.batchSize) {
+            const batch = filings.slice(i, i + SEC_CONFIG.batchSize);
+            const results = await Promise.allSettled(batch.map(filing => fetchInfoTablePosition(filing, cusip)));
+
+            results.forEach(result => {
+                if (result.status === 'fulfilled' && result.value) {
+                    positions.push(result.value);
+                } else if (result.status === 'rejected') {
+                    console.warn('13F information table skipped:', result.reason?.message);
+                }
+            });
+        }
+
+        const holdings = aggregateManagerPositions(positions, sharesOutstanding);
+
+        return {
+            owners: holdings.owners.slice(0, SEC_CONFIG.maxOwners),
+            filings: filings.map(filing => ({
+                accessionNumber: filing.accessionNumber,
+                managerCik: filing.managerCik,
+                periodOfReport: filing.periodOfReport,
+                filedAt: filing.filedAt
+            })),
+            issuer,
+            cusip,
+            sharesOutstanding,
+            reportPeriod: holdings.currentPeriod,
+            previousPeriod: holdings.previousPeriod,
+            coverage: {
+                filingsScanned: filings.length,
+                positionsFound: positions.length
+            },
+            source: 'SEC EDGAR 13F',
+            lastUpdated: new Date().toISOString()
+        };
+
+    } catch (error) {
+        console.error('SEC EDGAR error:', error);
+        return null;
+    }
+}
+
+function resolveCusip(candidate) {
+    const upperCandidate = (candidate || '').trim().toUpperCase();
+    return CUSIP_PATTERN.test(upperCandidate) ? upperCandidate : null;
+}
+
+async function fetchSECJson(url) {
+    const response = await fetch(url, {
+        headers: {
+            'User-Agent': 'Corporate Genome Extension v0.5.0'
+        }
+    });
+
+    if (!response.ok) {
+        throw new Error(`SEC EDGAR error ${response.status} for ${url}`);
+    }
+
+    return response.json();
+}
+
+async function fetchSECText(url) {
+    const response = await fetch(url, {
+        headers: {
+            'User-Agent': 'Corporate Genome Extension v0.5.0'
+        }
+    });
+
+    if (!response.ok) {
+        throw new Error(`SEC EDGAR error ${response.status} for ${url}`);
+    }
+
+    return response.text();
+}
+
+// Company filing index - lists filings made by the company and about it (13D/G, Forms 3/4/5)
+async function fetchCompanySubmissions(cik) {
+    return fetchSECJson(`${SEC_CONFIG.dataUrl}/submissions/CIK${cik}.json`);
+}
+
+async function fetchSharesOutstanding(cik) {
+    try {
+        const url = `${SEC_CONFIG.dataUrl}/api/xbrl/companyconcept/CIK${cik}/dei/EntityCommonStockSharesOutstanding.json`;
+        const data = await fetchSECJson(url);
+        const facts = data.units?.shares || [];
+
+        if (facts.length === 0) return null;
+
+        // Multi-class issuers report one fact per class on the same cover date
+        const latestEnd = facts.reduce((latest, fact) => fact.end > latest ? fact.end : latest, '');
+        const total = facts
+            .filter(fact => fact.end === latestEnd)
+            .reduce((sum, fact) => sum + fact.val, 0);
+
+        return { shares: total, asOf: latestEnd };
+
+    } catch (error) {
+        console.warn('Shares outstanding unavailable:', error.message);
+        return null;
+    }
+}
+
+async function search13FFilings(cusip) {
+    const startDate = new Date(Date.now() - SEC_CONFIG.lookbackDays * 86400000);
+    const params = new URLSearchParams({
+        q: `"${cusip}"`,
+        forms: '13F-HR',
+        dateRange: 'custom',
+        startdt: startDate.toISOString().split('T')[0],
+        enddt: new Date().toISOString().split('T')[0]
+    });
+
+    const data = await fetchSECJson(`${SEC_CONFIG.searchUrl}?${params}`);
+    const hits = data.hits?.hits || [];
+
+    return hits
+        .filter(hit => hit._source?.form === '13F-HR')
+        .slice(0, SEC_CONFIG.maxFilings)
+        .map(hit => {
+            const [accessionNumber, fileName] = hit._id.split(':');
+            return {
+                accessionNumber,
+                fileName,
+                managerCik: hit._source.ciks?.[0],
+                managerName: cleanDisplayName(hit._source.display_names?.[0]),
+                periodOfReport: hit._source.period_ending,
+                filedAt: hit._source.file_date
+            };
+        });
+}
+
+function cleanDisplayName(displayName) {
+    // "BLACKROCK INC.  (CIK 0001364742)" -> "BLACKROCK INC."
+    return (displayName || '').replace(/\s*\([^)]*\)/g, '').trim();
+}
+
+async function fetchInfoTablePosition(filing, cusip) {
+    const cikPath = String(parseInt(filing.managerCik, 10));
+    const accessionPath = filing.accessionNumber.replace(/-/g, '');
+    const url = `${SEC_CONFIG.archivesUrl}/${cikPath}/${accessionPath}/${filing.fileName}`;
+
+    const xml = await fetchSECText(url);
+    const rows = parseInfoTable(xml).filter(row => row.cusip === cusip && !row.putCall);
+
+    if (rows.length === 0) return null;
+
+    // Managers split one holding across discretion/voting rows
+    return {
+        ...filing,
+        issuerName: rows[0].nameOfIssuer,
+        shares: rows.reduce((sum, row) => sum + (row.shareType === 'SH' ? row.shares : 0), 0),
+        value: rows.reduce((sum, row) => sum + row.value, 0)
+    };
+}
+
+// Service workers have no DOMParser, so the information table is read with patterns
+function parseInfoTable(xml) {
+    const rows = [];
+    const rowPattern = /<(?:\w+:)?infoTable\b[^>]*>([\s\S]*?)<\/(?:\w+:)?infoTable>/gi;
+    let match;
+
+    while ((match = rowPattern.exec(xml)) !== null) {
+        const block = match[1];
+        rows.push({
+            nameOfIssuer: readXmlTag(block, 'nameOfIssuer'),
+            cusip: (readXmlTag(block, 'cusip') || '').toUpperCase(),
+            value: parseFloat(readXmlTag(block, 'value')) || 0,
+            shares: parseFloat(readXmlTag(block, 'sshPrnamt')) || 0,
+            shareType: readXmlTag(block, 'sshPrnamtType') || 'SH',
+            putCall: readXmlTag(block, 'putCall')
+        });
+    }
+
+    return rows;
+}
+
+function readXmlTag(block, tagName) {
+    const pattern = new RegExp(`<(?:\\w+:)?${tagName}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tagName}>`, 'i');
+    const match = block.match(pattern);
+    return match ? match[1].trim() : null;
+}
+
+function aggregateManagerPositions(positions, sharesOutstanding) {
+    const periods = [...new Set(positions.map(p => p.periodOfReport))].sort().reverse();
+    const [currentPeriod, previousPeriod] = periods;
+
+    // Latest filing per manager per period
+    const byManager = new Map();
+    positions.forEach(position => {
+        const manager = byManager.get(position.managerCik) || { name: position.managerName, periods: {} };
+        const existing = manager.periods[position.periodOfReport];
+
+        if (!existing || position.filedAt > existing.filedAt) {
+            manager.periods[position.periodOfReport] = position;
+        }
+
+        byManager.set(position.managerCik, manager);
+    });
+
+    const owners = [];
+    byManager.forEach((manager, managerCik) => {
+        const current = manager.periods[currentPeriod];
+        if (!current) return; // Exited before the latest quarter
+
+        const previous = previousPeriod ? manager.periods[previousPeriod] : null;
+        const previousShares = previous ? previous.shares : 0;
+        const percentHeld = sharesOutstanding?.shares ? (current.shares / sharesOutstanding.shares) * 100 : null;
+
+        owners.push({
+            name: manager.name,
+            cik: managerCik,
+            percent: percentHeld !== null ? percentHeld.toFixed(2) + '%' : 'N/A',
+            shares: current.shares,
+            value: current.value,
+            periodOfReport: currentPeriod,
+            filedAt: current.filedAt,
+            // Quarter-over-quarter delta; no prior row means a new position
+            change: previousPeriod ? {
+                shares: current.shares - previousShares,
+                percent: previousShares ? ((current.shares - previousShares) / previousShares) * 100 : null,
+                previousPeriod,
+                isNewPosition: !previous
+            } : null,
+            source: 'SEC EDGAR 13F'
+        });
+    });
+
+    owners.sort((a, b) => b.shares - a.shares);
+
+    return { owners, currentPeriod: currentPeriod || null, previousPeriod: previousPeriod || null };
+}
+
+async function loadCompanyTickers() {
+    if (companyTickerCache && Date.now() - companyTickerCache.loadedAt < SEC_CONFIG.tickerCacheTTL) {
+        return companyTickerCache.entries;
+    }
+
+    const response = await fetch(SEC_CONFIG.tickersUrl, {
+        headers: {
+            'User-Agent': 'Corporate Genome Extension v0.5.0'
+        }
+    });
+
+    if (!response.ok) {
+        throw new Error(`SEC ticker file error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const entries = Object.values(data).map(row => ({
+        ticker: row.ticker,
+        cik: String(row.cik_str).padStart(10, '0'),
+        name: row.title,
+        normalizedName: normalizeRegistrantName(row.title)
+    }));
+
+    companyTickerCache = { entries, loadedAt: Date.now() };
+    return entries;
+}
+
+function normalizeRegistrantName(name) {
+    return (name || '')
+        .toLowerCase()
+        .replace(/[.,&'\/]/g, ' ')
+        .replace(REGISTRANT_SUFFIX_PATTERN, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Resolve a ticker, CIK or company name to its SEC ticker and CIK
+// options.isTicker marks a query the caller already knows is a symbol, whatever its case
+async function lookupCompanyTicker(query, options = {}) {
+    if (!query || typeof query !== 'string') return null;
+
+    // A ticker file that fails to load throws - callers must not answer "no registrant" for an outage
+    const entries = await loadCompanyTickers();
+    const upperQuery = query.trim().toUpperCase();
+
+    // The orchestrator hands CIK-keyed sources the padded CIK
+    if (/^\d{10}$/.test(upperQuery)) {
+        const byCik = entries.find(entry => entry.cik === upperQuery);
+        return byCik ? { ticker: byCik.ticker, cik: byCik.cik, name: byCik.name, matchType: 'cik' } : null;
+    }
+
+    // Ticker match first, but only for text written as a symbol - "Ford" is a company name, not the FORD ticker
+    const byTicker = (options.isTicker || looksLikeTicker(query)) && entries.find(entry => entry.ticker === upperQuery);
+    if (byTicker) {
+        return { ticker: byTicker.ticker, cik: byTicker.cik, name: byTicker.name, matchType: 'ticker' };
+    }
+
+    const normalizedQuery = normalizeRegistrantName(query);
+    if (!normalizedQuery) return null;
+
+    const byName = entries.find(entry => entry.normalizedName === normalizedQuery) ||
+        entries.find(entry => entry.normalizedName.startsWith(normalizedQuery + ' '));
+
+    if (byName) {
+        return { ticker: byName.ticker, cik: byName.cik, name: byName.name, matchType: 'name' };
+    }
+
+    return null;
+}
+
+// Short and already all-caps, as the page or the caller wrote it
+function looksLikeTicker(query) {
+    return TICKER_SYMBOL_PATTERN.test(query.trim());
+}
+
+// 13F holdings only move while a quarter's reports are coming in - the 45 days after each quarter end
+function holdingsCacheTTL(data, now = Date.now()) {
+    const date = new Date(now);
+    const quarter = Math.floor(date.getUTCMonth() / 3);
+    const quarterStart = Date.UTC(date.getUTCFullYear(), quarter * 3, 1);
+    if (now - quarterStart < SEC_CONFIG.filingWindowDays * 86400000) return SEC_CONFIG.filingWindowCacheTTL;
+
+    // Outside the window nothing new arrives until the quarter ends
+    return Date.UTC(date.getUTCFullYear(), quarter * 3 + 3, 1) - now;
+}
+
+// Register with the data orchestrator when loaded alongside it
+if (typeof registerDataSourcePlugin === 'function') {
+    // No merge of its own - 13F managers join the holder list, where consolidateOwners folds them into Yahoo's
+    registerDataSourcePlugin({
+        name: 'sec',
+        tier: 'tier1',
+        priority: 2,
+        identifiers: ['bundle'], // CIK and CUSIP together
+        fetch: getSECOwnershipData,
+        cacheTTL: holdingsCacheTTL,
+        outputSchema: {
+            type: 'object',
+            required: ['owners', 'filings'],
+            properties: { owners: { type: 'array' }, filings: { type: 'array' } }
+        }
+    });
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.getSECOwnershipData = getSECOwnershipData;
+    window.lookupCompanyTicker = lookupCompanyTicker;
+}
+
+console.log('🏛️ SEC EDGAR integration ready');
@@ -0,0 +1,288 @@
+// SEC Forms 3/4/5 Integration - Insider Transaction Tracking
+// Shares the EDGAR fetch and lookup helpers from sec-edgar.js, which must load first
+console.log('Corporate Genome: SEC insider transactions module loaded');
+
+const INSIDER_CONFIG = {
+    archivesUrl: 'https://www.sec.gov/Archives/edgar/data',
+    summaryWindowDays: 90,
+    lookbackDays: 120, // Form 4 is due within two business days, Form 5 within 45 days of year end
+    maxFilings: 40,
+    maxTransactions: 25,
+    cacheTTL: 43200000, // 12 hours - Form 4 is due within two business days of a trade
+    batchSize: 5, // SEC fair access allows 10 requests per second
+    timeout: 15000,
+    uniqueValue: 'Officer, director and 10% holder trading activity'
+};
+
+const INSIDER_FORMS = ['3', '3/A', '4', '4/A', '5', '5/A'];
+
+// Only open-market trades express a view on the stock; awards, exercises and tax withholding don't
+const INSIDER_TRANSACTION_CODES = {
+    P: 'Open market purchase',
+    S: 'Open market sale',
+    A: 'Grant or award',
+    M: 'Option exercise',
+    F: 'Tax withholding',
+    G: 'Gift',
+    C: 'Conversion',
+    D: 'Disposition to issuer',
+    J: 'Other'
+};
+
+async function getInsiderTransactions(query) {
+    try {
+        console.log(`👔 Fetching insider filings for: ${query}`);
+
+        const issuer = await lookupCompanyTicker(query);
+        if (!issuer) {
+            return {
+                transactions: [],
+                source: 'SEC EDGAR Forms 3/4/5',
+                note: `No SEC registrant found for ${query}`
+            };
+        }
+
+        const submissions = await fetchCompanySubmissions(issuer.cik);
+        const candidates = listInsiderFilings(submissions);
+
+        const filings = [];
+        for (let i = 0; i < candidates.length; i += INSIDER_CONFIG.batchSize) {
+            const batch = candidates.slice(i, i + INSIDER_CONFIG.batchSize);
+            const results = await Promise.allSettled(batch.map(candidate => fetchInsiderFiling(issuer.cik, candidate)));
+
+            results.forEach(result => {
+                if (result.status === 'fulfilled') {
+                    filings.push(result.value);
+                } else {
+                    console.warn('Insider filing skipped:', result.reason?.message);
+                }
+            });
+        }
+
+        const transactions = filings
+            .flatMap(filing => filing.transactions)
+            .sort((a, b) => (b.transactionDate || '').localeCompare(a.transactionDate || ''));
+
+        return {
+            transactions: transactions.slice(0, INSIDER_CONFIG.maxTransactions),
+            summary: summarizeInsiderActivity(transactions),
+            filingsParsed: filings.length,
+            issuer,
+            source: 'SEC EDGAR Forms 3/4/5',
+            lastUpdated: new Date().toISOString()
+        };
+
+    } catch (error) {
+        console.error('SEC insider transactions error:', error);
+        return null;
+    }
+}
+
+function listInsiderFilings(submissions, now = Date.now()) {
+    const recent = submissions.filings?.recent;
+    if (!recent || !recent.form) return [];
+
+    const cutoff = new Date(now - INSIDER_CONFIG.lookbackDays * 86400000).toISOString().split('T')[0];
+
+    const candidates = [];
+    recent.form.forEach((form, index) => {
+        if (!INSIDER_FORMS.includes(form)) return;
+        if (recent.filingDate[index] < cutoff) return;
+
+        candidates.push({
+            form,
+            accessionNumber: recent.accessionNumber[index],
+            filingDate: recent.filingDate[index],
+            primaryDocument: recent.primaryDocument?.[index] || null
+        });
+    });
+
+    return candidates
+        .filter(candidate => candidate.primaryDocument)
+        .sort((a, b) => b.filingDate.localeCompare(a.filingDate))
+        .slice(0, INSIDER_CONFIG.maxFilings);
+}
+
+async function fetchInsiderFiling(issuerCik, candidate) {
+    // primaryDocument points at the XSL-rendered view; the raw XML sits one level up
+    const accessionPath = candidate.accessionNumber.replace(/-/g, '');
+    const documentName = candidate.primaryDocument.replace(/^xsl[^/]+\//i, '');
+    const url = `${INSIDER_CONFIG.archivesUrl}/${parseInt(issuerCik, 10)}/${accessionPath}/${documentName}`;
+
+    const xml = await fetchSECText(url);
+    const parsed = parseOwnershipDocument(xml);
+
+    return {
+        ...parsed,
+        transactions: parsed.transactions.map(transaction => ({
+            ...transaction,
+            filingDate: candidate.filingDate,
+            accessionNumber: candidate.accessionNumber,
+            url
+        }))
+    };
+}
+
+// Forms 3, 4 and 5 share the ownershipDocument schema
+function parseOwnershipDocument(xml) {
+    const formType = readXmlTag(xml, 'documentType');
+    const owners = readXmlBlocks(xml, 'reportingOwner').map(parseReportingOwner);
+
+    // Joint filers report the same trades - attribute them to the first owner and list the rest
+    const owner = owners[0] || { name: 'Unknown insider', cik: null, relationship: [] };
+    const ownerFields = {
+        ownerName: owner.name,
+        ownerCik: owner.cik,
+        relationship: owner.relationship,
+        officerTitle: owner.officerTitle || null,
+        jointFilers: owners.slice(1).map(jointOwner => jointOwner.name),
+        formType
+    };
+
+    const transactions = [
+        ...readXmlBlocks(xml, 'nonDerivativeTransaction').map(block => parseInsiderTransaction(block, false)),
+        ...readXmlBlocks(xml, 'derivativeTransaction').map(block => parseInsiderTransaction(block, true))
+    ];
+
+    // Form 3 reports starting positions only, so surface the holdings as zero-share entries
+    const holdings = readXmlBlocks(xml, 'nonDerivativeHolding').map(block => ({
+        securityTitle: readXmlValue(block, 'securityTitle'),
+        transactionDate: readXmlTag(xml, 'periodOfReport'),
+        transactionCode: null,
+        transactionType: 'Holding reported',
+        isDerivative: false,
+        shares: 0,
+        pricePerShare: null,
+        acquiredDisposed: null,
+        sharesOwnedAfter: parseNumber(readXmlValue(block, 'sharesOwnedFollowingTransaction')),
+        directOwnership: readXmlValue(block, 'directOrIndirectOwnership') !== 'I'
+    }));
+
+    return {
+        formType,
+        owners,
+        transactions: [...transactions, ...(formType === '3' ? holdings : [])]
+            .map(transaction => ({ ...ownerFields, ...transaction }))
+    };
+}
+
+function parseReportingOwner(block) {
+    const relationship = [];
+    if (isXmlFlagSet(readXmlTag(block, 'isDirector'))) relationship.push('Director');
+    if (isXmlFlagSet(readXmlTag(block, 'isOfficer'))) relationship.push('Officer');
+    if (isXmlFlagSet(readXmlTag(block, 'isTenPercentOwner'))) relationship.push('10% Owner');
+    if (isXmlFlagSet(readXmlTag(block, 'isOther'))) relationship.push('Other');
+
+    const cik = readXmlTag(block, 'rptOwnerCik');
+
+    return {
+        name: cleanDisplayName(readXmlTag(block, 'rptOwnerName') || 'Unknown insider'),
+        cik: cik ? cik.padStart(10, '0') : null,
+        relationship,
+        officerTitle: readXmlTag(block, 'officerTitle')
+    };
+}
+
+function parseInsiderTransaction(block, isDerivative) {
+    const transactionCode = readXmlTag(block, 'transactionCode');
+
+    return {
+        securityTitle: readXmlValue(block, 'securityTitle'),
+        transactionDate: readXmlValue(block, 'transactionDate'),
+        transactionCode,
+        transactionType: INSIDER_TRANSACTION_CODES[transactionCode] || 'Other',
+        isDerivative,
+        shares: parseNumber(readXmlValue(block, 'transactionShares')) || 0,
+        pricePerShare: parseNumber(readXmlValue(block, 'transactionPricePerShare')),
+        acquiredDisposed: readXmlValue(block, 'transactionAcquiredDisposedCode'),
+        sharesOwnedAfter: parseNumber(readXmlValue(block, 'sharesOwnedFollowingTransaction')),
+        directOwnership: readXmlValue(block, 'directOrIndirectOwnership') !== 'I'
+    };
+}
+
+// Net open-market activity over the summary window
+function summarizeInsiderActivity(transactions, now = Date.now()) {
+    const cutoff = new Date(now - INSIDER_CONFIG.summaryWindowDays * 86400000).toISOString().split('T')[0];
+    const windowed = transactions.filter(transaction =>
+        !transaction.isDerivative && transaction.transactionDate && transaction.transactionDate >= cutoff
+    );
+
+    const purchases = windowed.filter(transaction => transaction.transactionCode === 'P');
+    const sales = windowed.filter(transaction => transaction.transactionCode === 'S');
+
+    const sumShares = list => list.reduce((total, transaction) => total + transaction.shares, 0);
+    const sumValue = list => list.reduce((total, transaction) => total + transaction.shares * (transaction.pricePerShare || 0), 0);
+
+    const sharesBought = sumShares(purchases);
+    const sharesSold = sumShares(sales);
+    const netShares = sharesBought - sharesSold;
+
+    let signal = 'NEUTRAL';
+    if (netShares > 0) signal = 'NET_BUYING';
+    if (netShares < 0) signal = 'NET_SELLING';
+
+    return {
+        windowDays: INSIDER_CONFIG.summaryWindowDays,
+        signal,
+        netShares,
+        sharesBought,
+        sharesSold,
+        valueBought: Math.round(sumValue(purchases)),
+        valueSold: Math.round(sumValue(sales)),
+        buyers: new Set(purchases.map(transaction => transaction.ownerName)).size,
+        sellers: new Set(sales.map(transaction => transaction.ownerName)).size,
+        otherTransactions: windowed.length - purchases.length - sales.length
+    };
+}
+
+function readXmlBlocks(xml, tagName) {
+    const pattern = new RegExp(`<(?:\\w+:)?${tagName}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tagName}>`, 'gi');
+    return Array.from(xml.matchAll(pattern), match => match[1]);
+}
+
+// Most ownershipDocument fields wrap their content in a <value> element
+function readXmlValue(block, tagName) {
+    const [wrapper] = readXmlBlocks(block, tagName);
+    if (wrapper === undefined) return null;
+    return readXmlTag(wrapper, 'value') ?? (wrapper.trim() || null);
+}
+
+function isXmlFlagSet(flag) {
+    return flag === '1' || flag === 'true';
+}
+
+function parseNumber(text) {
+    if (text === null || text === undefined) return null;
+    const number = parseFloat(String(text).replace(/,/g, ''));
+    return isNaN(number) ? null : number;
+}
+
+// Register with the data orchestrator when loaded alongside it
+if (typeof registerDataSourcePlugin === 'function') {
+    registerDataSourcePlugin({
+        name: 'insider',
+        tier: 'tier1',
+        priority: 2,
+        identifiers: ['cik'],
+        fetch: getInsiderTransactions,
+        cacheTTL: INSIDER_CONFIG.cacheTTL,
+        outputSchema: {
+            type: 'object',
+            required: ['transactions'],
+            properties: { transactions: { type: 'array' }, summary: { type: ['object', 'null'] } }
+        },
+        merge(mergedData, data) {
+            mergedData.insiderActivity = {
+                summary: data.summary || null,
+                transactions: data.transactions || []
+            };
+        }
+    });
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.getInsiderTransactions = getInsiderTransactions;
+}
+
+console.log('👔 SEC insider transactions ready - Form 4 tracking enabled');
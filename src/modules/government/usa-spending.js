@@ -5,6 +5,7 @@ const USASPENDING_CONFIG = {
     baseUrl: 'https://api.usaspending.gov/api/v2',
     noKeyRequired: true,
     timeout: 8000,
+    cacheTTL: 86400000, // 24 hours - award data is refreshed daily
     uniqueValue: 'Government contract dependency analysis'
 };
 
@@ -241,6 +242,32 @@ function generateDependencyExplanation(riskLevel, totalValue, riskFactors) {
     }
 }
 
+// Register with the data orchestrator when loaded alongside it
+if (typeof registerDataSourcePlugin === 'function') {
+    registerDataSourcePlugin({
+        name: 'usaspending',
+        tier: 'tier2',
+        priority: 4,
+        identifiers: ['name'],
+        option: 'includeGovernment',
+        fetch: getUSASpendingData,
+        cacheTTL: USASPENDING_CONFIG.cacheTTL,
+        outputSchema: {
+            type: 'object',
+            required: ['contracts'],
+            properties: { contracts: { type: 'array' }, dependencyAnalysis: { type: 'object' } }
+        },
+        merge(mergedData, data) {
+            if (data.contracts) mergedData.governmentContracts.push(...data.contracts);
+        },
+        validationRules: {
+            collection: 'contracts',
+            requiredFields: ['recipientName', 'awardId'],
+            patterns: { awardId: /^[A-Z0-9\-_]{8,25}$/i }
+        }
+    });
+}
+
 // Export for global access
 if (typeof window !== 'undefined') {
     window.getUSASpendingData = getUSASpendingData;
@@ -0,0 +1,317 @@
+// UK Companies House Integration - Company Profile, Officers & Persons with Significant Control
+console.log('Corporate Genome: Companies House module loaded');
+
+const COMPANIES_HOUSE_CONFIG = {
+    baseUrl: 'https://api.company-information.service.gov.uk', // Point at a local fixture server for testing
+    apiKey: null, // Decrypted from the key vault - never persisted in plain text
+    vaultKeyName: 'companiesHouse',
+    sessionKeyName: 'session_api_key:companiesHouse', // chrome.storage.session - memory only, and closed to content scripts
+    rateLimit: 600, // requests per 5 minutes
+    requestsPerLookup: 4, // search, profile, officers and PSC register - a company number skips the search
+    searchPageSize: 10,
+    maxOfficers: 20,
+    cacheTTL: 86400000, // 24 hours - PSC changes reach the register days after the event anyway
+    timeout: 12000,
+    uniqueValue: 'Statutory beneficial ownership register for UK companies'
+};
+
+const UK_COMPANY_NUMBER_PATTERN = /^(?:\d{8}|[A-Z]{2}\d{6})$/;
+
+// Banded natures of control - the register records ranges, never exact percentages
+const PSC_CONTROL_BANDS = {
+    'ownership-of-shares': 'shares',
+    'voting-rights': 'votingRights',
+    'right-to-share-surplus-assets': 'surplusAssets' // LLP equivalent of share ownership
+};
+
+const PSC_KINDS = {
+    'individual-person-with-significant-control': 'individual',
+    'corporate-entity-person-with-significant-control': 'corporate',
+    'legal-person-person-with-significant-control': 'legal-person',
+    'super-secure-person-with-significant-control': 'protected',
+    'individual-beneficial-owner': 'individual',
+    'corporate-entity-beneficial-owner': 'corporate',
+    'legal-person-beneficial-owner': 'legal-person',
+    'super-secure-beneficial-owner': 'protected'
+};
+
+async function getCompaniesHouseData(query) {
+    try {
+        const apiKey = await loadCompaniesHouseApiKey();
+        if (!apiKey) {
+            console.warn('Companies House API key not configured');
+            return {
+                entities: [],
+                owners: [],
+                edges: [],
+                source: 'Companies House (API key required)',
+                note: 'Companies House API key not configured'
+            };
+        }
+
+        console.log(`🇬🇧 Fetching Companies House records for: ${query}`);
+
+        const upperQuery = (query || '').trim().toUpperCase();
+        const companyNumber = UK_COMPANY_NUMBER_PATTERN.test(upperQuery)
+            ? upperQuery
+            : await findCompanyNumber(query);
+
+        if (!companyNumber) {
+            return {
+                entities: [],
+                owners: [],
+                edges: [],
+                source: 'Companies House',
+                note: `No UK company registered as ${query}`
+            };
+        }
+
+        const [profile, officers, pscRegister] = await Promise.all([
+            fetchCompaniesHouseJson(`/company/${companyNumber}`),
+            fetchCompaniesHouseJson(`/company/${companyNumber}/officers?items_per_page=${COMPANIES_HOUSE_CONFIG.maxOfficers}`),
+            fetchCompaniesHouseJson(`/company/${companyNumber}/persons-with-significant-control`)
+        ]);
+
+        if (!profile) {
+            return {
+                entities: [],
+                owners: [],
+                edges: [],
+                source: 'Companies House',
+                note: `Company ${companyNumber} not found`
+            };
+        }
+
+        const company = {
+            name: profile.company_name,
+            companyNumber: profile.company_number
+        };
+
+        // Ceased PSCs stay on the register for history but no longer control anything
+        const edges = (pscRegister?.items || [])
+            .filter(psc => !psc.ceased_on)
+            .map(psc => toControlEdge(psc, company));
+
+        return {
+            companyNumber: profile.company_number,
+            entities: [toRegisteredEntity(profile, officers)],
+            owners: edges.filter(edge => edge.shares || edge.surplusAssets).map(toOwner),
+            edges,
+            ceasedCount: pscRegister?.ceased_count || 0,
+            source: 'Companies House',
+            lastUpdated: new Date().toISOString()
+        };
+
+    } catch (error) {
+        console.error('Companies House error:', error);
+        return null;
+    }
+}
+
+async function findCompanyNumber(name) {
+    const params = new URLSearchParams({
+        q: name,
+        items_per_page: String(COMPANIES_HOUSE_CONFIG.searchPageSize)
+    });
+
+    const data = await fetchCompaniesHouseJson(`/search/companies?${params}`);
+    const simplifiedName = simplifyUKCompanyName(name);
+
+    // Search ranks loosely - "Tesco" also returns every Tesco subsidiary
+    const match = (data?.items || []).find(item => simplifyUKCompanyName(item.title) === simplifiedName);
+    return match ? match.company_number : null;
+}
+
+function toRegisteredEntity(profile, officers) {
+    const address = profile.registered_office_address || {};
+
+    return {
+        name: profile.company_name,
+        jurisdiction: 'gb',
+        jurisdictionName: profile.jurisdiction || null,
+        companyNumber: profile.company_number,
+        incorporationDate: profile.date_of_creation || null,
+        companyType: profile.type || null,
+        status: profile.company_status || null,
+        address: [address.address_line_1, address.address_line_2, address.locality, address.region, address.postal_code, address.country]
+            .filter(Boolean)
+            .join(', ') || null,
+        sicCodes: profile.sic_codes || [],
+        officers: (officers?.items || [])
+            .filter(officer => !officer.resigned_on)
+            .map(officer => ({
+                name: officer.name,
+                role: officer.officer_role,
+                appointedOn: officer.appointed_on || null,
+                nationality: officer.nationality || null,
+                occupation: officer.occupation || null
+            })),
+        isOffshore: false,
+        relationship: 'subject',
+        confidence: 100,
+        source: 'Companies House'
+    };
+}
+
+function toControlEdge(psc, company) {
+    const natures = psc.natures_of_control || [];
+    const edge = {
+        ownerName: psc.name || 'Protected person with significant control',
+        ownerKind: PSC_KINDS[psc.kind] || 'other',
+        ownerRegistration: psc.identification ? {
+            number: psc.identification.registration_number || null,
+            register: psc.identification.place_registered || null,
+            country: psc.identification.country_registered || null,
+            legalForm: psc.identification.legal_form || null
+        } : null,
+        subjectName: company.name,
+        subjectNumber: company.companyNumber,
+        shares: null,
+        votingRights: null,
+        surplusAssets: null,
+        appointsDirectors: false,
+        significantInfluence: false,
+        heldVia: null,
+        naturesOfControl: natures,
+        notifiedOn: psc.notified_on || null,
+        source: 'Companies House PSC'
+    };
+
+    natures.map(parseNatureOfControl).forEach(control => {
+        if (control.band) edge[control.band] = control.range;
+        if (control.appointsDirectors) edge.appointsDirectors = true;
+        if (control.significantInfluence) edge.significantInfluence = true;
+        edge.heldVia = edge.heldVia || control.heldVia;
+    });
+
+    return edge;
+}
+
+// e.g. "ownership-of-shares-75-to-100-percent-as-trust" -> shares 75-100, held via a trust
+function parseNatureOfControl(nature) {
+    const heldVia = /-as-(trust|firm)\b/.exec(nature)?.[1] || null;
+
+    for (const [prefix, band] of Object.entries(PSC_CONTROL_BANDS)) {
+        if (!nature.startsWith(prefix)) continue;
+
+        const banded = /(\d+)-to-(\d+)-percent/.exec(nature);
+        if (banded) {
+            return { band, range: { min: Number(banded[1]), max: Number(banded[2]) }, heldVia };
+        }
+
+        // Overseas entity register reports a single "more than 25%" threshold
+        const threshold = /more-than-(\d+)-percent/.exec(nature);
+        if (threshold) {
+            return { band, range: { min: Number(threshold[1]), max: 100 }, heldVia };
+        }
+    }
+
+    return {
+        appointsDirectors: nature.startsWith('right-to-appoint-and-remove'),
+        significantInfluence: nature.startsWith('significant-influence-or-control'),
+        heldVia
+    };
+}
+
+function toOwner(edge) {
+    const range = edge.shares || edge.surplusAssets;
+
+    return {
+        name: edge.ownerName,
+        percent: `${range.min}-${range.max}%`,
+        percentRange: range,
+        type: edge.ownerKind === 'individual' ? 'Individual' : 'Corporate',
+        controlType: 'Person with significant control',
+        source: 'Companies House PSC'
+    };
+}
+
+function simplifyUKCompanyName(name) {
+    return (name || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/\bpublic limited company\b|\bp l c\b/g, 'plc')
+        .replace(/\blimited\b/g, 'ltd')
+        .trim();
+}
+
+async function fetchCompaniesHouseJson(path) {
+    // Basic auth with the API key as the username and an empty password
+    const response = await fetch(`${COMPANIES_HOUSE_CONFIG.baseUrl}${path}`, {
+        headers: {
+            'Authorization': `Basic ${btoa(`${COMPANIES_HOUSE_CONFIG.apiKey}:`)}`,
+            'Accept': 'application/json'
+        }
+    });
+
+    // Companies without officers or a PSC register answer 404
+    if (response.status === 404) return null;
+
+    if (!response.ok) {
+        throw new Error(`Companies House API error: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+async function loadCompaniesHouseApiKey() {
+    if (COMPANIES_HOUSE_CONFIG.apiKey) return COMPANIES_HOUSE_CONFIG.apiKey;
+
+    // Pages with an unlocked vault decrypt directly; the worker is handed the key by the popup
+    const vault = typeof getSecureVault === 'function' ? getSecureVault() : null;
+    if (vault?.isInitialized) {
+        COMPANIES_HOUSE_CONFIG.apiKey = await vault.decryptAPIKey(COMPANIES_HOUSE_CONFIG.vaultKeyName);
+    } else if (typeof chrome !== 'undefined' && chrome.storage?.session) {
+        // A restarted worker has lost what the popup handed over - the session copy outlives it until the browser closes
+        const stored = await chrome.storage.session.get([COMPANIES_HOUSE_CONFIG.sessionKeyName]);
+        COMPANIES_HOUSE_CONFIG.apiKey = stored[COMPANIES_HOUSE_CONFIG.sessionKeyName] || null;
+    }
+
+    return COMPANIES_HOUSE_CONFIG.apiKey;
+}
+
+async function setCompaniesHouseApiKey(apiKey) {
+    COMPANIES_HOUSE_CONFIG.apiKey = apiKey || null;
+
+    if (typeof chrome === 'undefined' || !chrome.storage?.session) return;
+    if (COMPANIES_HOUSE_CONFIG.apiKey) {
+        await chrome.storage.session.set({ [COMPANIES_HOUSE_CONFIG.sessionKeyName]: COMPANIES_HOUSE_CONFIG.apiKey });
+    } else {
+        await chrome.storage.session.remove(COMPANIES_HOUSE_CONFIG.sessionKeyName);
+    }
+}
+
+// Register with the data orchestrator when loaded alongside it
+if (typeof registerDataSourcePlugin === 'function') {
+    // The PSC register is the ownership record for UK companies, so it doesn't wait for includeInternational
+    registerDataSourcePlugin({
+        name: 'companieshouse',
+        tier: 'tier2',
+        priority: 3,
+        identifiers: ['name'],
+        countryHint: 'UK',
+        // The plugin counts lookups, the API counts requests
+        rateLimit: { requests: Math.floor(COMPANIES_HOUSE_CONFIG.rateLimit / COMPANIES_HOUSE_CONFIG.requestsPerLookup), window: 300000 },
+        fetch: getCompaniesHouseData,
+        cacheTTL: COMPANIES_HOUSE_CONFIG.cacheTTL,
+        outputSchema: {
+            type: 'object',
+            required: ['entities', 'owners', 'edges'],
+            properties: { entities: { type: 'array' }, owners: { type: 'array' }, edges: { type: 'array' } }
+        },
+        merge(mergedData, data) {
+            if (data.entities) mergedData.internationalEntities.push(...data.entities);
+            if (data.owners) mergedData.owners.push(...data.owners);
+            if (data.edges) mergedData.ownershipEdges.push(...data.edges);
+        }
+    });
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.getCompaniesHouseData = getCompaniesHouseData;
+    window.setCompaniesHouseApiKey = setCompaniesHouseApiKey;
+}
+
+console.log('🇬🇧 Companies House integration ready - PSC register enabled');
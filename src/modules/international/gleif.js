@@ -0,0 +1,289 @@
+// GLEIF Integration - Legal Entity Identifiers & Level 2 Parent Relationships
+// Shares the offshore jurisdiction list from opencorporates.js, which must load first
+console.log('Corporate Genome: GLEIF module loaded');
+
+const GLEIF_CONFIG = {
+    baseUrl: 'https://api.gleif.org/api/v1',
+    noKeyRequired: true,
+    searchPageSize: 10,
+    maxIsinPages: 3,
+    cacheTTL: 86400000, // 24 hours - LEI records and relationships are republished daily
+    timeout: 12000,
+    uniqueValue: 'Regulator-grade "who owns whom" accounting consolidation chains'
+};
+
+const LEI_PATTERN = /^[A-Z0-9]{18}[0-9]{2}$/;
+
+// Level 2 relationship endpoints and the exception endpoint used when no parent is reported
+const GLEIF_PARENT_LINKS = {
+    direct_parent: {
+        relationship: 'direct-parent-relationship',
+        exception: 'direct-parent-reporting-exception'
+    },
+    ultimate_parent: {
+        relationship: 'ultimate-parent-relationship',
+        exception: 'ultimate-parent-reporting-exception'
+    }
+};
+
+async function getGLEIFData(query) {
+    try {
+        console.log(`🪪 Fetching GLEIF records for: ${query}`);
+
+        const upperQuery = (query || '').trim().toUpperCase();
+        let subject = null;
+        if (LEI_PATTERN.test(upperQuery)) {
+            // A mistyped LEI fails the checksum - don't spend a request on it
+            subject = isValidLei(upperQuery) ? await fetchLeiRecord(upperQuery) : null;
+        } else {
+            subject = await findLeiRecordByName(query);
+        }
+
+        if (!subject) {
+            return {
+                entities: [],
+                source: 'GLEIF',
+                note: `No verified LEI found for ${query}`
+            };
+        }
+
+        // Direct and ultimate parents are independent lookups
+        const [directParent, ultimateParent] = await Promise.all(
+            Object.keys(GLEIF_PARENT_LINKS).map(linkType => fetchParentLink(subject.lei, linkType))
+        );
+
+        const entities = [toInternationalEntity(subject, { type: 'subject' })];
+        [directParent, ultimateParent].forEach(link => {
+            // A direct parent that is also the ultimate parent is listed once, as the direct link
+            if (link?.parent && !entities.some(entity => entity.lei === link.parent.lei)) {
+                entities.push(toInternationalEntity(link.parent, link.relationship));
+            }
+        });
+
+        return {
+            lei: subject.lei,
+            entities,
+            parents: {
+                direct: directParent?.parent ? { lei: directParent.parent.lei, name: directParent.parent.legalName, ...directParent.relationship } : null,
+                ultimate: ultimateParent?.parent ? { lei: ultimateParent.parent.lei, name: ultimateParent.parent.legalName, ...ultimateParent.relationship } : null
+            },
+            reportingExceptions: [directParent?.exception, ultimateParent?.exception].filter(Boolean),
+            source: 'GLEIF',
+            lastUpdated: new Date().toISOString()
+        };
+
+    } catch (error) {
+        console.error('GLEIF error:', error);
+        return null;
+    }
+}
+
+async function fetchParentLink(lei, linkType) {
+    const endpoints = GLEIF_PARENT_LINKS[linkType];
+    const data = await fetchGLEIFJson(`${GLEIF_CONFIG.baseUrl}/lei-records/${lei}/${endpoints.relationship}`);
+
+    if (!data?.data) {
+        // No relationship record - the entity should have filed a reporting exception instead
+        const exception = await fetchGLEIFJson(`${GLEIF_CONFIG.baseUrl}/lei-records/${lei}/${endpoints.exception}`);
+        const attributes = exception?.data?.attributes;
+
+        return attributes ? {
+            parent: null,
+            exception: {
+                type: linkType,
+                category: attributes.category || null,
+                reason: attributes.reason || null
+            }
+        } : null;
+    }
+
+    const relationship = parseRelationshipRecord(data.data, linkType);
+    if (!relationship || !isValidLei(relationship.parentLei)) {
+        console.warn(`GLEIF ${linkType} relationship rejected for ${lei}: invalid parent LEI`);
+        return null;
+    }
+
+    const parent = await fetchLeiRecord(relationship.parentLei);
+    return parent ? { parent, relationship } : null;
+}
+
+function parseRelationshipRecord(record, linkType) {
+    const attributes = record.attributes || {};
+    const relationship = attributes.relationship || {};
+    const periods = relationship.periods || relationship.relationshipPeriods || [];
+    const findPeriod = (type) => periods.find(period => period.type === type) || null;
+    const relationshipPeriod = findPeriod('RELATIONSHIP_PERIOD');
+    const accountingPeriod = findPeriod('ACCOUNTING_PERIOD');
+
+    if (!relationship.endNode?.id) return null;
+
+    return {
+        type: linkType,
+        parentLei: relationship.endNode.id.toUpperCase(),
+        relationshipType: relationship.type || null,
+        relationshipStatus: relationship.status || null,
+        accountingStandard: (relationship.qualifiers || [])
+            .find(qualifier => qualifier.dimension === 'ACCOUNTING_STANDARD')?.category || null,
+        relationshipStart: relationshipPeriod?.startDate?.split('T')[0] || null,
+        relationshipEnd: relationshipPeriod?.endDate?.split('T')[0] || null,
+        accountingPeriodEnd: accountingPeriod?.endDate?.split('T')[0] || null,
+        corroborationLevel: attributes.registration?.corroborationLevel || null
+    };
+}
+
+function toInternationalEntity(record, relationship) {
+    const jurisdiction = (record.jurisdiction || record.country || '').toLowerCase().replace('-', '_');
+    const countryCode = jurisdiction.split('_')[0];
+
+    return {
+        name: record.legalName,
+        lei: record.lei,
+        jurisdiction,
+        companyNumber: record.registeredAs,
+        status: record.entityStatus,
+        address: record.address,
+        isOffshore: typeof OFFSHORE_JURISDICTIONS !== 'undefined' && OFFSHORE_JURISDICTIONS.has(countryCode),
+        relationship: relationship.type,
+        relationshipStatus: relationship.relationshipStatus || null,
+        accountingStandard: relationship.accountingStandard || null,
+        relationshipStart: relationship.relationshipStart || null,
+        corroborationLevel: relationship.corroborationLevel || null,
+        confidence: 100,
+        source: 'GLEIF'
+    };
+}
+
+async function findLeiRecordByName(name) {
+    const simplifiedName = simplifyLegalName(name);
+    const candidates = await searchLeiRecords(name);
+
+    // Name search is only a fallback - insist on an exact legal name
+    return candidates.find(record => simplifyLegalName(record.legalName) === simplifiedName) || null;
+}
+
+function simplifyLegalName(name) {
+    return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+async function fetchGLEIFJson(url) {
+    const response = await fetch(url, {
+        headers: {
+            'Accept': 'application/vnd.api+json'
+        }
+    });
+
+    if (response.status === 404) return null;
+
+    if (!response.ok) {
+        throw new Error(`GLEIF API error: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+async function fetchLeiRecord(lei) {
+    const data = await fetchGLEIFJson(`${GLEIF_CONFIG.baseUrl}/lei-records/${encodeURIComponent(lei)}`);
+    return data?.data ? parseLeiRecord(data.data) : null;
+}
+
+async function searchLeiRecords(name) {
+    const params = new URLSearchParams({
+        'filter[fulltext]': name,
+        'page[size]': String(GLEIF_CONFIG.searchPageSize)
+    });
+
+    const data = await fetchGLEIFJson(`${GLEIF_CONFIG.baseUrl}/lei-records?${params}`);
+    return (data?.data || []).map(parseLeiRecord).filter(Boolean);
+}
+
+async function fetchLeiIsins(lei) {
+    const isins = [];
+
+    for (let page = 1; page <= GLEIF_CONFIG.maxIsinPages; page++) {
+        const params = new URLSearchParams({ 'page[size]': '200', 'page[number]': String(page) });
+        const data = await fetchGLEIFJson(`${GLEIF_CONFIG.baseUrl}/lei-records/${encodeURIComponent(lei)}/isins?${params}`);
+        if (!data?.data) break;
+
+        isins.push(...data.data.map(item => item.attributes?.isin).filter(Boolean));
+
+        if (page >= (data.meta?.pagination?.lastPage || 1)) break;
+    }
+
+    return isins;
+}
+
+// Records whose LEI fails the checksum are dropped before anything reads them
+function parseLeiRecord(record) {
+    const attributes = record.attributes || {};
+    const entity = attributes.entity || {};
+    const lei = (attributes.lei || record.id || '').toUpperCase();
+
+    if (!isValidLei(lei)) {
+        console.warn(`GLEIF record rejected: invalid LEI checksum ${lei}`);
+        return null;
+    }
+
+    const legalAddress = entity.legalAddress || {};
+
+    return {
+        lei,
+        legalName: entity.legalName?.name || null,
+        jurisdiction: entity.jurisdiction || null,
+        country: legalAddress.country || null,
+        registeredAs: entity.registeredAs || null,
+        entityStatus: entity.status || null,
+        address: [...(legalAddress.addressLines || []), legalAddress.city, legalAddress.region, legalAddress.postalCode, legalAddress.country]
+            .filter(Boolean)
+            .join(', ') || null,
+        status: attributes.registration?.status || null
+    };
+}
+
+// ISO 17442: letters become 10-35, and the whole number mod 97 must equal 1
+function isValidLei(lei) {
+    if (typeof lei !== 'string' || !LEI_PATTERN.test(lei.toUpperCase())) return false;
+
+    const digits = lei.toUpperCase().split('').map(char => parseInt(char, 36)).join('');
+    let remainder = 0;
+    for (const digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+
+    return remainder === 1;
+}
+
+// Register with the data orchestrator when loaded alongside it
+if (typeof registerDataSourcePlugin === 'function') {
+    registerDataSourcePlugin({
+        name: 'gleif',
+        tier: 'tier2',
+        priority: 3,
+        identifiers: ['lei'],
+        option: 'includeInternational',
+        fetch: getGLEIFData,
+        cacheTTL: GLEIF_CONFIG.cacheTTL,
+        outputSchema: {
+            type: 'object',
+            required: ['entities'],
+            properties: { entities: { type: 'array' }, parents: { type: 'object' } }
+        },
+        merge(mergedData, data) {
+            if (data.entities) mergedData.internationalEntities.push(...data.entities);
+        },
+        // Kept in step with the 'gleif' rule in integrity-validator.js
+        validationRules: {
+            collection: 'entities',
+            requiredFields: ['name', 'lei', 'relationship'],
+            patterns: { lei: LEI_PATTERN },
+            expectedValues: { relationship: ['subject', 'direct_parent', 'ultimate_parent'] }
+        }
+    });
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.getGLEIFData = getGLEIFData;
+    window.isValidLei = isValidLei;
+}
+
+console.log('🪪 GLEIF integration ready - LEI parent chains enabled');
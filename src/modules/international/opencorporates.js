@@ -5,6 +5,7 @@ const OPENCORPORATES_CONFIG = {
     baseUrl: 'https://api.opencorporates.com/v0.4',
     rateLimit: 500, // requests per day (free tier)
     coverage: '140+ jurisdictions',
+    cacheTTL: 604800000, // 7 days - registry data moves slowly and the free tier's daily budget is small
     timeout: 12000,
     uniqueValue: 'International entity resolution & ownership chains'
 };
@@ -68,6 +69,11 @@ async function getOpenCorporatesData(companyName) {
                     address: entity.registered_address_in_full,
                     isOffshore: OFFSHORE_JURISDICTIONS.has(entity.jurisdiction_code?.toLowerCase()),
                     openCorporatesUrl: entity.opencorporates_url,
+                    controllingEntity: entity.controlling_entity ? {
+                        name: entity.controlling_entity.name,
+                        jurisdiction: entity.controlling_entity.jurisdiction_code,
+                        companyNumber: entity.controlling_entity.company_number
+                    } : null,
                     confidence: calculateMatchConfidence(companyName, entity.name)
                 };
             });
@@ -147,18 +153,24 @@ function analyzeOffshoreStructure(entities) {
         suspiciousPatterns.push('Multiple offshore jurisdictions detected');
     }
     
-    if (offshoreEntities.some(e => ['ky', 'bm', 'vg'].includes(e.jurisdiction))) {
-        suspiciousPatterns.push('High-secrecy jurisdiction detected');
+    // Country risk comes from the World Bank governance indicators once the orchestrator attaches it
+    const weakGovernance = entities.filter(e => e.countryRisk?.level === 'HIGH');
+    if (weakGovernance.length > 0) {
+        suspiciousPatterns.push('Weak-governance jurisdiction detected');
     }
     
     if (Object.keys(jurisdictionCounts).length > 5) {
         suspiciousPatterns.push('Complex multi-jurisdictional structure');
     }
+    
+    const riskScores = entities.map(e => e.countryRisk?.score).filter(score => typeof score === 'number');
 
     return {
         offshoreCount: offshoreEntities.length,
         totalJurisdictions: Object.keys(jurisdictionCounts).length,
         jurisdictionBreakdown: jurisdictionCounts,
+        weakGovernanceJurisdictions: [...new Set(weakGovernance.map(e => e.jurisdiction))],
+        highestCountryRisk: riskScores.length > 0 ? Math.max(...riskScores) : null,
         suspiciousPatterns,
         riskLevel: calculateRiskLevel(suspiciousPatterns.length, offshoreEntities.length)
     };
@@ -170,6 +182,33 @@ function calculateRiskLevel(patternCount, offshoreCount) {
     return 'LOW';
 }
 
+// Register with the data orchestrator when loaded alongside it
+if (typeof registerDataSourcePlugin === 'function') {
+    registerDataSourcePlugin({
+        name: 'opencorporates',
+        tier: 'tier2',
+        priority: 3,
+        identifiers: ['name'],
+        option: 'includeInternational',
+        quota: { daily: OPENCORPORATES_CONFIG.rateLimit },
+        fetch: getOpenCorporatesData,
+        cacheTTL: OPENCORPORATES_CONFIG.cacheTTL,
+        outputSchema: {
+            type: 'object',
+            required: ['entities'],
+            properties: { entities: { type: 'array' }, offshoreAnalysis: { type: 'object' } }
+        },
+        merge(mergedData, data) {
+            if (data.entities) mergedData.internationalEntities.push(...data.entities);
+        },
+        validationRules: {
+            collection: 'entities',
+            requiredFields: ['name', 'jurisdiction'],
+            expectedValues: { jurisdiction: ['us', 'gb', 'ch', 'ky', 'bm', 'ie', 'lu', 'nl'] }
+        }
+    });
+}
+
 // Export for global access
 if (typeof window !== 'undefined') {
     window.getOpenCorporatesData = getOpenCorporatesData;
@@ -1,6 +1,171 @@
-// Architecture: /src/modules/international/worldbank.js
+// World Bank Integration - Worldwide Governance Indicators Country Risk
+console.log('Corporate Genome: World Bank country risk module loaded');
+
 const WORLDBANK_CONFIG = {
     baseUrl: 'https://api.worldbank.org/v2',
     noKeyRequired: true,
+    wgiSourceId: 3, // Worldwide Governance Indicators database
+    cacheTTL: 2592000000, // 30 days - WGI is published once a year
+    timeout: 12000,
     uniqueValue: 'Country risk for international owners'
-};
\ No newline at end of file
+};
+
+// Governance estimates run from roughly -2.5 (weak) to +2.5 (strong)
+const WGI_INDICATORS = {
+    ruleOfLaw: 'RL.EST',
+    controlOfCorruption: 'CC.EST',
+    regulatoryQuality: 'RQ.EST'
+};
+
+const WGI_ESTIMATE_RANGE = 2.5;
+
+const COUNTRY_RISK_LEVELS = [
+    { level: 'HIGH', minScore: 60 },
+    { level: 'MEDIUM', minScore: 40 },
+    { level: 'LOW', minScore: 0 }
+];
+
+const countryRiskCache = new Map(); // ISO2 country -> { risk, loadedAt }
+
+async function getCountryRiskData(jurisdictions) {
+    try {
+        const jurisdictionList = Array.isArray(jurisdictions) ? jurisdictions : [jurisdictions];
+        const countries = [...new Set(jurisdictionList.map(jurisdictionToCountry).filter(Boolean))];
+
+        console.log(`🏛️ Fetching governance indicators for: ${countries.join(', ')}`);
+
+        const uncached = countries.filter(country => {
+            const cached = countryRiskCache.get(country);
+            return !cached || Date.now() - cached.loadedAt >= WORLDBANK_CONFIG.cacheTTL;
+        });
+
+        if (uncached.length > 0) {
+            const fetched = await fetchGovernanceIndicators(uncached);
+            uncached.forEach(country => {
+                // Territories the WGI doesn't cover are cached too, so they aren't re-requested on every lookup
+                countryRiskCache.set(country, { risk: fetched[country] || null, loadedAt: Date.now() });
+            });
+        }
+
+        const riskByCountry = {};
+        countries.forEach(country => {
+            const risk = countryRiskCache.get(country)?.risk;
+            if (risk) riskByCountry[country] = risk;
+        });
+
+        const byJurisdiction = {};
+        jurisdictionList.forEach(jurisdiction => {
+            const risk = riskByCountry[jurisdictionToCountry(jurisdiction)];
+            if (risk) byJurisdiction[jurisdiction] = risk;
+        });
+
+        return {
+            countries: riskByCountry,
+            byJurisdiction,
+            uncovered: countries.filter(country => !riskByCountry[country]),
+            source: 'World Bank WGI',
+            lastUpdated: new Date().toISOString()
+        };
+
+    } catch (error) {
+        console.error('World Bank error:', error);
+        return null;
+    }
+}
+
+async function fetchGovernanceIndicators(countries) {
+    const results = await Promise.all(
+        Object.entries(WGI_INDICATORS).map(async ([indicatorName, indicatorCode]) => {
+            const params = new URLSearchParams({
+                source: String(WORLDBANK_CONFIG.wgiSourceId),
+                format: 'json',
+                mrnev: '1', // Most recent non-empty value per country
+                per_page: '500'
+            });
+
+            const response = await fetch(`${WORLDBANK_CONFIG.baseUrl}/country/${countries.join(';')}/indicator/${indicatorCode}?${params}`);
+
+            if (!response.ok) {
+                throw new Error(`World Bank API error: ${response.status}`);
+            }
+
+            // Responses are [paging metadata, rows]; errors arrive as [{ message }] with a 200
+            const [, rows] = await response.json();
+            return { indicatorName, rows: rows || [] };
+        })
+    );
+
+    const byCountry = {};
+    results.forEach(({ indicatorName, rows }) => {
+        rows.forEach(row => {
+            if (row.value === null || row.value === undefined) return;
+
+            const country = row.country?.id?.toLowerCase();
+            if (!country) return;
+
+            byCountry[country] = byCountry[country] || {
+                country,
+                countryName: row.country.value,
+                indicators: {},
+                year: null
+            };
+            byCountry[country].indicators[indicatorName] = Math.round(row.value * 100) / 100;
+            byCountry[country].year = Math.max(byCountry[country].year || 0, Number(row.date)) || null;
+        });
+    });
+
+    Object.values(byCountry).forEach(risk => Object.assign(risk, scoreCountryRisk(risk.indicators)));
+    return byCountry;
+}
+
+// Average governance estimate mapped onto 0 (strongest) - 100 (weakest)
+function scoreCountryRisk(indicators) {
+    const estimates = Object.values(indicators);
+    if (estimates.length === 0) return { score: null, level: 'UNKNOWN' };
+
+    const average = estimates.reduce((total, estimate) => total + estimate, 0) / estimates.length;
+    const score = Math.round(Math.min(100, Math.max(0, (WGI_ESTIMATE_RANGE - average) / (2 * WGI_ESTIMATE_RANGE) * 100)));
+
+    return {
+        score,
+        level: COUNTRY_RISK_LEVELS.find(band => score >= band.minScore).level
+    };
+}
+
+// OpenCorporates and GLEIF qualify sub-national registries ("us_de", "gb-sct"); WGI scores the country
+function jurisdictionToCountry(jurisdiction) {
+    const country = (jurisdiction || '').toLowerCase().split(/[_-]/)[0];
+    return /^[a-z]{2}$/.test(country) ? country : null;
+}
+
+// Register with the data orchestrator when loaded alongside it
+if (typeof registerDataSourcePlugin === 'function') {
+    // Fetched after the merge, for the jurisdictions the tier 2 sources found
+    registerDataSourcePlugin({
+        name: 'worldbank',
+        tier: 'tier3',
+        priority: 7,
+        identifiers: ['jurisdictions'],
+        followUp: true,
+        fetch: getCountryRiskData,
+        cacheTTL: WORLDBANK_CONFIG.cacheTTL,
+        outputSchema: {
+            type: 'object',
+            required: ['countries', 'byJurisdiction'],
+            properties: { countries: { type: 'object' }, byJurisdiction: { type: 'object' } }
+        },
+        merge(mergedData, data) {
+            mergedData.countryRisk = data.countries;
+            mergedData.internationalEntities.forEach(entity => {
+                entity.countryRisk = data.byJurisdiction[entity.jurisdiction] || null;
+            });
+        }
+    });
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.getCountryRiskData = getCountryRiskData;
+}
+
+console.log('🏛️ World Bank integration ready - Governance-based country risk enabled');
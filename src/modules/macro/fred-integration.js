@@ -6,6 +6,8 @@ const FRED_CONFIG = {
     apiKey: null, // Will be loaded from storage
     rateLimit: 120000, // requests per day (very generous)
     timeout: 10000,
+    minCacheTTL: 21600000, // 6 hours - daily series
+    maxCacheTTL: 604800000, // 7 days - monthly and quarterly series
     uniqueValue: 'Macro economic context for ownership analysis'
 };
 
@@ -54,7 +56,8 @@ async function getFredEconomicContext(companyName, sector = 'Default') {
         return {
             indicators: {},
             analysis: { context: 'FRED API key required for economic context' },
-            source: 'FRED (API key required)'
+            source: 'FRED (API key required)',
+            note: 'FRED API key not configured'
         };
     }
 
@@ -275,6 +278,39 @@ function generateContextSummary(analysis, sector) {
     return summary.trim();
 }
 
+// Series update on their release schedule - check a few times per release of the most frequent one
+function fredCacheTTL(data) {
+    const cadences = Object.values(data?.indicators || {})
+        .map(series => series.observations || [])
+        .filter(observations => observations.length >= 2)
+        .map(observations => new Date(observations[0].date) - new Date(observations[1].date));
+    if (cadences.length === 0) return FRED_CONFIG.minCacheTTL;
+
+    return Math.min(FRED_CONFIG.maxCacheTTL, Math.max(FRED_CONFIG.minCacheTTL, Math.min(...cadences) / 4));
+}
+
+// Register with the data orchestrator when loaded alongside it
+if (typeof registerDataSourcePlugin === 'function') {
+    registerDataSourcePlugin({
+        name: 'fred',
+        tier: 'tier2',
+        priority: 5,
+        identifiers: ['name'],
+        option: 'includeGovernment',
+        quota: { daily: FRED_CONFIG.rateLimit },
+        fetch: getFredEconomicContext,
+        cacheTTL: fredCacheTTL,
+        outputSchema: {
+            type: 'object',
+            required: ['indicators'],
+            properties: { indicators: { type: 'object' }, analysis: { type: 'object' } }
+        },
+        merge(mergedData, data) {
+            if (data.indicators) Object.assign(mergedData.economicContext, data.indicators);
+        }
+    });
+}
+
 // Export for global access
 if (typeof window !== 'undefined') {
     window.getFredEconomicContext = getFredEconomicContext;
@@ -3,6 +3,12 @@
 
 console.log('Corporate Genome: Company Knowledge Base initializing...');
 
+// Pages and the content script load these as globals; under Node they are required alongside this file
+const KNOWLEDGE_BASE_DEPENDENCIES = typeof window !== 'undefined' ? window : {
+    ...require('./fuzzy-matcher.js'),
+    ...require('./company-normalizer.js')
+};
+
 class CompanyKnowledgeBase {
     constructor() {
         // Main company database
@@ -14,8 +20,8 @@ class CompanyKnowledgeBase {
         this.aliasIndex = new Map(); // alias -> company IDs
         
         // Fuzzy matcher for similarity searches
-        this.fuzzyMatcher = window.FuzzyMatcher ? new window.FuzzyMatcher() : null;
-        this.normalizer = window.CompanyNormalizer ? new window.CompanyNormalizer() : null;
+        this.fuzzyMatcher = KNOWLEDGE_BASE_DEPENDENCIES.FuzzyMatcher ? new KNOWLEDGE_BASE_DEPENDENCIES.FuzzyMatcher() : null;
+        this.normalizer = KNOWLEDGE_BASE_DEPENDENCIES.CompanyNormalizer ? new KNOWLEDGE_BASE_DEPENDENCIES.CompanyNormalizer() : null;
         
         // Initialize with common companies
         this.initializeCommonCompanies();
@@ -375,6 +381,15 @@ class CompanyKnowledgeBase {
         return this.companies.get(companyId);
     }
     
+    // Companies sharing an industry - the default peer set for common-ownership analytics
+    findPeers(companyId) {
+        const company = this.companies.get(companyId);
+        if (!company?.industry) return [];
+        
+        return Array.from(this.companies.values())
+            .filter(candidate => candidate.id !== companyId && candidate.industry === company.industry);
+    }
+    
     // Update company information
     updateCompany(companyId, updates) {
         const company = this.companies.get(companyId);
@@ -454,4 +469,9 @@ if (typeof window !== 'undefined') {
     window.CompanyKnowledgeBase = CompanyKnowledgeBase;
 }
 
+// Node requires the same file (see src/api/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CompanyKnowledgeBase };
+}
+
 console.log('✅ Company Knowledge Base ready');
\ No newline at end of file
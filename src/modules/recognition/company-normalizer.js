@@ -297,4 +297,9 @@ if (typeof window !== 'undefined') {
     window.CompanyNormalizer = CompanyNormalizer;
 }
 
+// Node requires the same file (see src/api/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CompanyNormalizer };
+}
+
 console.log('✅ Company Name Normalizer ready');
\ No newline at end of file
@@ -395,4 +395,9 @@ if (typeof window !== 'undefined') {
     window.ConfidenceScorer = ConfidenceScorer;
 }
 
+// Node requires the same file (see src/api/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConfidenceScorer };
+}
+
 console.log('📊 Confidence Scorer ready - Multi-factor entity validation enabled');
\ No newline at end of file
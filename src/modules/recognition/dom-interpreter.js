@@ -460,5 +460,10 @@ if (typeof window !== 'undefined') {
     window.DOMInterpreter = DOMInterpreter;
 }
 
+// Node requires the same file (see src/cli/extract.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DOMInterpreter };
+}
+
 
 console.log('🔍 DOM Interpreter ready - Site-aware structural analysis enabled');
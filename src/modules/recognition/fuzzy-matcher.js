@@ -260,4 +260,9 @@ if (typeof window !== 'undefined') {
     window.FuzzyMatcher = FuzzyMatcher;
 }
 
+// Node requires the same file (see src/api/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FuzzyMatcher };
+}
+
 console.log('✅ Fuzzy Matcher ready');
\ No newline at end of file
@@ -3,14 +3,22 @@
 
 console.log('Corporate Genome: Enhanced NLP Processor initializing...');
 
-class EnhancedNLPProcessor extends (window.SecureNLPProcessor || class {}) {
+// Pages and the content script load these as globals; under Node they are required alongside this file
+const ENHANCED_NLP_DEPENDENCIES = typeof window !== 'undefined' ? window : {
+    ...require('./nlp-processor.js'),
+    ...require('./company-normalizer.js'),
+    ...require('./fuzzy-matcher.js'),
+    ...require('./company-knowledge-base.js')
+};
+
+class EnhancedNLPProcessor extends (ENHANCED_NLP_DEPENDENCIES.SecureNLPProcessor || class {}) {
     constructor() {
         super();
         
         // Entity resolution components
-        this.normalizer = window.CompanyNormalizer ? new window.CompanyNormalizer() : null;
-        this.fuzzyMatcher = window.FuzzyMatcher ? new window.FuzzyMatcher() : null;
-        this.knowledgeBase = window.CompanyKnowledgeBase ? new window.CompanyKnowledgeBase() : null;
+        this.normalizer = ENHANCED_NLP_DEPENDENCIES.CompanyNormalizer ? new ENHANCED_NLP_DEPENDENCIES.CompanyNormalizer() : null;
+        this.fuzzyMatcher = ENHANCED_NLP_DEPENDENCIES.FuzzyMatcher ? new ENHANCED_NLP_DEPENDENCIES.FuzzyMatcher() : null;
+        this.knowledgeBase = ENHANCED_NLP_DEPENDENCIES.CompanyKnowledgeBase ? new ENHANCED_NLP_DEPENDENCIES.CompanyKnowledgeBase() : null;
         
         // Enhanced configuration
         this.config = {
@@ -329,4 +337,9 @@ if (typeof window !== 'undefined') {
     window.EnhancedNLPProcessor = EnhancedNLPProcessor;
 }
 
+// Node requires the same file (see src/api/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EnhancedNLPProcessor };
+}
+
 console.log('🚀 Enhanced NLP Processor ready - Entity resolution enabled');
\ No newline at end of file
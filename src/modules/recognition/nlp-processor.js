@@ -426,4 +426,9 @@ if (typeof window !== 'undefined') {
     window.SecureNLPProcessor = SecureNLPProcessor;
 }
 
+// Node requires the same file (see src/api/index.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SecureNLPProcessor };
+}
+
 console.log('🧠 Secure NLP Processor ready - Advanced entity recognition enabled');
\ No newline at end of file
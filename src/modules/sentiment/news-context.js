@@ -5,6 +5,7 @@ const NEWS_CONFIG = {
     baseUrl: 'https://newsapi.org/v2',
     apiKey: null, // Will be loaded from storage
     freeLimit: 100, // requests per day
+    cacheTTL: 3600000, // 1 hour - headlines go stale fast
     timeout: 8000,
     criticalUse: 'Ownership change triggers & market sentiment'
 };
@@ -35,7 +36,8 @@ async function getNewsContext(companyName, days = 30) {
             articles: [],
             sentiment: { overall: 'UNKNOWN', reason: 'API key required' },
             ownershipTriggers: [],
-            source: 'NewsAPI (key required)'
+            source: 'NewsAPI (key required)',
+            note: 'News API key not configured'
         };
     }
 
@@ -302,6 +304,29 @@ function calculateOverallSentiment(articles) {
     };
 }
 
+// Register with the data orchestrator when loaded alongside it
+if (typeof registerDataSourcePlugin === 'function') {
+    registerDataSourcePlugin({
+        name: 'news',
+        tier: 'tier3',
+        priority: 6,
+        identifiers: ['name'],
+        option: 'includeContext',
+        quota: { daily: NEWS_CONFIG.freeLimit },
+        fetch: getNewsContext,
+        cacheTTL: NEWS_CONFIG.cacheTTL,
+        outputSchema: {
+            type: 'object',
+            required: ['articles'],
+            properties: { articles: { type: 'array' }, ownershipTriggers: { type: 'array' } }
+        },
+        merge(mergedData, data) {
+            if (data.articles) mergedData.newsContext.push(...data.articles);
+            if (data.ownershipTriggers) mergedData.newsTriggers.push(...data.ownershipTriggers);
+        }
+    });
+}
+
 // Export for global access
 if (typeof window !== 'undefined') {
     window.getNewsContext = getNewsContext;
@@ -0,0 +1,327 @@
+// Corporate Genome: Ownership Graph View
+// Interactive node-link diagram of an ownership graph, drawn as plain SVG
+// Builds on the OwnershipGraph class from ownership-graph.js, which must load first
+
+console.log('Corporate Genome: Ownership graph view initializing...');
+
+const GRAPH_VIEW_CONFIG = {
+    minWidth: 360,
+    nodeSpacing: 90,
+    rowHeight: 110,
+    margin: 40,
+    nodeRadius: 14,
+    maxLabelLength: 22,
+    edgeWidth: { min: 1, max: 8 },
+    zoom: { min: 0.25, max: 4, step: 1.15 }
+};
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class OwnershipGraphView {
+    constructor(svg, { onSelect = () => {}, onExpand = () => {} } = {}) {
+        this.svg = svg;
+        this.onSelect = onSelect;
+        this.onExpand = onExpand;
+
+        this.graph = new OwnershipGraph();
+        this.subject = null;
+        this.selected = null;
+        this.expanded = new Set();
+
+        // Filters
+        this.hiddenSources = new Set();
+        this.minPercent = 0;
+
+        // Viewport
+        this.zoom = 1;
+        this.pan = { x: 0, y: 0 };
+        this.bindViewportEvents();
+    }
+
+    // Start over from a fresh orchestrator graph
+    reset(graphJson) {
+        this.graph = new OwnershipGraph();
+        this.selected = null;
+        this.expanded = new Set();
+        this.zoom = 1;
+        this.pan = { x: 0, y: 0 };
+
+        const ids = this.merge(graphJson);
+        this.subject = ids.get(graphJson.subject) || null;
+        this.render();
+    }
+
+    // Fold another orchestrator graph in; anchors pin its node ids onto nodes already drawn
+    merge(graphJson, anchors = {}) {
+        const ids = new Map();
+
+        graphJson.nodes.forEach(node => {
+            const anchorId = anchors[node.id];
+            ids.set(node.id, anchorId && this.graph.nodes.has(anchorId) ? anchorId : this.graph.addNode(node));
+        });
+
+        graphJson.edges.forEach(edge => {
+            const sources = edge.sources.length > 0 ? edge.sources : [null];
+            sources.forEach(source => this.graph.addEdge({ ...edge, from: ids.get(edge.from), to: ids.get(edge.to), source }));
+        });
+
+        return ids;
+    }
+
+    // Holdings read back from the graph store - the owner's subsidiaries and stakes
+    addHoldings(ownerId, holdings) {
+        holdings.forEach(holding => {
+            const ownedId = this.graph.addNode(holding.entity);
+            holding.sources.forEach(source => this.graph.addEdge({
+                from: ownerId,
+                to: ownedId,
+                percent: holding.percent,
+                controls: holding.controls,
+                influence: holding.influence,
+                basis: 'holding',
+                source,
+                asOf: holding.asOf
+            }));
+        });
+    }
+
+    markExpanded(nodeId) {
+        this.expanded.add(nodeId);
+        this.render();
+    }
+
+    // Filters
+    sources() {
+        const sources = new Set();
+        this.graph.edges.forEach(edge => edge.sources.forEach(source => sources.add(source)));
+        return Array.from(sources).sort();
+    }
+
+    setSourceVisible(source, visible) {
+        if (visible) {
+            this.hiddenSources.delete(source);
+        } else {
+            this.hiddenSources.add(source);
+        }
+        this.render();
+    }
+
+    setMinPercent(minPercent) {
+        this.minPercent = Math.max(0, Number(minPercent) || 0);
+        this.render();
+    }
+
+    visibleEdges() {
+        return Array.from(this.graph.edges.values()).filter(edge => {
+            const fromVisibleSource = edge.sources.length === 0 || edge.sources.some(source => !this.hiddenSources.has(source));
+
+            // Undisclosed stakes only show while no minimum is set
+            const aboveMinimum = this.minPercent === 0 || (edge.percent?.max || 0) >= this.minPercent;
+
+            return fromVisibleSource && aboveMinimum;
+        });
+    }
+
+    // Owners stack above the subject, holdings below - one row per hop
+    layout() {
+        const positions = new Map();
+        if (!this.subject) return { positions, width: GRAPH_VIEW_CONFIG.minWidth, height: GRAPH_VIEW_CONFIG.rowHeight };
+
+        const edges = this.visibleEdges();
+        const levels = new Map([[this.subject, 0]]);
+        const queue = [this.subject];
+
+        while (queue.length > 0) {
+            const nodeId = queue.shift();
+            const level = levels.get(nodeId);
+
+            edges.forEach(edge => {
+                if (edge.to === nodeId && !levels.has(edge.from)) {
+                    levels.set(edge.from, level - 1);
+                    queue.push(edge.from);
+                }
+                if (edge.from === nodeId && !levels.has(edge.to)) {
+                    levels.set(edge.to, level + 1);
+                    queue.push(edge.to);
+                }
+            });
+        }
+
+        const rows = new Map();
+        levels.forEach((level, nodeId) => rows.set(level, [...(rows.get(level) || []), nodeId]));
+
+        const topLevel = Math.min(...rows.keys());
+        const widestRow = Math.max(...Array.from(rows.values()).map(row => row.length));
+        const width = Math.max(GRAPH_VIEW_CONFIG.minWidth, widestRow * GRAPH_VIEW_CONFIG.nodeSpacing);
+        const height = (Math.max(...rows.keys()) - topLevel) * GRAPH_VIEW_CONFIG.rowHeight + 2 * GRAPH_VIEW_CONFIG.margin;
+
+        rows.forEach((row, level) => {
+            row.forEach((nodeId, index) => positions.set(nodeId, {
+                x: width * (index + 1) / (row.length + 1),
+                y: GRAPH_VIEW_CONFIG.margin + (level - topLevel) * GRAPH_VIEW_CONFIG.rowHeight,
+                level
+            }));
+        });
+
+        return { positions, width, height };
+    }
+
+    render() {
+        const { positions, width, height } = this.layout();
+        this.size = { width, height };
+
+        while (this.svg.firstChild) this.svg.removeChild(this.svg.firstChild);
+        this.applyViewBox();
+
+        this.svg.appendChild(this.buildArrowMarker());
+
+        this.visibleEdges()
+            .filter(edge => positions.has(edge.from) && positions.has(edge.to))
+            .forEach(edge => this.svg.appendChild(this.buildEdge(edge, positions.get(edge.from), positions.get(edge.to))));
+
+        positions.forEach((position, nodeId) => this.svg.appendChild(this.buildNode(this.graph.nodes.get(nodeId), position)));
+    }
+
+    buildArrowMarker() {
+        const defs = createSvgElement('defs');
+        const marker = createSvgElement('marker', { id: 'genome-arrow', viewBox: '0 0 10 10', refX: 10, refY: 5, markerWidth: 6, markerHeight: 6, orient: 'auto' });
+        marker.appendChild(createSvgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: '#9ca3af' }));
+        defs.appendChild(marker);
+        return defs;
+    }
+
+    buildEdge(edge, from, to) {
+        const group = createSvgElement('g', { class: `genome-graph-edge${edge.controls ? ' is-controlling' : ''}${edge.inferred ? ' is-inferred' : ''}` });
+
+        // Stop the line at the node's rim so the arrowhead stays visible
+        const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+        const inset = GRAPH_VIEW_CONFIG.nodeRadius + 2;
+        const { min, max } = GRAPH_VIEW_CONFIG.edgeWidth;
+        const midpoint = edge.percent ? (edge.percent.min + edge.percent.max) / 2 : null;
+
+        group.appendChild(createSvgElement('line', {
+            x1: from.x + (to.x - from.x) * inset / length,
+            y1: from.y + (to.y - from.y) * inset / length,
+            x2: to.x - (to.x - from.x) * inset / length,
+            y2: to.y - (to.y - from.y) * inset / length,
+            'stroke-width': midpoint === null ? min : min + (max - min) * midpoint / 100,
+            'stroke-dasharray': midpoint === null || edge.inferred ? '4 3' : null,
+            'marker-end': 'url(#genome-arrow)'
+        }));
+
+        if (edge.percent) {
+            const label = createSvgElement('text', { x: (from.x + to.x) / 2 + 4, y: (from.y + to.y) / 2, class: 'genome-graph-edge-label' });
+            label.textContent = formatPercent(edge.percent);
+            group.appendChild(label);
+        }
+
+        const title = createSvgElement('title');
+        title.textContent = `${this.graph.nodes.get(edge.from).name} → ${this.graph.nodes.get(edge.to).name}: ${edge.percent ? formatPercent(edge.percent) : 'stake undisclosed'} (${edge.sources.join(', ') || 'unknown source'})`;
+        group.appendChild(title);
+
+        return group;
+    }
+
+    buildNode(node, position) {
+        const classes = ['genome-graph-node', `kind-${node.kind}`];
+        if (node.id === this.subject) classes.push('is-subject');
+        if (node.id === this.selected) classes.push('is-selected');
+        if (this.expanded.has(node.id)) classes.push('is-expanded');
+
+        const group = createSvgElement('g', { class: classes.join(' '), transform: `translate(${position.x} ${position.y})`, 'data-node-id': node.id });
+        group.appendChild(createSvgElement('circle', { r: GRAPH_VIEW_CONFIG.nodeRadius }));
+
+        const label = createSvgElement('text', { y: GRAPH_VIEW_CONFIG.nodeRadius + 12, 'text-anchor': 'middle' });
+        label.textContent = node.name.length > GRAPH_VIEW_CONFIG.maxLabelLength
+            ? `${node.name.slice(0, GRAPH_VIEW_CONFIG.maxLabelLength - 1)}…`
+            : node.name;
+        group.appendChild(label);
+
+        const title = createSvgElement('title');
+        title.textContent = node.name;
+        group.appendChild(title);
+
+        group.addEventListener('click', () => this.select(node.id));
+        group.addEventListener('dblclick', () => this.onExpand(node.id));
+
+        return group;
+    }
+
+    select(nodeId) {
+        this.selected = nodeId;
+        this.render();
+        this.onSelect(nodeId);
+    }
+
+    // Everything the node card shows - every edge, whatever the filters hide
+    describeNode(nodeId) {
+        const node = this.graph.nodes.get(nodeId);
+        if (!node) return null;
+
+        const edges = Array.from(this.graph.edges.values());
+        return {
+            node,
+            isSubject: nodeId === this.subject,
+            expanded: this.expanded.has(nodeId),
+            owners: edges.filter(edge => edge.to === nodeId).map(edge => ({ node: this.graph.nodes.get(edge.from), edge })),
+            holdings: edges.filter(edge => edge.from === nodeId).map(edge => ({ node: this.graph.nodes.get(edge.to), edge }))
+        };
+    }
+
+    // Viewport - wheel zooms, dragging the background pans
+    applyViewBox() {
+        if (!this.size) return;
+
+        const width = this.size.width / this.zoom;
+        const height = this.size.height / this.zoom;
+        const x = (this.size.width - width) / 2 + this.pan.x;
+        const y = (this.size.height - height) / 2 + this.pan.y;
+        this.svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+    }
+
+    bindViewportEvents() {
+        this.svg.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            const { min, max, step } = GRAPH_VIEW_CONFIG.zoom;
+            this.zoom = Math.min(max, Math.max(min, event.deltaY < 0 ? this.zoom * step : this.zoom / step));
+            this.applyViewBox();
+        }, { passive: false });
+
+        let dragStart = null;
+        this.svg.addEventListener('pointerdown', (event) => {
+            if (event.target !== this.svg) return;
+            dragStart = { x: event.clientX, y: event.clientY, pan: { ...this.pan } };
+        });
+        this.svg.addEventListener('pointermove', (event) => {
+            if (!dragStart) return;
+            const scale = (this.size?.width || GRAPH_VIEW_CONFIG.minWidth) / this.zoom / (this.svg.clientWidth || GRAPH_VIEW_CONFIG.minWidth);
+            this.pan = {
+                x: dragStart.pan.x - (event.clientX - dragStart.x) * scale,
+                y: dragStart.pan.y - (event.clientY - dragStart.y) * scale
+            };
+            this.applyViewBox();
+        });
+        ['pointerup', 'pointerleave'].forEach(type => this.svg.addEventListener(type, () => {
+            dragStart = null;
+        }));
+    }
+}
+
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (value !== null && value !== undefined) element.setAttribute(name, String(value));
+    });
+    return element;
+}
+
+function formatPercent(percent) {
+    return percent.min === percent.max ? `${percent.min}%` : `${percent.min}-${percent.max}%`;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.OwnershipGraphView = OwnershipGraphView;
+}
+
+console.log('✅ Ownership graph view ready');
@@ -146,6 +146,112 @@ class EnhancedTooltipManager {
                 font-style: italic;
             }
             
+            .genome-tooltip-section-title {
+                font-weight: 600;
+                margin-bottom: 4px;
+            }
+            
+            .genome-tooltip-age {
+                font-weight: normal;
+                font-size: 11px;
+                color: #999;
+                margin-left: 4px;
+            }
+            
+            .genome-tooltip-footer {
+                color: #999;
+                font-size: 11px;
+                margin-top: 8px;
+            }
+            
+            .genome-tooltip-activist {
+                margin-top: 8px;
+                padding: 4px 8px;
+                background: #fef3c7;
+                border-left: 3px solid #f59e0b;
+                border-radius: 4px;
+                font-size: 12px;
+                font-weight: 600;
+                color: #92400e;
+            }
+            
+            .genome-tooltip-activist-date {
+                font-weight: normal;
+                color: #b45309;
+            }
+            
+            .genome-tooltip-sanctions {
+                margin-bottom: 8px;
+                padding: 6px 8px;
+                background: #7f1d1d;
+                border-radius: 4px;
+                font-size: 12px;
+                font-weight: 700;
+                color: #ffffff;
+            }
+            
+            .genome-tooltip-sanctions small {
+                display: block;
+                font-weight: normal;
+                color: #fecaca;
+            }
+            
+            .genome-tooltip-ubo {
+                margin-bottom: 8px;
+                padding: 6px 8px;
+                background: #eef2ff;
+                border-left: 3px solid #4338ca;
+                font-size: 12px;
+                color: #1e1b4b;
+            }
+            
+            .genome-tooltip-ubo small {
+                display: block;
+                color: #4b5563;
+            }
+            
+            .genome-tooltip-changes {
+                margin-bottom: 8px;
+                padding: 4px 8px;
+                background: #fef3c7;
+                border-radius: 4px;
+                font-size: 12px;
+                color: #78350f;
+            }
+            
+            .genome-tooltip-change-marker {
+                font-size: 11px;
+                font-weight: 600;
+                color: #b45309;
+            }
+            
+            .genome-tooltip-concentration {
+                margin-top: 8px;
+                font-size: 12px;
+            }
+            
+            .genome-tooltip-concentration small {
+                color: #4b5563;
+            }
+            
+            .genome-tooltip-insiders {
+                margin-top: 8px;
+                font-size: 12px;
+            }
+            
+            .genome-tooltip-insiders.buying {
+                color: #047857;
+            }
+            
+            .genome-tooltip-insiders.selling {
+                color: #b91c1c;
+            }
+            
+            .genome-tooltip-error {
+                color: #ef4444;
+                font-size: 12px;
+            }
+            
             .genome-tooltip-verified {
                 color: #10b981;
                 font-weight: 600;
@@ -458,8 +564,7 @@ class EnhancedTooltipManager {
     
     async loadTooltipData(tooltipId, entity) {
         try {
-            // Simulate loading ownership data
-            await new Promise(resolve => setTimeout(resolve, 800));
+            const data = await requestOwnershipData(entity, { graphFocus: 'hover' });
             
             const tooltipData = this.activeTooltips.get(tooltipId);
             if (!tooltipData) return; // Tooltip was removed
@@ -468,22 +573,201 @@ class EnhancedTooltipManager {
             const loadingElement = tooltip.querySelector('.genome-tooltip-loading');
             
             if (loadingElement) {
-                // Replace loading text with mock data
-                loadingElement.outerHTML = `
-                    <div class="genome-tooltip-content">
-                        <div style="font-weight: 600; margin-bottom: 4px;">Major Shareholders:</div>
-                        <div>• Vanguard Group - 9.7%</div>
-                        <div>• BlackRock Inc. - 7.2%</div>
-                        <div>• State Street - 4.8%</div>
-                    </div>
-                `;
+                // Wrapped so a refresh pushed by the worker can redraw it in place
+                loadingElement.outerHTML = `<div class="genome-tooltip-ownership">${this.buildOwnershipContent(data)}</div>`;
             }
             
         } catch (error) {
             console.error('Failed to load tooltip data:', error);
+            
+            const tooltipData = this.activeTooltips.get(tooltipId);
+            const loadingElement = tooltipData?.element.querySelector('.genome-tooltip-loading');
+            if (loadingElement) {
+                loadingElement.outerHTML = `<div class="genome-tooltip-error">${this.escapeHtml(error.message)}</div>`;
+            }
         }
     }
     
+    // The worker pushes a lookup again once its stale sections were refetched - redraw every open tooltip on that entity
+    applyOwnershipUpdate(update) {
+        this.activeTooltips.forEach(tooltipData => {
+            const ownership = tooltipData.element.querySelector('.genome-tooltip-ownership');
+            if (ownership && isOwnershipUpdateFor(update, tooltipData.entity)) {
+                ownership.innerHTML = this.buildOwnershipContent(update.data);
+            }
+        });
+    }
+    
+    buildAgeLabel(data, section) {
+        const age = describeSectionAge(data, section);
+        return age ? `<span class="genome-tooltip-age">${this.escapeHtml(age)}</span>` : '';
+    }
+    
+    buildOwnershipContent(data) {
+        const owners = data.owners || [];
+        
+        let content = '<div class="genome-tooltip-content">';
+        
+        // A sanctions hit outranks everything else in the tooltip
+        if (data.sanctions?.hits?.length > 0) {
+            content += this.buildSanctionsBadge(data.sanctions);
+        }
+        
+        const controller = data.ownershipGraph?.ultimateControllers?.[0];
+        if (controller) {
+            content += this.buildUltimateControllerLine(controller);
+        }
+        
+        const changes = data.ownershipChanges?.hasChanges ? data.ownershipChanges : null;
+        if (changes) {
+            content += this.buildChangesLine(changes);
+        }
+        
+        if (owners.length > 0) {
+            content += `<div class="genome-tooltip-section-title">Major Shareholders:${this.buildAgeLabel(data, 'holders')}</div>`;
+            owners.slice(0, 5).forEach(owner => {
+                const marker = changes ? this.describeHolderChange(changes, owner.name) : '';
+                content += `<div>• ${this.escapeHtml(owner.name)} - ${this.escapeHtml(String(owner.percent))}${marker ? ` <span class="genome-tooltip-change-marker">${marker}</span>` : ''}</div>`;
+            });
+        } else {
+            content += '<div class="genome-tooltip-loading">No holder data available</div>';
+        }
+        
+        // Insider trading sits alongside the institutional picture
+        if (data.insiderActivity?.summary) {
+            content += this.buildInsiderSummary(data.insiderActivity.summary, this.buildAgeLabel(data, 'insiders'));
+        }
+        
+        if (data.concentration) {
+            content += this.buildConcentrationSection(data.concentration, data.commonOwnership, this.buildAgeLabel(data, 'holders'));
+        }
+        
+        content += '</div>';
+        
+        // Recent 13D filers are flagged ahead of passive holders
+        findActivistStakes(data.significantHolders).forEach(stake => {
+            content += `
+                <div class="genome-tooltip-activist">
+                    ⚠️ Activist stake: ${this.escapeHtml(stake.filerName)}
+                    ${stake.percentOfClass !== null ? ` (${stake.percentOfClass}%)` : ''}
+                    <span class="genome-tooltip-activist-date">since ${this.escapeHtml(stake.eventDate)}</span>${this.buildAgeLabel(data, 'activists')}
+                </div>
+            `;
+        });
+        
+        // Source attribution
+        const identifiers = data.identifiers || {};
+        const idInfo = [identifiers.ticker, identifiers.cik ? `CIK ${identifiers.cik}` : null].filter(Boolean);
+        content += `
+            <div class="genome-tooltip-footer">
+                ${this.escapeHtml(idInfo.join(' • '))}
+                ${data.sources?.length ? ` | ${data.sources.length} sources, quality ${data.qualityScore}/100` : ''}
+            </div>
+        `;
+        
+        return content;
+    }
+    
+    buildSanctionsBadge(sanctions) {
+        const topHit = sanctions.hits[0];
+        const others = sanctions.hits.length - 1;
+        const rule = sanctions.ownershipRule;
+        
+        let ruleNote = '';
+        if (rule?.applies) {
+            ruleNote = `<small>50% rule: listed owners hold ${rule.aggregatePercent.min}%+ in aggregate</small>`;
+        } else if (rule?.possible) {
+            ruleNote = `<small>50% rule may apply: listed owners hold up to ${rule.aggregatePercent.max}%</small>`;
+        }
+        
+        return `
+            <div class="genome-tooltip-sanctions">
+                ⛔ Sanctions hit: ${this.escapeHtml(topHit.name)} (${this.escapeHtml(topHit.role)})
+                <small>${this.escapeHtml(topHit.list)} • ${topHit.score}% match to "${this.escapeHtml(topHit.matchedName)}"${others > 0 ? ` • +${others} more` : ''}</small>
+                ${ruleNote}
+            </div>
+        `;
+    }
+    
+    buildChangesLine(changes) {
+        const summary = [
+            changes.newHolders.length ? `${changes.newHolders.length} new` : null,
+            changes.exitedHolders.length ? `${changes.exitedHolders.length} exited` : null,
+            changes.percentChanges.length ? `${changes.percentChanges.length} moved ≥${changes.threshold}pt` : null
+        ].filter(Boolean).join(' • ');
+        
+        return `
+            <div class="genome-tooltip-changes">
+                🔄 Changed since you last looked (${this.escapeHtml(changes.from.split('T')[0])}): ${this.escapeHtml(summary)}
+            </div>
+        `;
+    }
+    
+    describeHolderChange(changes, name) {
+        if (changes.newHolders.some(holder => holder.name === name)) return '🆕 new';
+        
+        const moved = changes.percentChanges.find(holder => holder.name === name);
+        if (moved) return `${moved.change > 0 ? '▲ +' : '▼ '}${moved.change}pt`;
+        
+        return '';
+    }
+    
+    buildUltimateControllerLine(controller) {
+        const path = controller.paths.find(candidate => candidate.controls) || controller.paths[0];
+        const stake = controller.effectivePercent
+            ? ` (${controller.effectivePercent.min === controller.effectivePercent.max
+                ? controller.effectivePercent.min
+                : `${controller.effectivePercent.min}-${controller.effectivePercent.max}`}% effective)`
+            : '';
+        
+        return `
+            <div class="genome-tooltip-ubo">
+                Ultimately controlled by ${this.escapeHtml(controller.name)}${stake}
+                <small>${path.chain.map(name => this.escapeHtml(name)).join(' → ')}</small>
+            </div>
+        `;
+    }
+    
+    buildConcentrationSection(concentration, commonOwnership, ageLabel = '') {
+        const topPeers = (commonOwnership?.peers || [])
+            .filter(peer => peer.sharedHolderCount > 0)
+            .sort((a, b) => b.profitWeight - a.profitWeight)
+            .slice(0, 2);
+        
+        return `
+            <div class="genome-tooltip-concentration">
+                <span class="genome-tooltip-section-title">Holder concentration:</span>${ageLabel}
+                Top 5 ${concentration.topN.top5}% • HHI ${concentration.disclosedHhi.toLocaleString()} (${this.escapeHtml(concentration.disclosedHhiBand)})
+                ${commonOwnership ? `<br><small>Peer MHHI ${commonOwnership.mhhi.toLocaleString()} = HHI ${commonOwnership.hhi.toLocaleString()} + Δ${commonOwnership.mhhiDelta.toLocaleString()} across ${commonOwnership.peers.length} peers (${commonOwnership.marketShareBasis === 'marketCap' ? 'market-cap shares' : 'equal shares'})</small>` : ''}
+                ${topPeers.map(peer => `<br><small>${peer.sharedHolderCount} shared holders with ${this.escapeHtml(peer.ticker || peer.name)} • ${peer.sharedPercentOfPeer}% of it • κ ${peer.profitWeight}</small>`).join('')}
+            </div>
+        `;
+    }
+    
+    buildInsiderSummary(summary, ageLabel = '') {
+        const signalInfo = {
+            NET_BUYING: { className: 'buying', label: 'Net buying' },
+            NET_SELLING: { className: 'selling', label: 'Net selling' },
+            NEUTRAL: { className: '', label: 'No open-market trades' }
+        }[summary.signal] || { className: '', label: summary.signal };
+        
+        const details = [];
+        if (summary.buyers > 0) {
+            details.push(`${summary.buyers} buyer${summary.buyers === 1 ? '' : 's'}, ${summary.sharesBought.toLocaleString()} sh ($${summary.valueBought.toLocaleString()})`);
+        }
+        if (summary.sellers > 0) {
+            details.push(`${summary.sellers} seller${summary.sellers === 1 ? '' : 's'}, ${summary.sharesSold.toLocaleString()} sh ($${summary.valueSold.toLocaleString()})`);
+        }
+        
+        return `
+            <div class="genome-tooltip-insiders ${signalInfo.className}">
+                <span class="genome-tooltip-section-title">Insiders (${summary.windowDays}d):</span>${ageLabel}
+                ${this.escapeHtml(signalInfo.label)}
+                ${details.length ? `<br><small>${this.escapeHtml(details.join(' • '))}</small>` : ''}
+            </div>
+        `;
+    }
+    
     hideTooltip(tooltipId) {
         const tooltipData = this.activeTooltips.get(tooltipId);
         if (!tooltipData) return;
@@ -610,9 +894,112 @@ class EnhancedTooltipManager {
     }
 }
 
+// Schedule 13D filings with an event in the last 12 months
+function findActivistStakes(significantHolders, now = Date.now()) {
+    const cutoff = now - 365 * 86400000;
+    
+    return (significantHolders || []).filter(holder =>
+        holder.isActivist && new Date(holder.eventDate || holder.filingDate).getTime() >= cutoff
+    );
+}
+
+// Sources behind each ownership section - a section is as old as the oldest answer it draws on
+const OWNERSHIP_SECTION_SOURCES = {
+    holders: ['yahoo', 'sec'],
+    insiders: ['insider'],
+    activists: ['sec13dg'],
+    registers: ['companieshouse'],
+    entities: ['opencorporates', 'gleif', 'companieshouse'],
+    contracts: ['usaspending'],
+    news: ['news']
+};
+
+// "as of 3h ago" from when the section's sources answered - "refreshing" while a stale answer is being refetched
+function describeSectionAge(data, section, now = Date.now()) {
+    const retrievals = (data?.retrievals || []).filter(retrieval => OWNERSHIP_SECTION_SOURCES[section].includes(retrieval.source));
+    if (retrievals.length === 0) return '';
+    
+    const oldest = Math.min(...retrievals.map(retrieval => new Date(retrieval.retrievedAt).getTime()));
+    const refreshing = retrievals.some(retrieval => retrieval.stale);
+    return `as of ${formatDataAge(now - oldest)}${refreshing ? ' • refreshing' : ''}`;
+}
+
+function formatDataAge(elapsed) {
+    const minutes = Math.floor(elapsed / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    
+    const hours = Math.floor(minutes / 60);
+    return hours < 48 ? `${hours}h ago` : `${Math.floor(hours / 24)}d ago`;
+}
+
+const PEER_GROUPS_KEY = 'peer_groups';
+
+// A user-defined peer group containing the ticker wins; otherwise the knowledge base's industry peers
+async function selectPeerSet(entity) {
+    const company = entity.knowledgeBase?.company;
+    const ticker = company?.ticker?.toUpperCase();
+    
+    if (ticker) {
+        const stored = await chrome.storage.local.get([PEER_GROUPS_KEY]).catch(() => ({}));
+        const group = (stored[PEER_GROUPS_KEY] || []).find(tickers => tickers.includes(ticker));
+        if (group) {
+            return group.filter(peerTicker => peerTicker !== ticker).map(peerTicker => ({ name: null, ticker: peerTicker }));
+        }
+    }
+    
+    if (!company?.id || typeof window.CompanyKnowledgeBase !== 'function') return [];
+    return new window.CompanyKnowledgeBase().findPeers(company.id).map(peer => ({ name: peer.name, ticker: peer.ticker }));
+}
+
+// The entity as the worker is told about it - refreshes it pushes back are matched on the same fields
+function describeOwnershipEntity(entity) {
+    return {
+        name: entity.baseName || entity.normalized || entity.text,
+        ticker: entity.knowledgeBase?.company?.ticker || null,
+        type: entity.type,
+        confidence: entity.confidence?.score || entity.confidence || 0
+    };
+}
+
+// Pass the lookup's options to also require a refresh of the same depth - a hover lookup can't redraw the details view
+function isOwnershipUpdateFor(update, entity, options = null) {
+    const described = describeOwnershipEntity(entity);
+    if (update.entity?.name !== described.name || (update.entity?.ticker || null) !== described.ticker) return false;
+    
+    return !options || ['includeInternational', 'includeGovernment', 'includeContext']
+        .every(option => Boolean(options[option]) === Boolean(update.options?.[option]));
+}
+
+// Ask the background worker to resolve the entity and fetch its holders
+async function requestOwnershipData(entity, options = {}) {
+    const peers = options.peers || await selectPeerSet(entity);
+    
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({
+            action: 'fetchOwnershipData',
+            entity: describeOwnershipEntity(entity),
+            ...options,
+            peers
+        }, response => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else if (!response || !response.success) {
+                reject(new Error(response?.error || 'No response from background worker'));
+            } else {
+                resolve(response.data);
+            }
+        });
+    });
+}
+
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.EnhancedTooltipManager = EnhancedTooltipManager;
+    window.requestOwnershipData = requestOwnershipData;
+    window.findActivistStakes = findActivistStakes;
+    window.describeSectionAge = describeSectionAge;
+    window.isOwnershipUpdateFor = isOwnershipUpdateFor;
 }
 
 console.log('✅ Enhanced Tooltip Manager ready');
\ No newline at end of file
@@ -0,0 +1,151 @@
+// Corporate Genome Options - Display settings and bulk CSV enrichment
+console.log('Corporate Genome: Options page loaded');
+
+const OPTIONS_SETTINGS_KEY = 'options_settings';
+
+const DEFAULT_OPTIONS = {
+    enableHoverCards: true,
+    showLoadingState: true,
+    hoverDelay: 300,
+    minNameLength: 2
+};
+
+let parsedUpload = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await setupSettings();
+    await setupBulkEnrichment();
+});
+
+async function setupSettings() {
+    const stored = await chrome.storage.local.get([OPTIONS_SETTINGS_KEY]);
+    showSettings({ ...DEFAULT_OPTIONS, ...stored[OPTIONS_SETTINGS_KEY] });
+
+    document.getElementById('saveOptions').addEventListener('click', async () => {
+        const settings = {};
+        Object.entries(DEFAULT_OPTIONS).forEach(([key, fallback]) => {
+            const input = document.getElementById(key);
+            settings[key] = typeof fallback === 'boolean' ? input.checked : Number(input.value) || fallback;
+        });
+        await chrome.storage.local.set({ [OPTIONS_SETTINGS_KEY]: settings });
+    });
+
+    document.getElementById('resetOptions').addEventListener('click', async () => {
+        await chrome.storage.local.remove(OPTIONS_SETTINGS_KEY);
+        showSettings(DEFAULT_OPTIONS);
+    });
+}
+
+function showSettings(settings) {
+    Object.entries(settings).forEach(([key, value]) => {
+        const input = document.getElementById(key);
+        if (!input) return;
+        if (typeof value === 'boolean') input.checked = value;
+        else input.value = value;
+    });
+}
+
+async function setupBulkEnrichment() {
+    const status = document.getElementById('enrichment-status');
+    const normalizer = new CompanyNormalizer();
+    const knowledgeBase = new CompanyKnowledgeBase();
+
+    document.getElementById('enrichment-file').addEventListener('change', async (event) => {
+        const [file] = event.target.files;
+        parsedUpload = null;
+        if (!file) return;
+
+        try {
+            const { headers, rows } = parseEnrichmentCSV(await file.text());
+            const prepared = rows.map(row => prepareEnrichmentRow(row, normalizer, knowledgeBase));
+            const knownMatches = prepared.filter(row => row.match.via.startsWith('knowledge-base')).length;
+
+            parsedUpload = { filename: file.name, headers, rows: prepared };
+            status.textContent = `${prepared.length} rows read - ${knownMatches} matched from the local knowledge base, the rest resolve by name or ticker`;
+        } catch (error) {
+            status.textContent = `Could not read ${file.name}: ${error.message}`;
+        }
+    });
+
+    document.getElementById('start-enrichment').addEventListener('click', async () => {
+        if (!parsedUpload) {
+            status.textContent = 'Choose a CSV file first';
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'startBulkEnrichment', ...parsedUpload });
+            status.textContent = response?.success
+                ? `Enriching ${response.data.total} rows - you can close this page, the run carries on`
+                : `Could not start: ${response?.error || 'no response'}`;
+        } catch (error) {
+            status.textContent = `Could not start: ${error.message}`;
+        }
+    });
+
+    document.getElementById('cancel-enrichment').addEventListener('click', async () => {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'cancelBulkEnrichment' });
+            if (!response?.success) status.textContent = `Could not cancel: ${response?.error || 'no response'}`;
+        } catch (error) {
+            status.textContent = `Could not cancel: ${error.message}`;
+        }
+    });
+
+    document.getElementById('download-enrichment').addEventListener('click', async () => {
+        const stored = await chrome.storage.local.get([BULK_ENRICHMENT_CONFIG.storageKey]);
+        const job = stored[BULK_ENRICHMENT_CONFIG.storageKey];
+        if (!job) {
+            status.textContent = 'Nothing to download yet';
+            return;
+        }
+
+        // Partial results download too - unfinished rows come back marked pending
+        const file = formatEnrichmentResults(job, document.getElementById('enrichment-format').value);
+        downloadFile(file);
+        status.textContent = `Saved ${file.filename}`;
+    });
+
+    // The worker saves the job after every row; follow it from storage
+    const stored = await chrome.storage.local.get([BULK_ENRICHMENT_CONFIG.storageKey]);
+    showEnrichmentProgress(stored[BULK_ENRICHMENT_CONFIG.storageKey]);
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[BULK_ENRICHMENT_CONFIG.storageKey]) {
+            showEnrichmentProgress(changes[BULK_ENRICHMENT_CONFIG.storageKey].newValue);
+        }
+    });
+}
+
+function showEnrichmentProgress(job) {
+    const bar = document.getElementById('enrichment-bar');
+    const text = document.getElementById('enrichment-progress-text');
+    const running = job?.status === 'running';
+
+    document.getElementById('start-enrichment').disabled = running;
+    document.getElementById('cancel-enrichment').disabled = !running;
+    document.getElementById('download-enrichment').disabled = !job;
+
+    if (!job) {
+        bar.value = 0;
+        text.textContent = 'No enrichment run yet';
+        return;
+    }
+
+    const progress = describeEnrichmentProgress(job);
+    const finished = progress.total - progress.pending;
+    bar.max = progress.total;
+    bar.value = finished;
+    text.textContent = `${job.filename}: ${finished} of ${progress.total} rows (${progress.done} enriched, ${progress.unresolved} unresolved, ${progress.failed} failed) - ${job.status}`;
+}
+
+function downloadFile({ filename, mimeType, content }) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    // Revoking straight away can cancel the download before it starts
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
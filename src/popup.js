@@ -5,12 +5,265 @@ document.addEventListener('DOMContentLoaded', () => {
     // Your existing popup code...
     setupExistingFeatures();
     
+    // Holder movement recorded by the background snapshot history
+    setupOwnershipChanges();
+    
+    // Budget left on the sources that meter requests
+    loadQuotaStatus();
+    
+    // Peer sets for the common-ownership metrics
+    setupPeerGroups();
+    
+    // Interactive graph of the hovered or pinned entity
+    setupGraphPanel();
+    
+    // Stored ownership graph exports for Gephi, Cytoscape and Neo4j
+    setupGraphExport();
+    
     // NEW: Add security settings
     setupSecuritySettings();
 });
 
 function setupExistingFeatures() {
-    // ... your existing popup code ...
+    const refreshButton = document.getElementById('refresh-data');
+    const exportButton = document.getElementById('export-data');
+    
+    refreshButton?.addEventListener('click', refreshPageData);
+    
+    // One button, two exporters - the format picks between the page dossier and the stored graph
+    exportButton?.addEventListener('click', () => {
+        const format = document.getElementById('export-format').value;
+        if (format.startsWith('dossier-')) {
+            exportPageDossier(format.slice('dossier-'.length));
+        } else {
+            exportGraph(format);
+        }
+    });
+}
+
+async function getActiveTab() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tab || null;
+}
+
+async function refreshPageData() {
+    const status = document.getElementById('export-status');
+    const tab = await getActiveTab();
+    if (!tab) return;
+    
+    status.textContent = 'Rescanning page...';
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'refreshPageData', tabId: tab.id });
+        
+        status.textContent = response?.success
+            ? `Rescanned ${response.count} entities - cached data cleared`
+            : `Refresh failed: ${response?.error || 'no response'}`;
+        
+    } catch (error) {
+        console.error('Failed to refresh page data:', error);
+        status.textContent = `Refresh failed: ${error.message}`;
+    }
+}
+
+async function exportPageDossier(format) {
+    const status = document.getElementById('export-status');
+    const tab = await getActiveTab();
+    if (!tab) return;
+    
+    status.textContent = 'Building dossier - each entity is looked up in full, this can take a while...';
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'exportPageDossier', tabId: tab.id, format });
+        
+        if (!response?.success) {
+            status.textContent = `Export failed: ${response?.error || 'no response'}`;
+            return;
+        }
+        
+        downloadFile(response.data);
+        status.textContent = `Saved ${response.data.filename}`;
+        
+    } catch (error) {
+        console.error('Failed to export page dossier:', error);
+        status.textContent = `Export failed: ${error.message}`;
+    }
+}
+
+const CHANGE_THRESHOLD_KEY = 'ownership_change_threshold';
+
+async function setupOwnershipChanges() {
+    const thresholdInput = document.getElementById('change-threshold');
+    if (thresholdInput) {
+        const stored = await chrome.storage.local.get([CHANGE_THRESHOLD_KEY]);
+        if (typeof stored[CHANGE_THRESHOLD_KEY] === 'number') {
+            thresholdInput.value = stored[CHANGE_THRESHOLD_KEY];
+        }
+        
+        thresholdInput.addEventListener('change', async () => {
+            const threshold = parseFloat(thresholdInput.value);
+            if (threshold >= 0) {
+                await chrome.storage.local.set({ [CHANGE_THRESHOLD_KEY]: threshold });
+            }
+        });
+    }
+    
+    loadRecentChanges();
+}
+
+async function loadRecentChanges() {
+    const container = document.getElementById('recent-changes');
+    if (!container) return;
+    
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'queryOwnershipGraph',
+            query: { type: 'recentChanges', limit: 5 }
+        });
+        
+        if (!response?.success || response.data.length === 0) {
+            container.textContent = 'No ownership changes since your last visits';
+            return;
+        }
+        
+        container.textContent = '';
+        response.data.forEach(({ companyName, changes }) => {
+            const entry = document.createElement('div');
+            entry.className = 'change-entry';
+            entry.textContent = `🔄 ${companyName}`;
+            
+            const details = document.createElement('small');
+            details.textContent = [
+                changes.newHolders.length ? `${changes.newHolders.length} new` : null,
+                changes.exitedHolders.length ? `${changes.exitedHolders.length} exited` : null,
+                changes.percentChanges.length ? `${changes.percentChanges.length} moved` : null
+            ].filter(Boolean).join(' • ') + ` since ${changes.from.split('T')[0]}`;
+            
+            entry.appendChild(details);
+            container.appendChild(entry);
+        });
+        
+    } catch (error) {
+        console.error('Failed to load ownership changes:', error);
+        container.textContent = 'Ownership history unavailable';
+    }
+}
+
+const QUOTA_WINDOW_LABELS = { daily: 'today', monthly: 'this month' };
+
+async function loadQuotaStatus() {
+    const container = document.getElementById('quota-status');
+    if (!container) return;
+    
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getQuotaStatus' });
+        if (!response?.success || response.data.length === 0) {
+            container.textContent = 'No metered data sources';
+            return;
+        }
+        
+        container.textContent = '';
+        response.data.forEach(quota => {
+            const entry = document.createElement('div');
+            entry.className = quota.cacheOnly ? 'change-entry quota-low' : 'change-entry';
+            entry.textContent = `${quota.source}: ` + Object.entries(QUOTA_WINDOW_LABELS)
+                .filter(([period]) => quota[period])
+                .map(([period, label]) => `${quota[period].remaining.toLocaleString()} of ${quota[period].limit.toLocaleString()} left ${label}`)
+                .join(' • ');
+            
+            if (quota.cacheOnly) {
+                const details = document.createElement('small');
+                details.textContent = 'Nearly spent - serving cached data only until the budget resets';
+                entry.appendChild(details);
+            }
+            
+            container.appendChild(entry);
+        });
+        
+    } catch (error) {
+        console.error('Failed to load quota status:', error);
+        container.textContent = 'Quota status unavailable';
+    }
+}
+
+function setupGraphPanel() {
+    const openButton = document.getElementById('open-graph-panel');
+    if (!openButton || !chrome.sidePanel) return;
+    
+    openButton.addEventListener('click', async () => {
+        const currentWindow = await chrome.windows.getCurrent();
+        await chrome.sidePanel.open({ windowId: currentWindow.id });
+        window.close();
+    });
+}
+
+async function setupGraphExport() {
+    const entityInput = document.getElementById('export-entity');
+    if (!entityInput) return;
+    
+    // Default to whatever the side panel is showing
+    const stored = await chrome.storage.session.get(['graph_focus']);
+    entityInput.value = stored.graph_focus?.companyName || '';
+}
+
+async function exportGraph(format) {
+    const entityInput = document.getElementById('export-entity');
+    const status = document.getElementById('export-status');
+    if (!entityInput.value.trim()) {
+        status.textContent = 'Enter a company to export';
+        return;
+    }
+    
+    status.textContent = 'Exporting...';
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'exportOwnershipGraph',
+            entity: entityInput.value.trim(),
+            format,
+            depth: document.getElementById('export-depth').value,
+            minPercent: document.getElementById('export-min-percent').value
+        });
+        
+        if (!response?.success) {
+            status.textContent = `Export failed: ${response?.error || 'no response'}`;
+            return;
+        }
+        
+        downloadFile(response.data);
+        status.textContent = `Saved ${response.data.filename}`;
+        
+    } catch (error) {
+        console.error('Failed to export ownership graph:', error);
+        status.textContent = `Export failed: ${error.message}`;
+    }
+}
+
+function downloadFile({ filename, mimeType, content }) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    
+    // Revoking straight away can cancel the download before it starts
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const PEER_GROUPS_KEY = 'peer_groups';
+
+async function setupPeerGroups() {
+    const peerGroupsInput = document.getElementById('peer-groups');
+    if (!peerGroupsInput) return;
+    
+    const stored = await chrome.storage.local.get([PEER_GROUPS_KEY]);
+    peerGroupsInput.value = (stored[PEER_GROUPS_KEY] || []).map(group => group.join(', ')).join('\n');
+    
+    peerGroupsInput.addEventListener('change', async () => {
+        const groups = peerGroupsInput.value
+            .split('\n')
+            .map(line => line.split(/[\s,]+/).map(ticker => ticker.trim().toUpperCase()).filter(Boolean))
+            .filter(group => group.length > 1);
+        
+        await chrome.storage.local.set({ [PEER_GROUPS_KEY]: groups });
+    });
 }
 
 // NEW: Security settings panel
@@ -43,9 +296,12 @@ async function loadAPIKeyStatus() {
         }
         
         const keys = await vault.retrieveAPIKeys([
-            'newsApi', 'fredApi', 'opencorporates'
+            'newsApi', 'fredApi', 'opencorporates', 'companiesHouse'
         ]);
         
+        // Background sources read their keys from memory, never from storage
+        shareSessionKeys(keys);
+        
         // Update UI to show which keys are configured
         Object.entries(keys).forEach(([keyName, keyValue]) => {
             const indicator = document.getElementById(`${keyName}-indicator`);
@@ -60,6 +316,13 @@ async function loadAPIKeyStatus() {
     }
 }
 
+function shareSessionKeys(keys) {
+    chrome.runtime.sendMessage({
+        action: 'setSessionApiKeys',
+        keys: { companiesHouse: keys.companiesHouse }
+    }).catch(error => console.warn('Background did not accept API keys:', error));
+}
+
 async function handleAPIKeySubmit(event) {
     event.preventDefault();
     
@@ -102,7 +365,12 @@ async function handleVaultReset() {
     }
     
     try {
-        await chrome.storage.local.clear();
+        // Only the vault's own entries - quota counts, cached answers and crosswalk rows share this storage
+        const stored = await chrome.storage.local.get(null);
+        await chrome.storage.local.remove(Object.keys(stored).filter(key => key.startsWith('vault_')));
+        
+        // The worker's session copy of a key goes with the vault
+        shareSessionKeys({ companiesHouse: null });
         alert('Vault reset successfully. Please refresh the page.');
         window.location.reload();
     } catch (error) {
@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+// Corporate Genome Enrichment Server - The tooltip's merged ownership intelligence over local HTTP
+// A thin layer over the headless API: one data layer, knowledge base and lookup cache shared by every client
+const crypto = require('crypto');
+const http = require('http');
+
+const api = require('../api/index.js');
+const { CompanyNormalizer } = require('../modules/recognition/company-normalizer.js');
+const { ClientRateLimiter, RateLimitError } = require('./rate-limiter.js');
+const { describeSchema } = require('./schemas.js');
+
+const ENRICHMENT_SERVER_CONFIG = {
+    host: '127.0.0.1', // local tools only - put a proxy in front before exposing it further
+    port: 8787,
+    apiKeyHeader: 'x-api-key',
+    maxBodyBytes: 1048576, // 1 MB of posted text
+    clientsVariable: 'CORPORATE_GENOME_CLIENTS' // "research=key1,dashboard=key2"
+};
+
+const USAGE = `Usage: corporate-genome-server [--port <n>] [--host <address>]
+
+Client keys come from ${ENRICHMENT_SERVER_CONFIG.clientsVariable} ("name=key,name=key"); each client
+sends its key in the X-API-Key header. Data source keys come from COMPANIES_HOUSE_API_KEY,
+FRED_API_KEY and NEWS_API_KEY. Start Node with -r fake-indexeddb/auto to keep a graph store
+for the life of the process.`;
+
+const normalizer = new CompanyNormalizer();
+
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// clients: { name: key }; rateLimits overrides ClientRateLimiter's windows
+function createEnrichmentServer({ clients = {}, rateLimits = {} } = {}) {
+    const keys = Object.entries(clients).filter(([, key]) => typeof key === 'string' && key.length > 0);
+    if (keys.length === 0) {
+        throw new Error('The enrichment server needs at least one client API key');
+    }
+
+    const rateLimiter = new ClientRateLimiter(rateLimits);
+
+    return http.createServer(async (request, response) => {
+        try {
+            const url = new URL(request.url, 'http://localhost');
+
+            // Schemas describe the API, not its data - no key needed to read them
+            const schemaMatch = url.pathname.match(/^\/schemas\/([a-z]+)$/);
+            if (schemaMatch) {
+                requireMethod(request, 'GET');
+                const schema = describeSchema(schemaMatch[1]);
+                if (!schema) throw new HttpError(404, 'not_found', `No schema named ${schemaMatch[1]}`);
+                sendJSON(response, 200, schema, { 'Content-Type': 'application/schema+json' });
+                return;
+            }
+
+            const client = authenticate(request, keys);
+            const quota = rateLimiter.enforceLimit(client);
+            response.setHeader('RateLimit-Limit', quota.limit);
+            response.setHeader('RateLimit-Remaining', quota.remaining);
+
+            const { schema, body } = await route(request, url);
+            sendJSON(response, 200, body, { Link: `</schemas/${schema}>; rel="describedby"` });
+
+        } catch (error) {
+            sendError(response, error);
+        }
+    });
+}
+
+async function route(request, url) {
+    const { pathname, searchParams } = url;
+
+    if (pathname === '/entity') {
+        requireMethod(request, 'GET');
+        return { schema: 'entity', body: await describeEntityLookup(searchParams.get('name')) };
+    }
+
+    const ownersMatch = pathname.match(/^\/entity\/([^/]+)\/owners$/);
+    if (ownersMatch) {
+        requireMethod(request, 'GET');
+        return { schema: 'owners', body: await describeOwners(decodePathSegment(ownersMatch[1])) };
+    }
+
+    if (pathname === '/extract') {
+        requireMethod(request, 'POST');
+        const text = await readText(request);
+        return { schema: 'extraction', body: { entities: await api.extractEntities(text) } };
+    }
+
+    const graphMatch = pathname.match(/^\/graph\/([^/]+)$/);
+    if (graphMatch) {
+        requireMethod(request, 'GET');
+        const id = decodePathSegment(graphMatch[1]);
+        if (!id.trim()) {
+            throw new HttpError(400, 'bad_request', 'The graph route needs a company name, ticker, CIK or LEI');
+        }
+
+        const graph = await api.graph(id, {
+            depth: searchParams.get('depth'),
+            minPercent: searchParams.get('minPercent')
+        });
+        if (graph.nodes.length === 0) throw new HttpError(404, 'not_found', `No ownership data for "${graph.query}"`);
+        return { schema: 'graph', body: graph };
+    }
+
+    throw new HttpError(404, 'not_found', `No route for ${pathname}`);
+}
+
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw new HttpError(400, 'bad_request', `Malformed path segment: ${segment}`);
+    }
+}
+
+async function describeEntityLookup(name) {
+    if (!name || !name.trim()) {
+        throw new HttpError(400, 'bad_request', 'The name parameter is required');
+    }
+
+    const resolved = await api.resolve(name);
+    assertResolved(resolved, name);
+
+    return { ...resolved, data: await api.enrich(name) };
+}
+
+async function describeOwners(cik) {
+    if (!/^\d{1,10}$/.test(cik)) {
+        throw new HttpError(400, 'bad_request', 'A CIK is up to ten digits');
+    }
+
+    const paddedCik = cik.padStart(10, '0');
+    const resolved = await api.resolve(paddedCik);
+    assertResolved(resolved, paddedCik);
+
+    const data = await api.enrich(paddedCik);
+    return {
+        cik: paddedCik,
+        name: resolved.identifiers.name || data.companyName,
+        ticker: resolved.identifiers.ticker || null,
+        owners: data.owners,
+        significantHolders: data.significantHolders,
+        ultimateOwners: data.ownershipGraph?.ultimateOwners || [],
+        sources: data.sources,
+        lastUpdated: data.lastUpdated
+    };
+}
+
+// Same rule as the extension's resolveEntityIdentifiers: an unresolved name is only worth fetching when Companies House can take it
+function assertResolved(resolved, query) {
+    const { identifiers } = resolved;
+    if (identifiers.matchType !== 'unresolved') return;
+
+    const ukHint = normalizer.getCountryHints(query).includes('UK') || /^GB\b/i.test(identifiers.jurisdiction || '');
+    if (!ukHint) {
+        throw new HttpError(404, 'not_found', `Could not resolve "${query}" to a ticker or CIK`);
+    }
+}
+
+// Keys are compared in constant time; the client's name, not its key, is what gets rate limited and logged
+function authenticate(request, keys) {
+    const offered = request.headers[ENRICHMENT_SERVER_CONFIG.apiKeyHeader];
+    if (typeof offered !== 'string' || !offered) {
+        throw new HttpError(401, 'unauthorized', `Missing ${ENRICHMENT_SERVER_CONFIG.apiKeyHeader} header`);
+    }
+
+    const offeredDigest = crypto.createHash('sha256').update(offered).digest();
+    const match = keys.find(([, key]) => crypto.timingSafeEqual(offeredDigest, crypto.createHash('sha256').update(key).digest()));
+    if (!match) {
+        throw new HttpError(401, 'unauthorized', 'Unknown API key');
+    }
+
+    return match[0];
+}
+
+function requireMethod(request, method) {
+    if (request.method !== method) {
+        const error = new HttpError(405, 'method_not_allowed', `Use ${method} for this route`);
+        error.allow = method;
+        throw error;
+    }
+}
+
+// Raw text/plain, or JSON with a text field
+async function readText(request) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > ENRICHMENT_SERVER_CONFIG.maxBodyBytes) {
+            throw new HttpError(413, 'payload_too_large', `Posted text is limited to ${ENRICHMENT_SERVER_CONFIG.maxBodyBytes} bytes`);
+        }
+        chunks.push(chunk);
+    }
+
+    const body = Buffer.concat(chunks).toString('utf8');
+    if (!(request.headers['content-type'] || '').includes('application/json')) return body;
+
+    try {
+        const { text } = JSON.parse(body);
+        if (typeof text === 'string') return text;
+    } catch (error) {
+        throw new HttpError(400, 'bad_request', 'Body is not valid JSON');
+    }
+    throw new HttpError(400, 'bad_request', 'JSON bodies need a text field');
+}
+
+function sendJSON(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    response.end(JSON.stringify(body));
+}
+
+function sendError(response, error) {
+    const headers = { Link: '</schemas/error>; rel="describedby"' };
+    let status = 500;
+    let code = 'internal_error';
+
+    if (error instanceof HttpError) {
+        status = error.status;
+        code = error.code;
+        if (error.allow) headers.Allow = error.allow;
+    } else if (error instanceof RateLimitError) {
+        status = 429;
+        code = 'rate_limited';
+        headers['Retry-After'] = Math.ceil(error.retryAfter / 1000);
+    } else {
+        // Bad input is rejected with an HttpError before it reaches the API - anything else is a bug worth logging
+        console.error('❌ Enrichment server request failed:', error);
+    }
+
+    sendJSON(response, status, { error: { code, message: error.message } }, headers);
+}
+
+// "research=key1,dashboard=key2" -> { research: 'key1', dashboard: 'key2' }
+// Split at the first "=" only - base64 keys end in padding
+function parseClients(value = '') {
+    return Object.fromEntries(value.split(',')
+        .map(pair => {
+            const separator = pair.indexOf('=');
+            return separator === -1 ? [] : [pair.slice(0, separator), pair.slice(separator + 1)];
+        })
+        .filter(([name, key]) => name && key)
+        .map(([name, key]) => [name.trim(), key.trim()]));
+}
+
+function main(argv = process.argv.slice(2), env = process.env) {
+    const options = { port: ENRICHMENT_SERVER_CONFIG.port, host: ENRICHMENT_SERVER_CONFIG.host };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--host') options.host = argv[++i];
+        else if (argv[i] === '--help') {
+            process.stdout.write(`${USAGE}\n`);
+            return null;
+        } else {
+            process.stderr.write(`corporate-genome-server: Unknown option: ${argv[i]}\n\n${USAGE}\n`);
+            process.exitCode = 2;
+            return null;
+        }
+    }
+
+    api.configure({
+        apiKeys: { companiesHouse: env.COMPANIES_HOUSE_API_KEY, fred: env.FRED_API_KEY, news: env.NEWS_API_KEY }
+    });
+
+    let server;
+    try {
+        server = createEnrichmentServer({ clients: parseClients(env[ENRICHMENT_SERVER_CONFIG.clientsVariable]) });
+    } catch (error) {
+        process.stderr.write(`corporate-genome-server: ${error.message} - set ${ENRICHMENT_SERVER_CONFIG.clientsVariable}\n`);
+        process.exitCode = 2;
+        return null;
+    }
+
+    server.listen(options.port, options.host, () => {
+        console.log(`🛰️ Corporate Genome enrichment server listening on http://${options.host}:${options.port}`);
+    });
+    return server;
+}
+
+module.exports = {
+    ENRICHMENT_SERVER_CONFIG,
+    createEnrichmentServer,
+    parseClients,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,125 @@
+// Client Rate Limiter - Per-API-key request limits for the local enrichment server
+// Modeled on GlobalRateLimiter (src/core/security/rate-limiter.js): the same windows and the same greylist penalties.
+// Its timing-anomaly checks are left out - the server's clients are scheduled internal tools, regular by design.
+
+const CLIENT_RATE_LIMIT_CONFIG = {
+    limits: {
+        burst: { requests: 10, window: 1000 },       // No more than 10 requests per second
+        global: { requests: 50, window: 60000 },     // 50 requests per minute
+        hourly: { requests: 200, window: 3600000 },  // 200 requests per hour
+        daily: { requests: 1000, window: 86400000 }  // 1000 requests per day
+    },
+    // Progressive penalties, as GlobalRateLimiter.handleViolation applies them
+    penalties: {
+        burst: 10000,
+        global: 60000,
+        hourly: 300000,
+        daily: 3600000
+    },
+    cleanupInterval: 300000 // 5 minutes
+};
+
+class ClientRateLimiter {
+    constructor(limits = {}) {
+        this.requestLog = new Map(); // client id -> request timestamps
+        this.greylist = new Map(); // client id -> { until, reason }
+        this.limits = { ...CLIENT_RATE_LIMIT_CONFIG.limits, ...limits };
+        this.lastCleanup = Date.now();
+    }
+
+    // Throws RateLimitError when the client is over any window; otherwise records the request
+    enforceLimit(clientId, now = Date.now()) {
+        if (now - this.lastCleanup > CLIENT_RATE_LIMIT_CONFIG.cleanupInterval) {
+            this.cleanup(now);
+        }
+
+        const greylistEntry = this.greylist.get(clientId);
+        if (greylistEntry && now < greylistEntry.until) {
+            throw new RateLimitError(`Client temporarily restricted - ${greylistEntry.reason}`, greylistEntry.until - now);
+        }
+
+        const requests = this.getRequestHistory(clientId);
+        for (const [name, limit] of Object.entries(this.limits)) {
+            const inWindow = requests.filter(t => now - t < limit.window).length;
+            if (inWindow >= limit.requests) {
+                const penalty = CLIENT_RATE_LIMIT_CONFIG.penalties[name] || limit.window;
+                const reason = `${name} limit of ${limit.requests} requests exceeded`;
+                this.applyGreylist(clientId, now + penalty, reason);
+                throw new RateLimitError(`Rate limit exceeded - ${reason}`, penalty);
+            }
+        }
+
+        this.logRequest(clientId, now);
+        return this.describeRemaining(clientId, now);
+    }
+
+    getRequestHistory(clientId) {
+        return this.requestLog.get(clientId) || [];
+    }
+
+    logRequest(clientId, timestamp) {
+        const cutoff = timestamp - this.longestWindow();
+        const requests = this.getRequestHistory(clientId).filter(t => t > cutoff);
+        requests.push(timestamp);
+        this.requestLog.set(clientId, requests);
+    }
+
+    applyGreylist(clientId, until, reason) {
+        this.greylist.set(clientId, { until, reason });
+        console.warn(`⚠️ GREYLISTED: ${clientId} until ${new Date(until).toISOString()} - ${reason}`);
+    }
+
+    // What is left in the tightest window, for the RateLimit-Remaining header
+    describeRemaining(clientId, now = Date.now()) {
+        const requests = this.getRequestHistory(clientId);
+        return Object.entries(this.limits)
+            .map(([name, limit]) => ({
+                name,
+                limit: limit.requests,
+                remaining: Math.max(0, limit.requests - requests.filter(t => now - t < limit.window).length),
+                window: limit.window
+            }))
+            .sort((a, b) => a.remaining - b.remaining)[0];
+    }
+
+    longestWindow() {
+        return Math.max(...Object.values(this.limits).map(limit => limit.window));
+    }
+
+    cleanup(now = Date.now()) {
+        const cutoff = now - this.longestWindow();
+
+        for (const [clientId, requests] of this.requestLog.entries()) {
+            const filtered = requests.filter(t => t > cutoff);
+            if (filtered.length === 0) this.requestLog.delete(clientId);
+            else this.requestLog.set(clientId, filtered);
+        }
+
+        for (const [clientId, entry] of this.greylist.entries()) {
+            if (now > entry.until) this.greylist.delete(clientId);
+        }
+
+        this.lastCleanup = now;
+    }
+
+    getStats() {
+        return {
+            activeClients: this.requestLog.size,
+            greylistedCount: this.greylist.size
+        };
+    }
+}
+
+class RateLimitError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter; // milliseconds
+    }
+}
+
+module.exports = {
+    CLIENT_RATE_LIMIT_CONFIG,
+    ClientRateLimiter,
+    RateLimitError
+};
@@ -0,0 +1,203 @@
+// Enrichment server response schemas - JSON Schema (2020-12), served at /schemas/:name and linked from every response
+// Shapes follow the headless API; source-specific detail inside merged data is left open, as the sources vary
+
+const nullable = (type) => ({ type: [type, 'null'] });
+
+const companySchema = {
+    type: ['object', 'null'],
+    required: ['id', 'name', 'ticker', 'score'],
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        ticker: nullable('string'),
+        exchange: nullable('string'),
+        industry: nullable('string'),
+        score: { type: 'number', minimum: 0, maximum: 1 }
+    }
+};
+
+const identifiersSchema = {
+    type: 'object',
+    required: ['matchType'],
+    properties: {
+        name: nullable('string'),
+        ticker: nullable('string'),
+        tickers: { type: 'array', items: { type: 'string' } },
+        cik: nullable('string'),
+        cusip: nullable('string'),
+        isin: nullable('string'),
+        lei: nullable('string'),
+        matchType: { type: 'string' }
+    }
+};
+
+const ownerSchema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string' },
+        percent: { type: ['string', 'number', 'null'] },
+        type: nullable('string'),
+        source: nullable('string'),
+        sources: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+const graphNodeSchema = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+        id: { type: 'string' },
+        name: nullable('string'),
+        kind: nullable('string'),
+        jurisdiction: nullable('string'),
+        registration: nullable('string'),
+        lei: nullable('string')
+    }
+};
+
+const graphEdgeSchema = {
+    type: 'object',
+    required: ['from', 'to'],
+    properties: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        percent: { type: ['object', 'null'] },
+        controls: { type: 'boolean' },
+        asOf: nullable('string')
+    }
+};
+
+const RESPONSE_SCHEMAS = {
+    error: {
+        title: 'Error',
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: {
+                type: 'object',
+                required: ['code', 'message'],
+                properties: {
+                    code: { type: 'string', enum: ['bad_request', 'unauthorized', 'not_found', 'method_not_allowed', 'payload_too_large', 'rate_limited', 'internal_error'] },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    },
+
+    entity: {
+        title: 'Entity',
+        description: 'GET /entity?name= - the merged multi-source result the tooltip shows',
+        type: 'object',
+        required: ['query', 'normalized', 'company', 'identifiers', 'data'],
+        properties: {
+            query: { type: 'string' },
+            normalized: { type: 'string' },
+            company: companySchema,
+            identifiers: identifiersSchema,
+            data: {
+                type: 'object',
+                required: ['companyName', 'owners', 'sources', 'warnings', 'lastUpdated'],
+                properties: {
+                    companyName: { type: 'string' },
+                    owners: { type: 'array', items: ownerSchema },
+                    significantHolders: { type: 'array' },
+                    internationalEntities: { type: 'array' },
+                    ownershipGraph: { type: ['object', 'null'] },
+                    sanctions: { type: ['object', 'null'] },
+                    sources: { type: 'array', items: { type: 'string' } },
+                    warnings: { type: 'array', items: { type: 'string' } },
+                    qualityScore: { type: 'number' },
+                    lastUpdated: { type: 'string' }
+                }
+            }
+        }
+    },
+
+    owners: {
+        title: 'Owners',
+        description: 'GET /entity/:cik/owners - holders, 13D/13G filers and ultimate owners for one SEC registrant',
+        type: 'object',
+        required: ['cik', 'name', 'ticker', 'owners', 'significantHolders', 'ultimateOwners', 'sources', 'lastUpdated'],
+        properties: {
+            cik: { type: 'string', pattern: '^\\d{10}$' },
+            name: nullable('string'),
+            ticker: nullable('string'),
+            owners: { type: 'array', items: ownerSchema },
+            significantHolders: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['filerName'],
+                    properties: {
+                        filerName: { type: 'string' },
+                        schedule: nullable('string'),
+                        percentOfClass: nullable('number')
+                    }
+                }
+            },
+            ultimateOwners: { type: 'array', items: { type: 'object' } },
+            sources: { type: 'array', items: { type: 'string' } },
+            lastUpdated: { type: 'string' }
+        }
+    },
+
+    extraction: {
+        title: 'Extraction',
+        description: 'POST /extract - entities found in the posted text, mentions of one company folded together',
+        type: 'object',
+        required: ['entities'],
+        properties: {
+            entities: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['text', 'normalized', 'type', 'confidence', 'position', 'company', 'mentions'],
+                    properties: {
+                        text: { type: 'string' },
+                        normalized: { type: 'string' },
+                        type: { type: 'string' },
+                        confidence: { type: 'number', minimum: 0, maximum: 1 },
+                        position: { type: 'integer', minimum: 0 },
+                        company: companySchema,
+                        mentions: { type: 'integer', minimum: 1 }
+                    }
+                }
+            }
+        }
+    },
+
+    graph: {
+        title: 'Ownership graph',
+        description: 'GET /graph/:id - the stored neighbourhood when the server keeps a graph store, else the graph of a fresh lookup',
+        type: 'object',
+        required: ['query', 'origin', 'subject', 'nodes', 'edges'],
+        properties: {
+            query: { type: 'string' },
+            origin: { type: 'string', enum: ['stored', 'live'] },
+            subject: nullable('string'),
+            depth: { type: 'integer', minimum: 1 },
+            minPercent: { type: 'number', minimum: 0 },
+            nodes: { type: 'array', items: graphNodeSchema },
+            edges: { type: 'array', items: graphEdgeSchema },
+            ultimateOwners: { type: 'array', items: { type: 'object' } }
+        }
+    }
+};
+
+// Full documents, identified by the path the server serves them from
+function describeSchema(name) {
+    const schema = RESPONSE_SCHEMAS[name];
+    if (!schema) return null;
+
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: `/schemas/${name}`,
+        ...schema
+    };
+}
+
+module.exports = {
+    RESPONSE_SCHEMAS,
+    describeSchema
+};
@@ -0,0 +1,195 @@
+// Corporate Genome Side Panel - Interactive ownership graph of the hovered or pinned entity
+console.log('Corporate Genome: Ownership graph side panel loaded');
+
+const GRAPH_FOCUS_KEY = 'graph_focus';
+
+let graphView = null;
+let knowledgeBase = null;
+let currentFocus = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+    knowledgeBase = new CompanyKnowledgeBase();
+    graphView = new OwnershipGraphView(document.getElementById('ownership-graph'), {
+        onSelect: showNodeCard,
+        onExpand: expandNode
+    });
+
+    setupGraphFilters();
+    document.getElementById('unpin-focus').addEventListener('click', unpinFocus);
+
+    // The background worker records the focus; follow it as the user hovers and pins
+    const stored = await chrome.storage.session.get([GRAPH_FOCUS_KEY]);
+    showFocus(stored[GRAPH_FOCUS_KEY]);
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'session' && changes[GRAPH_FOCUS_KEY]) {
+            showFocus(changes[GRAPH_FOCUS_KEY].newValue);
+        }
+    });
+});
+
+function showFocus(focus) {
+    const label = document.getElementById('focus-label');
+    const unpinButton = document.getElementById('unpin-focus');
+
+    if (!focus) {
+        label.textContent = 'Hover a company on a supported page to draw its owners';
+        unpinButton.hidden = true;
+        return;
+    }
+
+    // Unpinning only changes the mode - keep whatever the user has expanded
+    const sameEntity = currentFocus?.focusedAt === focus.focusedAt;
+    currentFocus = focus;
+
+    label.textContent = `${focus.mode === 'pin' ? '📌 Pinned' : '👆 Hovered'}: ${focus.companyName}`;
+    unpinButton.hidden = focus.mode !== 'pin';
+    if (sameEntity) return;
+
+    graphView.reset(focus.graph);
+    renderSourceFilters();
+    document.getElementById('node-card').hidden = true;
+}
+
+async function unpinFocus() {
+    if (!currentFocus) return;
+    await chrome.storage.session.set({ [GRAPH_FOCUS_KEY]: { ...currentFocus, mode: 'hover' } });
+}
+
+function setupGraphFilters() {
+    const slider = document.getElementById('min-percent');
+    const sliderValue = document.getElementById('min-percent-value');
+
+    slider.addEventListener('input', () => {
+        sliderValue.textContent = slider.value;
+        graphView.setMinPercent(slider.value);
+    });
+}
+
+function renderSourceFilters() {
+    const container = document.getElementById('source-filters');
+    container.textContent = '';
+
+    graphView.sources().forEach(source => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !graphView.hiddenSources.has(source);
+        checkbox.addEventListener('change', () => graphView.setSourceVisible(source, checkbox.checked));
+
+        label.append(checkbox, ` ${source}`);
+        container.appendChild(label);
+    });
+}
+
+function showNodeCard(nodeId) {
+    const card = document.getElementById('node-card');
+    const details = graphView.describeNode(nodeId);
+    if (!details) {
+        card.hidden = true;
+        return;
+    }
+
+    const { node } = details;
+    const known = findKnownCompany(node);
+    card.hidden = false;
+    card.textContent = '';
+
+    const title = document.createElement('h2');
+    title.textContent = `${details.isSubject ? '🎯 ' : ''}${node.name}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'card-meta';
+    meta.textContent = [
+        node.kind !== 'unknown' ? node.kind : null,
+        node.registration ? `${(node.jurisdiction || '').toUpperCase()} ${node.registration}`.trim() : null,
+        node.lei ? `LEI ${node.lei}` : null,
+        known?.ticker ? `${known.exchange ? `${known.exchange}:` : ''}${known.ticker}` : null,
+        known?.industry
+    ].filter(Boolean).join(' • ');
+
+    card.append(title, meta);
+    appendEdgeSection(card, 'Owned by', details.owners);
+    appendEdgeSection(card, 'Holds', details.holdings);
+
+    const expandButton = document.createElement('button');
+    expandButton.textContent = details.expanded ? 'Expanded' : 'Expand owners & holdings';
+    expandButton.disabled = details.expanded;
+    expandButton.addEventListener('click', () => {
+        expandButton.disabled = true;
+        expandButton.textContent = 'Expanding...';
+        expandNode(nodeId);
+    });
+    card.appendChild(expandButton);
+}
+
+function appendEdgeSection(card, title, links) {
+    if (links.length === 0) return;
+
+    const heading = document.createElement('div');
+    heading.className = 'card-section';
+    heading.textContent = title;
+    card.appendChild(heading);
+
+    links.forEach(({ node, edge }) => {
+        const row = document.createElement('div');
+        row.className = 'card-edge';
+
+        const name = document.createElement('a');
+        name.href = '#';
+        name.textContent = node.name;
+        name.addEventListener('click', (event) => {
+            event.preventDefault();
+            graphView.select(node.id);
+        });
+
+        const stake = document.createElement('small');
+        stake.textContent = [
+            edge.percent ? formatPercent(edge.percent) : 'undisclosed',
+            edge.controls ? 'controls' : null,
+            edge.sources.join(', '),
+            edge.asOf ? `as of ${edge.asOf}` : null
+        ].filter(Boolean).join(' • ');
+
+        row.append(name, stake);
+        card.appendChild(row);
+    });
+}
+
+// Local knowledge base first - a known ticker resolves without a name search
+function findKnownCompany(node) {
+    if (node.kind === 'individual') return null;
+
+    const [match] = knowledgeBase.search(node.name, { limit: 1, threshold: 0.85 });
+    return match?.company || null;
+}
+
+// Owners come from a fresh fetch; subsidiaries and stakes from the stored graph
+async function expandNode(nodeId) {
+    const { node } = graphView.describeNode(nodeId);
+    const known = findKnownCompany(node);
+
+    const [owners, holdings] = await Promise.allSettled([
+        node.kind === 'individual' ? null : chrome.runtime.sendMessage({
+            action: 'fetchOwnershipData',
+            entity: { name: known?.name || node.name, ticker: known?.ticker || null }
+        }),
+        chrome.runtime.sendMessage({
+            action: 'queryOwnershipGraph',
+            query: { type: 'ownedBy', entity: nodeId, minPercent: 0 }
+        })
+    ]);
+
+    const ownerGraph = owners.value?.success ? owners.value.data.ownershipGraph : null;
+    if (ownerGraph) {
+        graphView.merge(ownerGraph, { [ownerGraph.subject]: nodeId });
+    }
+
+    if (holdings.value?.success) {
+        graphView.addHoldings(nodeId, holdings.value.data.holdings);
+    }
+
+    graphView.markExpanded(nodeId);
+    renderSourceFilters();
+    showNodeCard(nodeId);
+}
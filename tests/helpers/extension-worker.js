@@ -0,0 +1,55 @@
+// Boots background.js as a classic service worker in a vm, with chrome APIs held in memory
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SRC_ROOT = path.join(__dirname, '../../src');
+const EXTENSION_ID = 'corporate-genome';
+
+const load = (file) => fs.readFileSync(path.join(SRC_ROOT, file), 'utf8');
+
+// chrome.storage area in memory - callback and promise styles, as the modules use both
+function createStorageArea() {
+    const items = {};
+    const answer = (value, callback) => (callback ? callback(value) : Promise.resolve(value));
+
+    return {
+        get: (keys, callback) => answer(Object.fromEntries((keys === null ? Object.keys(items) : [].concat(keys))
+            .filter(key => key in items)
+            .map(key => [key, JSON.parse(JSON.stringify(items[key]))])), callback),
+        set: (values, callback) => answer(Object.assign(items, JSON.parse(JSON.stringify(values))) && undefined, callback),
+        remove: (keys, callback) => answer([].concat(keys).forEach(key => delete items[key]), callback)
+    };
+}
+
+// Requests go through the test's global.fetch; hands back the worker's message route
+function startWorker() {
+    const listeners = [];
+    const worker = vm.createContext({
+        console: { log() {}, info() {}, warn() {}, error() {} },
+        fetch: (...args) => global.fetch(...args),
+        URL, URLSearchParams, AbortController, atob, btoa,
+        setTimeout, clearTimeout,
+        // Housekeeping timers would keep jest alive after the suite
+        setInterval: () => 0,
+        clearInterval() {},
+        chrome: {
+            runtime: {
+                id: EXTENSION_ID,
+                onMessage: { addListener: listener => listeners.push(listener) },
+                onInstalled: { addListener() {} }
+            },
+            storage: { local: createStorageArea(), session: createStorageArea(), sync: createStorageArea() },
+            alarms: { get: async () => undefined, create() {}, clear() {}, onAlarm: { addListener() {} } },
+            tabs: { get: async () => ({}), sendMessage: async () => {} }
+        }
+    });
+    worker.importScripts = (...files) => files.forEach(file => vm.runInContext(load(file), worker, { filename: file }));
+    vm.runInContext(load('background.js'), worker, { filename: 'background.js' });
+
+    return (message, tabId = 7) => new Promise(resolve => {
+        listeners.forEach(listener => listener(message, { id: EXTENSION_ID, tab: { id: tabId } }, resolve));
+    });
+}
+
+module.exports = { startWorker, createStorageArea };
@@ -0,0 +1,25 @@
+// Replays recorded API responses from tests/fixtures instead of hitting the network
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_ROOT = path.join(__dirname, '../fixtures');
+
+function createFixtureFetch(routes) {
+    return jest.fn(async (url) => {
+        const route = routes.find(([pattern]) => pattern.test(String(url)));
+        
+        if (!route) {
+            return { ok: false, status: 404, json: async () => ({}), text: async () => '' };
+        }
+        
+        const body = fs.readFileSync(path.join(FIXTURE_ROOT, route[1]), 'utf8');
+        return {
+            ok: true,
+            status: 200,
+            json: async () => JSON.parse(body),
+            text: async () => body
+        };
+    });
+}
+
+module.exports = { createFixtureFetch };
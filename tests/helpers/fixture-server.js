@@ -0,0 +1,35 @@
+// Serves recorded API responses from tests/fixtures over a real local HTTP server
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURE_ROOT = path.join(__dirname, '../fixtures');
+
+// Routes match against the request path and query, e.g. [/^\/company\/08123456$/, 'companies-house/company-08123456.json']
+async function startFixtureServer(routes) {
+    const requests = [];
+
+    const server = http.createServer((request, response) => {
+        requests.push({ url: request.url, headers: request.headers });
+
+        const route = routes.find(([pattern]) => pattern.test(request.url));
+        if (!route) {
+            response.writeHead(404, { 'Content-Type': 'application/json' });
+            response.end('{"errors":[{"error":"not-found"}]}');
+            return;
+        }
+
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(fs.readFileSync(path.join(FIXTURE_ROOT, route[1])));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startFixtureServer };
@@ -0,0 +1,38 @@
+// Checks a value against the subset of JSON Schema the server's schemas use - type, required, properties, items, enum, pattern, minimum/maximum
+function schemaErrors(schema, value, at = '$') {
+    const errors = [];
+    const types = [].concat(schema.type || []);
+
+    if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+        return [`${at}: expected ${types.join(' or ')}, got ${value === null ? 'null' : typeof value}`];
+    }
+    if (value === null) return errors;
+
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: does not match ${schema.pattern}`);
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) errors.push(`${at}: below ${schema.minimum}`);
+    if (schema.maximum !== undefined && typeof value === 'number' && value > schema.maximum) errors.push(`${at}: above ${schema.maximum}`);
+
+    if (typeof value === 'object' && !Array.isArray(value)) {
+        (schema.required || []).filter(key => !(key in value)).forEach(key => errors.push(`${at}.${key}: required`));
+        Object.entries(schema.properties || {})
+            .filter(([key]) => key in value)
+            .forEach(([key, property]) => errors.push(...schemaErrors(property, value[key], `${at}.${key}`)));
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...schemaErrors(schema.items, item, `${at}[${index}]`)));
+    }
+
+    return errors;
+}
+
+function matchesType(type, value) {
+    if (type === 'null') return value === null;
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (type === 'integer') return Number.isInteger(value);
+    return typeof value === type;
+}
+
+module.exports = { schemaErrors };
@@ -0,0 +1,209 @@
+// Test suite for bulk CSV enrichment - row matching, the resumable queue and the enriched output
+let parseEnrichmentCSV;
+let prepareEnrichmentRow;
+let summarizeEnrichment;
+let BulkEnrichmentQueue;
+let formatEnrichmentResults;
+let storage;
+
+const COUNTERPARTIES = [
+    'Counterparty,Country,Ticker',
+    '"Google",US,',
+    'Harbour Lane Holdings PLC,UK,',
+    ',,MSFT',
+    '"Smith, Jones & Co",US,'
+].join('\n');
+
+const harbourLaneData = () => ({
+    companyName: 'Harbour Lane Holdings PLC',
+    identifiers: { name: 'HARBOUR LANE HOLDINGS PLC', ticker: null, cik: null, lei: null, matchType: 'unresolved' },
+    owners: [
+        { name: 'Harbour Lane Group Ltd', percent: '75.00%' },
+        { name: 'Vanguard Group Inc', percent: '8.10%' }
+    ],
+    ownershipEdges: [],
+    internationalEntities: [
+        { name: 'HARBOUR LANE HOLDINGS PLC', jurisdiction: 'gb', lei: '213800HARBOURLANE001', relationship: 'subject' },
+        { name: 'WHITFIELD INVESTMENTS LIMITED', jurisdiction: 'vg', lei: '213800WHITFIELD00001', relationship: 'ultimate_parent', isOffshore: true }
+    ],
+    offshoreAnalysis: { riskLevel: 'MEDIUM' },
+    governmentContracts: [{ awardId: 'N00024-26-C-1234' }],
+    sanctions: { hits: [], ownershipRule: { applies: false, possible: false } },
+    ownershipChanges: { hasChanges: true },
+    sources: ['yahoo', 'companieshouse', 'gleif'],
+    lastUpdated: '2026-10-18T09:00:00.000Z'
+});
+
+const queuedRow = (index, name) => ({ index, values: [name], input: name, query: { name, ticker: null }, match: { via: 'input', score: 1 } });
+
+beforeAll(() => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+    eval([
+        load('modules/recognition/company-normalizer.js'),
+        load('modules/recognition/fuzzy-matcher.js'),
+        load('modules/recognition/company-knowledge-base.js'),
+        load('modules/data/csv-format.js'),
+        load('modules/data/bulk-enrichment.js')
+    ].join('\n'));
+
+    parseEnrichmentCSV = window.parseEnrichmentCSV;
+    prepareEnrichmentRow = window.prepareEnrichmentRow;
+    summarizeEnrichment = window.summarizeEnrichment;
+    BulkEnrichmentQueue = window.BulkEnrichmentQueue;
+    formatEnrichmentResults = window.formatEnrichmentResults;
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Values go through JSON, as chrome.storage would copy them
+    storage = {};
+    global.chrome = {
+        storage: {
+            local: {
+                get: async (keys) => Object.fromEntries(keys.filter(key => key in storage).map(key => [key, JSON.parse(storage[key])])),
+                set: async (items) => Object.entries(items).forEach(([key, value]) => { storage[key] = JSON.stringify(value); })
+            }
+        }
+    };
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.chrome;
+});
+
+describe('parseEnrichmentCSV and prepareEnrichmentRow', () => {
+    test('should pick the name and ticker columns by header and keep quoted commas', () => {
+        const { headers, rows } = parseEnrichmentCSV(COUNTERPARTIES);
+
+        expect(headers).toEqual(['Counterparty', 'Country', 'Ticker']);
+        expect(rows.map(row => [row.name, row.ticker])).toEqual([
+            ['Google', ''],
+            ['Harbour Lane Holdings PLC', ''],
+            ['', 'MSFT'],
+            ['Smith, Jones & Co', '']
+        ]);
+    });
+
+    test('should treat a headerless file as a list of names', () => {
+        const { headers, rows } = parseEnrichmentCSV('Apple\r\nTSLA\r\n');
+
+        expect(headers).toEqual(['input']);
+        expect(rows.map(row => row.name)).toEqual(['Apple', 'TSLA']);
+    });
+
+    test('should match known companies locally and pass the rest through by name or ticker', () => {
+        const knowledgeBase = new CompanyKnowledgeBase();
+        const normalizer = new CompanyNormalizer();
+        const prepared = parseEnrichmentCSV(COUNTERPARTIES).rows.map(row => prepareEnrichmentRow(row, normalizer, knowledgeBase));
+
+        expect(prepared[0].query).toEqual({ name: 'Alphabet Inc.', ticker: 'GOOGL' });
+        expect(prepared[0].match.via).toBe('knowledge-base alias');
+        expect(prepared[1]).toMatchObject({ query: { name: 'Harbour Lane Holdings PLC', ticker: null }, match: { via: 'input', score: 1 } });
+        expect(prepared[2].query).toEqual({ name: 'Microsoft Corporation', ticker: 'MSFT' });
+    });
+
+    test('should take an upper-case name for a ticker only when the knowledge base knows the ticker', () => {
+        const knowledgeBase = new CompanyKnowledgeBase();
+        const normalizer = new CompanyNormalizer();
+        const prepared = parseEnrichmentCSV('Company\nAPPLE\nINTEL\nCISCO\nTSLA\n').rows
+            .map(row => prepareEnrichmentRow(row, normalizer, knowledgeBase));
+
+        expect(prepared.map(row => row.query)).toEqual([
+            { name: 'Apple Inc.', ticker: 'AAPL' },
+            { name: 'INTEL', ticker: null },
+            { name: 'CISCO', ticker: null },
+            { name: 'Tesla Inc.', ticker: 'TSLA' }
+        ]);
+        expect(prepared[0].match.via).toMatch(/^knowledge-base/);
+    });
+});
+
+describe('summarizeEnrichment', () => {
+    test('should report the parent, jurisdiction, top holders and flags', () => {
+        const summary = summarizeEnrichment(queuedRow(0, 'Harbour Lane Holdings PLC'), harbourLaneData());
+
+        expect(summary).toMatchObject({
+            matchedName: 'HARBOUR LANE HOLDINGS PLC',
+            matchConfidence: 0.4,
+            lei: '213800HARBOURLANE001',
+            jurisdiction: 'gb',
+            ultimateParent: { name: 'WHITFIELD INVESTMENTS LIMITED', lei: '213800WHITFIELD00001', source: 'GLEIF' },
+            topHolders: [{ name: 'Harbour Lane Group Ltd', percent: '75.00%' }, { name: 'Vanguard Group Inc', percent: '8.10%' }]
+        });
+        expect(summary.flags).toEqual(['offshore-risk-medium', 'government-contractor', 'ownership-changed', 'low-match-confidence']);
+    });
+});
+
+describe('BulkEnrichmentQueue', () => {
+    test('should work through every row, retrying failures and saving as it goes', async () => {
+        const enrichRow = jest.fn(async (row) => {
+            if (row.input === 'Flaky Ltd' && row.attempts === 0) throw new Error('Circuit breaker yahoo is OPEN');
+            return row.input === 'Nobody Inc' ? null : { matchedName: row.input.toUpperCase() };
+        });
+        const queue = new BulkEnrichmentQueue(enrichRow, { rowInterval: 0, retryBackoff: 0 });
+
+        await queue.start({ filename: 'counterparties.csv', headers: ['name'], rows: [queuedRow(0, 'Flaky Ltd'), queuedRow(1, 'Nobody Inc'), queuedRow(2, 'Quayside Marinas')] });
+        await queue.resume();
+
+        const job = await queue.load();
+        expect(job.status).toBe('complete');
+        expect(job.rows.map(row => [row.status, row.attempts])).toEqual([['done', 2], ['unresolved', 1], ['done', 1]]);
+        expect(enrichRow).toHaveBeenCalledTimes(4);
+    });
+
+    test('should pick up an interrupted job at the first unfinished row', async () => {
+        const firstWorker = new BulkEnrichmentQueue(async () => ({ matchedName: 'DONE' }), { rowInterval: 0 });
+        await firstWorker.start({ filename: 'counterparties.csv', headers: ['name'], rows: [queuedRow(0, 'Alpha'), queuedRow(1, 'Beta'), queuedRow(2, 'Gamma')] });
+
+        // The worker was shut down after saving the first row
+        const job = await firstWorker.load();
+        job.rows[0] = { ...job.rows[0], status: 'done', attempts: 1, result: { matchedName: 'ALPHA' } };
+        await firstWorker.save(job);
+
+        const enrichRow = jest.fn(async (row) => ({ matchedName: row.input.toUpperCase() }));
+        await new BulkEnrichmentQueue(enrichRow, { rowInterval: 0 }).resume();
+
+        expect(enrichRow.mock.calls.map(([row]) => row.input)).toEqual(['Beta', 'Gamma']);
+        expect((await firstWorker.load()).status).toBe('complete');
+    });
+
+    test('should refuse a second run while one is going and stop when cancelled', async () => {
+        const queue = new BulkEnrichmentQueue(async () => {
+            await queue.cancel();
+            return { matchedName: 'X' };
+        }, { rowInterval: 0 });
+        await queue.start({ filename: 'a.csv', headers: ['name'], rows: [queuedRow(0, 'Alpha'), queuedRow(1, 'Beta')] });
+
+        await expect(queue.start({ filename: 'b.csv', headers: ['name'], rows: [queuedRow(0, 'Gamma')] })).rejects.toThrow('already running');
+
+        await queue.resume();
+        const job = await queue.load();
+        expect(job.status).toBe('cancelled');
+        expect(job.rows.map(row => row.status)).toEqual(['pending', 'pending']);
+    });
+});
+
+describe('formatEnrichmentResults', () => {
+    test('should append the enrichment to the original columns', () => {
+        const row = { ...queuedRow(0, 'Harbour Lane Holdings PLC'), values: ['Harbour Lane Holdings PLC', 'UK'], status: 'done', error: null };
+        row.result = summarizeEnrichment(row, harbourLaneData());
+        const job = { filename: 'counterparties.csv', headers: ['Counterparty', 'Country'], status: 'complete', rows: [row] };
+
+        const [header, line] = formatEnrichmentResults(job, 'csv').content.trim().split('\n');
+        expect(header).toBe('Counterparty,Country,match_status,matched_name,match_confidence,match_via,ticker,cik,lei,jurisdiction,ultimate_parent,top_holders,flags,error,enriched_at');
+        expect(line).toBe('Harbour Lane Holdings PLC,UK,done,HARBOUR LANE HOLDINGS PLC,0.4,unresolved,,,213800HARBOURLANE001,gb,WHITFIELD INVESTMENTS LIMITED (213800WHITFIELD00001),Harbour Lane Group Ltd (75.00%); Vanguard Group Inc (8.10%),offshore-risk-medium; government-contractor; ownership-changed; low-match-confidence,,2026-10-18T09:00:00.000Z');
+
+        const hostile = { ...row, values: ['=cmd|\' /C calc\'!A0', '+44'] };
+        const [, guarded] = formatEnrichmentResults({ ...job, rows: [hostile] }, 'csv').content.trim().split('\n');
+        expect(guarded.startsWith("'=cmd|' /C calc'!A0,'+44,done,")).toBe(true);
+
+        expect(JSON.parse(formatEnrichmentResults(job, 'json').content).rows[0].input).toEqual({ Counterparty: 'Harbour Lane Holdings PLC', Country: 'UK' });
+        expect(() => formatEnrichmentResults(job, 'xlsx')).toThrow('Unknown enrichment format: xlsx');
+    });
+});
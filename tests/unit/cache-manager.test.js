@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+// Test suite for the persistent IndexedDB ownership graph store
+const { IDBFactory } = require('fake-indexeddb');
+
+let OwnershipGraphStore;
+let buildOwnershipGraph;
+
+const recordCompany = (store, companyName, fields) => {
+    const mergedData = {
+        companyName,
+        owners: [],
+        significantHolders: [],
+        ownershipEdges: [],
+        internationalEntities: [],
+        identifiers: { tickers: [] },
+        lastUpdated: '2026-10-01T09:00:00.000Z',
+        ...fields
+    };
+    mergedData.ownershipGraph = buildOwnershipGraph(mergedData);
+    return store.recordGraph(mergedData);
+};
+
+const recordHarbourLane = (store) => recordCompany(store, 'Harbour Lane Holdings', {
+    internationalEntities: [{ name: 'HARBOUR LANE HOLDINGS LIMITED', jurisdiction: 'gb', companyNumber: '08123456', relationship: 'subject' }],
+    ownershipEdges: [
+        { ownerName: 'Harbour Lane Group Ltd', ownerKind: 'corporate', ownerRegistration: { number: '07654321', country: 'England' }, subjectName: 'HARBOUR LANE HOLDINGS LIMITED', subjectNumber: '08123456', shares: { min: 50, max: 75 }, appointsDirectors: true, notifiedOn: '2016-04-06', source: 'Companies House PSC' },
+        { ownerName: 'Mrs Eleanor Mary Price', ownerKind: 'individual', subjectName: 'HARBOUR LANE HOLDINGS LIMITED', subjectNumber: '08123456', shares: { min: 25, max: 50 }, notifiedOn: '2016-04-06', source: 'Companies House PSC' },
+        { ownerName: 'Mr Arthur James Whitfield', ownerKind: 'individual', subjectName: 'HARBOUR LANE GROUP LTD', subjectNumber: '07654321', shares: { min: 75, max: 100 }, notifiedOn: '2016-04-06', source: 'Companies House PSC' }
+    ]
+});
+
+const recordQuayside = (store) => recordCompany(store, 'Quayside Marinas', {
+    identifiers: { cik: '0001999999', tickers: ['QSMR'] },
+    owners: [
+        { name: 'Harbour Lane Group Ltd', percent: '12.00%', reportDate: '2026-06-30', source: 'Yahoo Finance' },
+        { name: 'Vanguard Group Inc', percent: '8.10%', reportDate: '2026-06-30', source: 'Yahoo Finance' }
+    ]
+});
+
+beforeAll(() => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+    global.window = {};
+
+    // The store keys names with the graph engine's normalizer
+    eval([
+        load('modules/data/ownership-graph.js'),
+        load('modules/data/cache-manager.js')
+    ].join('\n'));
+
+    OwnershipGraphStore = window.OwnershipGraphStore;
+    buildOwnershipGraph = window.buildOwnershipGraph;
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    global.indexedDB = new IDBFactory(); // A fresh, empty database per test
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.indexedDB;
+});
+
+afterAll(() => {
+    delete global.window;
+});
+
+describe('OwnershipGraphStore', () => {
+    test('should accumulate entities across browsing sessions', async () => {
+        await recordHarbourLane(new OwnershipGraphStore());
+        await recordQuayside(new OwnershipGraphStore());
+
+        // A new store instance stands in for a restarted worker
+        const store = new OwnershipGraphStore();
+        const group = await store.findEntity('reg:gb:07654321');
+
+        // The holder-list name joined the registered company instead of creating a second node
+        expect(group).toMatchObject({ name: 'Harbour Lane Group Ltd', kind: 'corporate', registration: '07654321', firstSeen: '2026-10-01' });
+        expect(group.keys).toEqual(['reg:gb:07654321', 'name:harbour lane group']);
+        expect(await store.findEntity('qsmr')).toMatchObject({ name: 'Quayside Marinas' });
+    });
+
+    test('should find entities owned above a threshold by an owner', async () => {
+        const store = new OwnershipGraphStore();
+        await recordHarbourLane(store);
+        await recordQuayside(store);
+
+        const result = await store.ownedBy('Harbour Lane Group Ltd');
+        expect(result.holdings.map(holding => [holding.entity.name, holding.percent, holding.sources, holding.asOf])).toEqual([
+            ['Harbour Lane Holdings', { min: 50, max: 75 }, ['Companies House PSC'], '2016-04-06'],
+            ['Quayside Marinas', { min: 12, max: 12 }, ['Yahoo Finance'], '2026-06-30']
+        ]);
+
+        expect((await store.ownedBy('Vanguard Group Inc')).holdings).toEqual([]);
+        expect((await store.ownedBy('Vanguard Group Inc', 5)).holdings[0].entity.name).toBe('Quayside Marinas');
+    });
+
+    test('should walk controlling parents up the chain', async () => {
+        const store = new OwnershipGraphStore();
+        await recordHarbourLane(store);
+
+        const result = await store.parentsOf('reg:gb:08123456');
+
+        expect(result.parents.map(parent => [parent.entity.name, parent.depth])).toEqual([
+            ['Harbour Lane Group Ltd', 1],
+            ['Mr Arthur James Whitfield', 2]
+        ]);
+    });
+
+    test('should find the shortest ownership path in either direction', async () => {
+        const store = new OwnershipGraphStore();
+        await recordHarbourLane(store);
+        await recordQuayside(store);
+
+        const path = await store.shortestPath('Mr Arthur James Whitfield', 'Quayside Marinas');
+        expect(path.direction).toBe('a-owns-b');
+        expect(path.hops.map(hop => `${hop.owner.name} > ${hop.owned.name}`)).toEqual([
+            'Mr Arthur James Whitfield > Harbour Lane Group Ltd',
+            'Harbour Lane Group Ltd > Quayside Marinas'
+        ]);
+
+        expect((await store.shortestPath('Quayside Marinas', 'Mr Arthur James Whitfield')).direction).toBe('b-owns-a');
+        expect((await store.shortestPath('Vanguard Group Inc', 'Harbour Lane Holdings')).hops).toEqual([]);
+    });
+
+    test('should update rather than duplicate edges when a company is seen again', async () => {
+        const store = new OwnershipGraphStore();
+        await recordHarbourLane(store);
+        await recordHarbourLane(store);
+
+        const result = await store.ownedBy('reg:gb:07654321');
+        expect(result.holdings).toHaveLength(1);
+    });
+
+    test('should skip recording where IndexedDB is unavailable', async () => {
+        delete global.indexedDB;
+
+        expect(await recordHarbourLane(new OwnershipGraphStore())).toBeNull();
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+// Test suite for holder concentration and common-ownership (MHHI) analytics
+let computeConcentration;
+let computeModifiedHHI;
+
+const holders = (stakes) => Object.entries(stakes).map(([name, percent]) => ({ name, percent: `${percent}%`, source: 'Yahoo Finance' }));
+
+const subject = (marketCap) => ({
+    name: 'Acme Beverages',
+    ticker: 'ACME',
+    marketCap,
+    owners: holders({ 'Vanguard Group Inc': 10, 'Blackrock Inc.': 5 })
+});
+
+const peer = (marketCap) => ({
+    name: 'Fizz Co',
+    ticker: 'FIZZ',
+    marketCap,
+    owners: holders({ 'Vanguard Group Inc': 8, 'State Street Corporation': 4 })
+});
+
+beforeAll(() => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+    global.window = {};
+
+    // Holders are keyed with the graph engine's name normalizer
+    eval([
+        load('modules/data/ownership-graph.js'),
+        load('modules/analytics/common-ownership.js')
+    ].join('\n'));
+
+    computeConcentration = window.computeConcentration;
+    computeModifiedHHI = window.computeModifiedHHI;
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    delete global.window;
+});
+
+describe('computeConcentration', () => {
+    test('should report top-N stakes and HHI over distinct holders', () => {
+        const concentration = computeConcentration([
+            { name: 'Mrs Jane Doe', percentRange: { min: 25, max: 50 }, source: 'Companies House PSC' },
+            ...holders({ 'Vanguard Group Inc': 10, 'Blackrock Inc.': 5 }),
+            { name: 'Vanguard Group Inc', percent: '3%', source: 'SEC 13F' }
+        ]);
+
+        expect(concentration).toEqual({
+            holderCount: 3,
+            disclosedPercent: 52.5,
+            topN: { top1: 37.5, top5: 52.5, top10: 52.5 },
+            hhi: 1531,
+            disclosedHhi: 5556,
+            disclosedHhiBand: 'Highly concentrated'
+        });
+    });
+
+    test('should band the disclosed HHI by the 2023 merger guidelines', () => {
+        const equalHolders = (count) => holders(Object.fromEntries(Array.from({ length: count }, (_, index) => [`Holder ${index + 1} Inc`, 2])));
+
+        // Five equal holders make 2,000 - moderately concentrated under the 2010 bands
+        expect(computeConcentration(equalHolders(5))).toMatchObject({ disclosedHhi: 2000, disclosedHhiBand: 'Highly concentrated' });
+        expect(computeConcentration(equalHolders(8))).toMatchObject({ disclosedHhi: 1250, disclosedHhiBand: 'Moderately concentrated' });
+        expect(computeConcentration(equalHolders(12))).toMatchObject({ disclosedHhi: 833, disclosedHhiBand: 'Unconcentrated' });
+    });
+
+    test('should return null without any quantified holders', () => {
+        expect(computeConcentration([{ name: 'Undisclosed Holder', percent: 'N/A' }])).toBeNull();
+    });
+});
+
+describe('computeModifiedHHI', () => {
+    test('should weight firms equally when a market cap is missing', () => {
+        const result = computeModifiedHHI(subject(null), [peer(100)]);
+
+        // kappa(subject, peer) = 10*8 / (10^2 + 5^2); kappa(peer, subject) = 8*10 / (8^2 + 4^2)
+        expect(result).toMatchObject({ marketShareBasis: 'equal', hhi: 5000, mhhiDelta: 4100, mhhi: 9100 });
+    });
+
+    test('should use market-cap shares when every firm reports one', () => {
+        const result = computeModifiedHHI(subject(300), [peer(100)]);
+
+        expect(result).toMatchObject({ marketShareBasis: 'marketCap', hhi: 6250, mhhiDelta: 3075, mhhi: 9325 });
+        expect(result.firms.map(firm => [firm.ticker, firm.share])).toEqual([['ACME', 75], ['FIZZ', 25]]);
+    });
+
+    test('should describe the holders each peer shares with the subject', () => {
+        const result = computeModifiedHHI(subject(300), [peer(100)]);
+
+        expect(result.peers).toEqual([{
+            name: 'Fizz Co',
+            ticker: 'FIZZ',
+            sharedHolderCount: 1,
+            sharedPercentOfPeer: 8,
+            profitWeight: 0.64,
+            sharedHolders: [{ name: 'Vanguard Group Inc', subjectPercent: 10, peerPercent: 8 }]
+        }]);
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * @jest-environment node
+ */
+// Test suite for the UK Companies House PSC source, served from a local fixture server
+const { startFixtureServer } = require('../helpers/fixture-server');
+
+let server;
+let getCompaniesHouseData;
+let setCompaniesHouseApiKey;
+let DataOrchestrator;
+let getDataSourcePlugin;
+
+beforeAll(async () => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+    server = await startFixtureServer([
+        [/^\/search\/companies\?q=Harbour\+Lane\+Holdings/, 'companies-house/search-harbour-lane-holdings.json'],
+        [/^\/company\/08123456$/, 'companies-house/company-08123456.json'],
+        [/^\/company\/08123456\/officers/, 'companies-house/officers-08123456.json'],
+        [/^\/company\/08123456\/persons-with-significant-control$/, 'companies-house/psc-08123456.json']
+    ]);
+
+    global.window = {};
+
+    // The orchestrator routes on the normalizer's country hints, so all three share one scope
+    eval([
+        load('core/plugin-architecture.js'),
+        load('core/data-orchestrator.js'),
+        load('modules/recognition/company-normalizer.js'),
+        load('modules/international/companies-house.js'),
+        'COMPANIES_HOUSE_CONFIG.baseUrl = server.baseUrl;'
+    ].join('\n'));
+
+    getCompaniesHouseData = window.getCompaniesHouseData;
+    setCompaniesHouseApiKey = window.setCompaniesHouseApiKey;
+    DataOrchestrator = window.DataOrchestrator;
+    getDataSourcePlugin = window.getDataSourcePlugin;
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    server.requests.length = 0;
+    setCompaniesHouseApiKey('test-key');
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+    await server.close();
+    delete global.window;
+});
+
+describe('getCompaniesHouseData', () => {
+    test('should authenticate with the API key as the basic auth username', async () => {
+        await getCompaniesHouseData('08123456');
+
+        expect(server.requests.length).toBeGreaterThan(0);
+        server.requests.forEach(request => {
+            expect(request.headers.authorization).toBe(`Basic ${Buffer.from('test-key:').toString('base64')}`);
+        });
+    });
+
+    test('should skip the network without an API key', async () => {
+        setCompaniesHouseApiKey(null);
+
+        const data = await getCompaniesHouseData('Harbour Lane Holdings Ltd');
+
+        expect(data.source).toBe('Companies House (API key required)');
+        expect(server.requests).toHaveLength(0);
+    });
+
+    test('should pick the popup\'s key back up from the session after a worker restart', async () => {
+        const session = {};
+        global.chrome = {
+            storage: {
+                session: {
+                    get: async (keys) => Object.fromEntries(keys.filter(key => key in session).map(key => [key, session[key]])),
+                    set: async (items) => Object.assign(session, items),
+                    remove: async (key) => delete session[key]
+                }
+            }
+        };
+        await setCompaniesHouseApiKey('session-key');
+
+        // The restarted worker loads the module again, with nothing in memory
+        const moduleCode = require('fs').readFileSync(require('path').join(__dirname, '../../src/modules/international/companies-house.js'), 'utf8');
+        eval(moduleCode + '\nCOMPANIES_HOUSE_CONFIG.baseUrl = server.baseUrl;');
+        await window.getCompaniesHouseData('08123456');
+
+        expect(server.requests[0].headers.authorization).toBe(`Basic ${Buffer.from('session-key:').toString('base64')}`);
+        delete global.chrome;
+    });
+
+    test('should keep lookups within the API\'s 600 requests per 5 minutes', async () => {
+        await getCompaniesHouseData('Harbour Lane Holdings Ltd');
+        const requestsPerLookup = server.requests.length;
+
+        const plugin = getDataSourcePlugin('companieshouse');
+        const now = Date.now();
+        let lookups = 0;
+        expect(() => {
+            for (;;) {
+                plugin.reserveRequest(now);
+                lookups++;
+            }
+        }).toThrow('companieshouse rate limit of 150 lookups reached');
+        plugin.requestLog = [];
+
+        expect(lookups * requestsPerLookup).toBeLessThanOrEqual(600);
+    });
+
+    test('should resolve a name to the exact registered company', async () => {
+        const data = await getCompaniesHouseData('Harbour Lane Holdings Ltd');
+
+        expect(data.companyNumber).toBe('08123456');
+        expect(data.entities[0]).toMatchObject({
+            name: 'HARBOUR LANE HOLDINGS LIMITED',
+            jurisdiction: 'gb',
+            companyType: 'ltd',
+            address: '4 Quay Street, Bristol, BS1 4DB, England'
+        });
+        expect(data.entities[0].officers.map(officer => officer.name)).toEqual(['PRICE, Eleanor Mary', 'OKAFOR, Daniel']);
+    });
+
+    test('should turn nature-of-control bands into ranged ownership edges', async () => {
+        const data = await getCompaniesHouseData('08123456');
+        const [parent, trustee, influencer] = data.edges;
+
+        expect(data.edges).toHaveLength(3);
+        expect(parent).toMatchObject({
+            ownerName: 'Harbour Lane Group Ltd',
+            ownerKind: 'corporate',
+            ownerRegistration: { number: '07654321', country: 'England' },
+            subjectNumber: '08123456',
+            shares: { min: 50, max: 75 },
+            votingRights: { min: 50, max: 75 },
+            appointsDirectors: true,
+            significantInfluence: false
+        });
+        expect(trustee).toMatchObject({ shares: { min: 25, max: 50 }, heldVia: 'trust' });
+        expect(influencer).toMatchObject({ shares: null, significantInfluence: true });
+    });
+
+    test('should list only shareholding PSCs as owners', async () => {
+        const data = await getCompaniesHouseData('08123456');
+
+        expect(data.owners).toEqual([
+            expect.objectContaining({ name: 'Harbour Lane Group Ltd', percent: '50-75%', type: 'Corporate' }),
+            expect.objectContaining({ name: 'Mrs Eleanor Mary Price', percent: '25-50%', type: 'Individual' })
+        ]);
+    });
+});
+
+describe('DataOrchestrator UK routing', () => {
+    test('should fetch Companies House for Ltd names without the international tier', async () => {
+        const orchestrator = new DataOrchestrator();
+        const data = await orchestrator.orchestrateDataFetch('Harbour Lane Holdings Ltd', {
+            identifiers: { query: 'Harbour Lane Holdings Ltd', name: 'Harbour Lane Holdings Ltd', matchType: 'unresolved' }
+        });
+
+        expect(data.sources).toEqual(['companieshouse']);
+        expect(data.ownershipEdges).toHaveLength(3);
+        expect(data.owners[0].percent).toBe('50-75%');
+    });
+
+    test('should leave US registrants to the SEC sources', async () => {
+        const orchestrator = new DataOrchestrator();
+        await orchestrator.orchestrateDataFetch('Apple Inc.', {
+            identifiers: { query: 'Apple Inc.', name: 'Apple Inc.', matchType: 'unresolved' }
+        });
+
+        expect(server.requests).toHaveLength(0);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * @jest-environment node
+ */
+// Test suite for the fetchComprehensiveData and fetchEnhancedData routes - the worker answering with the orchestrator's merged result
+const { createFixtureFetch } = require('../helpers/fixture-fetch');
+const { startWorker } = require('../helpers/extension-worker');
+
+const SEC_ROUTES = [
+    [/company_tickers\.json/, 'sec/company_tickers.json'],
+    [/companyconcept\/CIK0000320193\/dei\/EntityCommonStockSharesOutstanding/, 'sec/companyconcept-0000320193-shares-outstanding.json'],
+    [/efts\.sec\.gov.*037833100/, 'sec/efts-13f-037833100.json'],
+    [/\/102909\/000010290924000001\/infotable\.xml/, 'sec/infotable-vanguard-2024q1.xml'],
+    [/\/102909\/000010290924000002\/infotable\.xml/, 'sec/infotable-vanguard-2024q2.xml'],
+    [/\/1364742\/000136474224000005\/form13fInfoTable\.xml/, 'sec/infotable-blackrock-2024q2.xml'],
+    [/\/1067983\/000095012324005001\/infotable\.xml/, 'sec/infotable-berkshire-2024q1.xml']
+];
+
+let route;
+
+beforeEach(() => {
+    global.fetch = createFixtureFetch(SEC_ROUTES);
+    route = startWorker();
+});
+
+afterAll(() => {
+    delete global.fetch;
+});
+
+describe('fetchComprehensiveData route', () => {
+    test('should answer with the merged, quality-scored result of the tier 1 sources', async () => {
+        const response = await route({ action: 'fetchComprehensiveData', companyName: 'Apple' });
+
+        expect(response.success).toBe(true);
+        expect(response.data).toMatchObject({
+            companyName: 'Apple',
+            identifiers: { ticker: 'AAPL', cik: '0000320193' },
+            sources: ['sec'],
+            // One source answered (15) with owners (25)
+            qualityScore: 40
+        });
+        expect(response.data.owners.map(owner => owner.name)).toEqual(expect.arrayContaining(['VANGUARD GROUP INC']));
+        expect(response.data.warnings).toContain('yahoo returned no data');
+    });
+});
+
+describe('fetchEnhancedData route', () => {
+    test('should bring in the sources its options turn on and score the result on all of them', async () => {
+        const response = await route({
+            action: 'fetchEnhancedData',
+            companyName: 'Apple',
+            includeInternational: true,
+            includeGovernment: true
+        });
+
+        expect(response.success).toBe(true);
+        expect(response.data.sources).toEqual(expect.arrayContaining(['sec', 'gleif']));
+        expect(response.data.warnings).toEqual(expect.arrayContaining(['opencorporates returned no data', 'usaspending returned no data']));
+        expect(response.data.qualityScore).toBe(response.data.sources.length * 15 + 25);
+        expect(global.fetch.mock.calls.map(([url]) => String(url))).toEqual(expect.arrayContaining([
+            expect.stringContaining('api.gleif.org'),
+            expect.stringContaining('api.usaspending.gov')
+        ]));
+    });
+
+    test('should keep to the tier 1 sources when no option is on', async () => {
+        const response = await route({ action: 'fetchEnhancedData', companyName: 'Apple' });
+
+        expect(response.success).toBe(true);
+        expect(response.data.sources).toEqual(['sec']);
+        // GLEIF is still asked by the identifier crosswalk, for the LEI - but not as a source
+        expect(global.fetch.mock.calls.some(([url]) => /usaspending|opencorporates/.test(String(url)))).toBe(false);
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * @jest-environment node
+ */
+// Test suite for the local enrichment server - keys, per-client limits, routes and their response schemas
+const { createFixtureFetch } = require('../helpers/fixture-fetch');
+const { schemaErrors } = require('../helpers/json-schema');
+
+// The data layer's fetch is swapped for fixtures; requests to the server itself go out over real HTTP
+const httpFetch = globalThis.fetch;
+
+let api;
+let createEnrichmentServer;
+let parseClients;
+let RESPONSE_SCHEMAS;
+let server;
+let baseUrl;
+
+const CLIENTS = { research: 'research-key', dashboard: 'dashboard-key' };
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    api = require('../../src/api');
+    ({ createEnrichmentServer, parseClients } = require('../../src/server'));
+    ({ RESPONSE_SCHEMAS } = require('../../src/server/schemas'));
+});
+
+beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    global.fetch = createFixtureFetch([
+        [/company_tickers\.json/, 'sec/company_tickers.json'],
+        [/lei-records\?.*fulltext.*MICROSOFT/, 'gleif/lei-records-search-microsoft.json'],
+        [/lei-records\/INR2EJN1ERAN0W5ZP974$/, 'gleif/lei-record-INR2EJN1ERAN0W5ZP974.json']
+    ]);
+    api.configure({ logger: { log() {}, warn() {}, error() {}, info() {} } });
+
+    await startServer({ clients: CLIENTS });
+});
+
+afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+    jest.restoreAllMocks();
+    delete global.fetch;
+});
+
+async function startServer(options) {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = createEnrichmentServer(options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function call(path, { key = CLIENTS.research, ...init } = {}) {
+    const response = await httpFetch(`${baseUrl}${path}`, {
+        ...init,
+        headers: { ...(key && { 'X-API-Key': key }), ...init.headers }
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+describe('enrichment server', () => {
+    test('should refuse requests without a known key but publish its schemas openly', async () => {
+        const missing = await call('/entity?name=Microsoft', { key: null });
+        const unknown = await call('/entity?name=Microsoft', { key: 'guess' });
+
+        expect([missing.status, unknown.status]).toEqual([401, 401]);
+        expect(schemaErrors(RESPONSE_SCHEMAS.error, unknown.body)).toEqual([]);
+        expect(unknown.body.error).toEqual({ code: 'unauthorized', message: 'Unknown API key' });
+
+        const schema = await call('/schemas/owners', { key: null });
+        expect(schema.status).toBe(200);
+        expect(schema.body).toMatchObject({ $id: '/schemas/owners', required: expect.arrayContaining(['cik', 'owners']) });
+    });
+
+    test('should serve the merged entity and the owners of a CIK, each matching its schema', async () => {
+        const entity = await call('/entity?name=Microsoft');
+
+        expect(entity.status).toBe(200);
+        expect(entity.headers.get('link')).toBe('</schemas/entity>; rel="describedby"');
+        expect(schemaErrors(RESPONSE_SCHEMAS.entity, entity.body)).toEqual([]);
+        expect(entity.body.identifiers).toMatchObject({ cik: '0000789019', lei: 'INR2EJN1ERAN0W5ZP974' });
+
+        const owners = await call('/entity/789019/owners');
+        expect(owners.status).toBe(200);
+        expect(schemaErrors(RESPONSE_SCHEMAS.owners, owners.body)).toEqual([]);
+        expect(owners.body).toMatchObject({ cik: '0000789019', ticker: 'MSFT' });
+
+        expect((await call('/entity/MSFT%20Corp/owners')).status).toBe(400);
+        expect((await call('/entity?name=Qzxv%20Wplk')).body.error.code).toBe('not_found');
+    });
+
+    test('should extract entities from raw or JSON text and return the lookup graph', async () => {
+        const raw = await call('/extract', { method: 'POST', body: 'Shares of $MSFT rose while $NVDA slipped.', headers: { 'Content-Type': 'text/plain' } });
+        const json = await call('/extract', { method: 'POST', body: JSON.stringify({ text: 'Shares of $MSFT rose.' }), headers: { 'Content-Type': 'application/json' } });
+
+        expect(schemaErrors(RESPONSE_SCHEMAS.extraction, raw.body)).toEqual([]);
+        expect(raw.body.entities.map(entity => entity.text)).toEqual(expect.arrayContaining(['MSFT', 'NVDA']));
+        expect(json.body.entities[0].company).toMatchObject({ id: 'microsoft' });
+
+        const wrongMethod = await call('/extract');
+        expect(wrongMethod.status).toBe(405);
+        expect(wrongMethod.headers.get('allow')).toBe('POST');
+
+        const graph = await call('/graph/MSFT');
+        expect(graph.status).toBe(200);
+        expect(schemaErrors(RESPONSE_SCHEMAS.graph, graph.body)).toEqual([]);
+        expect(graph.body).toMatchObject({ origin: 'live', subject: 'lei:INR2EJN1ERAN0W5ZP974' });
+    });
+
+    test('should limit each client separately and tell it when to retry', async () => {
+        await startServer({ clients: CLIENTS, rateLimits: { burst: { requests: 2, window: 1000 } } });
+
+        await call('/schemas/error'); // schema reads are not counted
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            statuses.push((await call('/extract', { method: 'POST', body: 'Apple' })).status);
+        }
+        const limited = await call('/extract', { method: 'POST', body: 'Apple' });
+        const otherClient = await call('/extract', { method: 'POST', body: 'Apple', key: CLIENTS.dashboard });
+
+        expect(statuses).toEqual([200, 200, 429]);
+        expect(limited.status).toBe(429);
+        expect(limited.body.error.code).toBe('rate_limited');
+        expect(Number(limited.headers.get('retry-after'))).toBeGreaterThanOrEqual(1);
+        expect(otherClient.status).toBe(200);
+        expect(otherClient.headers.get('ratelimit-remaining')).toBe('1');
+    });
+
+    test('should keep base64 padding in client keys', async () => {
+        const clients = parseClients('research=abc==, dashboard=ZGFzaA==,broken');
+        expect(clients).toEqual({ research: 'abc==', dashboard: 'ZGFzaA==' });
+
+        await startServer({ clients });
+        expect((await call('/schemas/error', { key: 'abc==' })).status).toBe(200);
+        expect((await call('/graph/MSFT', { key: 'abc' })).status).toBe(401);
+    });
+
+    test('should answer bad input with 400 and log its own failures as 500', async () => {
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const blank = await call('/graph/%20');
+        const malformed = await call('/graph/%E0%A4%A');
+        expect([blank.status, malformed.status]).toEqual([400, 400]);
+        expect(error).not.toHaveBeenCalled();
+
+        jest.spyOn(api, 'graph').mockRejectedValue(new TypeError("Cannot read properties of undefined (reading 'nodes')"));
+        const broken = await call('/graph/MSFT');
+        expect(broken.status).toBe(500);
+        expect(broken.body.error.code).toBe('internal_error');
+        expect(error).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * @jest-environment node
+ */
+// Test suite for the extract CLI - site adapters over archived HTML, the generic NLP path over text
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let cli;
+let workDir;
+
+const BLOOMBERG_ARTICLE = `<html><head>
+<meta property="og:url" content="https://www.bloomberg.com/news/articles/2026-10-01/chip-stocks">
+<script>window.analytics = { page: 'chip-stocks' };</script>
+</head><body>
+<nav><a href="/quote/AAPL:US">Apple</a></nav>
+<h1 class="headline__text">Nvidia Corporation Extends Rally</h1>
+<div class="body-content"><p>Shares of Microsoft Corp. rose as $MSFT stock climbed.</p></div>
+</body></html>`;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    cli = require('../../src/cli/extract');
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'genome-extract-'));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('extractFromHTML', () => {
+    test('should pick the adapter from the page address and report body text offsets', async () => {
+        const records = await cli.extractFromHTML(BLOOMBERG_ARTICLE);
+        const bodyText = '\nApple\nNvidia Corporation Extends Rally\nShares of Microsoft Corp. rose as $MSFT stock climbed.\n\n';
+
+        expect(records.map(record => [record.site, record.path, record.text, record.element])).toEqual([
+            ['bloomberg', 'adapter', 'Nvidia Corporation', 'h1.headline__text'],
+            ['bloomberg', 'adapter', 'MSFT', 'p']
+        ]);
+        records.forEach(record => expect(bodyText.slice(record.start, record.end)).toBe(record.text));
+
+        expect(records[0].confidence.breakdown).toEqual(expect.objectContaining({ patternMatch: 1, domContext: 1, crossReference: 0 }));
+        expect(records[1].knowledgeBase).toMatchObject({ id: 'microsoft', ticker: 'MSFT', matchType: 'alias' });
+    });
+
+    test('should take the generic NLP path for sites without an adapter', async () => {
+        const records = await cli.extractFromHTML('<html><body><p>Shares of $NVDA rose.</p></body></html>', { url: 'https://news.example.com/chips' });
+
+        expect(records).toEqual([expect.objectContaining({ site: null, url: 'https://news.example.com/chips', path: 'nlp', text: 'NVDA', start: 11, end: 15 })]);
+    });
+});
+
+describe('extractFromText', () => {
+    test('should give offsets into the original text despite line breaks and runs of spaces', async () => {
+        const text = 'Quarterly review.\n\nAnalysts   noted that Tesla,  Inc.\nand $AAPL both beat estimates.';
+        const records = await cli.extractFromText(text);
+
+        const ticker = records.find(record => record.type === 'ticker');
+        expect(text.slice(ticker.start, ticker.end)).toBe('AAPL');
+        expect(ticker.knowledgeBase).toMatchObject({ id: 'apple', name: 'Apple Inc.' });
+        expect(ticker.confidence).toMatchObject({ level: expect.any(String), recommendation: expect.any(String) });
+        expect(Object.keys(ticker.confidence.breakdown)).toEqual(['patternMatch', 'domContext', 'nlpConfidence', 'crossReference', 'contextConsistency']);
+    });
+});
+
+describe('main', () => {
+    test('should walk a directory for HTML and text, write one JSON line per entity and refuse missing inputs', async () => {
+        fs.mkdirSync(path.join(workDir, 'archive'));
+        fs.writeFileSync(path.join(workDir, 'archive', 'article.html'), BLOOMBERG_ARTICLE);
+        fs.writeFileSync(path.join(workDir, 'archive', 'notes.txt'), 'Shares of $TSLA fell.');
+        fs.writeFileSync(path.join(workDir, 'archive', 'image.png'), 'not text');
+        const output = path.join(workDir, 'entities.jsonl');
+        const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+
+        const code = await cli.main([path.join(workDir, 'archive'), path.join(workDir, 'missing.txt'), '--output', output]);
+
+        expect(code).toBe(2);
+        expect(stderr).toHaveBeenCalledWith(expect.stringContaining('missing.txt'));
+
+        const okCode = await cli.main([path.join(workDir, 'archive'), '--output', output]);
+        const lines = fs.readFileSync(output, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+        expect(okCode).toBe(0);
+        expect(lines.map(line => [path.basename(line.file), line.text])).toEqual([
+            ['article.html', 'Nvidia Corporation'],
+            ['article.html', 'MSFT'],
+            ['notes.txt', 'TSLA']
+        ]);
+    });
+});
@@ -0,0 +1,132 @@
+// Test suite for GLEIF LEI lookup and Level 2 parent relationships
+const { createFixtureFetch } = require('../helpers/fixture-fetch');
+
+let getGLEIFData, isValidLei, DataIntegrityValidator, DataValidator, getDataSourcePlugin;
+
+beforeAll(() => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+    // GLEIF flags offshore parents with the OpenCorporates jurisdiction list
+    eval([
+        load('core/plugin-architecture.js'),
+        load('core/data-orchestrator.js'),
+        load('modules/international/opencorporates.js'),
+        load('modules/international/gleif.js'),
+        load('core/security/integrity-validator.js')
+    ].join('\n'));
+
+    getGLEIFData = window.getGLEIFData;
+    isValidLei = window.isValidLei;
+    DataIntegrityValidator = window.DataIntegrityValidator;
+    DataValidator = window.DataValidator;
+    getDataSourcePlugin = window.getDataSourcePlugin;
+});
+
+beforeEach(() => {
+    global.fetch = createFixtureFetch([
+        [/lei-records\/549300HOG8BQ1LVMCW87$/, 'gleif/lei-record-549300HOG8BQ1LVMCW87.json'],
+        [/lei-records\/549300RNDISL1MSFT010$/, 'gleif/lei-record-549300RNDISL1MSFT010.json'],
+        [/lei-records\/INR2EJN1ERAN0W5ZP974$/, 'gleif/lei-record-INR2EJN1ERAN0W5ZP974.json'],
+        [/549300HOG8BQ1LVMCW87\/direct-parent-relationship/, 'gleif/direct-parent-relationship-549300HOG8BQ1LVMCW87.json'],
+        [/549300HOG8BQ1LVMCW87\/ultimate-parent-relationship/, 'gleif/ultimate-parent-relationship-549300HOG8BQ1LVMCW87.json'],
+        [/INR2EJN1ERAN0W5ZP974\/(direct|ultimate)-parent-reporting-exception/, 'gleif/parent-reporting-exception-INR2EJN1ERAN0W5ZP974.json'],
+        [/lei-records\?.*fulltext.*microsoft/i, 'gleif/lei-records-search-microsoft.json'],
+        [/lei-records\/5493001KJTIIGC8Y1R12$/, 'gleif/lei-record-tampered.json']
+    ]);
+});
+
+describe('isValidLei', () => {
+    test('should verify the ISO 17442 mod 97 checksum', () => {
+        expect(isValidLei('INR2EJN1ERAN0W5ZP974')).toBe(true);
+        expect(isValidLei('inr2ejn1eran0w5zp974')).toBe(true);
+        expect(isValidLei('INR2EJN1ERAN0W5ZP975')).toBe(false);
+        expect(isValidLei('INR2EJN1ERAN0W5ZP97')).toBe(false);
+    });
+});
+
+describe('getGLEIFData', () => {
+    test('should return the subject with its direct and ultimate parents', async () => {
+        const data = await getGLEIFData('549300HOG8BQ1LVMCW87');
+
+        expect(data.entities.map(entity => [entity.lei, entity.relationship])).toEqual([
+            ['549300HOG8BQ1LVMCW87', 'subject'],
+            ['549300RNDISL1MSFT010', 'direct_parent'],
+            ['INR2EJN1ERAN0W5ZP974', 'ultimate_parent']
+        ]);
+    });
+
+    test('should carry relationship status and accounting basis', async () => {
+        const data = await getGLEIFData('549300HOG8BQ1LVMCW87');
+
+        expect(data.parents.direct).toMatchObject({
+            name: 'MICROSOFT ROUND ISLAND ONE LIMITED',
+            relationshipType: 'IS_DIRECTLY_CONSOLIDATED_BY',
+            relationshipStatus: 'ACTIVE',
+            accountingStandard: 'IFRS',
+            relationshipStart: '2013-02-01',
+            accountingPeriodEnd: '2024-06-30'
+        });
+        expect(data.parents.ultimate.accountingStandard).toBe('US_GAAP');
+
+        const ultimate = data.entities.find(entity => entity.relationship === 'ultimate_parent');
+        expect(ultimate).toMatchObject({ jurisdiction: 'us_wa', companyNumber: '600413485', isOffshore: false });
+
+        const subject = data.entities.find(entity => entity.relationship === 'subject');
+        expect(subject).toMatchObject({ jurisdiction: 'ie', isOffshore: true, source: 'GLEIF' });
+    });
+
+    test('should report parent reporting exceptions for top-level entities', async () => {
+        const data = await getGLEIFData('Microsoft Corporation');
+
+        expect(data.lei).toBe('INR2EJN1ERAN0W5ZP974');
+        expect(data.entities).toHaveLength(1);
+        expect(data.reportingExceptions).toEqual([
+            { type: 'direct_parent', category: 'DIRECT_ACCOUNTING_CONSOLIDATION_PARENT', reason: 'NO_KNOWN_PERSON' },
+            { type: 'ultimate_parent', category: 'DIRECT_ACCOUNTING_CONSOLIDATION_PARENT', reason: 'NO_KNOWN_PERSON' }
+        ]);
+    });
+
+    test('should not trust records that fail the LEI checksum', async () => {
+        // Bad checksum in the query never reaches the network
+        const mistyped = await getGLEIFData('INR2EJN1ERAN0W5ZP975');
+        expect(mistyped.entities).toEqual([]);
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        // Bad checksum in the response is dropped
+        const tampered = await getGLEIFData('5493001KJTIIGC8Y1R12');
+        expect(tampered.entities).toEqual([]);
+        expect(tampered.note).toContain('No verified LEI');
+    });
+});
+
+describe('DataIntegrityValidator gleif rule', () => {
+    test('should accept GLEIF results and reject forged LEIs', async () => {
+        const validator = new DataIntegrityValidator();
+        const data = await getGLEIFData('549300HOG8BQ1LVMCW87');
+
+        expect(await validator.validateStructuralIntegrity('gleif', data)).toBe(true);
+
+        const forged = { ...data, entities: data.entities.map((entity, index) => index === 1 ? { ...entity, lei: '549300RNDISL1MSFT011' } : entity) };
+        expect(await validator.validateStructuralIntegrity('gleif', forged)).toBe(false);
+    });
+});
+
+describe('gleif plugin validation rules', () => {
+    test('should accept GLEIF results and reject malformed LEIs as the integrity validator does', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const { validationRules } = getDataSourcePlugin('gleif');
+        const validator = new DataValidator();
+        const data = await getGLEIFData('549300HOG8BQ1LVMCW87');
+
+        expect(validator.validateDataSource('gleif', data, validationRules)).toBe(true);
+
+        const malformed = { ...data, entities: data.entities.map((entity, index) => index === 1 ? { ...entity, lei: '549300-RNDISL1MSFT01' } : entity) };
+        expect(validator.validateDataSource('gleif', malformed, validationRules)).toBe(false);
+        expect(await new DataIntegrityValidator().validateStructuralIntegrity('gleif', malformed)).toBe(false);
+
+        const unnamed = { ...data, entities: [{ ...data.entities[0], name: null }] };
+        expect(validator.validateDataSource('gleif', unnamed, validationRules)).toBe(false);
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ */
+// Test suite for stored-graph neighbourhoods and the GraphML, GEXF, Cytoscape and Cypher exporters
+const { IDBFactory } = require('fake-indexeddb');
+
+let OwnershipGraphStore;
+let buildOwnershipGraph;
+let exportOwnershipGraph;
+
+const recordCompany = (store, companyName, fields) => {
+    const mergedData = {
+        companyName,
+        owners: [],
+        significantHolders: [],
+        ownershipEdges: [],
+        internationalEntities: [],
+        identifiers: { tickers: [] },
+        lastUpdated: '2026-10-01T09:00:00.000Z',
+        ...fields
+    };
+    mergedData.ownershipGraph = buildOwnershipGraph(mergedData);
+    return store.recordGraph(mergedData);
+};
+
+// Group owns Holdings; Whitfield owns Group; Group and Vanguard hold Quayside
+const recordHarbourLane = async (store) => {
+    await recordCompany(store, 'Harbour Lane Holdings', {
+        internationalEntities: [{ name: 'HARBOUR LANE HOLDINGS LIMITED', jurisdiction: 'gb', companyNumber: '08123456', relationship: 'subject' }],
+        ownershipEdges: [
+            { ownerName: 'Harbour Lane Group Ltd', ownerKind: 'corporate', ownerRegistration: { number: '07654321', country: 'England' }, subjectName: 'HARBOUR LANE HOLDINGS LIMITED', subjectNumber: '08123456', shares: { min: 50, max: 75 }, appointsDirectors: true, notifiedOn: '2016-04-06', source: 'Companies House PSC' },
+            { ownerName: 'Mr Arthur "Art" O\'Neill', ownerKind: 'individual', subjectName: 'HARBOUR LANE GROUP LTD', subjectNumber: '07654321', shares: { min: 75, max: 100 }, notifiedOn: '2016-04-06', source: 'Companies House PSC' }
+        ]
+    });
+    await recordCompany(store, 'Quayside Marinas', {
+        identifiers: { cik: '0001999999', lei: '5493001KJTIIGC8Y1R12', tickers: ['QSMR'] },
+        owners: [
+            { name: 'Harbour Lane Group Ltd', percent: '12.00%', reportDate: '2026-06-30', source: 'Yahoo Finance' },
+            { name: 'Vanguard Group Inc', percent: '8.10%', reportDate: '2026-06-30', source: 'Yahoo Finance' },
+            { name: 'Vanguard Group Inc', percent: '8.20%', reportDate: '2026-09-30', source: 'SEC 13F' }
+        ]
+    });
+};
+
+const exportQuayside = async (format, options) => {
+    const store = new OwnershipGraphStore();
+    await recordHarbourLane(store);
+    return exportOwnershipGraph(await store.neighbourhood('QSMR', options), format);
+};
+
+beforeAll(() => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+    global.window = {};
+
+    eval([
+        load('modules/data/ownership-graph.js'),
+        load('modules/data/cache-manager.js'),
+        load('modules/data/graph-exporters.js')
+    ].join('\n'));
+
+    OwnershipGraphStore = window.OwnershipGraphStore;
+    buildOwnershipGraph = window.buildOwnershipGraph;
+    exportOwnershipGraph = window.exportOwnershipGraph;
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    global.indexedDB = new IDBFactory();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.indexedDB;
+});
+
+afterAll(() => {
+    delete global.window;
+});
+
+describe('OwnershipGraphStore.neighbourhood', () => {
+    test('should collect owners and holdings out to the requested depth', async () => {
+        const store = new OwnershipGraphStore();
+        await recordHarbourLane(store);
+
+        const oneHop = await store.neighbourhood('QSMR', { depth: 1 });
+        expect(oneHop.entities.map(entity => entity.name)).toEqual(['Quayside Marinas', 'Vanguard Group Inc', 'Harbour Lane Group Ltd']);
+        expect(oneHop.edges).toHaveLength(3); // Vanguard is reported by two sources
+
+        const twoHops = await store.neighbourhood('QSMR', { depth: 2 });
+        expect(twoHops.entities.map(entity => entity.name)).toEqual(expect.arrayContaining(['Harbour Lane Holdings', 'Mr Arthur "Art" O\'Neill']));
+    });
+
+    test('should drop stakes below the minimum percent', async () => {
+        const store = new OwnershipGraphStore();
+        await recordHarbourLane(store);
+
+        const result = await store.neighbourhood('QSMR', { depth: 1, minPercent: 10 });
+        expect(result.entities.map(entity => entity.name)).toEqual(['Quayside Marinas', 'Harbour Lane Group Ltd']);
+    });
+});
+
+describe('exportOwnershipGraph', () => {
+    test('should write GraphML with identifiers and per-source edge attributes', async () => {
+        const file = await exportQuayside('graphml', { depth: 1 });
+
+        expect(file).toMatchObject({ filename: 'quayside-marinas-ownership.graphml', mimeType: 'application/graphml+xml' });
+        expect(file.content).toContain('<key id="n_cik" for="node" attr.name="cik" attr.type="string"/>');
+        expect(file.content).toContain('<data key="n_ticker">QSMR</data>');
+        expect(file.content).toContain('<data key="n_lei">5493001KJTIIGC8Y1R12</data>');
+        expect(file.content).toMatch(/<edge id="name:vanguard group-&gt;lei:5493001KJTIIGC8Y1R12\|SEC 13F" source="name:vanguard group" target="lei:5493001KJTIIGC8Y1R12">\s*<data key="e_percentMin">8.2<\/data>/);
+        expect(file.content).toContain('<data key="e_asOf">2026-09-30</data>');
+    });
+
+    test('should write GEXF weighted by stake', async () => {
+        const file = await exportQuayside('gexf', { depth: 1 });
+
+        expect(file.content).toContain('<gexf xmlns="http://gexf.net/1.3" version="1.3">');
+        expect(file.content).toContain('<attribute id="1" title="ticker" type="string"/>');
+        expect(file.content).toMatch(/source="reg:gb:07654321" target="lei:5493001KJTIIGC8Y1R12" weight="12"/);
+    });
+
+    test('should write Cytoscape.js elements', async () => {
+        const file = await exportQuayside('cytoscape', { depth: 1 });
+        const { elements } = JSON.parse(file.content);
+
+        expect(elements.nodes.find(node => node.data.ticker === 'QSMR').data).toMatchObject({ id: 'lei:5493001KJTIIGC8Y1R12', name: 'Quayside Marinas', cik: '0001999999' });
+        expect(elements.edges.map(edge => edge.data.dataSource).sort()).toEqual(['SEC 13F', 'Yahoo Finance', 'Yahoo Finance']);
+    });
+
+    test('should write an idempotent Cypher script with escaped names', async () => {
+        const file = await exportQuayside('cypher', { depth: 2 });
+        const lines = file.content.split('\n');
+
+        expect(lines).toContain('CREATE CONSTRAINT entity_id IF NOT EXISTS FOR (n:Entity) REQUIRE n.id IS UNIQUE;');
+        expect(lines.some(line => line.startsWith("MERGE (n:Entity {id: 'name:mr arthur art o neill'}) SET n += {name: 'Mr Arthur \"Art\" O\\'Neill', kind: 'individual'"))).toBe(true);
+        expect(lines).toContain(
+            "MATCH (a:Entity {id: 'reg:gb:07654321'}), (b:Entity {id: 'lei:5493001KJTIIGC8Y1R12'}) " +
+            "MERGE (a)-[r:OWNS {source: 'Yahoo Finance'}]->(b) SET r += {percentMin: 12, percentMax: 12, controls: false, influence: false, basis: 'holding', inferred: false, asOf: '2026-06-30'};"
+        );
+    });
+
+    test('should reject an unknown format', async () => {
+        await expect(exportQuayside('dot', { depth: 1 })).rejects.toThrow('Unknown graph export format: dot');
+    });
+});
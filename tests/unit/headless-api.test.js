@@ -0,0 +1,58 @@
+/**
+ * @jest-environment node
+ */
+// Test suite for the headless Node API - required like any other package, no DOM and no eval
+const { createFixtureFetch } = require('../helpers/fixture-fetch');
+
+let api;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    api = require('../../src/api');
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    global.fetch = createFixtureFetch([
+        [/company_tickers\.json/, 'sec/company_tickers.json'],
+        [/lei-records\?.*fulltext.*MICROSOFT/, 'gleif/lei-records-search-microsoft.json'],
+        [/lei-records\/INR2EJN1ERAN0W5ZP974$/, 'gleif/lei-record-INR2EJN1ERAN0W5ZP974.json']
+    ]);
+    api.configure({ logger: { log() {}, warn() {}, error() {}, info() {} } });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+});
+
+describe('headless API', () => {
+    test('should extract and fold entities from text longer than one processor pass', async () => {
+        const filler = 'Analysts spent the morning revising estimates across the sector. '.repeat(20);
+        const entities = await api.extractEntities(`Shares of $MSFT rose early. ${filler}Later, $MSFT gave back its gains while $NVDA climbed.`);
+
+        const tickers = entities.filter(entity => entity.type === 'ticker');
+        expect(tickers.map(entity => entity.text)).toEqual(expect.arrayContaining(['MSFT', 'NVDA']));
+        expect(tickers.find(entity => entity.text === 'MSFT')).toMatchObject({ mentions: 2, company: { name: 'Microsoft Corporation', ticker: 'MSFT' } });
+        expect(tickers.find(entity => entity.text === 'NVDA').position).toBeGreaterThan(1000);
+    });
+
+    test('should resolve a name through the knowledge base and the identifier crosswalk', async () => {
+        const resolved = await api.resolve('Microsoft');
+
+        expect(resolved.company).toMatchObject({ id: 'microsoft', ticker: 'MSFT' });
+        expect(resolved.identifiers).toMatchObject({
+            ticker: 'MSFT',
+            cik: '0000789019',
+            lei: 'INR2EJN1ERAN0W5ZP974',
+            matchType: 'ticker'
+        });
+    });
+
+    test('should reject empty input', async () => {
+        await expect(api.resolve('  ')).rejects.toThrow(TypeError);
+        await expect(api.extractEntities(null)).rejects.toThrow('extractEntities expects a string');
+    });
+});
@@ -0,0 +1,126 @@
+// Test suite for the Ticker/CIK/CUSIP/LEI identifier crosswalk
+const { createFixtureFetch } = require('../helpers/fixture-fetch');
+
+let IdentifierCrosswalk;
+
+beforeAll(() => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+    // The crosswalk seeds from the SEC ticker loader and enriches through the GLEIF client
+    eval([
+        load('modules/government/sec-edgar.js'),
+        load('modules/international/gleif.js'),
+        load('modules/data/identifier-crosswalk.js')
+    ].join('\n'));
+
+    IdentifierCrosswalk = window.IdentifierCrosswalk;
+});
+
+beforeEach(() => {
+    global.fetch = createFixtureFetch([
+        [/company_tickers\.json/, 'sec/company_tickers.json'],
+        [/lei-records\?.*fulltext.*MICROSOFT/, 'gleif/lei-records-search-microsoft.json'],
+        [/lei-records\?.*fulltext.*ORACLE/, 'gleif/lei-records-search-oracle.json'],
+        [/lei-records\/549300ORCLXW7Q2M1K85\/isins/, 'gleif/isins-549300ORCLXW7Q2M1K85.json'],
+        [/lei-records\/INR2EJN1ERAN0W5ZP974$/, 'gleif/lei-record-INR2EJN1ERAN0W5ZP974.json']
+    ]);
+});
+
+afterEach(() => {
+    delete global.chrome;
+});
+
+describe('IdentifierCrosswalk', () => {
+    test('should resolve tickers, CIKs, CUSIPs and names to one bundle', async () => {
+        const crosswalk = new IdentifierCrosswalk();
+
+        const byTicker = await crosswalk.resolve('AAPL');
+        expect(byTicker).toMatchObject({
+            name: 'Apple Inc.',
+            ticker: 'AAPL',
+            cik: '0000320193',
+            cusip: '037833100',
+            isin: 'US0378331005',
+            matchType: 'ticker'
+        });
+
+        expect(await crosswalk.resolve('320193')).toMatchObject({ ticker: 'AAPL', matchType: 'cik' });
+        expect(await crosswalk.resolve('037833100')).toMatchObject({ ticker: 'AAPL', matchType: 'cusip' });
+        expect(await crosswalk.resolve('Berkshire Hathaway')).toMatchObject({ ticker: 'BRK-B', cusip: '084670702', matchType: 'name' });
+        expect(await crosswalk.resolve('BRK.B')).toMatchObject({ cik: '0001067983' });
+    });
+
+    test('should read only symbol-shaped text as a ticker unless told it is one', async () => {
+        const crosswalk = new IdentifierCrosswalk();
+
+        expect(await crosswalk.resolve('Orcl')).toBeNull();
+        expect(await crosswalk.resolve('orcl', { isTicker: true })).toMatchObject({ ticker: 'ORCL', matchType: 'ticker' });
+    });
+
+    test('should attach the GLEIF LEI whose legal name matches the registrant', async () => {
+        const crosswalk = new IdentifierCrosswalk();
+
+        // The hover doesn't wait on GLEIF - the LEI arrives for the next lookup
+        expect((await crosswalk.resolve('MSFT')).lei).toBeNull();
+        await crosswalk.whenEnriched();
+        const bundle = await crosswalk.resolve('MSFT');
+
+        // The Irish subsidiary also matches the full-text search
+        expect(bundle).toMatchObject({
+            lei: 'INR2EJN1ERAN0W5ZP974',
+            jurisdiction: 'US-WA',
+            registeredAs: '600413485'
+        });
+    });
+
+    test('should derive the equity CUSIP from GLEIF ISINs when none is seeded', async () => {
+        const crosswalk = new IdentifierCrosswalk();
+        await crosswalk.resolve('ORCL');
+        await crosswalk.whenEnriched();
+        const bundle = await crosswalk.resolve('ORCL');
+
+        expect(bundle.lei).toBe('549300ORCLXW7Q2M1K85');
+        expect(bundle.cusip).toBe('68389X105');
+        expect(bundle.isin).toBe('US68389X1054');
+    });
+
+    test('should resolve an LEI back to the SEC registrant', async () => {
+        const crosswalk = new IdentifierCrosswalk();
+        const bundle = await crosswalk.resolve('INR2EJN1ERAN0W5ZP974');
+
+        expect(bundle).toMatchObject({ ticker: 'MSFT', cik: '0000789019', matchType: 'lei' });
+    });
+
+    test('should reload the persisted table without refetching the SEC file', async () => {
+        const store = {};
+        global.chrome = {
+            storage: {
+                local: {
+                    get: jest.fn(async (keys) => Object.fromEntries(keys.filter(key => key in store).map(key => [key, store[key]]))),
+                    set: jest.fn(async (items) => Object.assign(store, items))
+                }
+            }
+        };
+
+        const crosswalk = new IdentifierCrosswalk();
+        await crosswalk.resolve('MSFT');
+        await crosswalk.whenEnriched();
+        expect(store.identifier_crosswalk.rows).toHaveLength(4);
+
+        // The enriched row is written on its own, not the whole table again
+        expect(global.chrome.storage.local.set).toHaveBeenCalledTimes(2);
+        expect(Object.keys(store.identifier_crosswalk_changes)).toEqual(['0000789019']);
+
+        global.fetch.mockClear();
+        const bundle = await new IdentifierCrosswalk().resolve('INR2EJN1ERAN0W5ZP974');
+
+        expect(bundle).toMatchObject({ ticker: 'MSFT', matchType: 'lei' });
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should return null for unknown entities', async () => {
+        expect(await new IdentifierCrosswalk().resolve('Nonexistent Widgets')).toBeNull();
+    });
+});
@@ -0,0 +1,114 @@
+// Test suite for the side panel's interactive ownership graph view
+let OwnershipGraphView;
+let buildOwnershipGraph;
+
+const graphOf = (companyName, owners) => buildOwnershipGraph({
+    companyName,
+    owners,
+    significantHolders: [],
+    ownershipEdges: [],
+    internationalEntities: []
+});
+
+const harbourLane = () => graphOf('Harbour Lane Holdings', [
+    { name: 'Harbour Lane Group Ltd', percent: '60.00%', source: 'Yahoo Finance' },
+    { name: 'Vanguard Group Inc', percent: '8.10%', source: 'SEC 13F' },
+    { name: 'Tiny Capital LLC', percent: '0.40%', source: 'Yahoo Finance' }
+]);
+
+const levelsOf = (view) => Object.fromEntries(
+    Array.from(view.layout().positions, ([nodeId, position]) => [view.graph.nodes.get(nodeId).name, position.level])
+);
+
+beforeAll(() => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+    eval([
+        load('modules/data/ownership-graph.js'),
+        load('modules/ui/ownership-graph-view.js')
+    ].join('\n'));
+
+    OwnershipGraphView = window.OwnershipGraphView;
+    buildOwnershipGraph = window.buildOwnershipGraph;
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    document.body.innerHTML = '<svg id="ownership-graph"></svg>';
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('OwnershipGraphView', () => {
+    test('should stack owners above the subject and holdings below it', () => {
+        const view = new OwnershipGraphView(document.getElementById('ownership-graph'));
+        view.reset(harbourLane());
+
+        view.addHoldings(view.subject, [{
+            entity: { name: 'Quayside Marinas', kind: 'corporate' },
+            percent: { min: 12, max: 12 },
+            controls: false,
+            influence: false,
+            sources: ['Yahoo Finance'],
+            asOf: '2026-06-30'
+        }]);
+
+        expect(levelsOf(view)).toEqual({
+            'Harbour Lane Holdings': 0,
+            'Harbour Lane Group Ltd': -1,
+            'Vanguard Group Inc': -1,
+            'Tiny Capital LLC': -1,
+            'Quayside Marinas': 1
+        });
+    });
+
+    test('should fold an expanded node\'s owners onto the node already drawn', () => {
+        const view = new OwnershipGraphView(document.getElementById('ownership-graph'));
+        view.reset(harbourLane());
+
+        // The fetch resolved the parent under a different name - the anchor still joins them up
+        const parentId = view.graph.addNode({ name: 'Harbour Lane Group Ltd' });
+        const parentGraph = graphOf('HL Group Holdings PLC', [
+            { name: 'Mr Arthur James Whitfield', type: 'Individual', percent: '80.00%', source: 'Companies House PSC Register' }
+        ]);
+        view.merge(parentGraph, { [parentGraph.subject]: parentId });
+
+        expect(view.graph.nodes.size).toBe(5);
+        expect(levelsOf(view)['Mr Arthur James Whitfield']).toBe(-2);
+        expect(view.describeNode(parentId).owners.map(({ node, edge }) => [node.name, node.kind, edge.percent])).toEqual([
+            ['Mr Arthur James Whitfield', 'individual', { min: 80, max: 80 }]
+        ]);
+    });
+
+    test('should filter edges by source and minimum stake', () => {
+        const view = new OwnershipGraphView(document.getElementById('ownership-graph'));
+        view.reset(harbourLane());
+
+        expect(view.sources()).toEqual(['SEC 13F', 'Yahoo Finance']);
+
+        view.setMinPercent(5);
+        expect(Object.keys(levelsOf(view))).toEqual(['Harbour Lane Holdings', 'Harbour Lane Group Ltd', 'Vanguard Group Inc']);
+
+        view.setSourceVisible('SEC 13F', false);
+        expect(Object.keys(levelsOf(view))).toEqual(['Harbour Lane Holdings', 'Harbour Lane Group Ltd']);
+    });
+
+    test('should draw weighted edges and open a node\'s card on click', () => {
+        const onSelect = jest.fn();
+        const svg = document.getElementById('ownership-graph');
+        const view = new OwnershipGraphView(svg, { onSelect });
+        view.reset(harbourLane());
+
+        expect(svg.querySelectorAll('.genome-graph-node')).toHaveLength(4);
+        expect(Array.from(svg.querySelectorAll('.genome-graph-edge-label'), label => label.textContent)).toEqual(['60%', '8.1%', '0.4%']);
+
+        svg.querySelector('[data-node-id="name:vanguard group"]').dispatchEvent(new MouseEvent('click'));
+
+        expect(onSelect).toHaveBeenCalledWith('name:vanguard group');
+        expect(svg.querySelector('.is-selected').getAttribute('data-node-id')).toBe('name:vanguard group');
+    });
+});
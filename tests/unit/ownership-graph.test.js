@@ -0,0 +1,168 @@
+/**
+ * @jest-environment node
+ */
+// Test suite for ultimate beneficial owner resolution across ownership chains
+const { startFixtureServer } = require('../helpers/fixture-server');
+
+let server;
+let buildOwnershipGraph;
+let DataOrchestrator;
+
+const mergedData = (overrides = {}) => ({
+    companyName: 'Acme Holdings',
+    owners: [],
+    significantHolders: [],
+    ownershipEdges: [],
+    internationalEntities: [],
+    ...overrides
+});
+
+beforeAll(async () => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+    server = await startFixtureServer([
+        [/^\/company\/08123456$/, 'companies-house/company-08123456.json'],
+        [/^\/company\/08123456\/officers/, 'companies-house/officers-08123456.json'],
+        [/^\/company\/08123456\/persons-with-significant-control$/, 'companies-house/psc-08123456.json'],
+        [/^\/company\/07654321$/, 'companies-house/company-07654321.json'],
+        [/^\/company\/07654321\/officers/, 'companies-house/officers-07654321.json'],
+        [/^\/company\/07654321\/persons-with-significant-control$/, 'companies-house/psc-07654321.json']
+    ]);
+
+    global.window = {};
+
+    eval([
+        load('core/plugin-architecture.js'),
+        load('core/data-orchestrator.js'),
+        load('modules/recognition/company-normalizer.js'),
+        load('modules/international/companies-house.js'),
+        load('modules/data/ownership-graph.js'),
+        'COMPANIES_HOUSE_CONFIG.baseUrl = server.baseUrl;',
+        'setCompaniesHouseApiKey("test-key");'
+    ].join('\n'));
+
+    buildOwnershipGraph = window.buildOwnershipGraph;
+    DataOrchestrator = window.DataOrchestrator;
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+    await server.close();
+    delete global.window;
+});
+
+describe('buildOwnershipGraph', () => {
+    test('should multiply stakes along a chain and carry majority control upwards', () => {
+        const graph = buildOwnershipGraph(mergedData({
+            ownershipEdges: [
+                { ownerName: 'Acme Group Ltd', ownerKind: 'corporate', ownerRegistration: { number: '1234567', country: 'England' }, subjectName: 'ACME HOLDINGS LIMITED', subjectNumber: '09000001', shares: { min: 75, max: 100 }, source: 'Companies House PSC' },
+                { ownerName: 'Jane Doe', ownerKind: 'individual', subjectName: 'ACME GROUP LTD', subjectNumber: '01234567', shares: { min: 50, max: 75 }, votingRights: { min: 75, max: 100 }, source: 'Companies House PSC' }
+            ],
+            internationalEntities: [{ name: 'ACME HOLDINGS LIMITED', jurisdiction: 'gb', companyNumber: '09000001', relationship: 'subject' }]
+        }));
+
+        const jane = graph.ultimateOwners.find(owner => owner.name === 'Jane Doe');
+        expect(jane).toMatchObject({
+            effectivePercent: { min: 37.5, max: 75 },
+            controls: true,
+            isBeneficialOwner: true
+        });
+        expect(jane.paths[0].chain).toEqual(['Jane Doe', 'Acme Group Ltd', 'Acme Holdings']);
+        expect(jane.paths[0].explanation).toBe('Jane Doe holds 50-75% of Acme Group Ltd; Acme Group Ltd holds 75-100% of Acme Holdings');
+        expect(graph.ultimateControllers.map(owner => owner.name)).toEqual(['Jane Doe']);
+    });
+
+    test('should add up separate chains to the same owner', () => {
+        const graph = buildOwnershipGraph(mergedData({
+            owners: [
+                { name: 'Fund Alpha', percent: '20.00%', source: 'Yahoo Finance' },
+                { name: 'Beta Capital', percent: '40.00%', source: 'Yahoo Finance' }
+            ],
+            ownershipEdges: [
+                { ownerName: 'Jane Doe', ownerKind: 'individual', subjectName: 'Fund Alpha', subjectNumber: '05555555', shares: { min: 50, max: 50 } },
+                { ownerName: 'Jane Doe', ownerKind: 'individual', subjectName: 'Beta Capital', subjectNumber: '06666666', shares: { min: 50, max: 50 } }
+            ]
+        }));
+
+        // Registry edges join the holder-list node by name and lend it their registration
+        const fundAlpha = graph.nodes.find(node => node.name === 'Fund Alpha');
+        expect(fundAlpha.registration).toBe('05555555');
+
+        const jane = graph.ultimateOwners.find(owner => owner.name === 'Jane Doe');
+        expect(jane.paths).toHaveLength(2);
+        expect(jane.effectivePercent).toEqual({ min: 30, max: 30 });
+        expect(jane).toMatchObject({ controls: false, isBeneficialOwner: true });
+    });
+
+    test('should stop at ownership cycles', () => {
+        const graph = buildOwnershipGraph(mergedData({
+            ownershipEdges: [
+                { ownerName: 'Circle A Ltd', ownerKind: 'corporate', ownerRegistration: { number: '00000002', country: 'England' }, subjectName: 'Acme', subjectNumber: '00000001', shares: { min: 75, max: 100 } },
+                { ownerName: 'Circle B Ltd', ownerKind: 'corporate', ownerRegistration: { number: '00000003', country: 'England' }, subjectName: 'Circle A Ltd', subjectNumber: '00000002', shares: { min: 75, max: 100 } },
+                { ownerName: 'Circle A Ltd', ownerKind: 'corporate', ownerRegistration: { number: '00000002', country: 'England' }, subjectName: 'Circle B Ltd', subjectNumber: '00000003', shares: { min: 75, max: 100 } }
+            ],
+            internationalEntities: [{ name: 'Acme', jurisdiction: 'gb', companyNumber: '00000001', relationship: 'subject' }]
+        }));
+
+        expect(graph.ultimateOwners.map(owner => owner.paths[0].chain)).toEqual([
+            ['Circle B Ltd', 'Circle A Ltd', 'Acme Holdings']
+        ]);
+    });
+
+    test('should treat GLEIF parents as control without a known stake', () => {
+        const graph = buildOwnershipGraph(mergedData({
+            owners: [{ name: 'Vanguard Group Inc', percent: '8.10%', source: 'Yahoo Finance' }],
+            internationalEntities: [
+                { name: 'ACME HOLDINGS INC', lei: '5493001KJTIIGC8Y1R12', jurisdiction: 'us_de', relationship: 'subject', source: 'GLEIF' },
+                { name: 'ACME MIDCO LLC', lei: '5493000IBP32UQZ0KL24', jurisdiction: 'us_de', relationship: 'direct_parent', source: 'GLEIF' },
+                { name: 'ACME GLOBAL PLC', lei: '213800LBQA1Y9L22JB70', jurisdiction: 'gb', relationship: 'ultimate_parent', source: 'GLEIF' }
+            ]
+        }));
+
+        const parent = graph.ultimateControllers[0];
+        expect(parent).toMatchObject({ name: 'ACME GLOBAL PLC', effectivePercent: null, controls: true, isBeneficialOwner: true });
+        expect(parent.paths[0].explanation).toBe('ACME GLOBAL PLC ultimately consolidates ACME MIDCO LLC; ACME MIDCO LLC consolidates Acme Holdings');
+
+        // A small passive holding is reported but does not make a beneficial owner
+        expect(graph.ultimateOwners.find(owner => owner.name === 'Vanguard Group Inc')).toMatchObject({
+            effectivePercent: { min: 8.1, max: 8.1 },
+            isBeneficialOwner: false
+        });
+    });
+});
+
+describe('DataOrchestrator ownership chains', () => {
+    test('should follow corporate PSCs up the register to the ultimate owner', async () => {
+        const orchestrator = new DataOrchestrator();
+        const data = await orchestrator.orchestrateDataFetch('08123456', {
+            identifiers: { query: '08123456', name: '08123456', jurisdiction: 'GB', matchType: 'unresolved' }
+        });
+
+        expect(server.requests.map(request => request.url)).toContain('/company/07654321/persons-with-significant-control');
+        expect(data.owners.map(owner => owner.name)).not.toContain('Mr Arthur James Whitfield');
+
+        const controller = data.ownershipGraph.ultimateControllers[0];
+        expect(controller).toMatchObject({
+            name: 'Mr Arthur James Whitfield',
+            kind: 'individual',
+            effectivePercent: { min: 37.5, max: 75 }
+        });
+        expect(controller.paths[0].chain).toEqual(['Mr Arthur James Whitfield', 'Harbour Lane Group Ltd', '08123456']);
+
+        // Direct PSCs with influence but no disclosed stake still count as beneficial owners
+        expect(data.ownershipGraph.ultimateOwners.find(owner => owner.name === 'Mr Daniel Okafor')).toMatchObject({
+            effectivePercent: null,
+            isBeneficialOwner: true
+        });
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * @jest-environment node
+ */
+// Test suite for ownership snapshots and change diffing
+const { IDBFactory } = require('fake-indexeddb');
+
+let buildOwnershipGraph;
+let buildOwnershipSnapshot;
+let diffOwnershipSnapshots;
+let OwnershipGraphStore;
+
+const snapshotOf = (takenAt, owners, ownershipEdges = []) => {
+    const mergedData = {
+        companyName: 'Acme Holdings',
+        owners,
+        significantHolders: [],
+        ownershipEdges,
+        internationalEntities: [],
+        sources: ['yahoo'],
+        lastUpdated: takenAt
+    };
+    mergedData.ownershipGraph = buildOwnershipGraph(mergedData);
+    return { mergedData, snapshot: buildOwnershipSnapshot(mergedData) };
+};
+
+const july = () => snapshotOf('2026-07-01T10:00:00.000Z', [
+    { name: 'Vanguard Group Inc', percent: '8.10%', source: 'Yahoo Finance' },
+    { name: 'Blackrock Inc.', percent: '6.50%', source: 'Yahoo Finance' },
+    { name: 'State Street Corporation', percent: '4.00%', source: 'Yahoo Finance' },
+    { name: 'Tiny Capital LLC', percent: '0.40%', source: 'Yahoo Finance' }
+]);
+
+const october = () => snapshotOf('2026-10-01T10:00:00.000Z', [
+    { name: 'Vanguard Group Inc', percent: '8.60%', source: 'Yahoo Finance' },
+    { name: 'Blackrock Inc.', percent: '4.90%', source: 'Yahoo Finance' },
+    { name: 'Elliott Investment Management', percent: '5.20%', source: 'Yahoo Finance' },
+    { name: 'Geode Capital Management', percent: '1.90%', source: 'Yahoo Finance' }
+]);
+
+beforeAll(() => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+    global.window = {};
+
+    eval([
+        load('modules/data/ownership-graph.js'),
+        load('modules/data/ownership-history.js'),
+        load('modules/data/cache-manager.js')
+    ].join('\n'));
+
+    buildOwnershipGraph = window.buildOwnershipGraph;
+    buildOwnershipSnapshot = window.buildOwnershipSnapshot;
+    diffOwnershipSnapshots = window.diffOwnershipSnapshots;
+    OwnershipGraphStore = window.OwnershipGraphStore;
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    global.indexedDB = new IDBFactory();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.indexedDB;
+    delete global.chrome;
+});
+
+afterAll(() => {
+    delete global.window;
+});
+
+describe('diffOwnershipSnapshots', () => {
+    test('should report new holders, exits and moves above the threshold', () => {
+        const diff = diffOwnershipSnapshots(july().snapshot, october().snapshot);
+
+        expect(diff.newHolders.map(holder => holder.name)).toEqual(['Elliott Investment Management', 'Geode Capital Management']);
+        expect(diff.percentChanges).toEqual([
+            { name: 'Blackrock Inc.', from: { min: 6.5, max: 6.5 }, to: { min: 4.9, max: 4.9 }, change: -1.6 }
+        ]);
+        expect(diff.hasChanges).toBe(true);
+    });
+
+    test('should tell a real exit from a holder that fell off a truncated list', () => {
+        const diff = diffOwnershipSnapshots(july().snapshot, october().snapshot);
+
+        expect(diff.exitedHolders.map(holder => [holder.name, holder.belowCutoff])).toEqual([
+            ['State Street Corporation', false],
+            ['Tiny Capital LLC', true]
+        ]);
+    });
+
+    test('should honour a custom threshold', () => {
+        const diff = diffOwnershipSnapshots(july().snapshot, october().snapshot, { threshold: 0.5 });
+
+        expect(diff.percentChanges.map(holder => [holder.name, holder.change])).toEqual([
+            ['Blackrock Inc.', -1.6],
+            ['Vanguard Group Inc', 0.5]
+        ]);
+    });
+
+    test('should compare registry bands on their midpoints', () => {
+        const pscEdge = (shares) => ({ ownerName: 'Jane Doe', ownerKind: 'individual', shares, source: 'Companies House PSC' });
+        const before = snapshotOf('2026-01-01T00:00:00.000Z', [], [pscEdge({ min: 25, max: 50 })]);
+        const after = snapshotOf('2026-02-01T00:00:00.000Z', [], [pscEdge({ min: 50, max: 75 })]);
+
+        expect(diffOwnershipSnapshots(before.snapshot, after.snapshot).percentChanges[0].change).toBe(25);
+    });
+});
+
+describe('OwnershipGraphStore snapshots', () => {
+    const recordFetch = async (store, { mergedData, snapshot }) => {
+        const recorded = await store.recordGraph(mergedData);
+        return store.recordSnapshot(recorded.subjectId, snapshot);
+    };
+
+    test('should diff each fetch against the last one stored', async () => {
+        const store = new OwnershipGraphStore();
+
+        expect(await recordFetch(store, july())).toBeNull();
+
+        const changes = await recordFetch(new OwnershipGraphStore(), october());
+        expect(changes).toMatchObject({ from: '2026-07-01T10:00:00.000Z', to: '2026-10-01T10:00:00.000Z', hasChanges: true });
+
+        const recent = await store.recentChanges();
+        expect(recent).toHaveLength(1);
+        expect(recent[0]).toMatchObject({ companyName: 'Acme Holdings', changes: { newHolders: [{ name: 'Elliott Investment Management' }, { name: 'Geode Capital Management' }] } });
+    });
+
+    test('should store a repeat look only when the holders moved', async () => {
+        const store = new OwnershipGraphStore();
+        await recordFetch(store, july());
+
+        const repeat = snapshotOf('2026-07-02T10:00:00.000Z', july().mergedData.owners);
+        expect(await recordFetch(store, repeat)).toMatchObject({ from: '2026-07-01T10:00:00.000Z', hasChanges: false });
+        await recordFetch(store, october());
+
+        const listing = await store.listSnapshots('Acme Holdings');
+        expect(listing.snapshots.map(snapshot => snapshot.takenAt)).toEqual(['2026-07-01T10:00:00.000Z', '2026-10-01T10:00:00.000Z']);
+    });
+
+    test('should diff any two stored snapshots with the configured threshold', async () => {
+        const store = new OwnershipGraphStore();
+        const later = snapshotOf('2026-10-15T10:00:00.000Z', [
+            { name: 'Vanguard Group Inc', percent: '9.90%', source: 'Yahoo Finance' }
+        ]);
+        await recordFetch(store, july());
+        await recordFetch(store, october());
+        await recordFetch(store, later);
+
+        global.chrome = { storage: { local: { get: jest.fn(async () => ({ ownership_change_threshold: 1.5 })) } } };
+
+        const diff = await store.diffSnapshots('Acme Holdings', '2026-07-01T10:00:00.000Z', '2026-10-15T10:00:00.000Z');
+        expect(diff.threshold).toBe(1.5);
+        expect(diff.percentChanges).toEqual([
+            { name: 'Vanguard Group Inc', from: { min: 8.1, max: 8.1 }, to: { min: 9.9, max: 9.9 }, change: 1.8 }
+        ]);
+
+        const listing = await store.listSnapshots('Acme Holdings');
+        expect(listing.snapshots.map(snapshot => [snapshot.takenAt, snapshot.hasChanges])).toEqual([
+            ['2026-07-01T10:00:00.000Z', false],
+            ['2026-10-01T10:00:00.000Z', true],
+            ['2026-10-15T10:00:00.000Z', true]
+        ]);
+    });
+});
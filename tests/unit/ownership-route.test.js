@@ -0,0 +1,123 @@
+// Test suite for the fetchOwnershipData route - the worker resolving an entity, and the details view drawing its answer
+const fs = require('fs');
+const path = require('path');
+const { createFixtureFetch } = require('../helpers/fixture-fetch');
+const { startWorker } = require('../helpers/extension-worker');
+
+const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+const SEC_ROUTES = [
+    [/company_tickers\.json/, 'sec/company_tickers.json'],
+    [/companyconcept\/CIK0000320193\/dei\/EntityCommonStockSharesOutstanding/, 'sec/companyconcept-0000320193-shares-outstanding.json'],
+    [/efts\.sec\.gov.*037833100/, 'sec/efts-13f-037833100.json'],
+    [/\/102909\/000010290924000001\/infotable\.xml/, 'sec/infotable-vanguard-2024q1.xml'],
+    [/\/102909\/000010290924000002\/infotable\.xml/, 'sec/infotable-vanguard-2024q2.xml'],
+    [/\/1364742\/000136474224000005\/form13fInfoTable\.xml/, 'sec/infotable-blackrock-2024q2.xml'],
+    [/\/1067983\/000095012324005001\/infotable\.xml/, 'sec/infotable-berkshire-2024q1.xml']
+];
+
+let route;
+let EnhancedIntelligenceEngine;
+
+// A recognized entity as the content script hands it over
+const entityOf = (text, ticker = null) => ({
+    text,
+    normalized: text,
+    baseName: text,
+    type: 'company',
+    confidence: 0.9,
+    knowledgeBase: ticker ? { company: { name: text, ticker } } : null
+});
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    global.chrome = {
+        runtime: {
+            sendMessage: (message, callback) => route(message).then(callback)
+        },
+        storage: { local: { get: async () => ({}) } }
+    };
+
+    eval([
+        load('modules/ui/tooltip-manager.js'),
+        load('core/intelligence-engine-v2.js')
+    ].join('\n'));
+
+    EnhancedIntelligenceEngine = window.EnhancedIntelligenceEngine;
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    global.fetch = createFixtureFetch(SEC_ROUTES);
+    route = startWorker();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    document.body.innerHTML = '';
+});
+
+afterAll(() => {
+    delete global.chrome;
+    delete global.fetch;
+});
+
+describe('fetchOwnershipData route', () => {
+    test('should resolve the entity and answer with its merged holders', async () => {
+        const response = await route({ action: 'fetchOwnershipData', entity: { name: 'Apple', ticker: 'AAPL' } });
+
+        expect(response.success).toBe(true);
+        expect(response.data.identifiers).toMatchObject({ ticker: 'AAPL', cik: '0000320193', cusip: '037833100', matchType: 'ticker' });
+        expect(response.data.owners.map(owner => owner.name)).toEqual(expect.arrayContaining(['VANGUARD GROUP INC']));
+    });
+
+    test('should refuse an empty entity and one no source knows', async () => {
+        expect(await route({ action: 'fetchOwnershipData', entity: {} })).toEqual({ success: false, error: 'No entity supplied' });
+        expect(await route({ action: 'fetchOwnershipData', entity: { name: 'Nonexistent Widgets' } })).toEqual({
+            success: false,
+            error: 'Could not resolve "Nonexistent Widgets" to a ticker or CIK'
+        });
+    });
+
+    test('should fall back to the knowledge-base ticker while the SEC ticker file is down', async () => {
+        global.fetch = createFixtureFetch(SEC_ROUTES.filter(([pattern]) => !pattern.test('company_tickers.json')));
+
+        const known = await route({ action: 'fetchOwnershipData', entity: { name: 'Apple', ticker: 'AAPL' } });
+        expect(known.success).toBe(true);
+        expect(known.data.identifiers).toMatchObject({ ticker: 'AAPL', matchType: 'knowledge-base' });
+
+        const unknown = await route({ action: 'fetchOwnershipData', entity: { name: 'Apple' } });
+        expect(unknown).toEqual({ success: false, error: 'Could not resolve "Apple" to a ticker or CIK' });
+    });
+});
+
+describe('details view', () => {
+    const openDetails = async (entity) => {
+        await new EnhancedIntelligenceEngine().showEntityDetails(entity);
+        return document.getElementById('genome-details-panel').textContent;
+    };
+
+    test('should draw the identifiers and holders of a resolved entity', async () => {
+        const panel = await openDetails(entityOf('Apple', 'AAPL'));
+
+        expect(panel).toContain('CIK 0000320193');
+        expect(panel).toContain('VANGUARD GROUP INC');
+        expect(panel).not.toContain('Loading ownership data');
+    });
+
+    test('should show the worker\'s error for an entity it cannot resolve', async () => {
+        const panel = await openDetails(entityOf('Nonexistent Widgets'));
+
+        expect(panel).toContain('Could not resolve "Nonexistent Widgets" to a ticker or CIK');
+    });
+
+    test('should show the error when resolution fails without a known ticker', async () => {
+        global.fetch = createFixtureFetch([]);
+
+        const panel = await openDetails(entityOf('Apple'));
+
+        expect(panel).toContain('Could not resolve "Apple" to a ticker or CIK');
+    });
+});
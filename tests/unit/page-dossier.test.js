@@ -0,0 +1,139 @@
+/**
+ * @jest-environment node
+ */
+// Test suite for the page dossier's citations and its Markdown, JSON and CSV exports
+let buildPageDossier;
+let formatPageDossier;
+
+const detectedQuayside = () => ({ text: 'Quayside', normalized: 'Quayside Marinas', type: 'company', confidence: 0.914, site: 'reuters' });
+
+const quaysideData = () => ({
+    companyName: 'Quayside Marinas',
+    identifiers: { ticker: 'QSMR', cik: '0001999999', lei: '5493001KJTIIGC8Y1R12', matchType: 'ticker' },
+    lastUpdated: '2026-10-18T09:00:05.000Z',
+    retrievals: [
+        { source: 'yahoo', label: 'Yahoo Finance', retrievedAt: '2026-10-18T09:00:01.000Z' },
+        { source: 'companiesHouse', label: 'Companies House', retrievedAt: '2026-10-18T09:00:02.000Z' },
+        { source: 'usaSpending', label: 'USAspending.gov', retrievedAt: '2026-10-18T09:00:03.000Z' }
+    ],
+    owners: [
+        { name: 'Harbour Lane Group Ltd', percent: '12.00%', reportDate: '2026-06-30', source: 'Yahoo Finance' },
+        { name: 'Vanguard Group, Inc.', percent: '8.20%', reportDate: '2026-09-30', sources: ['Yahoo Finance', 'SEC 13F'] }
+    ],
+    significantHolders: [],
+    ownershipEdges: [
+        { ownerName: 'Mr Arthur James Whitfield', subjectName: 'HARBOUR LANE GROUP LTD', shares: { min: 75, max: 100 }, appointsDirectors: true, notifiedOn: '2016-04-06', source: 'Companies House PSC' }
+    ],
+    governmentContracts: [
+        { awardId: 'N00024-26-C-1234', agency: 'Department of the Navy', amount: '$4.2M', startDate: '2026-02-01', description: 'Berthing services' }
+    ],
+    offshoreAnalysis: { riskLevel: 'low', offshoreCount: 0, totalJurisdictions: 1, suspiciousPatterns: [] },
+    internationalEntities: [],
+    newsContext: [{ title: 'Quayside Marinas explores sale', url: 'https://news.example.com/quayside-sale' }],
+    newsTriggers: [{ type: 'acquisition', article: 'Quayside Marinas explores sale', date: '2026-10-17', confidence: 0.8 }],
+    warnings: []
+});
+
+const quaysideDossier = () => buildPageDossier(
+    { url: 'https://www.reuters.com/markets/quayside', title: 'Quayside | Reuters' },
+    [
+        { detected: detectedQuayside(), data: quaysideData() },
+        { detected: { text: 'Mystery Holdings', type: 'company', confidence: 0.55 }, error: 'Could not resolve "Mystery Holdings" to a ticker or CIK' }
+    ]
+);
+
+beforeAll(() => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+    global.window = {};
+
+    eval([
+        load('modules/data/csv-format.js'),
+        load('modules/data/page-dossier.js')
+    ].join('\n'));
+
+    buildPageDossier = window.buildPageDossier;
+    formatPageDossier = window.formatPageDossier;
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    delete global.window;
+});
+
+describe('buildPageDossier', () => {
+    test('should cite every fact with the retrieval time of the fetch behind it', () => {
+        const [quayside] = quaysideDossier().entities;
+
+        expect(quayside).toMatchObject({ name: 'Quayside', companyName: 'Quayside Marinas', confidence: 0.91 });
+        expect(quayside.identifiers).toMatchObject({ ticker: 'QSMR', cik: '0001999999', lei: '5493001KJTIIGC8Y1R12' });
+        expect(quayside.ownership.holders[1].citations).toEqual([
+            { source: 'Yahoo Finance', url: null, asOf: '2026-09-30', retrievedAt: '2026-10-18T09:00:01.000Z' },
+            // No fetch is labelled "SEC 13F" - fall back to when the merge finished
+            { source: 'SEC 13F', url: null, asOf: '2026-09-30', retrievedAt: '2026-10-18T09:00:05.000Z' }
+        ]);
+        expect(quayside.ownership.control[0].citations[0]).toMatchObject({ source: 'Companies House PSC', retrievedAt: '2026-10-18T09:00:02.000Z' });
+        expect(quayside.newsTriggers[0].citations[0].url).toBe('https://news.example.com/quayside-sale');
+    });
+
+    test('should keep entities whose lookup failed, with the reason', () => {
+        const [, mystery] = quaysideDossier().entities;
+
+        expect(mystery).toEqual({
+            name: 'Mystery Holdings',
+            normalized: null,
+            type: 'company',
+            confidence: 0.55,
+            site: null,
+            error: 'Could not resolve "Mystery Holdings" to a ticker or CIK'
+        });
+    });
+});
+
+describe('formatPageDossier', () => {
+    test('should write a Markdown report with a section per dataset', () => {
+        const file = formatPageDossier(quaysideDossier(), 'markdown');
+
+        expect(file.filename).toMatch(/^dossier-reuters\.com-\d{4}-\d{2}-\d{2}\.md$/);
+        expect(file.content).toContain('# Corporate Genome Dossier: Quayside | Reuters');
+        expect(file.content).toContain('Identifiers: TICKER QSMR • CIK 0001999999 • LEI 5493001KJTIIGC8Y1R12');
+        expect(file.content).toContain('| Harbour Lane Group Ltd | 12.00% | 2026-06-30 | Yahoo Finance | 2026-10-18T09:00:01.000Z |');
+        expect(file.content).toContain('### Persons with Significant Control');
+        expect(file.content).toContain('| acquisition | Quayside Marinas explores sale | 2026-10-17 | [NewsAPI](https://news.example.com/quayside-sale) |');
+        expect(file.content).toContain('_Lookup failed: Could not resolve "Mystery Holdings" to a ticker or CIK_');
+    });
+
+    test('should write one CSV row per citation with quoted cells', () => {
+        const lines = formatPageDossier(quaysideDossier(), 'csv').content.trim().split('\n');
+
+        expect(lines[0]).toBe('entity,confidence,ticker,cik,lei,section,item,detail,as_of,source,url,retrieved_at');
+        expect(lines.filter(line => line.includes('"Vanguard Group, Inc."'))).toHaveLength(2);
+        expect(lines).toContain('Quayside Marinas,0.91,QSMR,0001999999,5493001KJTIIGC8Y1R12,government-contract,N00024-26-C-1234,Department of the Navy: $4.2M,2026-02-01,USAspending.gov,,2026-10-18T09:00:03.000Z');
+        expect(lines[lines.length - 1]).toBe('Mystery Holdings,0.55,,,,error,,"Could not resolve ""Mystery Holdings"" to a ticker or CIK",,,,');
+    });
+
+    test('should keep spreadsheets from running names that look like formulas', () => {
+        const data = quaysideData();
+        data.owners[0].name = '=HYPERLINK("https://evil.example","Vanguard")';
+        data.owners[1].name = '@SUM(A1:A9)';
+
+        const content = formatPageDossier(buildPageDossier({ url: null }, [{ detected: detectedQuayside(), data }]), 'csv').content;
+
+        expect(content).toContain('"\'=HYPERLINK(""https://evil.example"",""Vanguard"")"');
+        expect(content).toContain(",'@SUM(A1:A9),");
+        expect(content).not.toMatch(/(^|,)[=@]/m);
+    });
+
+    test('should reject an unknown format', () => {
+        expect(() => formatPageDossier(quaysideDossier(), 'pdf')).toThrow('Unknown dossier format: pdf');
+    });
+});
@@ -0,0 +1,123 @@
+// Test suite for the data source plugin contract and the orchestrator's plugin discovery
+const fs = require('fs');
+const path = require('path');
+const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+let registerDataSourcePlugin;
+let listDataSourcePlugins;
+let DataOrchestrator;
+
+const IDENTIFIERS = { query: 'Acme Holdings', name: 'Acme Holdings', ticker: 'ACME', cik: '0000000042', matchType: 'ticker' };
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Fresh registry per test
+    global.window = {};
+    eval([
+        load('core/plugin-architecture.js'),
+        load('core/data-orchestrator.js')
+    ].join('\n'));
+
+    ({ registerDataSourcePlugin, listDataSourcePlugins, DataOrchestrator } = window);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+function registerFilingsSource(overrides = {}) {
+    return registerDataSourcePlugin({
+        name: 'filings',
+        tier: 'tier2',
+        identifiers: ['cik', 'ticker'],
+        option: 'includeGovernment',
+        fetch: async (cik) => ({ filings: [{ cik, form: '10-K' }] }),
+        outputSchema: { type: 'object', required: ['filings'], properties: { filings: { type: 'array' } } },
+        merge(mergedData, data) {
+            mergedData.governmentContracts.push(...data.filings);
+        },
+        ...overrides
+    });
+}
+
+describe('DataSourcePlugin', () => {
+    test('should refuse plugins that break the contract', () => {
+        expect(() => registerFilingsSource({ fetch: undefined })).toThrow('Data source plugin filings must declare a fetch function');
+        expect(() => registerFilingsSource({ tier: 'tier9' })).toThrow('has unknown tier: tier9');
+        expect(() => registerFilingsSource({ identifiers: ['duns'] })).toThrow('accepts unknown identifier: duns');
+        expect(() => registerFilingsSource({ rateLimit: { requests: 0, window: 1000 } })).toThrow('rateLimit needs positive requests and window');
+        expect(listDataSourcePlugins()).toEqual([]);
+    });
+
+    test('should take the first identifier it accepts and its tier\'s breaker settings', () => {
+        const plugin = registerFilingsSource();
+
+        expect(plugin.selectQuery(IDENTIFIERS)).toBe('0000000042');
+        expect(plugin.selectQuery({ name: 'Acme Holdings', ticker: 'ACME' })).toBe('ACME');
+        expect(plugin.selectQuery({ name: 'Acme Holdings' })).toBe('Acme Holdings');
+        expect(plugin.circuitBreaker).toEqual({ threshold: 3, timeout: 30000 });
+    });
+});
+
+describe('DataOrchestrator plugin discovery', () => {
+    test('should fetch and merge a registered source when its option is on', async () => {
+        const fetch = jest.fn(async (cik) => ({ filings: [{ cik, form: '10-K' }] }));
+        registerFilingsSource({ fetch });
+        registerDataSourcePlugin({
+            name: 'quotes',
+            tier: 'tier1',
+            identifiers: ['ticker'],
+            fetch: async () => ({ owners: [{ name: 'Vanguard Group Inc', percent: '8.1%' }] })
+        });
+
+        const orchestrator = new DataOrchestrator();
+        const withoutOption = await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS });
+        const withOption = await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS, includeGovernment: true });
+
+        expect(withoutOption.sources).toEqual(['quotes']);
+        expect(withOption.sources).toEqual(['quotes', 'filings']);
+        expect(fetch).toHaveBeenCalledWith('0000000042');
+        expect(withOption.governmentContracts).toEqual([{ cik: '0000000042', form: '10-K' }]);
+
+        // Sources without a merge of their own contribute holders
+        expect(withOption.owners[0]).toMatchObject({ name: 'Vanguard Group Inc' });
+    });
+
+    test('should count data that breaks the output schema as a failure', async () => {
+        registerFilingsSource({ fetch: async () => ({ filings: 'none' }), circuitBreaker: { threshold: 1 } });
+
+        const orchestrator = new DataOrchestrator();
+        const first = await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS, includeGovernment: true });
+        const second = await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS, includeGovernment: true });
+
+        expect(first.warnings).toEqual(['filings returned data that does not match its schema']);
+        expect(second.warnings).toEqual(['Circuit breaker filings is OPEN']);
+    });
+
+    test('should count records that fail the plugin\'s validation rules as a failure', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        registerFilingsSource({
+            fetch: async () => ({ filings: [{ cik: '42', form: '10-K' }] }),
+            validationRules: { collection: 'filings', requiredFields: ['form'], patterns: { cik: /^\d{10}$/ } }
+        });
+
+        const result = await new DataOrchestrator().orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS, includeGovernment: true });
+
+        expect(result.warnings).toEqual(['filings returned records that fail its validation rules']);
+        expect(result.governmentContracts).toEqual([]);
+    });
+
+    test('should stop fetching a source once its rate limit is spent', async () => {
+        const fetch = jest.fn(async () => ({ filings: [] }));
+        registerFilingsSource({ fetch, rateLimit: { requests: 1, window: 60000 } });
+
+        const orchestrator = new DataOrchestrator();
+        await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS, includeGovernment: true });
+        const limited = await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS, includeGovernment: true });
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(limited.warnings).toEqual(['filings rate limit of 1 lookups reached']);
+    });
+});
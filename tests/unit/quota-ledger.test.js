@@ -0,0 +1,145 @@
+// Test suite for per-source quota accounting and the cache-only fallback
+const fs = require('fs');
+const path = require('path');
+const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+let QuotaLedger;
+let registerDataSourcePlugin;
+let DataOrchestrator;
+let storage;
+
+const NOON = Date.UTC(2026, 9, 18, 12); // 18 October 2026
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Values go through JSON, as chrome.storage would copy them
+    storage = {};
+    global.chrome = {
+        storage: {
+            local: {
+                get: async (keys) => Object.fromEntries(keys.filter(key => key in storage).map(key => [key, JSON.parse(storage[key])])),
+                set: async (items) => Object.entries(items).forEach(([key, value]) => { storage[key] = JSON.stringify(value); })
+            }
+        }
+    };
+
+    global.window = {};
+    eval([
+        load('core/plugin-architecture.js'),
+        load('core/quota-ledger.js'),
+        load('core/data-orchestrator.js')
+    ].join('\n'));
+
+    ({ QuotaLedger, registerDataSourcePlugin, DataOrchestrator } = window);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.chrome;
+});
+
+describe('QuotaLedger', () => {
+    test('should carry daily and monthly counts across a worker restart and reset them by UTC window', async () => {
+        const ledger = new QuotaLedger();
+        await ledger.record('news', NOON);
+        await ledger.record('news', NOON + 1000);
+
+        const restarted = new QuotaLedger();
+        expect(await restarted.describe('news', { daily: 100, monthly: 3000 }, NOON)).toMatchObject({
+            source: 'news',
+            daily: { limit: 100, used: 2, remaining: 98, resetsAt: '2026-10-19T00:00:00.000Z' },
+            monthly: { limit: 3000, used: 2, remaining: 2998, resetsAt: '2026-11-01T00:00:00.000Z' },
+            cacheOnly: false
+        });
+
+        const nextDay = await restarted.describe('news', { daily: 100, monthly: 3000 }, NOON + 86400000);
+        expect([nextDay.daily.used, nextDay.monthly.used]).toEqual([0, 2]);
+    });
+
+    test('should go cache-only once a window is down to its reserve', async () => {
+        const ledger = new QuotaLedger();
+        for (let i = 0; i < 19; i++) await ledger.record('opencorporates', NOON);
+
+        expect((await ledger.describe('opencorporates', { daily: 20 }, NOON)).cacheOnly).toBe(true);
+        expect((await ledger.describe('opencorporates', { daily: 40 }, NOON)).cacheOnly).toBe(false);
+    });
+});
+
+describe('DataOrchestrator quota fallback', () => {
+    test('should answer a nearly spent source from its last response and say so', async () => {
+        const fetch = jest.fn(async (name) => ({ articles: [{ title: `${name} takes a stake` }] }));
+        registerDataSourcePlugin({
+            name: 'headlines',
+            tier: 'tier3',
+            identifiers: ['name'],
+            quota: { daily: 2 }, // reserve of one request
+            fetch,
+            merge(mergedData, data) {
+                mergedData.newsContext.push(...data.articles);
+            }
+        });
+
+        const orchestrator = new DataOrchestrator();
+        const lookup = (name) => orchestrator.orchestrateDataFetch(name, { identifiers: { query: name, name, matchType: 'unresolved' } });
+
+        const live = await lookup('Acme Holdings');
+        const cached = await lookup('Acme Holdings');
+        const uncached = await lookup('Globex Corp');
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(live.warnings).toEqual([]);
+        expect(cached.newsContext).toEqual([{ title: 'Acme Holdings takes a stake' }]);
+        expect(cached.retrievals[0].retrievedAt).toBe(live.retrievals[0].retrievedAt);
+        expect(cached.warnings[0]).toMatch(/^headlines quota nearly spent - showing data retrieved /);
+        expect(uncached.warnings).toEqual(['headlines quota nearly spent - cache only, and nothing cached for this lookup']);
+
+        expect(await orchestrator.describeQuotas()).toEqual([
+            expect.objectContaining({ source: 'headlines', daily: expect.objectContaining({ used: 1, remaining: 1 }), cacheOnly: true })
+        ]);
+        expect(JSON.parse(storage.quota_ledger).headlines).toMatchObject({ daily: 1, monthly: 1 });
+
+        // A restarted worker still has the last response to fall back on
+        const restarted = await new DataOrchestrator().orchestrateDataFetch('Acme Holdings', { identifiers: { query: 'Acme Holdings', name: 'Acme Holdings', matchType: 'unresolved' } });
+        expect(restarted.newsContext).toEqual([{ title: 'Acme Holdings takes a stake' }]);
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should spend no budget and remember nothing while the source has no API key', async () => {
+        let apiKey = null;
+        const fetch = jest.fn(async (name) => apiKey
+            ? { articles: [{ title: `${name} takes a stake` }] }
+            : { articles: [], note: 'News API key not configured' });
+        registerDataSourcePlugin({
+            name: 'headlines',
+            tier: 'tier3',
+            identifiers: ['name'],
+            quota: { daily: 3 }, // reserve of one request
+            fetch,
+            merge(mergedData, data) {
+                mergedData.newsContext.push(...data.articles);
+            }
+        });
+
+        const orchestrator = new DataOrchestrator();
+        const lookup = (name) => orchestrator.orchestrateDataFetch(name, { identifiers: { query: name, name, matchType: 'unresolved' } });
+
+        for (let i = 0; i < 5; i++) await lookup('Acme Holdings');
+        expect(fetch).toHaveBeenCalledTimes(5);
+        expect(await orchestrator.describeQuotas()).toEqual([
+            expect.objectContaining({ source: 'headlines', daily: expect.objectContaining({ used: 0 }), cacheOnly: false })
+        ]);
+        expect(storage.quota_fallback_cache).toBeUndefined();
+
+        // Once a key is added, real requests count - and near the limit the last real answer is served
+        apiKey = 'news-key';
+        await lookup('Acme Holdings');
+        await lookup('Acme Holdings');
+        const cached = await lookup('Acme Holdings');
+
+        expect(fetch).toHaveBeenCalledTimes(7);
+        expect(cached.newsContext).toEqual([{ title: 'Acme Holdings takes a stake' }]);
+        expect(cached.warnings[0]).toMatch(/^headlines quota nearly spent - showing data retrieved /);
+    });
+});
@@ -0,0 +1,93 @@
+// Test suite for in-flight request coalescing in the service worker
+const fs = require('fs');
+const path = require('path');
+const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+let RequestBroker;
+let registerDataSourcePlugin;
+let DataOrchestrator;
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    global.window = {};
+    eval([
+        load('core/plugin-architecture.js'),
+        load('core/request-broker.js'),
+        load('core/data-orchestrator.js')
+    ].join('\n'));
+
+    ({ RequestBroker, registerDataSourcePlugin, DataOrchestrator } = window);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+}
+
+describe('RequestBroker', () => {
+    test('should share one in-flight promise between requests for the same canonical key', async () => {
+        const broker = new RequestBroker();
+        const answer = deferred();
+        const fetch = jest.fn(() => answer.promise);
+
+        const first = broker.request({ source: 'yahoo', identifier: 'MSFT', params: { includeContext: true } }, fetch);
+        const second = broker.request({ source: 'yahoo', identifier: ' msft', params: { includeContext: true, peers: [] } }, fetch);
+        const bundle = broker.request({ source: 'sec', identifier: { cik: '0000789019', ticker: 'MSFT' } }, fetch);
+        const byCik = broker.request({ source: 'sec', identifier: { cik: '789019' } }, fetch);
+        const otherParams = broker.request({ source: 'yahoo', identifier: 'MSFT' }, fetch);
+
+        answer.resolve({ owners: [] });
+
+        expect(await first).toBe(await second);
+        expect(await bundle).toBe(await byCik);
+        expect(fetch).toHaveBeenCalledTimes(3);
+        expect(broker.getStats()).toEqual({ issued: 3, coalesced: 2, inFlight: 0 });
+    });
+
+    test('should hand a failure to every waiter and issue a fresh request afterwards', async () => {
+        const broker = new RequestBroker();
+        const answer = deferred();
+        const key = { source: 'news', identifier: 'Acme Holdings' };
+
+        const waiters = [broker.request(key, () => answer.promise), broker.request(key, () => answer.promise)];
+        answer.reject(new Error('NewsAPI error: 429'));
+
+        const settled = await Promise.allSettled(waiters);
+        expect(settled.map(result => result.reason?.message)).toEqual(['NewsAPI error: 429', 'NewsAPI error: 429']);
+
+        await expect(broker.request(key, async () => 'retried')).resolves.toBe('retried');
+    });
+});
+
+describe('DataOrchestrator request coalescing', () => {
+    test('should answer concurrent lookups of one entity with a single source request and quota unit', async () => {
+        const answer = deferred();
+        const fetch = jest.fn(() => answer.promise);
+        const plugin = registerDataSourcePlugin({
+            name: 'quotes',
+            tier: 'tier1',
+            identifiers: ['ticker'],
+            rateLimit: { requests: 100, window: 86400000 },
+            fetch
+        });
+
+        const orchestrator = new DataOrchestrator();
+        const identifiers = { query: 'Microsoft', name: 'Microsoft Corp', ticker: 'MSFT', matchType: 'ticker' };
+        const lookups = [1, 2, 3].map(() => orchestrator.orchestrateDataFetch('Microsoft', { identifiers }));
+
+        answer.resolve({ owners: [{ name: 'Vanguard Group Inc', percent: '8.9%' }] });
+        const results = await Promise.all(lookups);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(plugin.requestLog).toHaveLength(1);
+        expect(results.map(data => data.owners[0].name)).toEqual(['Vanguard Group Inc', 'Vanguard Group Inc', 'Vanguard Group Inc']);
+    });
+});
@@ -0,0 +1,174 @@
+// Test suite for OFAC / EU / UK HMT sanctions screening
+const { createFixtureFetch } = require('../helpers/fixture-fetch');
+
+let SanctionsScreener;
+
+const SANCTIONS_ROUTES = [
+    [/exports\/SDN\.CSV$/, 'sanctions/SDN.CSV'],
+    [/exports\/ALT\.CSV$/, 'sanctions/ALT.CSV'],
+    [/exports\/CONS_PRIM\.CSV$/, 'sanctions/CONS_PRIM.CSV'],
+    [/exports\/CONS_ALT\.CSV$/, 'sanctions/CONS_ALT.CSV'],
+    [/csvFullSanctionsList/, 'sanctions/eu-fsf.csv'],
+    [/ConList\.csv$/, 'sanctions/uk-conlist.csv']
+];
+
+const mergedData = (overrides = {}) => ({
+    companyName: 'Acme Holdings',
+    owners: [
+        { name: 'AB Rossiya', percent: '30.00%', source: 'Yahoo Finance' },
+        { name: 'Gazprombank JSC', percent: '25.00%', source: 'Yahoo Finance' },
+        { name: 'Vanguard Group Inc', percent: '8.10%', source: 'Yahoo Finance' }
+    ],
+    significantHolders: [],
+    ownershipEdges: [],
+    internationalEntities: [],
+    insiderActivity: null,
+    ...overrides
+});
+
+// Lookups never download lists themselves - the scheduled refresh does
+async function downloadedScreener() {
+    const screener = new SanctionsScreener();
+    await screener.refresh();
+    return screener;
+}
+
+// chrome.storage.local backed by a plain object
+function useStorage(store) {
+    global.chrome = {
+        storage: {
+            local: {
+                get: jest.fn(async (keys) => Object.fromEntries(keys.filter(key => key in store).map(key => [key, store[key]]))),
+                set: jest.fn(async (items) => Object.assign(store, items))
+            }
+        }
+    };
+}
+
+beforeAll(() => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+    // Matching reuses the recognition layer's normalizer and fuzzy scorer
+    eval([
+        load('modules/recognition/company-normalizer.js'),
+        load('modules/recognition/fuzzy-matcher.js'),
+        load('modules/government/sanctions-screening.js')
+    ].join('\n'));
+
+    SanctionsScreener = window.SanctionsScreener;
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = createFixtureFetch(SANCTIONS_ROUTES);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.chrome;
+});
+
+describe('SanctionsScreener', () => {
+    test('should match owners through list aliases', async () => {
+        const result = await (await downloadedScreener()).screen(mergedData());
+        const rossiya = result.hits.find(hit => hit.name === 'AB Rossiya');
+
+        expect(rossiya).toMatchObject({
+            role: 'owner',
+            list: 'OFAC SDN',
+            entryId: '15254',
+            listedName: 'BANK ROSSIYA',
+            matchedName: 'AB ROSSIYA',
+            isAlias: true,
+            programs: ['UKRAINE-EO13661', 'RUSSIA-EO14024'],
+            score: 100
+        });
+        expect(result.hits.find(hit => hit.name === 'Gazprombank JSC')).toMatchObject({ list: 'EU Financial Sanctions', entryId: '135012' });
+        expect(result.hits.some(hit => hit.name === 'Vanguard Group Inc')).toBe(false);
+    });
+
+    test('should apply the 50% rule to aggregate listed ownership', async () => {
+        const result = await (await downloadedScreener()).screen(mergedData());
+
+        expect(result.ownershipRule).toMatchObject({
+            applies: true,
+            aggregatePercent: { min: 55, max: 55 }
+        });
+        expect(result.ownershipRule.owners.map(owner => owner.name)).toEqual(['AB Rossiya', 'Gazprombank JSC']);
+    });
+
+    test('should flag the rule as possible when PSC bands straddle 50%', async () => {
+        const result = await (await downloadedScreener()).screen(mergedData({
+            owners: [],
+            ownershipEdges: [{ ownerName: 'PAO Sovcomflot', ownerKind: 'corporate', shares: { min: 25, max: 50 } }]
+        }));
+
+        expect(result.hits[0]).toMatchObject({ list: 'UK HMT', listedName: 'PAO SOVCOMFLOT' });
+        expect(result.ownershipRule).toMatchObject({ applies: false, possible: true });
+    });
+
+    test('should screen officers against listed individuals only', async () => {
+        const result = await (await downloadedScreener()).screen(mergedData({
+            owners: [{ name: 'Northern Wind', percent: '12.00%' }],
+            internationalEntities: [{
+                name: 'ACME HOLDINGS LIMITED',
+                jurisdiction: 'gb',
+                relationship: 'subject',
+                officers: [{ name: 'VOLKOV, Ivan Petrovich' }, { name: 'PRICE, Eleanor Mary' }]
+            }]
+        }));
+
+        // The listed tanker shares the owner's name but vessels are never indexed
+        expect(result.hits.map(hit => [hit.name, hit.role, hit.entryType])).toEqual([
+            ['VOLKOV, Ivan Petrovich', 'officer', 'individual']
+        ]);
+        expect(result.ownershipRule).toBeNull();
+    });
+
+    test('should screen from the stored lists when a refresh download fails', async () => {
+        const store = {};
+        useStorage(store);
+
+        await downloadedScreener();
+        expect(store.sanctions_list_ofac_sdn.entries).toHaveLength(3);
+
+        global.fetch = createFixtureFetch([]);
+        const screener = new SanctionsScreener();
+        await screener.refresh();
+        const result = await screener.screen(mergedData());
+
+        expect(result.hits.map(hit => hit.name)).toContain('AB Rossiya');
+        expect(result.lists.find(list => list.listId === 'uk_hmt')).toMatchObject({ entries: 1, stale: false });
+    });
+
+    test('should answer from the stored lists while a lookup\'s refresh is still downloading', async () => {
+        const store = {};
+        useStorage(store);
+        await downloadedScreener();
+        Object.values(store).forEach(list => { list.fetchedAt -= 2 * 24 * 60 * 60 * 1000; });
+
+        // Downloads that never finish must not hold the lookup up
+        global.fetch = jest.fn(() => new Promise(() => {}));
+        const screener = new SanctionsScreener();
+        const result = await screener.screen(mergedData());
+
+        expect(result.hits.map(hit => hit.name)).toContain('AB Rossiya');
+        expect(screener.refreshing).not.toBeNull();
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should leave a lookup unscreened until the first download lands', async () => {
+        useStorage({});
+        const screener = new SanctionsScreener();
+
+        expect(await screener.screen(mergedData())).toBeNull();
+
+        await screener.refreshing;
+        const result = await screener.screen(mergedData());
+
+        expect(result.hits.map(hit => hit.name)).toEqual(expect.arrayContaining(['AB Rossiya', 'Gazprombank JSC']));
+    });
+});
@@ -0,0 +1,101 @@
+// Test suite for SEC Schedule 13D/13G tracking
+const { createFixtureFetch } = require('../helpers/fixture-fetch');
+
+let getBeneficialOwnershipFilings, findActivistStakes;
+
+beforeAll(() => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+    
+    // The 13D/13G module shares the EDGAR helpers, so both load into one scope
+    eval([
+        load('modules/government/sec-edgar.js'),
+        load('modules/government/sec-beneficial-ownership.js'),
+        load('modules/ui/tooltip-manager.js')
+    ].join('\n'));
+    
+    getBeneficialOwnershipFilings = window.getBeneficialOwnershipFilings;
+    findActivistStakes = window.findActivistStakes;
+});
+
+beforeEach(() => {
+    global.fetch = createFixtureFetch([
+        [/company_tickers\.json/, 'sec/company_tickers.json'],
+        [/submissions\/CIK0000320193\.json/, 'sec/submissions-0000320193.json'],
+        [/0001193125-24-100001\.txt/, 'sec/sc13d-0001193125-24-100001.txt'],
+        [/0000950170-24-020001\.txt/, 'sec/sc13g-0000950170-24-020001.txt'],
+        [/0001193125-23-050001\.txt/, 'sec/sc13d-0001193125-23-050001.txt'],
+        [/0000932471-22-003001\.txt/, 'sec/sc13g-0000932471-22-003001.txt']
+    ]);
+});
+
+describe('getBeneficialOwnershipFilings', () => {
+    test('should list 13D/13G filings and amendments for the subject company', async () => {
+        const data = await getBeneficialOwnershipFilings('AAPL');
+        
+        expect(data.filings.map(filing => filing.formType)).toEqual([
+            'SC 13D', 'SCHEDULE 13G/A', 'SC 13D', 'SC 13G'
+        ]);
+    });
+    
+    test('should parse legacy cover pages', async () => {
+        const data = await getBeneficialOwnershipFilings('AAPL');
+        const filing = data.filings.find(f => f.accessionNumber === '0001193125-24-100001');
+        
+        expect(filing).toMatchObject({
+            filerName: 'Orchard Activist Partners LP',
+            filerCik: '0001999001',
+            isActivist: true,
+            isAmendment: false,
+            percentOfClass: 5.4,
+            eventDate: '2024-04-05'
+        });
+    });
+    
+    test('should parse structured XML schedules', async () => {
+        const data = await getBeneficialOwnershipFilings('AAPL');
+        const filing = data.filings.find(f => f.accessionNumber === '0000950170-24-020001');
+        
+        expect(filing).toMatchObject({
+            filerName: 'VANGUARD GROUP INC',
+            isActivist: false,
+            isAmendment: true,
+            percentOfClass: 8.46,
+            eventDate: '2023-12-29'
+        });
+    });
+    
+    test('should keep the latest statement per filer with its history', async () => {
+        const data = await getBeneficialOwnershipFilings('AAPL');
+        
+        expect(data.currentHolders.map(holder => [holder.filerName, holder.percentOfClass])).toEqual([
+            ['VANGUARD GROUP INC', 8.46],
+            ['Orchard Activist Partners LP', 5.4]
+        ]);
+        expect(data.currentHolders[1].history).toHaveLength(2);
+    });
+    
+    test('should fail rather than report no registrant while the ticker file is down', async () => {
+        // A day on, the in-memory ticker file is due for a reload
+        const clock = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 86400000);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        global.fetch = createFixtureFetch([]);
+        
+        expect(await getBeneficialOwnershipFilings('AAPL')).toBeNull();
+        clock.mockRestore();
+        console.error.mockRestore();
+    });
+});
+
+describe('findActivistStakes', () => {
+    test('should flag only 13D stakes with an event in the last 12 months', async () => {
+        const data = await getBeneficialOwnershipFilings('AAPL');
+        
+        const recent = findActivistStakes(data.currentHolders, new Date('2024-10-01').getTime());
+        expect(recent.map(stake => stake.filerName)).toEqual(['Orchard Activist Partners LP']);
+        
+        const stale = findActivistStakes(data.currentHolders, new Date('2025-06-01').getTime());
+        expect(stale).toEqual([]);
+    });
+});
@@ -0,0 +1,98 @@
+// Test suite for SEC EDGAR 13F-HR holdings ingestion
+const { createFixtureFetch } = require('../helpers/fixture-fetch');
+
+let getSECOwnershipData, lookupCompanyTicker;
+
+// ID bundle as the identifier crosswalk hands it over
+const APPLE_IDENTIFIERS = { name: 'Apple Inc.', ticker: 'AAPL', cik: '0000320193', cusip: '037833100', matchType: 'ticker' };
+
+beforeAll(() => {
+    // Load the module code into the global scope, as the service worker does
+    const secEdgarCode = require('fs').readFileSync(
+        require('path').join(__dirname, '../../src/modules/government/sec-edgar.js'),
+        'utf8'
+    );
+    
+    eval(secEdgarCode);
+    
+    getSECOwnershipData = window.getSECOwnershipData;
+    lookupCompanyTicker = window.lookupCompanyTicker;
+});
+
+beforeEach(() => {
+    global.fetch = createFixtureFetch([
+        [/company_tickers\.json/, 'sec/company_tickers.json'],
+        [/companyconcept\/CIK0000320193\/dei\/EntityCommonStockSharesOutstanding/, 'sec/companyconcept-0000320193-shares-outstanding.json'],
+        [/efts\.sec\.gov.*037833100/, 'sec/efts-13f-037833100.json'],
+        [/\/102909\/000010290924000001\/infotable\.xml/, 'sec/infotable-vanguard-2024q1.xml'],
+        [/\/102909\/000010290924000002\/infotable\.xml/, 'sec/infotable-vanguard-2024q2.xml'],
+        [/\/1364742\/000136474224000005\/form13fInfoTable\.xml/, 'sec/infotable-blackrock-2024q2.xml'],
+        [/\/1067983\/000095012324005001\/infotable\.xml/, 'sec/infotable-berkshire-2024q1.xml']
+    ]);
+});
+
+describe('lookupCompanyTicker', () => {
+    test('should resolve tickers and registrant names to a padded CIK', async () => {
+        const byTicker = await lookupCompanyTicker('AAPL');
+        expect(byTicker).toMatchObject({ ticker: 'AAPL', cik: '0000320193', matchType: 'ticker' });
+        
+        const byName = await lookupCompanyTicker('Microsoft Corporation');
+        expect(byName).toMatchObject({ ticker: 'MSFT', cik: '0000789019', matchType: 'name' });
+    });
+    
+    test('should read only symbol-shaped text as a ticker unless told it is one', async () => {
+        expect(await lookupCompanyTicker('Orcl')).toBeNull();
+        expect(await lookupCompanyTicker('orcl', { isTicker: true })).toMatchObject({ ticker: 'ORCL', matchType: 'ticker' });
+    });
+    
+    test('should resolve padded CIKs', async () => {
+        expect(await lookupCompanyTicker('0000320193')).toMatchObject({ ticker: 'AAPL', matchType: 'cik' });
+    });
+    
+    test('should return null for unknown companies', async () => {
+        expect(await lookupCompanyTicker('Nonexistent Widgets')).toBeNull();
+    });
+});
+
+describe('getSECOwnershipData', () => {
+    test('should aggregate 13F positions by manager for the issuer CUSIP', async () => {
+        const data = await getSECOwnershipData(APPLE_IDENTIFIERS);
+        
+        expect(data.cusip).toBe('037833100');
+        expect(data.reportPeriod).toBe('2024-06-30');
+        expect(data.previousPeriod).toBe('2024-03-31');
+        expect(data.sharesOutstanding).toEqual({ shares: 15000000000, asOf: '2024-04-19' });
+        
+        // Vanguard splits its holding across two discretion rows; the put row is excluded
+        const vanguard = data.owners.find(owner => owner.cik === '0000102909');
+        expect(vanguard.name).toBe('VANGUARD GROUP INC');
+        expect(vanguard.shares).toBe(1350000000);
+        expect(vanguard.percent).toBe('9.00%');
+    });
+    
+    test('should compute quarter-over-quarter deltas', async () => {
+        const data = await getSECOwnershipData(APPLE_IDENTIFIERS);
+        
+        const vanguard = data.owners.find(owner => owner.cik === '0000102909');
+        expect(vanguard.change.shares).toBe(50000000);
+        expect(vanguard.change.percent).toBeCloseTo(3.846, 2);
+        expect(vanguard.change.isNewPosition).toBe(false);
+        
+        const blackrock = data.owners.find(owner => owner.cik === '0001364742');
+        expect(blackrock.change.isNewPosition).toBe(true);
+    });
+    
+    test('should drop managers that exited and ignore amendments', async () => {
+        const data = await getSECOwnershipData(APPLE_IDENTIFIERS);
+        
+        expect(data.owners.map(owner => owner.cik)).toEqual(['0000102909', '0001364742']);
+        expect(data.coverage.filingsScanned).toBe(4);
+    });
+    
+    test('should report a note when no CUSIP is known', async () => {
+        const data = await getSECOwnershipData({ name: 'Unknown Co', ticker: 'UNKNOWNCO', cik: null, cusip: null });
+        
+        expect(data.owners).toEqual([]);
+        expect(data.note).toContain('No CUSIP');
+    });
+});
@@ -0,0 +1,103 @@
+// Test suite for SEC Forms 3/4/5 insider transaction tracking
+const { createFixtureFetch } = require('../helpers/fixture-fetch');
+
+let getInsiderTransactions;
+
+beforeAll(() => {
+    const fs = require('fs');
+    const path = require('path');
+    const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+    // The insider module shares the EDGAR helpers, so both load into one scope
+    eval([
+        load('modules/government/sec-edgar.js'),
+        load('modules/government/sec-insider-transactions.js')
+    ].join('\n'));
+
+    getInsiderTransactions = window.getInsiderTransactions;
+});
+
+beforeEach(() => {
+    // Fixture filings are from spring 2024
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-05-01T00:00:00Z'));
+
+    global.fetch = createFixtureFetch([
+        [/company_tickers\.json/, 'sec/company_tickers.json'],
+        [/submissions\/CIK0000320193\.json/, 'sec/submissions-0000320193.json'],
+        [/000114036124030001\/form4\.xml$/, 'sec/form4-0001140361-24-030001.xml'],
+        [/000114036124030002\/form4\.xml$/, 'sec/form4-0001140361-24-030002.xml'],
+        [/000114036124030003\/form3\.xml$/, 'sec/form3-0001140361-24-030003.xml']
+    ]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getInsiderTransactions', () => {
+    test('should fetch raw XML for Forms 3/4 inside the lookback window', async () => {
+        const data = await getInsiderTransactions('AAPL');
+        const requested = global.fetch.mock.calls.map(([url]) => url);
+
+        expect(data.filingsParsed).toBe(3);
+        expect(requested).toContain('https://www.sec.gov/Archives/edgar/data/320193/000114036124030001/form4.xml');
+        expect(requested.some(url => url.includes('000114036123010001'))).toBe(false);
+    });
+
+    test('should parse reporting owner and transaction detail', async () => {
+        const data = await getInsiderTransactions('AAPL');
+        const sale = data.transactions.find(t => t.transactionCode === 'S');
+
+        expect(sale).toMatchObject({
+            ownerName: 'COOK TIMOTHY D',
+            ownerCik: '0001214156',
+            relationship: ['Director', 'Officer'],
+            officerTitle: 'Chief Executive Officer',
+            transactionDate: '2024-04-19',
+            shares: 100000,
+            pricePerShare: 165.5,
+            acquiredDisposed: 'D',
+            sharesOwnedAfter: 3275611,
+            directOwnership: true,
+            isDerivative: false
+        });
+    });
+
+    test('should attribute joint filings to the first reporting owner', async () => {
+        const data = await getInsiderTransactions('AAPL');
+        const purchase = data.transactions.find(t => t.transactionCode === 'P');
+
+        expect(purchase.ownerCik).toBe('0001051401');
+        expect(purchase.jointFilers).toEqual(['Sugar Family Trust']);
+        expect(purchase.directOwnership).toBe(false);
+    });
+
+    test('should report Form 3 starting holdings', async () => {
+        const data = await getInsiderTransactions('AAPL');
+        const holding = data.transactions.find(t => t.formType === '3');
+
+        expect(holding).toMatchObject({
+            ownerName: 'Parekh Kevan',
+            transactionType: 'Holding reported',
+            shares: 0,
+            sharesOwnedAfter: 14960
+        });
+    });
+
+    test('should net open-market trades only', async () => {
+        const data = await getInsiderTransactions('AAPL');
+
+        expect(data.summary).toMatchObject({
+            windowDays: 90,
+            signal: 'NET_SELLING',
+            sharesBought: 5000,
+            sharesSold: 100000,
+            netShares: -95000,
+            valueBought: 840000,
+            valueSold: 16550000,
+            buyers: 1,
+            sellers: 1,
+            otherTransactions: 2
+        });
+    });
+});
@@ -0,0 +1,141 @@
+// Test suite for the per-source answer cache and stale-while-revalidate lookups
+const fs = require('fs');
+const path = require('path');
+const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+let SourceCache;
+let registerDataSourcePlugin;
+let DataOrchestrator;
+let storage;
+let now;
+
+const HOUR = 3600000;
+const IDENTIFIERS = { query: 'Acme Holdings', name: 'Acme Holdings', ticker: 'ACME', matchType: 'ticker' };
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    now = Date.UTC(2026, 9, 18, 12);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    // Values go through JSON, as chrome.storage would copy them
+    storage = {};
+    global.chrome = {
+        storage: {
+            local: {
+                get: async (keys) => Object.fromEntries((keys === null ? Object.keys(storage) : keys)
+                    .filter(key => key in storage)
+                    .map(key => [key, JSON.parse(storage[key])])),
+                set: async (items) => Object.entries(items).forEach(([key, value]) => { storage[key] = JSON.stringify(value); }),
+                remove: async (keys) => [].concat(keys).forEach(key => delete storage[key])
+            }
+        }
+    };
+
+    global.window = {};
+    eval([
+        load('core/plugin-architecture.js'),
+        load('core/request-broker.js'),
+        load('core/source-cache.js'),
+        load('core/data-orchestrator.js')
+    ].join('\n'));
+
+    ({ SourceCache, registerDataSourcePlugin, DataOrchestrator } = window);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.chrome;
+});
+
+describe('SourceCache', () => {
+    test('should answer from storage after a worker restart, fresh until the TTL and stale after it', async () => {
+        await new SourceCache().set('sec', { cik: '0000000042', ticker: 'ACME' }, { source: 'sec', data: { owners: [] } }, HOUR);
+
+        const restarted = new SourceCache();
+        expect(await restarted.get('sec', { cik: '42' })).toMatchObject({ response: { data: { owners: [] } }, fresh: true });
+
+        now += 2 * HOUR;
+        expect((await restarted.get('sec', { cik: '42' })).fresh).toBe(false);
+
+        now += 31 * 24 * HOUR;
+        expect(await restarted.get('sec', { cik: '42' })).toBeNull();
+        expect(await restarted.prune()).toBe(1);
+        expect(storage).toEqual({});
+    });
+});
+
+describe('DataOrchestrator source caching', () => {
+    test('should serve within the TTL without refetching, and use each source\'s own TTL', async () => {
+        const quotes = jest.fn(async () => ({ owners: [{ name: 'Vanguard Group Inc', percent: '8.1%' }] }));
+        const headlines = jest.fn(async () => ({ articles: [{ title: 'Acme names a new chair' }] }));
+        registerDataSourcePlugin({ name: 'quotes', tier: 'tier1', identifiers: ['ticker'], cacheTTL: 24 * HOUR, fetch: quotes });
+        registerDataSourcePlugin({
+            name: 'headlines',
+            tier: 'tier3',
+            identifiers: ['name'],
+            cacheTTL: () => HOUR,
+            fetch: headlines,
+            merge(mergedData, data) {
+                mergedData.newsContext.push(...data.articles);
+            }
+        });
+
+        const orchestrator = new DataOrchestrator();
+        await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS });
+        now += 30 * 60000;
+        const cached = await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS });
+
+        expect([quotes.mock.calls.length, headlines.mock.calls.length]).toEqual([1, 1]);
+        expect(cached.revalidating).toEqual([]);
+        expect(cached.newsContext).toEqual([{ title: 'Acme names a new chair' }]);
+
+        now += 2 * HOUR;
+        const later = await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS });
+        expect(later.revalidating).toEqual(['headlines']);
+        expect(await orchestrator.whenRevalidated(later)).toEqual(['headlines']);
+        expect([quotes.mock.calls.length, headlines.mock.calls.length]).toEqual([1, 2]);
+    });
+
+    test('should keep answers that only carry a note for minutes, not the source\'s TTL', async () => {
+        const fetch = jest.fn(async () => ({ owners: [], filings: [], note: 'No CUSIP known for ACME' }));
+        registerDataSourcePlugin({ name: 'holdings', tier: 'tier1', identifiers: ['ticker'], cacheTTL: 90 * 24 * HOUR, fetch });
+
+        const orchestrator = new DataOrchestrator();
+        await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS });
+        now += 10 * 60000;
+        const later = await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS });
+
+        expect(later.revalidating).toEqual(['holdings']);
+        await orchestrator.whenRevalidated(later);
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should answer a stale source at once and report when the background refetch lands', async () => {
+        let release;
+        const fetch = jest.fn(async () => ({ owners: [{ name: 'Old Holder LLC', percent: '5.0%' }] }));
+        registerDataSourcePlugin({ name: 'quotes', tier: 'tier1', identifiers: ['ticker'], cacheTTL: HOUR, fetch });
+
+        const orchestrator = new DataOrchestrator();
+        const first = await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS });
+
+        now += 2 * HOUR;
+        fetch.mockImplementation(() => new Promise(resolve => {
+            release = () => resolve({ owners: [{ name: 'New Holder LLC', percent: '6.0%' }] });
+        }));
+        const stale = await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS });
+
+        expect(stale.owners[0].name).toBe('Old Holder LLC');
+        expect(stale.retrievals[0]).toMatchObject({ source: 'quotes', retrievedAt: first.retrievals[0].retrievedAt, stale: true });
+        expect(stale.revalidating).toEqual(['quotes']);
+
+        release();
+        expect(await orchestrator.whenRevalidated(stale)).toEqual(['quotes']);
+
+        const refreshed = await orchestrator.orchestrateDataFetch('Acme Holdings', { identifiers: IDENTIFIERS });
+        expect(refreshed.owners[0].name).toBe('New Holder LLC');
+        expect(refreshed.revalidating).toEqual([]);
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+});
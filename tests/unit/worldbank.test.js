@@ -0,0 +1,108 @@
+// Test suite for World Bank governance-indicator country risk
+const { createFixtureFetch } = require('../helpers/fixture-fetch');
+
+const fs = require('fs');
+const path = require('path');
+const load = (file) => fs.readFileSync(path.join(__dirname, '../../src', file), 'utf8');
+
+let getCountryRiskData;
+let DataOrchestrator;
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Fresh scope per test so the country risk cache starts empty
+    eval([
+        load('core/plugin-architecture.js'),
+        load('core/data-orchestrator.js'),
+        load('modules/international/opencorporates.js'),
+        load('modules/international/worldbank.js')
+    ].join('\n'));
+
+    getCountryRiskData = window.getCountryRiskData;
+    DataOrchestrator = window.DataOrchestrator;
+
+    global.fetch = createFixtureFetch([
+        [/\/indicator\/RL\.EST\?/, 'worldbank/wgi-RL.EST.json'],
+        [/\/indicator\/CC\.EST\?/, 'worldbank/wgi-CC.EST.json'],
+        [/\/indicator\/RQ\.EST\?/, 'worldbank/wgi-RQ.EST.json'],
+        [/opencorporates\.com\/v0\.4\/companies\/search\?q=Acme\+Holdings/, 'opencorporates/search-acme-holdings.json']
+    ]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getCountryRiskData', () => {
+    test('should score each country from its governance estimates', async () => {
+        const data = await getCountryRiskData(['ky', 'ru', 'us_de']);
+
+        expect(data.countries.ru).toMatchObject({
+            countryName: 'Russian Federation',
+            year: 2022,
+            indicators: { ruleOfLaw: -1.18, controlOfCorruption: -1.09, regulatoryQuality: -1.07 },
+            score: 72,
+            level: 'HIGH'
+        });
+        expect(data.countries.ky).toMatchObject({ score: 25, level: 'LOW' });
+    });
+
+    test('should key scores by the jurisdiction each source reported', async () => {
+        const data = await getCountryRiskData(['us_de', 'us_ca']);
+
+        expect(data.byJurisdiction.us_de).toBe(data.countries.us);
+        expect(data.byJurisdiction.us_ca).toBe(data.countries.us);
+        expect(global.fetch.mock.calls[0][0]).toContain('/country/us/indicator/');
+    });
+
+    test('should reuse cached scores instead of refetching', async () => {
+        await getCountryRiskData(['ky']);
+        global.fetch.mockClear();
+
+        const data = await getCountryRiskData(['ky', 'vg']);
+
+        // Only the uncached country is requested, and it stays uncovered when the WGI has no row for it
+        expect(global.fetch.mock.calls.every(([url]) => url.includes('/country/vg/'))).toBe(true);
+        expect(data.uncovered).toEqual(['vg']);
+    });
+});
+
+describe('DataOrchestrator country risk', () => {
+    test('should attach country risk to international entities and flag weak governance', async () => {
+        const orchestrator = new DataOrchestrator();
+        const data = await orchestrator.orchestrateDataFetch('Acme Holdings', {
+            includeInternational: true,
+            identifiers: { query: 'Acme Holdings', name: 'Acme Holdings', matchType: 'unresolved' }
+        });
+
+        expect(data.sources).toEqual(expect.arrayContaining(['opencorporates', 'worldbank']));
+        expect(data.internationalEntities.find(entity => entity.jurisdiction === 'ru').countryRisk.level).toBe('HIGH');
+        expect(data.offshoreAnalysis).toMatchObject({
+            weakGovernanceJurisdictions: ['ru'],
+            highestCountryRisk: 72,
+            suspiciousPatterns: ['Weak-governance jurisdiction detected']
+        });
+    });
+
+    test('should not flag low-risk offshore centres on governance alone', async () => {
+        global.fetch = createFixtureFetch([
+            [/\/indicator\/RL\.EST\?/, 'worldbank/wgi-RL.EST.json'],
+            [/\/indicator\/CC\.EST\?/, 'worldbank/wgi-CC.EST.json'],
+            [/\/indicator\/RQ\.EST\?/, 'worldbank/wgi-RQ.EST.json']
+        ]);
+
+        const orchestrator = new DataOrchestrator();
+        const mergedData = {
+            internationalEntities: [{ name: 'ACME HOLDINGS LTD', jurisdiction: 'ky', isOffshore: true }],
+            sources: [],
+            warnings: []
+        };
+        await orchestrator.attachCountryRisk(mergedData, { name: 'Acme Holdings' });
+
+        expect(mergedData.internationalEntities[0].countryRisk.level).toBe('LOW');
+        expect(mergedData.offshoreAnalysis.suspiciousPatterns).toEqual([]);
+        expect(mergedData.offshoreAnalysis.riskLevel).toBe('MEDIUM');
+    });
+});